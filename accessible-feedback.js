@@ -0,0 +1,113 @@
+/**
+ * AccessibleFeedback - Non-visual feedback on the stabilized readings
+ * Decides when a reading is worth announcing (screen reader live region, speech) so that
+ * the announcements don't pile up faster than they can be read, and paces the pitch-coded
+ * beeps. The page turns the announcements into text and picks the outputs.
+ */
+class AccessibleFeedback {
+    /**
+     * @param {Object} options - See AccessibleFeedback.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, AccessibleFeedback.DEFAULTS, options);
+        this.last = null; // { label, cents, inTune, time } of the last announcement
+        this.lastBeepTime = null;
+        this.onAnnounce = null; // (announcement) { key, params: { note, cents }, tuned }
+        this.onBeep = null; // (frequency, inTune)
+    }
+
+    /**
+     * Forgets the last announcement, e.g. when the string stops sounding,
+     * so the next note is announced straight away
+     */
+    reset() {
+        this.last = null;
+        this.lastBeepTime = null;
+    }
+
+    /**
+     * Handles a stabilized reading
+     * @param {Object} reading - { label: note or string name, cents, isInTune }
+     * @param {number} timestamp - ms
+     * @returns {Object|null} The announcement, if this reading is announced:
+     *          { key: 'a11y.inTune'|'a11y.flat'|'a11y.sharp', params, tuned }
+     *          tuned = the note has just come into tune
+     */
+    update(reading, timestamp) {
+        const options = this.options;
+        this.beep(reading, timestamp);
+
+        const cents = Math.round(reading.cents);
+        const last = this.last;
+        const sameNote = last !== null && last.label === reading.label;
+        const elapsed = last === null ? Infinity : timestamp - last.time;
+
+        let announce;
+        if (!sameNote || reading.isInTune !== last.inTune) {
+            // New note, or it has just come into (or gone out of) tune
+            announce = elapsed >= options.minInterval;
+        } else {
+            // Same note: repeat now and then while it is being tuned, never while it stays in tune
+            announce = !reading.isInTune && elapsed >= options.interval &&
+                Math.abs(cents - last.cents) >= options.centsStep;
+        }
+
+        if (!announce) {
+            return null;
+        }
+
+        const announcement = {
+            key: reading.isInTune ? 'a11y.inTune' : (cents < 0 ? 'a11y.flat' : 'a11y.sharp'),
+            params: { note: reading.label, cents: Math.abs(cents) },
+            tuned: reading.isInTune
+        };
+        this.last = { label: reading.label, cents: cents, inTune: reading.isInTune, time: timestamp };
+
+        if (this.onAnnounce) {
+            this.onAnnounce(announcement);
+        }
+
+        return announcement;
+    }
+
+    /**
+     * Emits a beep every beepInterval while readings come in
+     * @param {Object} reading
+     * @param {number} timestamp
+     */
+    beep(reading, timestamp) {
+        if (this.lastBeepTime !== null && timestamp - this.lastBeepTime < this.options.beepInterval) {
+            return;
+        }
+
+        this.lastBeepTime = timestamp;
+        if (this.onBeep) {
+            this.onBeep(AccessibleFeedback.beepFrequency(reading.cents, this.options), reading.isInTune);
+        }
+    }
+
+    /**
+     * Pitch of the beep for a deviation: the base pitch when in tune, lower when flat,
+     * higher when sharp, so the ear can follow the peg
+     * @param {number} cents
+     * @param {Object} options - { beepFrequency, beepSpread }
+     * @returns {number} Hz
+     */
+    static beepFrequency(cents, options = AccessibleFeedback.DEFAULTS) {
+        const clamped = Math.max(-50, Math.min(50, cents));
+        return options.beepFrequency * Math.pow(2, clamped / 50 * options.beepSpread / 12);
+    }
+}
+
+AccessibleFeedback.DEFAULTS = {
+    minInterval: 800, // ms between two announcements, so a screen reader can finish the previous one
+    interval: 2500, // ms before the same out-of-tune note is announced again
+    centsStep: 3, // ...and only if it moved by at least this much
+    beepInterval: 700, // ms
+    beepFrequency: 880, // Hz, pitch of the in-tune beep
+    beepSpread: 7 // Semitones above or below the base pitch at ±50 cents
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccessibleFeedback };
+}
@@ -4,218 +4,2442 @@
  */
 
 // Global instances
-let audioCapture = null;
-let pitchDetector = null;
-let isRunning = false;
+let tunerEngine = null; // Engine of the <guitar-tuner> element (tuner-engine.js)
+let lifecycleManager = null; // See lifecycle-manager.js
+let tuningManager = null;
+let instrumentProfile = null; // See instrument-profiles.js
+let i18n = null;
+let settingsStore = null; // See settings-store.js
+let updateManager = null;
+let stringTargeter = null;
+let pitchStabilizer = null;
+let noiseGate = null;
+let intonationCheck = null;
+let intonationMode = false;
+let fileAnalyzer = null; // Analysis of a recording in progress
+let fileTrack = null; // { name, track } of the last analyzed recording
+let tuneLogger = null;
+let sessionHistory = null; // null if IndexedDB is not available
+let currentInstrumentId = null;
+let historyEntries = []; // Entries of the current instrument
+let renamingInstrument = false;
+let toneGenerator = null;
+let accessibleFeedback = null;
+let pitchHistory = null;
+let pitchGraph = null;
+let graphTarget = null; // Hz of the note or string being tuned, the zero line of the graph
+let graphStatsTime = 0;
+let detectorDiagnostics = null;
+let diagnosticsDisplay = null;
+let diagnosticsTime = 0;
+let harmonicAnalyzer = null;
+let harmonicState = 'idle'; // 'idle', 'waiting' for a stable note or 'recording' the window
+let lastHarmonics = null; // { result, midiNote } of the last analysis
+let harmonicMeasurements = []; // Harmonic measurements of the current instrument
+let restrungAt = null; // When the current instrument got new strings, null if never marked
+let toneContext = null; // Used for reference tones while the microphone is not open
+let stringFrequencies = []; // Target frequency of each string of the current tuning
+
+// Reference pitch and temperament used for all note calculations (TunerCore note options)
+const noteOptions = {
+    a4: 440,
+    temperament: new Temperament('equal')
+};
 
 // UI Elements
-const startButton = document.getElementById('startButton');
-const detectedNote = document.getElementById('detectedNote');
-const frequency = document.getElementById('frequency');
-const centsDisplay = document.getElementById('centsDisplay');
-const tuningNeedle = document.getElementById('tuningNeedle');
+const tuner = document.getElementById('tuner');
+const displayModeSelect = document.getElementById('displayModeSelect');
 const status = document.getElementById('status');
-const stringItems = document.querySelectorAll('.string-item');
+const tuningTitle = document.getElementById('tuningTitle');
+const profileSelect = document.getElementById('profileSelect');
+const tuningSelect = document.getElementById('tuningSelect');
+const newTuningButton = document.getElementById('newTuningButton');
+const deleteTuningButton = document.getElementById('deleteTuningButton');
+const tuningEditor = document.getElementById('tuningEditor');
+const tuningNameInput = document.getElementById('tuningNameInput');
+const tuningNotesInput = document.getElementById('tuningNotesInput');
+const cancelTuningButton = document.getElementById('cancelTuningButton');
+const stabilizerFilterSelect = document.getElementById('stabilizerFilterSelect');
+const stabilizerHoldInput = document.getElementById('stabilizerHoldInput');
+const stringsContainer = document.getElementById('stringsContainer');
+const guitarStrings = document.getElementById('guitarStrings');
+const strumToggle = document.getElementById('strumToggle');
+const targetModeSelect = document.getElementById('targetModeSelect');
+const guidedSummary = document.getElementById('guidedSummary');
+const guidedSummaryBody = document.getElementById('guidedSummaryBody');
+const guidedRestartButton = document.getElementById('guidedRestartButton');
+const intonationToggle = document.getElementById('intonationToggle');
+const intonationPanel = document.getElementById('intonationPanel');
+const intonationReferenceSelect = document.getElementById('intonationReferenceSelect');
+const intonationPrompt = document.getElementById('intonationPrompt');
+const intonationProgress = document.getElementById('intonationProgress');
+const intonationTableBody = document.getElementById('intonationTableBody');
+const fileDropZone = document.getElementById('fileDropZone');
+const fileInput = document.getElementById('fileInput');
+const fileResult = document.getElementById('fileResult');
+const fileSummary = document.getElementById('fileSummary');
+const fileTrackCanvas = document.getElementById('fileTrackCanvas');
+const exportCsvButton = document.getElementById('exportCsvButton');
+const exportJsonButton = document.getElementById('exportJsonButton');
+const toneNoteInput = document.getElementById('toneNoteInput');
+const toneVoiceSelect = document.getElementById('toneVoiceSelect');
+const toneDurationSelect = document.getElementById('toneDurationSelect');
+const toneVolumeSlider = document.getElementById('toneVolumeSlider');
+const tonePlayButton = document.getElementById('tonePlayButton');
+const toneStopButton = document.getElementById('toneStopButton');
+const referenceInput = document.getElementById('referenceInput');
+const temperamentSelect = document.getElementById('temperamentSelect');
+const keySelect = document.getElementById('keySelect');
+const customOffsetsField = document.getElementById('customOffsetsField');
+const customOffsetsInput = document.getElementById('customOffsetsInput');
+const inTuneInput = document.getElementById('inTuneInput');
+const needleRangeInput = document.getElementById('needleRangeInput');
+const updateIntervalInput = document.getElementById('updateIntervalInput');
+const confidenceInput = document.getElementById('confidenceInput');
+const shareLinkButton = document.getElementById('shareLinkButton');
+const resetSettingsButton = document.getElementById('resetSettingsButton');
+const shareLinkInput = document.getElementById('shareLinkInput');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const microphoneSelect = document.getElementById('microphoneSelect');
+const gainSlider = document.getElementById('gainSlider');
+const gainValue = document.getElementById('gainValue');
+const levelMeter = document.getElementById('levelMeter');
+const levelFill = document.getElementById('levelFill');
+const levelThreshold = document.getElementById('levelThreshold');
+const gateState = document.getElementById('gateState');
+const calibrateButton = document.getElementById('calibrateButton');
+const languageSelect = document.getElementById('languageSelect');
+const noteNamingSelect = document.getElementById('noteNamingSelect');
+const offlineBadge = document.getElementById('offlineBadge');
+const updateBanner = document.getElementById('updateBanner');
+const updateButton = document.getElementById('updateButton');
+const tuningHistory = document.getElementById('tuningHistory');
+const instrumentSelect = document.getElementById('instrumentSelect');
+const newInstrumentButton = document.getElementById('newInstrumentButton');
+const renameInstrumentButton = document.getElementById('renameInstrumentButton');
+const deleteInstrumentButton = document.getElementById('deleteInstrumentButton');
+const instrumentEditor = document.getElementById('instrumentEditor');
+const instrumentNameInput = document.getElementById('instrumentNameInput');
+const cancelInstrumentButton = document.getElementById('cancelInstrumentButton');
+const historySummary = document.getElementById('historySummary');
+const historyTableBody = document.getElementById('historyTableBody');
+const historyExportJsonButton = document.getElementById('historyExportJsonButton');
+const historyExportCsvButton = document.getElementById('historyExportCsvButton');
+const historyImportInput = document.getElementById('historyImportInput');
+const speechField = document.getElementById('speechField');
+const speechToggle = document.getElementById('speechToggle');
+const beepToggle = document.getElementById('beepToggle');
+const vibrationField = document.getElementById('vibrationField');
+const vibrationToggle = document.getElementById('vibrationToggle');
+const liveAnnouncer = document.getElementById('liveAnnouncer');
+const pitchGraphCanvas = document.getElementById('pitchGraphCanvas');
+const pitchGraphStats = document.getElementById('pitchGraphStats');
+const graphSpanSelect = document.getElementById('graphSpanSelect');
+const graphRangeSelect = document.getElementById('graphRangeSelect');
+const graphFreezeButton = document.getElementById('graphFreezeButton');
+const graphClearButton = document.getElementById('graphClearButton');
+const diagnosticsToggle = document.getElementById('diagnosticsToggle');
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+const waveformCanvas = document.getElementById('waveformCanvas');
+const curveCanvas = document.getElementById('curveCanvas');
+const curveLabel = document.getElementById('curveLabel');
+const diagnosticsRmsMeter = document.getElementById('diagnosticsRmsMeter');
+const diagnosticsRmsFill = document.getElementById('diagnosticsRmsFill');
+const diagnosticsRmsThreshold = document.getElementById('diagnosticsRmsThreshold');
+const diagnosticsRmsValue = document.getElementById('diagnosticsRmsValue');
+const diagnosticsConfidenceMeter = document.getElementById('diagnosticsConfidenceMeter');
+const diagnosticsConfidenceFill = document.getElementById('diagnosticsConfidenceFill');
+const diagnosticsConfidenceThreshold = document.getElementById('diagnosticsConfidenceThreshold');
+const diagnosticsConfidenceValue = document.getElementById('diagnosticsConfidenceValue');
+const diagnosticsTiming = document.getElementById('diagnosticsTiming');
+const diagnosticsWindows = document.getElementById('diagnosticsWindows');
+const diagnosticsCaptureButton = document.getElementById('diagnosticsCaptureButton');
+const diagnosticsResetButton = document.getElementById('diagnosticsResetButton');
+const harmonicStatus = document.getElementById('harmonicStatus');
+const harmonicResult = document.getElementById('harmonicResult');
+const harmonicCanvas = document.getElementById('harmonicCanvas');
+const harmonicSummary = document.getElementById('harmonicSummary');
+const harmonicStretch = document.getElementById('harmonicStretch');
+const harmonicTableBody = document.getElementById('harmonicTableBody');
+const harmonicAnalyzeButton = document.getElementById('harmonicAnalyzeButton');
+const stringHealth = document.getElementById('stringHealth');
+const stringHealthSummary = document.getElementById('stringHealthSummary');
+const stringHealthBody = document.getElementById('stringHealthBody');
+const restrungButton = document.getElementById('restrungButton');
+let stringItems = [];
+
+// Constants
+const SAMPLE_RATE = 44100;
+const BROWSER_LANGUAGES = navigator.languages || [navigator.language];
+const LEVEL_METER_FLOOR_DB = -60;
+const CLIP_LEVEL = 0.7; // RMS close to full scale
+const INSTRUMENT_KEY = 'accordatore.instrument';
+const HISTORY_STRING_RANGE = 100; // cents: chromatic readings this close to a string are logged for it
+const HISTORY_SESSION_GAP = 30 * 60 * 1000; // ms between tunings that starts a new session
+const HISTORY_DRIFT_CENTS = 10; // Mean offset shown as a tendency to go flat or sharp
+const VIBRATION_PATTERN = [80, 60, 80]; // ms on/off when a string comes into tune
+const GRAPH_TARGET_RANGE = 100; // cents: readings further from the current target are drawn against their own note
+const GRAPH_STATS_INTERVAL = 250; // ms
+const DIAGNOSTICS_INTERVAL = 250; // ms between updates of the diagnostics figures
+const HARMONIC_WINDOW = 32768; // Samples recorded for a harmonic analysis (0.74 s, 1.3 Hz resolution)
+const HARMONIC_LEVEL_RANGE = 60; // dB shown below the strongest partial
+
+// Initialize on page load
+window.addEventListener('DOMContentLoaded', () => {
+    // Detection runs in the <guitar-tuner> element; the rest of the page is built on its engine
+    tunerEngine = tuner.engine;
+    stringTargeter = tunerEngine.targeter;
+    pitchStabilizer = tunerEngine.stabilizer;
+    noiseGate = tunerEngine.noiseGate;
+
+    // Settings first, with those of a configuration link; then tunings and the string panel
+    settingsStore = new SettingsStore(window.localStorage);
+    const linkSettings = settingsStore.applyQuery(window.location.search);
+    i18n = new I18n(null, BROWSER_LANGUAGES);
+    if (settingsStore.get('language')) {
+        i18n.setLanguage(settingsStore.get('language'));
+    }
+    i18n.setNoteNaming(settingsStore.get('noteNaming'));
+    tuningManager = new TuningManager(window.localStorage);
+    instrumentProfile = InstrumentProfiles.get(settingsStore.get('profile'));
+    tuningManager.setProfile(instrumentProfile);
+    const link = applySettingsLink(linkSettings);
+    intonationCheck = new IntonationCheck();
+    tuneLogger = new TuneLogger();
+    setupLanguage();
+    setupToneGenerator();
+    setupAccessibility();
+    setupPitchGraph();
+    setupDiagnostics();
+    setupPitchSettings();
+    setupStabilizer();
+    setupDisplayMode();
+    setupTunerSettings();
+    setupProfiles();
+    setupTuningControls();
+    setupTargetModes();
+    setupIntonationCheck();
+    setupFileAnalysis();
+    setupUpdates();
+    setupHistory();
+    setupHarmonics();
+    setupEngine();
+    restoreSettings();
+    renderTuning();
+
+    // Check browser support (reference tones work without the microphone)
+    if (!TunerEngine.isSupported()) {
+        showStatus(i18n.t('status.unsupported'), 'error');
+        return;
+    }
+
+    setupStrumMode();
+    setupAlgorithmSelect();
+    setupInputControls();
+    setupNoiseGate();
+    setupLifecycle();
+
+    showStatus(i18n.t('status.ready'), 'info');
+    if (link.invalid.length > 0) {
+        showStatus(i18n.t('settings.linkInvalid', { params: link.invalid.join(', ') }), 'error');
+    } else if (link.applied) {
+        showStatus(i18n.t('settings.linkApplied'), 'success');
+    }
+});
+
+/**
+ * Registers the service worker: offline indicator and new version banner
+ */
+function setupUpdates() {
+    updateManager = new UpdateManager();
+
+    updateManager.onOfflineReady = async () => {
+        offlineBadge.hidden = false;
+        offlineBadge.title = (await updateManager.getVersion()) || '';
+    };
+
+    updateManager.onUpdateAvailable = () => {
+        updateBanner.hidden = false;
+    };
+
+    updateButton.addEventListener('click', () => {
+        updateButton.disabled = true;
+        updateManager.applyUpdate();
+    });
+
+    updateManager.register();
+}
+
+/**
+ * Connects the page to the tuner engine: status, level meter, strings, history and feedback
+ */
+function setupEngine() {
+    tunerEngine.translate = (key, params) => i18n.t(key, params);
+    // Don't tune to our own reference tone coming back through the microphone
+    tunerEngine.ignoreInput = () => toneGenerator.isSounding();
+    configureDetector(instrumentProfile);
+
+    tunerEngine.on('stateChange', ({ state, previous }) => {
+        if (state === 'starting') {
+            showStatus(i18n.t('status.initializing'), 'info');
+        } else if (state === 'running') {
+            // Device labels become available once permission is granted
+            refreshMicrophoneList();
+            showStatus(i18n.t(tunerEngine.strumMode ? 'status.strumAll' : 'status.playString'), 'success');
+        } else if (previous === 'running') {
+            // Keep the adapted noise floor for the next start
+            settingsStore.set({ noiseFloor: noiseGate.noiseFloor });
+            updateGateDisplay(null);
+            updateLevelMeter(0);
+            showStatus(i18n.t('status.stopped'), 'info');
+        }
+    });
+
+    tunerEngine.on('error', ({ message, error }) => {
+        showStatus(error ? i18n.t('status.startError', { error: message }) : message, 'error');
+    });
+
+    tunerEngine.on('level', ({ rms, gate }) => {
+        updateLevelMeter(rms);
+        if (gate) {
+            updateGateDisplay(gate);
+        }
+    });
+
+    tunerEngine.on('note', processNote);
+    tunerEngine.on('silence', clearReadings);
+    tunerEngine.on('reset', () => {
+        clearReadings();
+        resetStrumDisplay();
+    });
+    tunerEngine.on('strum', ({ result }) => processStrumResult(result));
+}
+
+/**
+ * Keeps the screen on while tuning, pauses in the background and recovers audio and input
+ */
+function setupLifecycle() {
+    lifecycleManager = new LifecycleManager(tunerEngine);
+    lifecycleManager.onStatus = (key, params, type) => showStatus(i18n.t(key, params), type);
+    lifecycleManager.attach();
+}
+
+/**
+ * Sets the detector range and analysis window of an instrument profile
+ * @param {Object} profile
+ */
+function configureDetector(profile) {
+    tunerEngine.configure({
+        minFrequency: profile.minFrequency,
+        maxFrequency: profile.maxFrequency,
+        bufferSize: profile.bufferSize
+    });
+}
+
+/**
+ * Clears the string highlights when the note ends or the readings are discarded
+ */
+function clearReadings() {
+    stringItems.forEach(item => item.classList.remove('active'));
+    accessibleFeedback.reset();
+    graphTarget = null;
+}
+
+/**
+ * Handles a stable reading of the tuner
+ * @param {Object} detail - TunerEngine 'note' event
+ */
+function processNote(detail) {
+    const note = detail.note;
+    const measurement = detail.measurement;
+
+    if (!intonationMode) {
+        logTuning(measurement, detail.frequency, detail.timestamp);
+    }
+
+    highlightString(note, measurement);
+    graphTarget = detail.frequency / Math.pow(2, detail.cents / 1200);
+    accessibleFeedback.update({
+        label: measurement
+            ? i18n.t('a11y.string', { note: spokenNote(measurement.string.midiNote) })
+            : spokenNote(note.midiNote),
+        cents: detail.cents,
+        isInTune: detail.isInTune
+    }, detail.timestamp);
+
+    if (intonationMode) {
+        const check = intonationCheck.measure(detail.frequency, detail.timestamp);
+        intonationProgress.style.width = (check ? check.progress * 100 : 0) + '%';
+    }
+}
+
+/**
+ * Sets up the pitch history graph with its zoom and freeze controls
+ */
+function setupPitchGraph() {
+    pitchHistory = new PitchHistory();
+    pitchGraph = new PitchHistoryGraph(pitchGraphCanvas, pitchHistory);
+
+    [graphSpanSelect, graphRangeSelect].forEach(select => {
+        select.addEventListener('change', () => {
+            applyGraphSettings();
+            settingsStore.set({ graphSpan: pitchGraph.span, graphRange: pitchGraph.centsRange });
+        });
+    });
+
+    graphFreezeButton.addEventListener('click', () => {
+        pitchGraph.freeze(!pitchGraph.isFrozen);
+        graphFreezeButton.setAttribute('aria-pressed', String(pitchGraph.isFrozen));
+        graphFreezeButton.setAttribute('data-i18n', pitchGraph.isFrozen ? 'graph.resume' : 'graph.freeze');
+        graphFreezeButton.textContent = i18n.t(pitchGraph.isFrozen ? 'graph.resume' : 'graph.freeze');
+        updateGraphStats();
+    });
+
+    graphClearButton.addEventListener('click', () => {
+        pitchHistory.clear();
+        pitchGraph.draw();
+        updateGraphStats();
+    });
+
+    tunerEngine.on('pitch', ({ frequency, confidence, timestamp }) => {
+        pitchHistory.add({
+            time: timestamp,
+            frequency: frequency,
+            reference: graphReference(frequency),
+            confidence: confidence
+        });
+
+        if (!pitchGraph.isFrozen && timestamp - graphStatsTime >= GRAPH_STATS_INTERVAL) {
+            graphStatsTime = timestamp;
+            updateGraphStats();
+        }
+    });
+
+    tunerEngine.on('stateChange', ({ state }) => {
+        if (state === 'running') {
+            pitchGraph.start();
+        } else {
+            pitchGraph.stop();
+        }
+    });
+}
+
+/**
+ * Reads the span and scale selectors into the graph
+ */
+function applyGraphSettings() {
+    pitchGraph.setSpan(parseInt(graphSpanSelect.value, 10));
+    pitchGraph.setCentsRange(parseInt(graphRangeSelect.value, 10));
+    updateGraphStats();
+}
+
+/**
+ * Zero line of the graph for a reading: the note or string being tuned,
+ * or the nearest note when the reading is far from it (a new note before it is stable)
+ * @param {number} frequencyValue - Hz
+ * @returns {number} Hz
+ */
+function graphReference(frequencyValue) {
+    if (graphTarget && Math.abs(1200 * Math.log2(frequencyValue / graphTarget)) < GRAPH_TARGET_RANGE) {
+        return graphTarget;
+    }
+
+    const note = TunerCore.frequencyToNote(frequencyValue, noteOptions);
+    return TunerCore.noteToFrequency(note.midiNote, noteOptions);
+}
+
+/**
+ * Shows the mean, steadiness, drift and vibrato of the readings in view
+ */
+function updateGraphStats() {
+    const stats = PitchHistory.stats(pitchGraph.visiblePoints());
+    if (!stats) {
+        pitchGraphStats.setAttribute('data-i18n', 'graph.empty');
+        pitchGraphStats.textContent = i18n.t('graph.empty');
+        return;
+    }
+
+    const signed = value => (value >= 0 ? '+' : '') + value.toFixed(1);
+    let text = i18n.t('graph.stats', {
+        mean: signed(stats.mean),
+        deviation: stats.deviation.toFixed(1),
+        drift: signed(stats.drift)
+    });
+    if (stats.vibrato) {
+        text += ' · ' + i18n.t('graph.vibrato', {
+            rate: stats.vibrato.rate.toFixed(1),
+            depth: stats.vibrato.depth.toFixed(0)
+        });
+    }
+
+    pitchGraphStats.removeAttribute('data-i18n');
+    pitchGraphStats.textContent = text;
+}
+
+/**
+ * Highlights the target string, or the strings of the current tuning that match the detected note
+ * @param {Object} note
+ * @param {Object} measurement - Reading against a target string, or null
+ */
+function highlightString(note, measurement = null) {
+    stringItems.forEach((item, index) => {
+        const stringMidi = parseInt(item.getAttribute('data-midi'), 10);
+        const matches = measurement ? measurement.string.index === index : stringMidi === note.midiNote;
+        if (matches) {
+            item.classList.add('active');
+        } else {
+            item.classList.remove('active');
+        }
+    });
+
+    if (measurement && stringTargeter.mode === 'guided') {
+        const hold = stringItems[measurement.string.index].querySelector('.string-hold');
+        hold.style.width = (measurement.holdProgress * 100) + '%';
+    }
+}
+
+/**
+ * Sets up the target string modes (chromatic, auto, manual lock, guided)
+ */
+function setupTargetModes() {
+    targetModeSelect.value = settingsStore.get('targetMode');
+
+    targetModeSelect.addEventListener('change', () => {
+        setTargetMode(targetModeSelect.value);
+    });
+
+    guidedRestartButton.addEventListener('click', () => {
+        setTargetMode('guided');
+    });
+
+    stringTargeter.onAdvance = (result, nextString) => {
+        showStatus(i18n.t('guided.advance', {
+            string: i18n.formatNote(result.string.midiNote),
+            next: i18n.formatNote(nextString.midiNote)
+        }), 'success');
+        updateTargetDisplay();
+    };
+
+    stringTargeter.onComplete = (results) => {
+        showStatus(i18n.t('guided.done'), 'success');
+        showGuidedSummary(results);
+        updateTargetDisplay();
+    };
+}
+
+/**
+ * Switches the target string mode
+ * @param {string} mode
+ */
+function setTargetMode(mode) {
+    stringTargeter.setMode(mode);
+    targetModeSelect.value = mode;
+    settingsStore.set({ targetMode: mode });
+    guidedSummary.hidden = true;
+
+    if (mode === 'guided' && stringTargeter.strings.length > 0) {
+        showStatus(i18n.t('guided.begin', { string: i18n.formatNote(stringTargeter.strings[0].midiNote) }), 'info');
+    } else if (mode === 'manual') {
+        showStatus(i18n.t('target.manualHint'), 'info');
+    }
+
+    updateTargetDisplay();
+}
+
+/**
+ * Locks the measurement to a tapped string
+ * @param {number} index
+ */
+function lockString(index) {
+    if (tunerEngine.strumMode || stringTargeter.mode === 'guided') return;
+
+    stringTargeter.lock(index);
+    targetModeSelect.value = 'manual';
+    settingsStore.set({ targetMode: 'manual' });
+    showStatus(i18n.t('target.locked', { string: i18n.formatNote(stringTargeter.strings[index].midiNote) }), 'info');
+    updateTargetDisplay();
+}
+
+/**
+ * Marks the locked string, the current guided string and the strings already tuned
+ */
+function updateTargetDisplay() {
+    const mode = stringTargeter.mode;
+    guitarStrings.classList.toggle('guided-mode', mode === 'guided');
+
+    stringItems.forEach((item, index) => {
+        const locked = mode === 'manual' && stringTargeter.lockedIndex === index;
+        item.classList.toggle('locked', locked);
+        item.querySelector('.string-note').setAttribute('aria-pressed', String(locked));
+        item.classList.toggle('guided-current', mode === 'guided' && !stringTargeter.guidedComplete &&
+            stringTargeter.guidedIndex === index);
+        item.classList.toggle('done', mode === 'guided' && index < stringTargeter.guidedIndex);
+        item.querySelector('.string-hold').style.width = '0%';
+    });
+}
+
+/**
+ * Shows the completion summary of the guided sequence
+ * @param {Array<Object>} results
+ */
+function showGuidedSummary(results) {
+    guidedSummaryBody.innerHTML = '';
+
+    results.forEach(result => {
+        const row = document.createElement('tr');
+        [
+            i18n.formatNote(result.string.midiNote),
+            (result.startCents >= 0 ? '+' : '') + result.startCents.toFixed(1) + ' c',
+            (result.finalCents >= 0 ? '+' : '') + result.finalCents.toFixed(1) + ' c',
+            (result.duration / 1000).toFixed(1) + ' s'
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        guidedSummaryBody.appendChild(row);
+    });
+
+    guidedSummary.hidden = false;
+}
+
+/**
+ * Sets up the intonation check (open string or harmonic against the fretted 12th)
+ */
+function setupIntonationCheck() {
+    intonationToggle.addEventListener('change', () => {
+        intonationMode = intonationToggle.checked;
+        intonationPanel.hidden = !intonationMode;
+        if (intonationMode) {
+            intonationCheck.select(intonationCheck.stringIndex);
+            renderIntonation();
+        }
+    });
+
+    intonationReferenceSelect.addEventListener('change', () => {
+        intonationCheck.setReferenceKind(intonationReferenceSelect.value);
+        renderIntonation();
+    });
+
+    intonationCheck.onCapture = () => {
+        renderIntonation();
+    };
+
+    intonationCheck.onResult = (result) => {
+        showStatus(i18n.t('intonation.result', {
+            string: i18n.formatNote(result.string.midiNote),
+            cents: formatCents(result.cents),
+            advice: i18n.t('advice.' + result.advice)
+        }), result.advice === 'ok' ? 'success' : 'info');
+    };
+
+    intonationCheck.onComplete = () => {
+        showStatus(i18n.t('intonation.complete'), 'success');
+    };
+}
+
+/**
+ * Shows the instruction for the current step and the per-string table
+ */
+function renderIntonation() {
+    const string = intonationCheck.getString();
+    intonationProgress.style.width = '0%';
+
+    if (!string) {
+        intonationPrompt.textContent = '';
+    } else if (intonationCheck.step === 'done') {
+        intonationPrompt.textContent = i18n.t('intonation.done');
+    } else if (intonationCheck.step === 'fretted') {
+        intonationPrompt.textContent = i18n.t('intonation.playFretted', { string: i18n.formatNote(string.midiNote) });
+    } else if (intonationCheck.referenceKind === 'harmonic') {
+        intonationPrompt.textContent = i18n.t('intonation.playHarmonic', { string: i18n.formatNote(string.midiNote) });
+    } else {
+        intonationPrompt.textContent = i18n.t('intonation.playOpen', { string: i18n.formatNote(string.midiNote) });
+    }
+
+    intonationTableBody.innerHTML = '';
+
+    intonationCheck.strings.forEach((item, index) => {
+        const result = intonationCheck.results[index];
+        const row = document.createElement('tr');
+        if (index === intonationCheck.stringIndex && intonationCheck.step !== 'done') {
+            row.classList.add('current');
+        }
+
+        let fretted = '-';
+        let difference = '-';
+        let advice = '-';
+        if (result) {
+            const note = TunerCore.frequencyToNote(result.frettedFrequency, noteOptions);
+            fretted = `${i18n.formatNote(note.midiNote)} ${result.frettedFrequency.toFixed(2)} Hz`;
+            difference = formatCents(result.cents);
+            if (result.previousCents !== null) {
+                difference += ` (${i18n.t('intonation.before', { cents: formatCents(result.previousCents) })})`;
+            }
+            advice = i18n.t('advice.' + result.advice);
+        }
+
+        [
+            i18n.formatNote(item.midiNote),
+            result ? result.referenceFrequency.toFixed(2) + ' Hz' : '-',
+            fretted,
+            difference,
+            advice
+        ].forEach((text, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (column === 4 && result) {
+                cell.classList.add(result.advice === 'ok' ? 'ok' : 'adjust');
+            }
+            row.appendChild(cell);
+        });
+
+        const action = document.createElement('td');
+        const button = document.createElement('button');
+        button.className = 'btn-small';
+        button.textContent = i18n.t(result ? 'intonation.remeasure' : 'intonation.measure');
+        button.addEventListener('click', () => {
+            intonationCheck.select(index);
+            renderIntonation();
+        });
+        action.appendChild(button);
+        row.appendChild(action);
+
+        intonationTableBody.appendChild(row);
+    });
+}
+
+/**
+ * @param {number} cents
+ * @returns {string} e.g. "+3.2 c"
+ */
+function formatCents(cents) {
+    return (cents >= 0 ? '+' : '') + cents.toFixed(1) + ' c';
+}
+
+/**
+ * Opens the tuning history and wires up the instrument and export controls
+ */
+async function setupHistory() {
+    tuneLogger.onTuned = saveHistoryEntry;
+
+    if (!SessionHistory.isSupported()) {
+        tuningHistory.hidden = true;
+        return;
+    }
+
+    try {
+        const history = new SessionHistory();
+        await history.open();
+        sessionHistory = history;
+    } catch (error) {
+        console.error('Error opening tuning history:', error);
+        tuningHistory.hidden = true;
+        return;
+    }
+
+    instrumentSelect.addEventListener('change', () => {
+        selectInstrument(parseInt(instrumentSelect.value, 10));
+    });
+
+    newInstrumentButton.addEventListener('click', () => {
+        renamingInstrument = false;
+        instrumentNameInput.value = '';
+        instrumentEditor.hidden = false;
+        instrumentNameInput.focus();
+    });
+
+    renameInstrumentButton.addEventListener('click', () => {
+        renamingInstrument = true;
+        instrumentNameInput.value = instrumentSelect.options[instrumentSelect.selectedIndex].textContent;
+        instrumentEditor.hidden = false;
+        instrumentNameInput.focus();
+    });
+
+    cancelInstrumentButton.addEventListener('click', () => {
+        instrumentEditor.hidden = true;
+    });
+
+    instrumentEditor.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        try {
+            if (renamingInstrument) {
+                await sessionHistory.renameInstrument(currentInstrumentId, instrumentNameInput.value);
+            } else {
+                const instrument = await sessionHistory.addInstrument(instrumentNameInput.value);
+                window.localStorage.setItem(INSTRUMENT_KEY, instrument.id);
+            }
+            instrumentEditor.hidden = true;
+            await renderInstruments();
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    });
+
+    deleteInstrumentButton.addEventListener('click', async () => {
+        const name = instrumentSelect.options[instrumentSelect.selectedIndex].textContent;
+        if (!confirm(i18n.t('history.confirmDelete', { name: name }))) return;
+
+        try {
+            await sessionHistory.removeInstrument(currentInstrumentId);
+            window.localStorage.removeItem(INSTRUMENT_KEY);
+            await renderInstruments();
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    });
+
+    historyExportJsonButton.addEventListener('click', async () => {
+        try {
+            const data = await sessionHistory.exportData();
+            downloadText(SessionHistory.toJSON(data), 'storico-accordature.json', 'application/json');
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    });
+
+    historyExportCsvButton.addEventListener('click', async () => {
+        try {
+            const data = await sessionHistory.exportData();
+            downloadText(SessionHistory.toCSV(data), 'storico-accordature.csv', 'text/csv');
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    });
+
+    historyImportInput.addEventListener('change', async () => {
+        const file = historyImportInput.files[0];
+        historyImportInput.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const data = text.trim().startsWith('{') ? SessionHistory.fromJSON(text) : SessionHistory.fromCSV(text);
+            const added = await sessionHistory.importData(data);
+            await renderInstruments();
+            showStatus(i18n.t('history.imported', { count: added }), 'success');
+        } catch (error) {
+            console.error('Error importing tuning history:', error);
+            showStatus(i18n.t('history.importError', { error: error.message }), 'error');
+        }
+    });
+
+    await renderInstruments();
+}
+
+/**
+ * Fills the instrument selector (creating a first instrument if there is none)
+ * and shows the history of the saved one
+ */
+async function renderInstruments() {
+    let instruments = await sessionHistory.getInstruments();
+    if (instruments.length === 0) {
+        instruments = [await sessionHistory.addInstrument(i18n.t('history.defaultInstrument'))];
+    }
+
+    const savedId = parseInt(window.localStorage.getItem(INSTRUMENT_KEY), 10);
+    const selected = instruments.find(instrument => instrument.id === savedId) || instruments[0];
+
+    instrumentSelect.innerHTML = '';
+    instruments.forEach(instrument => {
+        const option = document.createElement('option');
+        option.value = instrument.id;
+        option.textContent = instrument.name;
+        instrumentSelect.appendChild(option);
+    });
+
+    await selectInstrument(selected.id);
+}
+
+/**
+ * Switches the instrument new tunings are logged for
+ * @param {number} id
+ */
+async function selectInstrument(id) {
+    currentInstrumentId = id;
+    instrumentSelect.value = id;
+    window.localStorage.setItem(INSTRUMENT_KEY, id);
+    tuneLogger.reset();
+
+    historyEntries = await sessionHistory.getEntries(id);
+    renderHistory();
+
+    const instrument = (await sessionHistory.getInstruments()).find(item => item.id === id);
+    restrungAt = instrument && instrument.restrungAt ? instrument.restrungAt : null;
+    harmonicMeasurements = await sessionHistory.getMeasurements(id);
+    renderStringHealth();
+}
+
+/**
+ * Passes a reading to the tune logger; in chromatic mode it counts for the
+ * closest string of the tuning if it is within HISTORY_STRING_RANGE of it
+ * @param {Object|null} measurement - StringTargeter measurement
+ * @param {number} stableFrequency - Hz
+ * @param {number} timestamp - ms
+ */
+function logTuning(measurement, stableFrequency, timestamp) {
+    if (!sessionHistory || currentInstrumentId === null) return;
+
+    if (!measurement) {
+        const string = historyString(stableFrequency);
+        if (!string) return;
+
+        const cents = 1200 * Math.log2(stableFrequency / string.frequency);
+        measurement = { string: string, cents: cents, isInTune: Math.abs(cents) < settingsStore.get('inTuneCents') };
+    }
+
+    tuneLogger.measure(measurement, timestamp);
+}
+
+/**
+ * @param {number} frequency - Hz
+ * @returns {Object|null} The closest string of the tuning, if within HISTORY_STRING_RANGE of it
+ */
+function historyString(frequency) {
+    const string = stringTargeter.findClosestString(frequency);
+    if (!string || Math.abs(1200 * Math.log2(frequency / string.frequency)) > HISTORY_STRING_RANGE) {
+        return null;
+    }
+    return string;
+}
+
+/**
+ * Stores a tuned string; tunings less than HISTORY_SESSION_GAP apart belong to the same session
+ * @param {Object} entry - TuneLogger entry
+ */
+async function saveHistoryEntry(entry) {
+    const last = historyEntries[historyEntries.length - 1];
+    const record = Object.assign({
+        instrumentId: currentInstrumentId,
+        sessionId: last && entry.time - last.time < HISTORY_SESSION_GAP ? last.sessionId : entry.time,
+        tuningId: tuningManager.getSelected().id
+    }, entry);
+
+    try {
+        record.id = await sessionHistory.addEntry(record);
+        historyEntries.push(record);
+        renderHistory();
+    } catch (error) {
+        console.error('Error saving tuning history:', error);
+    }
+}
+
+/**
+ * Shows the drift of each string of the current instrument between sessions
+ */
+function renderHistory() {
+    if (!sessionHistory) return;
+
+    const stats = SessionHistory.driftStats(historyEntries);
+    const sessions = new Set(historyEntries.map(entry => entry.sessionId)).size;
+
+    historySummary.textContent = historyEntries.length === 0
+        ? i18n.t('history.empty')
+        : i18n.t('history.summary', { entries: historyEntries.length, sessions: sessions });
+
+    historyTableBody.innerHTML = '';
+    stats.forEach(stat => {
+        // A tendency needs at least two sessions
+        let trend = '-';
+        if (stat.sessions >= 2) {
+            trend = stat.meanCents <= -HISTORY_DRIFT_CENTS ? 'flat'
+                : (stat.meanCents >= HISTORY_DRIFT_CENTS ? 'sharp' : 'stable');
+        }
+
+        const row = document.createElement('tr');
+        [
+            i18n.formatNote(stat.midiNote),
+            stat.sessions,
+            formatCents(stat.meanCents),
+            formatCents(stat.lastCents),
+            (stat.meanDuration / 1000).toFixed(1) + ' s',
+            trend === '-' ? trend : i18n.t('history.' + trend)
+        ].forEach((text, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (column === 5 && trend !== '-') {
+                cell.classList.add(trend);
+            }
+            row.appendChild(cell);
+        });
+        historyTableBody.appendChild(row);
+    });
+}
+
+/**
+ * Sets up the detector diagnostics panel with its capture and reset buttons
+ */
+function setupDiagnostics() {
+    detectorDiagnostics = new DetectorDiagnostics();
+    diagnosticsDisplay = new DiagnosticsPanel(waveformCanvas, curveCanvas);
+
+    diagnosticsToggle.addEventListener('change', () => {
+        settingsStore.set({ diagnostics: diagnosticsToggle.checked });
+        applyDiagnosticsToggle();
+    });
+
+    tunerEngine.on('diagnostics', (reading) => {
+        detectorDiagnostics.add(reading);
+        diagnosticsDisplay.show(reading);
+        if (reading.timestamp - diagnosticsTime >= DIAGNOSTICS_INTERVAL) {
+            diagnosticsTime = reading.timestamp;
+            updateDiagnostics();
+        }
+    });
+
+    diagnosticsCaptureButton.addEventListener('click', () => {
+        const reading = detectorDiagnostics.last;
+        if (!reading) {
+            showStatus(i18n.t('diagnostics.noWindow'), 'info');
+            return;
+        }
+
+        const config = Object.assign({ bufferSize: reading.samples.length }, tunerEngine.config);
+        const name = 'finestra-' + new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+        downloadText(DetectorDiagnostics.captureToJSON(reading, config), name, 'application/json');
+    });
+
+    diagnosticsResetButton.addEventListener('click', () => {
+        detectorDiagnostics.reset();
+        updateDiagnostics();
+    });
+}
+
+/**
+ * Opens or closes the diagnostics panel; the detector computes the extra data only while it is open
+ */
+function applyDiagnosticsToggle() {
+    const enabled = diagnosticsToggle.checked;
+    diagnosticsPanel.hidden = !enabled;
+    tunerEngine.configure({ diagnostics: enabled });
+    detectorDiagnostics.reset();
+    diagnosticsDisplay.clear();
+    updateDiagnostics();
+}
+
+/**
+ * Shows the figures of the last window and the running counts in the diagnostics panel
+ */
+function updateDiagnostics() {
+    if (!detectorDiagnostics || diagnosticsPanel.hidden) return;
+
+    const reading = detectorDiagnostics.last;
+    const budget = tunerEngine.options.hopSize / tunerEngine.config.sampleRate * 1000;
+    const stats = detectorDiagnostics.stats(budget);
+    const algorithm = tunerEngine.config.algorithm;
+
+    diagnosticsTiming.textContent = i18n.t('diagnostics.timing', {
+        mean: stats.meanTime.toFixed(2),
+        max: stats.maxTime.toFixed(2),
+        budget: budget.toFixed(1),
+        load: Math.round(stats.load * 100)
+    });
+    diagnosticsWindows.textContent = i18n.t('diagnostics.windows', {
+        windows: stats.windows,
+        dropped: stats.dropped,
+        rate: (stats.dropRate * 100).toFixed(1)
+    });
+    diagnosticsConfidenceThreshold.style.left = tunerEngine.config.confidenceThreshold * 100 + '%';
+
+    if (!reading) {
+        curveLabel.textContent = i18n.t('diagnostics.curve.' + algorithm);
+        diagnosticsRmsFill.style.width = '0%';
+        diagnosticsConfidenceFill.style.width = '0%';
+        diagnosticsRmsValue.textContent = '-';
+        diagnosticsConfidenceValue.textContent = '-';
+        return;
+    }
+
+    const result = reading.result;
+    const curve = result.diagnostics.curve;
+    curveLabel.textContent = curve && curve.lag > 0
+        ? i18n.t('diagnostics.peak', {
+            curve: i18n.t('diagnostics.curve.' + algorithm),
+            lag: curve.lag.toFixed(1),
+            frequency: (tunerEngine.config.sampleRate / curve.lag).toFixed(1)
+        })
+        : i18n.t('diagnostics.curve.' + algorithm);
+
+    diagnosticsRmsFill.style.width = rmsToMeterPercent(result.rms) + '%';
+    diagnosticsRmsThreshold.style.left = rmsToMeterPercent(reading.threshold) + '%';
+    diagnosticsRmsMeter.classList.toggle('above-threshold', result.rms >= reading.threshold);
+    diagnosticsRmsValue.textContent = result.rms > 0 ? (20 * Math.log10(result.rms)).toFixed(0) + ' dB' : '-';
+
+    diagnosticsConfidenceFill.style.width = result.confidence * 100 + '%';
+    diagnosticsConfidenceMeter.classList.toggle('above-threshold', result.confidence > tunerEngine.config.confidenceThreshold);
+    diagnosticsConfidenceValue.textContent = result.confidence.toFixed(2);
+}
+
+/**
+ * Sets up the harmonic analysis of a plucked string and the string health controls
+ */
+function setupHarmonics() {
+    harmonicAnalyzer = new HarmonicAnalyzer(SAMPLE_RATE);
+
+    harmonicAnalyzeButton.addEventListener('click', () => {
+        if (!tunerEngine.isRunning) {
+            harmonicStatus.textContent = i18n.t('harmonics.notRunning');
+            return;
+        }
+
+        harmonicState = 'waiting';
+        harmonicAnalyzeButton.disabled = true;
+        harmonicStatus.textContent = i18n.t('harmonics.pluck');
+    });
+
+    // The first stable reading after the click gives the fundamental; then record a long window
+    tunerEngine.on('note', (detail) => {
+        if (harmonicState === 'waiting') {
+            analyzeHarmonics(detail);
+        }
+    });
+
+    tunerEngine.on('stateChange', ({ state }) => {
+        if (state === 'idle' && harmonicState === 'waiting') {
+            harmonicState = 'idle';
+            harmonicAnalyzeButton.disabled = false;
+            harmonicStatus.textContent = i18n.t('harmonics.interrupted');
+        }
+    });
+
+    restrungButton.addEventListener('click', async () => {
+        const name = instrumentSelect.options[instrumentSelect.selectedIndex].textContent;
+        if (!confirm(i18n.t('harmonics.confirmRestrung', { name: name }))) return;
+
+        try {
+            await sessionHistory.markRestrung(currentInstrumentId);
+            await selectInstrument(currentInstrumentId);
+            showStatus(i18n.t('harmonics.restrungDone'), 'success');
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    });
+}
+
+/**
+ * Records the ringing string, measures its partials and stores the inharmonicity
+ * for the string of the tuning it belongs to
+ * @param {Object} detail - TunerEngine 'note' event
+ */
+async function analyzeHarmonics(detail) {
+    harmonicState = 'recording';
+    harmonicStatus.textContent = i18n.t('harmonics.recording');
+
+    let samples;
+    try {
+        samples = await tunerEngine.recordWindow(HARMONIC_WINDOW);
+    } catch (error) {
+        harmonicStatus.textContent = i18n.t('harmonics.interrupted');
+        return;
+    } finally {
+        harmonicState = 'idle';
+        harmonicAnalyzeButton.disabled = false;
+    }
+
+    const result = harmonicAnalyzer.analyze(samples, detail.frequency);
+    if (!result) {
+        harmonicStatus.textContent = i18n.t('harmonics.notFound');
+        return;
+    }
+
+    const string = detail.measurement ? detail.measurement.string : historyString(result.fundamental);
+    lastHarmonics = { result: result, midiNote: string ? string.midiNote : detail.note.midiNote };
+    harmonicStatus.textContent = i18n.t('harmonics.hint');
+    renderHarmonics();
+
+    if (!sessionHistory || currentInstrumentId === null || !string || result.inharmonicity === null) return;
+
+    const measurement = {
+        instrumentId: currentInstrumentId,
+        time: Date.now(),
+        stringIndex: string.index,
+        note: string.note,
+        midiNote: string.midiNote,
+        frequency: result.fundamental,
+        inharmonicity: result.inharmonicity,
+        partials: result.partials.filter(partial => partial.detected).length
+    };
+
+    try {
+        measurement.id = await sessionHistory.addMeasurement(measurement);
+        harmonicMeasurements.push(measurement);
+        renderStringHealth();
+    } catch (error) {
+        console.error('Error saving harmonic measurement:', error);
+    }
+}
+
+/**
+ * Shows the partials of the last analysis, the inharmonicity and the stretch tuning it calls for
+ */
+function renderHarmonics() {
+    if (!lastHarmonics) return;
+
+    const result = lastHarmonics.result;
+    const detected = result.partials.filter(partial => partial.detected).length;
+    const params = {
+        note: i18n.formatNote(lastHarmonics.midiNote),
+        detected: detected,
+        total: result.partials.length
+    };
+
+    harmonicResult.hidden = false;
+    if (result.inharmonicity === null) {
+        harmonicSummary.textContent = i18n.t('harmonics.fewPartials', params);
+        harmonicStretch.textContent = '';
+    } else {
+        params.inharmonicity = formatInharmonicity(result.inharmonicity);
+        harmonicSummary.textContent = i18n.t('harmonics.summary', params);
+
+        const stretch = HarmonicAnalyzer.stretchSuggestion(Math.max(0, result.inharmonicity));
+        harmonicStretch.textContent = i18n.t('harmonics.stretch', {
+            octave: formatCents(stretch.octave),
+            twelfth: formatCents(stretch.twelfth),
+            doubleOctave: formatCents(stretch.doubleOctave)
+        });
+    }
+
+    harmonicTableBody.innerHTML = '';
+    result.partials.forEach(partial => {
+        const row = document.createElement('tr');
+        [
+            partial.number,
+            partial.detected ? partial.frequency.toFixed(1) + ' Hz' : '-',
+            partial.ideal.toFixed(1) + ' Hz',
+            partial.detected ? formatCents(partial.cents) : '-',
+            partial.detected ? partial.level.toFixed(0) + ' dB' : '-'
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        harmonicTableBody.appendChild(row);
+    });
+
+    drawPartials(result);
+}
+
+/**
+ * Plots the partials: a bar per partial for its level, and a dot for its deviation from
+ * the ideal harmonic against the curve of the fitted inharmonicity
+ * @param {Object} result - HarmonicAnalyzer result
+ */
+function drawPartials(result) {
+    const canvas = harmonicCanvas;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
+
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    context.clearRect(0, 0, width, height);
+    if (width === 0) return;
+
+    const partials = result.partials;
+    const slot = width / partials.length;
+    const x = number => (number - 0.5) * slot;
+    const maxCents = Math.max(10, Math.ceil(partials.reduce((max, partial) =>
+        Math.max(max, partial.detected ? Math.abs(partial.cents) : 0), 0) / 10) * 10);
+    const y = cents => height / 2 - cents / maxCents * (height / 2 - 12 * ratio);
+
+    // Levels
+    partials.forEach(partial => {
+        if (!partial.detected) return;
+        const barHeight = Math.max(0, 1 + partial.level / HARMONIC_LEVEL_RANGE) * height;
+        context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        context.fillRect(x(partial.number) - slot * 0.3, height - barHeight, slot * 0.6, barHeight);
+    });
+
+    // Ideal harmonics and the inharmonicity curve
+    context.lineWidth = ratio;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    context.beginPath();
+    context.moveTo(0, y(0));
+    context.lineTo(width, y(0));
+    context.stroke();
+
+    if (result.inharmonicity !== null) {
+        context.strokeStyle = 'rgba(255, 152, 0, 0.5)';
+        context.beginPath();
+        partials.forEach(partial => {
+            const cents = HarmonicAnalyzer.stretchCents(result.inharmonicity, partial.number);
+            if (partial.number === 1) {
+                context.moveTo(x(1), y(cents));
+            } else {
+                context.lineTo(x(partial.number), y(cents));
+            }
+        });
+        context.stroke();
+    }
+
+    context.font = `${10 * ratio}px sans-serif`;
+    context.textAlign = 'center';
+    const inTuneCents = settingsStore.get('inTuneCents');
+    partials.forEach(partial => {
+        context.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        context.fillText(partial.number, x(partial.number), height - 2 * ratio);
+        if (!partial.detected) return;
+
+        const inTune = Math.abs(partial.cents) < inTuneCents;
+        context.fillStyle = inTune ? '#4CAF50' : (partial.cents < 0 ? '#f44336' : '#ff9800');
+        context.beginPath();
+        context.arc(x(partial.number), y(partial.cents), 3 * ratio, 0, 2 * Math.PI);
+        context.fill();
+    });
+    context.textAlign = 'left';
+    context.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    context.fillText('+' + maxCents + ' c', 2 * ratio, 10 * ratio);
+}
+
+/**
+ * Shows how the inharmonicity of each string has changed since the last restringing
+ */
+function renderStringHealth() {
+    if (!sessionHistory) return;
+
+    const health = SessionHistory.stringHealth(harmonicMeasurements, restrungAt);
+    const count = health.reduce((sum, string) => sum + string.count, 0);
+
+    stringHealth.hidden = false;
+    if (count === 0) {
+        stringHealthSummary.textContent = i18n.t('harmonics.healthEmpty');
+    } else if (restrungAt) {
+        stringHealthSummary.textContent = i18n.t('harmonics.healthSince', {
+            count: count,
+            date: new Date(restrungAt).toLocaleDateString(i18n.language)
+        });
+    } else {
+        stringHealthSummary.textContent = i18n.t('harmonics.healthSummary', { count: count });
+    }
+
+    stringHealthBody.innerHTML = '';
+    health.forEach(string => {
+        const row = document.createElement('tr');
+        [
+            i18n.formatNote(string.midiNote),
+            string.count,
+            formatInharmonicity(string.baseline),
+            string.current === null ? '-' : formatInharmonicity(string.current),
+            string.change === null ? '-' : (string.change >= 0 ? '+' : '') + Math.round(string.change * 100) + '%',
+            i18n.t('harmonics.' + string.status)
+        ].forEach((text, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (column === 5 && string.status !== 'new') {
+                cell.classList.add(string.status);
+            }
+            row.appendChild(cell);
+        });
+        stringHealthBody.appendChild(row);
+    });
+}
+
+/**
+ * @param {number} inharmonicity - B
+ * @returns {string} e.g. "1.25 × 10⁻⁴"
+ */
+function formatInharmonicity(inharmonicity) {
+    return (inharmonicity * 1e4).toFixed(2) + ' × 10⁻⁴';
+}
+
+/**
+ * Sets up device selection and gain; the saved values are restored with the other settings
+ */
+function setupInputControls() {
+    gainSlider.addEventListener('input', () => {
+        const gain = gainSlider.value / 100;
+        gainValue.textContent = gainSlider.value + '%';
+        settingsStore.set({ inputGain: gain });
+
+        tunerEngine.setGain(gain);
+    });
+
+    microphoneSelect.addEventListener('change', async () => {
+        const deviceId = microphoneSelect.value || null;
+        settingsStore.set({ inputDevice: microphoneSelect.value });
+        // A device chosen by hand replaces the one waiting to be plugged in again
+        lifecycleManager.preferredDeviceId = null;
+
+        const result = await tunerEngine.switchDevice(deviceId);
+        if (result) {
+            showStatus(result.message, result.success ? 'success' : 'error');
+        }
+    });
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', refreshMicrophoneList);
+    }
+
+    refreshMicrophoneList();
+}
+
+/**
+ * Rebuilds the input device list, keeping the current selection when possible
+ */
+async function refreshMicrophoneList() {
+    let devices = [];
+    try {
+        devices = await AudioCapture.getInputDevices();
+    } catch (error) {
+        console.error('Error listing input devices:', error);
+    }
+
+    const selected = microphoneSelect.value || settingsStore.get('inputDevice');
+
+    microphoneSelect.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.setAttribute('data-i18n', 'input.default');
+    defaultOption.textContent = i18n.t('input.default');
+    microphoneSelect.appendChild(defaultOption);
+    devices
+        .filter(device => device.deviceId && device.deviceId !== 'default')
+        .forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || i18n.t('input.numbered', { number: index + 1 });
+            microphoneSelect.appendChild(option);
+        });
+
+    const stillAvailable = Array.from(microphoneSelect.options).some(option => option.value === selected);
+    microphoneSelect.value = stillAvailable ? selected : '';
+}
+
+/**
+ * Wires up the calibration button; the noise floor is restored with the other settings
+ */
+function setupNoiseGate() {
+    updateGateDisplay(null);
+
+    noiseGate.onCalibrated = (noiseFloor, threshold) => {
+        settingsStore.set({ noiseFloor: noiseFloor });
+        showStatus(i18n.t('gate.calibrated', {
+            floor: (20 * Math.log10(noiseFloor)).toFixed(0),
+            threshold: (20 * Math.log10(threshold)).toFixed(0)
+        }), 'success');
+    };
+
+    calibrateButton.addEventListener('click', async () => {
+        if (!tunerEngine.isRunning && !(await tunerEngine.start())) {
+            return;
+        }
+
+        noiseGate.startCalibration();
+        calibrateButton.disabled = true;
+        showStatus(i18n.t('gate.calibrationStart', { seconds: noiseGate.options.calibrationTime / 1000 }), 'info');
+    });
+}
+
+/**
+ * Shows whether the tuner is calibrating, gated, listening or detecting a note
+ * @param {Object|null} gate - NoiseGate result, or null when the tuner is stopped
+ */
+function updateGateDisplay(gate) {
+    const state = gate ? gate.state : 'idle';
+
+    if (state === 'calibrating') {
+        gateState.textContent = i18n.t('gate.calibratingProgress', { percent: Math.round(gate.progress * 100) });
+    } else if (gateState.getAttribute('data-state') !== state) {
+        gateState.textContent = i18n.t('gate.' + state);
+    }
+
+    // data-i18n lets a language change re-translate the current state
+    gateState.setAttribute('data-state', state);
+    gateState.setAttribute('data-i18n', 'gate.' + state);
+    calibrateButton.disabled = state === 'calibrating';
+}
+
+/**
+ * Maps an RMS value onto the meter's dB scale
+ * @param {number} rms
+ * @returns {number} Percentage (0-100)
+ */
+function rmsToMeterPercent(rms) {
+    if (rms <= 0) {
+        return 0;
+    }
+
+    const db = 20 * Math.log10(rms);
+    return Math.max(0, Math.min(100, (1 - db / LEVEL_METER_FLOOR_DB) * 100));
+}
+
+/**
+ * Updates the input level meter
+ * @param {number} rms - RMS computed by detectPitch()
+ */
+function updateLevelMeter(rms) {
+    levelFill.style.width = rmsToMeterPercent(rms) + '%';
+    levelThreshold.style.left = rmsToMeterPercent(noiseGate.threshold) + '%';
+    levelMeter.classList.toggle('above-threshold', rms >= noiseGate.threshold);
+    levelMeter.classList.toggle('clipping', rms >= CLIP_LEVEL);
+}
+
+/**
+ * @param {string} name - PITCH_ALGORITHMS key
+ * @returns {string} Translated label, or the algorithm's own (proper names such as YIN)
+ */
+function algorithmLabel(name) {
+    return i18n.has('algorithm.' + name) ? i18n.t('algorithm.' + name) : new PITCH_ALGORITHMS[name]().label;
+}
+
+/**
+ * Fills the algorithm selector and switches the detector on change
+ */
+function setupAlgorithmSelect() {
+    Object.keys(PITCH_ALGORITHMS).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = algorithmLabel(name);
+        algorithmSelect.appendChild(option);
+    });
+
+    algorithmSelect.value = tunerEngine.config.algorithm;
+
+    algorithmSelect.addEventListener('change', () => {
+        tunerEngine.configure({ algorithm: algorithmSelect.value });
+        settingsStore.set({ algorithm: algorithmSelect.value });
+    });
+}
+
+/**
+ * Fills the language and note naming selectors and translates the page
+ */
+function setupLanguage() {
+    Object.keys(I18N_LANGUAGES).forEach(language => {
+        const option = document.createElement('option');
+        option.value = language;
+        option.textContent = I18N_LANGUAGES[language];
+        languageSelect.appendChild(option);
+    });
+
+    Object.keys(NOTE_NAMINGS).forEach(naming => {
+        const option = document.createElement('option');
+        option.value = naming;
+        option.setAttribute('data-i18n', 'naming.' + naming);
+        noteNamingSelect.appendChild(option);
+    });
+
+    languageSelect.value = i18n.language;
+    noteNamingSelect.value = i18n.noteNaming;
+
+    languageSelect.addEventListener('change', () => {
+        i18n.setLanguage(languageSelect.value);
+        settingsStore.set({ language: languageSelect.value });
+        applyLanguage();
+        showStatus(i18n.t(tunerEngine.isRunning ? 'status.playString' : 'status.ready'), 'info');
+    });
+
+    noteNamingSelect.addEventListener('change', () => {
+        i18n.setNoteNaming(noteNamingSelect.value);
+        settingsStore.set({ noteNaming: noteNamingSelect.value });
+        applyLanguage();
+    });
+
+    i18n.translatePage(document);
+    document.documentElement.lang = i18n.language;
+    document.title = i18n.t('app.title');
+    tuner.setAttribute('lang', i18n.language);
+    tuner.setAttribute('note-naming', i18n.noteNaming);
+}
 
-// Constants
-const SAMPLE_RATE = 44100;
-const BUFFER_SIZE = 4096;
-const UPDATE_INTERVAL = 100; // ms
+/**
+ * Re-translates the page and the generated labels after a language or note naming change
+ */
+function applyLanguage() {
+    i18n.translatePage(document);
+    document.documentElement.lang = i18n.language;
+    document.title = i18n.t('app.title');
 
-// Initialize on page load
-window.addEventListener('DOMContentLoaded', () => {
-    // Check browser support
-    if (!AudioCapture.isSupported()) {
-        showStatus('Il tuo browser non supporta l\'accesso al microfono. Usa Chrome, Firefox, Safari o Edge.', 'error');
-        startButton.disabled = true;
+    Array.from(temperamentSelect.options).forEach(option => {
+        option.textContent = i18n.t('temperament.' + option.value);
+    });
+    Array.from(keySelect.options).forEach(option => {
+        option.textContent = i18n.formatPitchClass(parseInt(option.value, 10));
+    });
+    Array.from(stabilizerFilterSelect.options).forEach(option => {
+        option.textContent = i18n.t('filter.' + option.value);
+    });
+    Array.from(algorithmSelect.options).forEach(option => {
+        option.textContent = algorithmLabel(option.value);
+    });
+    Array.from(profileSelect.options).forEach(option => {
+        option.textContent = i18n.t('profile.' + option.value);
+    });
+
+    tuner.setAttribute('lang', i18n.language);
+    tuner.setAttribute('note-naming', i18n.noteNaming);
+    labelTuning();
+    updateGraphStats();
+    updateDiagnostics();
+    renderIntonation();
+    renderHistory();
+    renderHarmonics();
+    renderStringHealth();
+    if (!guidedSummary.hidden) {
+        showGuidedSummary(stringTargeter.guidedResults);
+    }
+    if (fileTrack) {
+        drawPitchTrack(fileTrack.track);
+    }
+}
+
+/**
+ * Fills the reference pitch and temperament controls
+ */
+function setupPitchSettings() {
+    Object.keys(TEMPERAMENTS).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = i18n.t('temperament.' + type);
+        temperamentSelect.appendChild(option);
+    });
+
+    for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+        const option = document.createElement('option');
+        option.value = pitchClass;
+        option.textContent = i18n.formatPitchClass(pitchClass);
+        keySelect.appendChild(option);
+    }
+
+    [referenceInput, temperamentSelect, keySelect, customOffsetsInput].forEach(control => {
+        control.addEventListener('change', applyPitchSettings);
+    });
+}
+
+/**
+ * Reads the reference pitch and temperament controls into noteOptions
+ */
+function applyPitchSettings() {
+    const reference = parseFloat(referenceInput.value);
+    const type = temperamentSelect.value;
+    const key = parseInt(keySelect.value, 10);
+
+    customOffsetsField.hidden = type !== 'custom';
+
+    if (!(reference >= 400 && reference <= 480)) {
+        showStatus(i18n.t('error.reference'), 'error');
+        referenceInput.value = noteOptions.a4;
         return;
     }
 
-    // Initialize pitch detector
-    pitchDetector = new PitchDetector(SAMPLE_RATE, 70, 1500, 0.05);
+    let customOffsets = null;
+    if (type === 'custom') {
+        customOffsets = Temperament.parseOffsets(customOffsetsInput.value);
+        if (!customOffsets) {
+            showStatus(i18n.t('error.customOffsets'), 'error');
+            return;
+        }
+    }
+
+    noteOptions.a4 = reference;
+    noteOptions.temperament = new Temperament(type, key, customOffsets);
+    tunerEngine.setNoteOptions(noteOptions);
 
-    // Setup button click handler
-    startButton.addEventListener('click', toggleTuner);
+    const changes = { referenceFrequency: reference, temperament: type, temperamentKey: key };
+    const offsets = customOffsets || Temperament.parseOffsets(customOffsetsInput.value);
+    if (offsets) {
+        changes.customOffsets = offsets;
+    }
+    settingsStore.set(changes);
 
-    showStatus('Premi AVVIA per iniziare l\'accordatura', 'info');
-});
+    if (tuningManager) {
+        renderTuning();
+    }
+}
+
+/**
+ * Wires up the needle/strobe switch
+ */
+function setupDisplayMode() {
+    displayModeSelect.addEventListener('change', () => {
+        setDisplayMode(displayModeSelect.value);
+        settingsStore.set({ displayMode: displayModeSelect.value });
+    });
+}
+
+/**
+ * Switches between the needle and the strobe display
+ * @param {string} mode - 'needle' or 'strobe'
+ */
+function setDisplayMode(mode) {
+    displayModeSelect.value = mode;
+    tuner.setAttribute('display', mode);
+}
+
+/**
+ * Fills the stabilization controls
+ */
+function setupStabilizer() {
+    Object.keys(PitchStabilizer.FILTERS).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = i18n.t('filter.' + name);
+        stabilizerFilterSelect.appendChild(option);
+    });
+
+    [stabilizerFilterSelect, stabilizerHoldInput].forEach(control => {
+        control.addEventListener('change', applyStabilizerSettings);
+    });
+}
+
+/**
+ * Reads the stabilization controls into the stabilizer
+ */
+function applyStabilizerSettings() {
+    const holdSeconds = parseFloat(stabilizerHoldInput.value);
+
+    if (!(holdSeconds >= 0 && holdSeconds <= 10)) {
+        showStatus(i18n.t('error.holdTime'), 'error');
+        stabilizerHoldInput.value = pitchStabilizer.options.holdTime / 1000;
+        return;
+    }
+
+    const settings = {
+        filter: stabilizerFilterSelect.value,
+        holdTime: Math.round(holdSeconds * 1000)
+    };
+    pitchStabilizer.configure(settings);
+    pitchStabilizer.reset();
+    settingsStore.set(settings);
+}
+
+/**
+ * Wires up the measurement settings, the configuration link and the reset to the defaults
+ */
+function setupTunerSettings() {
+    [inTuneInput, needleRangeInput, updateIntervalInput, confidenceInput].forEach(control => {
+        control.addEventListener('change', applyTunerSettings);
+    });
+
+    shareLinkButton.addEventListener('click', async () => {
+        shareLinkInput.value = settingsLink();
+        shareLinkInput.hidden = false;
+        shareLinkInput.select();
+
+        try {
+            await navigator.clipboard.writeText(shareLinkInput.value);
+            showStatus(i18n.t('settings.linkCopied'), 'success');
+        } catch (error) {
+            // No clipboard access (e.g. over plain HTTP): the link stays selected for copying
+            showStatus(i18n.t('settings.linkReady'), 'info');
+        }
+    });
+
+    resetSettingsButton.addEventListener('click', () => {
+        if (!confirm(i18n.t('settings.confirmReset'))) return;
+
+        settingsStore.reset();
+        restoreSettings();
+        // The selection is kept with the custom tunings: back to the instrument's first tuning
+        tuningManager.select(instrumentProfile.tunings[0].id);
+        renderTuning();
+        showStatus(i18n.t('settings.resetDone'), 'success');
+    });
+}
+
+/**
+ * Reads the measurement settings into the tuner, the graph and the diagnostics
+ */
+function applyTunerSettings() {
+    const inputs = {
+        inTuneCents: inTuneInput,
+        needleRange: needleRangeInput,
+        updateInterval: updateIntervalInput,
+        confidenceThreshold: confidenceInput
+    };
+
+    const changes = {};
+    Object.keys(inputs).forEach(key => {
+        try {
+            changes[key] = SettingsStore.validate(key, inputs[key].value);
+        } catch (error) {
+            const field = SettingsStore.SCHEMA[key];
+            showStatus(i18n.t('error.setting', { min: field.min, max: field.max }), 'error');
+        }
+    });
+    settingsStore.set(changes);
+
+    // Invalid values are replaced by the saved ones
+    const settings = settingsStore.getAll();
+    Object.keys(inputs).forEach(key => {
+        inputs[key].value = settings[key];
+    });
+
+    tunerEngine.configure({ inTuneCents: settings.inTuneCents, confidenceThreshold: settings.confidenceThreshold });
+    tuner.setAttribute('needle-range', settings.needleRange);
+    tuner.setAttribute('update-interval', settings.updateInterval);
+    pitchGraph.inTuneCents = settings.inTuneCents;
+    pitchGraph.draw();
+    updateDiagnostics();
+}
+
+/**
+ * Shows the saved settings in every control and applies them (on load and after a reset)
+ */
+function restoreSettings() {
+    const settings = settingsStore.getAll();
+
+    referenceInput.value = settings.referenceFrequency;
+    temperamentSelect.value = settings.temperament;
+    keySelect.value = settings.temperamentKey;
+    customOffsetsInput.value = settings.customOffsets.join(' ');
+    applyPitchSettings();
+
+    stabilizerFilterSelect.value = settings.filter;
+    stabilizerHoldInput.value = settings.holdTime / 1000;
+    applyStabilizerSettings();
+
+    tunerEngine.configure({ algorithm: settings.algorithm });
+    algorithmSelect.value = settings.algorithm;
+    setDisplayMode(settings.displayMode);
+
+    speechToggle.checked = settings.speech && !speechField.hidden;
+    beepToggle.checked = settings.beeps;
+    vibrationToggle.checked = settings.vibration && !vibrationField.hidden;
+
+    graphSpanSelect.value = settings.graphSpan;
+    graphRangeSelect.value = settings.graphRange;
+    applyGraphSettings();
+
+    diagnosticsToggle.checked = settings.diagnostics;
+    applyDiagnosticsToggle();
+
+    inTuneInput.value = settings.inTuneCents;
+    needleRangeInput.value = settings.needleRange;
+    updateIntervalInput.value = settings.updateInterval;
+    confidenceInput.value = settings.confidenceThreshold;
+    applyTunerSettings();
+
+    const language = settings.language || I18n.detectLanguage(BROWSER_LANGUAGES);
+    if (language !== i18n.language || settings.noteNaming !== i18n.noteNaming) {
+        i18n.setLanguage(language);
+        i18n.setNoteNaming(settings.noteNaming);
+        languageSelect.value = language;
+        noteNamingSelect.value = settings.noteNaming;
+        applyLanguage();
+    }
+
+    if (settings.profile !== instrumentProfile.id) {
+        applyProfile(InstrumentProfiles.get(settings.profile));
+    }
+    targetModeSelect.value = settings.targetMode;
+    stringTargeter.setMode(settings.targetMode);
+
+    gainSlider.value = Math.round(settings.inputGain * 100);
+    gainValue.textContent = gainSlider.value + '%';
+    tunerEngine.setGain(settings.inputGain);
+    if ((settings.inputDevice || null) !== tunerEngine.deviceId) {
+        microphoneSelect.value = settings.inputDevice;
+        if (lifecycleManager) {
+            lifecycleManager.preferredDeviceId = null;
+        }
+        tunerEngine.switchDevice(settings.inputDevice || null);
+    }
+
+    noiseGate.setNoiseFloor(settings.noiseFloor);
+    levelThreshold.style.left = rmsToMeterPercent(noiseGate.threshold) + '%';
+}
+
+/**
+ * Completes a configuration link with its tuning, which may add a custom tuning; its settings,
+ * language and instrument included, are already in the store (settingsStore.applyQuery()).
+ * The parameters are then removed from the address, so that reloading the page keeps the
+ * changes made afterwards.
+ * @param {Object} parsed - Result of settingsStore.applyQuery()
+ * @returns {Object} { applied: whether the link changed anything, invalid: names of the rejected parameters }
+ */
+function applySettingsLink(parsed) {
+    const params = new URLSearchParams(window.location.search);
+    const invalid = parsed.invalid.slice();
+    let applied = Object.keys(parsed.values).length > 0;
+
+    // A preset by id, or the notes of a custom tuning (saved unless the same notes already are)
+    if (params.has('tuning')) {
+        const value = params.get('tuning').trim();
+        try {
+            const tuning = tuningManager.get(value) ||
+                tuningManager.getAll().find(item => item.strings.join(' ') === value) ||
+                tuningManager.addCustom(params.get('tuningName') || i18n.t('settings.linkTuning'), value);
+            tuningManager.select(tuning.id);
+            applied = true;
+        } catch (error) {
+            invalid.push('tuning');
+        }
+    }
+
+    if (applied || invalid.length > 0) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+    }
+
+    return { applied: applied, invalid: invalid };
+}
 
 /**
- * Toggles the tuner on/off
+ * @returns {string} Address of the page opening with the current settings, language, instrument and tuning
  */
-async function toggleTuner() {
-    if (!isRunning) {
-        await startTuner();
+function settingsLink() {
+    const params = new URLSearchParams(settingsStore.toQuery());
+    const tuning = tuningManager.getSelected();
+
+    // Also when they are the defaults, which may not be the receiver's settings
+    params.set(SettingsStore.SCHEMA.language.param, i18n.language);
+    params.set(SettingsStore.SCHEMA.profile.param, instrumentProfile.id);
+    if (tuning.custom) {
+        params.set('tuning', tuning.strings.join(' '));
+        params.set('tuningName', tuning.name);
     } else {
-        stopTuner();
+        params.set('tuning', tuning.id);
     }
+
+    return window.location.href.split(/[?#]/)[0] + '?' + params.toString();
 }
 
 /**
- * Starts the tuner
+ * Sets up the reference tone generator and its controls
  */
-async function startTuner() {
-    try {
-        showStatus('Inizializzazione microfono...', 'info');
-        startButton.disabled = true;
-
-        // Initialize audio capture if not already initialized
-        if (!audioCapture) {
-            audioCapture = new AudioCapture(SAMPLE_RATE, BUFFER_SIZE);
-            const result = await audioCapture.initialize();
-
-            if (!result.success) {
-                showStatus(result.message, 'error');
-                startButton.disabled = false;
-                return;
-            }
+function setupToneGenerator() {
+    toneGenerator = new ToneGenerator(() => {
+        // Reuse the capture context when the microphone is open
+        if (tunerEngine.capture && tunerEngine.capture.audioContext) {
+            return tunerEngine.capture.audioContext;
+        }
+        if (!toneContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            toneContext = new AudioContextClass();
+        }
+        return toneContext;
+    });
+
+    toneGenerator.onStateChange = (playing) => {
+        toneStopButton.disabled = !playing;
+    };
+
+    tonePlayButton.addEventListener('click', () => {
+        const toneFrequency = TunerCore.noteToFrequency(toneNoteInput.value, noteOptions);
+        if (isNaN(toneFrequency)) {
+            showStatus(i18n.t('error.note'), 'error');
+            return;
         }
+        playReferenceTone(toneFrequency);
+    });
+
+    toneStopButton.addEventListener('click', () => toneGenerator.stop());
+}
+
+/**
+ * Wires up the accessible feedback options and routes the announcements
+ * to the live region, speech, beeps and vibration
+ */
+function setupAccessibility() {
+    accessibleFeedback = new AccessibleFeedback();
+
+    speechField.hidden = !('speechSynthesis' in window);
+    vibrationField.hidden = typeof navigator.vibrate !== 'function';
 
-        // Set up audio data callback
-        audioCapture.onAudioData = (samples) => {
-            if (isRunning) {
-                processAudio(samples);
+    [speechToggle, beepToggle, vibrationToggle].forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            if (!speechToggle.checked && !speechField.hidden) {
+                window.speechSynthesis.cancel();
             }
-        };
+            settingsStore.set({
+                speech: speechToggle.checked,
+                beeps: beepToggle.checked,
+                vibration: vibrationToggle.checked
+            });
+        });
+    });
+
+    accessibleFeedback.onAnnounce = (announcement) => {
+        const text = i18n.t(announcement.key, announcement.params);
+        liveAnnouncer.textContent = text;
+
+        if (speechToggle.checked) {
+            // Only the latest reading matters: drop what is still queued
+            window.speechSynthesis.cancel();
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = i18n.language;
+            window.speechSynthesis.speak(utterance);
+        }
 
-        // Start capture
-        audioCapture.start();
-        isRunning = true;
+        if (announcement.tuned && vibrationToggle.checked) {
+            navigator.vibrate(VIBRATION_PATTERN);
+        }
+    };
+
+    accessibleFeedback.onBeep = (beepFrequency) => {
+        if (beepToggle.checked) {
+            toneGenerator.beep(beepFrequency);
+        }
+    };
+}
 
-        // Update UI
-        startButton.classList.remove('btn-primary');
-        startButton.classList.add('btn-danger');
-        startButton.querySelector('.btn-icon').textContent = '⏹';
-        startButton.querySelector('.btn-text').textContent = 'FERMA';
-        startButton.disabled = false;
+/**
+ * Note name as read aloud: "C#" would be spelled out by speech and screen readers
+ * @param {number} midiNote
+ * @returns {string}
+ */
+function spokenNote(midiNote) {
+    return i18n.formatNote(midiNote).replace('#', ' ' + i18n.t('a11y.sharpSign') + ' ');
+}
 
-        showStatus('Suona una corda della chitarra...', 'success');
-        detectedNote.classList.add('detecting');
+/**
+ * Plays a reference tone with the selected voice, volume and duration
+ * @param {number} toneFrequency - Hz
+ */
+function playReferenceTone(toneFrequency) {
+    try {
+        toneGenerator.play(toneFrequency, {
+            voice: toneVoiceSelect.value,
+            volume: toneVolumeSlider.value / 100,
+            duration: parseFloat(toneDurationSelect.value)
+        });
     } catch (error) {
-        console.error('Error starting tuner:', error);
-        showStatus('Errore nell\'avvio dell\'accordatore: ' + error.message, 'error');
-        startButton.disabled = false;
-        isRunning = false;
+        console.error('Error playing reference tone:', error);
+        showStatus(i18n.t('error.tone', { error: error.message }), 'error');
     }
 }
 
 /**
- * Stops the tuner
+ * Sets up the drop zone and export buttons of the recording analysis
  */
-function stopTuner() {
-    if (audioCapture) {
-        audioCapture.stop();
-    }
+function setupFileAnalysis() {
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            analyzeFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
 
-    isRunning = false;
+    fileDropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        fileDropZone.classList.add('dragging');
+    });
 
-    // Update UI
-    startButton.classList.remove('btn-danger');
-    startButton.classList.add('btn-primary');
-    startButton.querySelector('.btn-icon').textContent = '▶';
-    startButton.querySelector('.btn-text').textContent = 'AVVIA';
+    fileDropZone.addEventListener('dragleave', () => {
+        fileDropZone.classList.remove('dragging');
+    });
 
-    showStatus('Accordatore fermato. Premi AVVIA per ricominciare.', 'info');
+    fileDropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        fileDropZone.classList.remove('dragging');
+        if (event.dataTransfer.files.length > 0) {
+            analyzeFile(event.dataTransfer.files[0]);
+        }
+    });
 
-    // Reset displays
-    detectedNote.textContent = '--';
-    detectedNote.classList.remove('detecting', 'flat', 'sharp');
-    frequency.textContent = '--- Hz';
-    centsDisplay.textContent = '0 cents';
-    centsDisplay.className = 'cents-display';
-    tuningNeedle.style.left = '50%';
-    
-    // Clear active strings
-    stringItems.forEach(item => item.classList.remove('active'));
+    exportCsvButton.addEventListener('click', () => {
+        downloadText(FileAnalyzer.toCSV(fileTrack.track), fileTrack.name + '.csv', 'text/csv');
+    });
+
+    exportJsonButton.addEventListener('click', () => {
+        const json = FileAnalyzer.toJSON(fileTrack.track, {
+            file: fileTrack.name,
+            sampleRate: SAMPLE_RATE,
+            algorithm: fileTrack.algorithm,
+            referenceFrequency: noteOptions.a4
+        });
+        downloadText(json, fileTrack.name + '.json', 'application/json');
+    });
+
+    window.addEventListener('resize', () => {
+        if (fileTrack) {
+            drawPitchTrack(fileTrack.track);
+        }
+    });
 }
 
 /**
- * Processes audio samples and updates UI
- * @param {Float32Array} samples
+ * Decodes a recording and computes its pitch track with the selected algorithm
+ * @param {File} file
  */
-function processAudio(samples) {
-    // Detect pitch
-    const result = pitchDetector.detectPitch(samples);
+async function analyzeFile(file) {
+    if (fileAnalyzer) {
+        fileAnalyzer.cancel();
+    }
 
-    if (result.isValid && result.frequency > 0) {
-        // Get musical note
-        const note = PitchDetector.getNoteFromFrequency(result.frequency);
+    const algorithm = algorithmSelect.value || settingsStore.get('algorithm');
+    const analyzer = new FileAnalyzer({
+        algorithm: algorithm,
+        noteOptions: noteOptions,
+        windowSize: instrumentProfile.bufferSize,
+        minFrequency: instrumentProfile.minFrequency,
+        maxFrequency: instrumentProfile.maxFrequency
+    });
+    fileAnalyzer = analyzer;
+    analyzer.onProgress = (fraction) => {
+        fileSummary.textContent = i18n.t('file.progress', { file: file.name, percent: Math.round(fraction * 100) });
+    };
 
-        if (note.isValid) {
-            updateUI(note);
-        }
-    } else {
-        // No valid pitch detected - keep showing last note or show waiting state
-        if (detectedNote.textContent === '--') {
-            detectedNote.classList.add('detecting');
+    fileResult.hidden = false;
+    fileSummary.textContent = i18n.t('file.decoding', { file: file.name });
+
+    try {
+        const samples = await FileAnalyzer.decode(file, SAMPLE_RATE);
+        const track = await analyzer.analyze(samples, SAMPLE_RATE);
+        const voiced = track.filter(point => point.frequency > 0).length;
+
+        fileTrack = { name: file.name.replace(/\.[^.]+$/, ''), track: track, algorithm: algorithm };
+        fileSummary.textContent = i18n.t('file.summary', {
+            file: file.name,
+            seconds: (samples.length / SAMPLE_RATE).toFixed(1),
+            windows: track.length,
+            voiced: voiced
+        });
+        drawPitchTrack(track);
+    } catch (error) {
+        if (analyzer.cancelled) return;
+        console.error('Error analyzing recording:', error);
+        fileResult.hidden = true;
+        showStatus(i18n.t('file.error', { error: error.message }), 'error');
+    } finally {
+        if (fileAnalyzer === analyzer) {
+            fileAnalyzer = null;
         }
     }
 }
 
 /**
- * Updates the UI with detected note information
- * @param {Object} note - Musical note object
+ * Plots a pitch track: time on x, frequency on a logarithmic y axis with a line per
+ * semitone, each point coloured by its deviation and faded by its confidence
+ * @param {Array<Object>} track
  */
-function updateUI(note) {
-    // Update note display
-    detectedNote.textContent = note.noteNameAnglo + note.octave;
-    detectedNote.classList.remove('detecting');
+function drawPitchTrack(track) {
+    const canvas = fileTrackCanvas;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
 
-    // Update frequency
-    frequency.textContent = note.actualFrequency.toFixed(2) + ' Hz';
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    context.clearRect(0, 0, width, height);
 
-    // Update cents
-    const cents = note.centsOffset;
-    centsDisplay.textContent = (cents >= 0 ? '+' : '') + cents.toFixed(1) + ' cents';
+    const voiced = track.filter(point => point.frequency > 0);
+    if (voiced.length === 0 || width === 0) return;
 
-    // Update color based on tuning
-    detectedNote.classList.remove('flat', 'sharp');
-    centsDisplay.className = 'cents-display';
+    // Vertical range: the semitones around the voiced points
+    const midi = frequencyValue => 69 + 12 * Math.log2(frequencyValue / noteOptions.a4);
+    const notes = voiced.map(point => midi(point.frequency));
+    const low = Math.floor(notes.reduce((min, value) => Math.min(min, value), Infinity)) - 1;
+    const high = Math.ceil(notes.reduce((max, value) => Math.max(max, value), -Infinity)) + 1;
+    const duration = track[track.length - 1].time || 1;
+    const y = value => height - (value - low) / (high - low) * height;
 
-    if (note.isInTune) {
-        centsDisplay.classList.add('in-tune');
-    } else if (cents < 0) {
-        detectedNote.classList.add('flat');
-        centsDisplay.classList.add('flat');
-    } else {
-        detectedNote.classList.add('sharp');
-        centsDisplay.classList.add('sharp');
+    context.font = `${10 * ratio}px sans-serif`;
+    context.lineWidth = 1;
+    for (let note = low; note <= high; note++) {
+        const natural = [0, 2, 4, 5, 7, 9, 11].indexOf(note % 12) >= 0;
+        if (high - low > 24 && note % 12 !== 0) continue;
+
+        context.strokeStyle = natural ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)';
+        context.beginPath();
+        context.moveTo(0, y(note));
+        context.lineTo(width, y(note));
+        context.stroke();
+
+        if (natural) {
+            context.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            context.fillText(i18n.formatNote(note), 2 * ratio, y(note) - 2 * ratio);
+        }
     }
 
-    // Update tuning needle position
-    // Map cents (-50 to +50) to percentage (0% to 100%)
-    const needlePosition = 50 + (cents / 50) * 50;
-    const clampedPosition = Math.max(0, Math.min(100, needlePosition));
-    tuningNeedle.style.left = clampedPosition + '%';
+    const inTuneCents = settingsStore.get('inTuneCents');
+    voiced.forEach((point, index) => {
+        const inTune = Math.abs(point.cents) < inTuneCents;
+        context.fillStyle = inTune ? '#4CAF50' : (point.cents < 0 ? '#f44336' : '#ff9800');
+        context.globalAlpha = Math.max(0.2, Math.min(1, point.confidence));
+        context.fillRect(point.time / duration * width - ratio, y(notes[index]) - ratio, 2 * ratio, 2 * ratio);
+    });
+    context.globalAlpha = 1;
+}
 
-    // Highlight matching guitar string
-    highlightString(note);
+/**
+ * Saves text as a file download
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+function downloadText(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
- * Highlights the matching guitar string
- * @param {Object} note
+ * Sets up the strum mode toggle
+ */
+function setupStrumMode() {
+    strumToggle.addEventListener('change', () => {
+        const strumMode = strumToggle.checked;
+        guitarStrings.classList.toggle('strum-mode', strumMode);
+
+        // Resizes the window and resets the single-note and per-string displays
+        tunerEngine.setStrumMode(strumMode);
+
+        if (tunerEngine.isRunning) {
+            showStatus(i18n.t(strumMode ? 'status.strumAll' : 'status.playString'), 'success');
+        }
+    });
+}
+
+/**
+ * Shows the deviation of every string measured from a strummed chord
+ * @param {Object} result - StrumAnalyzer result
  */
-function highlightString(note) {
-    const noteKey = note.noteNameAnglo + note.octave;
+function processStrumResult(result) {
+    const inTuneCents = settingsStore.get('inTuneCents');
+    const needleRange = settingsStore.get('needleRange');
+
+    result.strings.forEach((string, index) => {
+        const item = stringItems[index];
+        if (!item) return;
+
+        item.classList.toggle('not-detected', !string.detected);
+        if (!string.detected) return;
 
+        const cents = string.cents;
+        const inTune = Math.abs(cents) < inTuneCents;
+
+        item.classList.remove('in-tune', 'flat', 'sharp');
+        item.classList.add(inTune ? 'in-tune' : (cents < 0 ? 'flat' : 'sharp'));
+        item.querySelector('.string-cents').textContent = (cents >= 0 ? '+' : '') + cents.toFixed(1) + ' c';
+
+        const position = Math.max(0, Math.min(100, 50 + (cents / needleRange) * 50));
+        item.querySelector('.string-deviation-marker').style.left = position + '%';
+    });
+}
+
+/**
+ * Clears the per-string deviation display
+ */
+function resetStrumDisplay() {
     stringItems.forEach(item => {
-        const stringNote = item.getAttribute('data-note');
-        if (stringNote === noteKey) {
-            item.classList.add('active');
-        } else {
-            item.classList.remove('active');
+        item.classList.remove('in-tune', 'flat', 'sharp', 'not-detected');
+        item.querySelector('.string-cents').textContent = '--';
+        item.querySelector('.string-deviation-marker').style.left = '50%';
+    });
+}
+
+/**
+ * Fills the instrument profile selector and restores the saved choice
+ */
+function setupProfiles() {
+    INSTRUMENT_PROFILES.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = i18n.t('profile.' + profile.id);
+        option.selected = profile.id === instrumentProfile.id;
+        profileSelect.appendChild(option);
+    });
+
+    profileSelect.addEventListener('change', () => {
+        applyProfile(InstrumentProfiles.get(profileSelect.value));
+    });
+}
+
+/**
+ * Switches instrument: its tunings, the detector range and the analysis window
+ * @param {Object} profile
+ */
+function applyProfile(profile) {
+    instrumentProfile = profile;
+    tuningManager.setProfile(profile);
+    profileSelect.value = profile.id;
+    settingsStore.set({ profile: profile.id });
+
+    // Rebuild the detector for the new range and resize the capture window
+    configureDetector(profile);
+    tunerEngine.reset();
+    renderTuning();
+}
+
+/**
+ * Wires up the tuning selector and the custom tuning editor
+ */
+function setupTuningControls() {
+    tuningSelect.addEventListener('change', () => {
+        tuningManager.select(tuningSelect.value);
+        renderTuning();
+    });
+
+    newTuningButton.addEventListener('click', () => {
+        tuningEditor.hidden = false;
+        tuningNotesInput.value = tuningManager.getSelected().strings.join(' ');
+        tuningNameInput.focus();
+    });
+
+    cancelTuningButton.addEventListener('click', () => {
+        tuningEditor.hidden = true;
+    });
+
+    deleteTuningButton.addEventListener('click', () => {
+        const tuning = tuningManager.getSelected();
+        if (tuning.custom && confirm(i18n.t('tuning.confirmDelete', { name: tuningName(tuning) }))) {
+            tuningManager.removeCustom(tuning.id);
+            renderTuning();
+        }
+    });
+
+    tuningEditor.addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        try {
+            const tuning = tuningManager.addCustom(tuningNameInput.value, tuningNotesInput.value);
+            tuningManager.select(tuning.id);
+            tuningEditor.hidden = true;
+            tuningNameInput.value = '';
+            renderTuning();
+            showStatus(i18n.t('tuning.saved', { name: tuning.name }), 'success');
+        } catch (error) {
+            showStatus(error.message, 'error');
         }
     });
 }
 
+/**
+ * Renders the tuning selector and the string panel from the selected tuning
+ */
+function renderTuning() {
+    const selected = tuningManager.getSelected();
+
+    tuningSelect.innerHTML = '';
+    tuningManager.getAll().forEach(tuning => {
+        const option = document.createElement('option');
+        option.value = tuning.id;
+        option.selected = tuning.id === selected.id;
+        tuningSelect.appendChild(option);
+    });
+
+    deleteTuningButton.disabled = !selected.custom;
+
+    // Strings are numbered from the highest (1) to the lowest, like on the instrument
+    stringsContainer.innerHTML = '';
+    stringFrequencies = [];
+    selected.strings.forEach((noteName, index) => {
+        const parsed = TunerCore.parseNote(noteName);
+        const stringFrequency = TunerCore.noteToFrequency(parsed.midiNote, noteOptions);
+        stringFrequencies.push(stringFrequency);
+
+        const item = document.createElement('div');
+        item.className = 'string-item';
+        item.setAttribute('data-note', noteName);
+        item.setAttribute('data-midi', parsed.midiNote);
+
+        const number = document.createElement('span');
+        number.className = 'string-number';
+        number.textContent = selected.strings.length - index;
+
+        // Focusable for keyboard users: Enter or Space locks the string like a tap
+        const label = document.createElement('span');
+        label.className = 'string-note';
+        label.tabIndex = 0;
+        label.setAttribute('role', 'button');
+        label.setAttribute('aria-pressed', 'false');
+        label.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                lockString(index);
+            }
+        });
+
+        // Per-string deviation, shown in strum mode
+        const deviation = document.createElement('span');
+        deviation.className = 'string-deviation';
+        const marker = document.createElement('span');
+        marker.className = 'string-deviation-marker';
+        deviation.appendChild(marker);
+
+        const cents = document.createElement('span');
+        cents.className = 'string-cents';
+        cents.textContent = '--';
+
+        // Hold-in-tune progress, shown in guided mode
+        const hold = document.createElement('span');
+        hold.className = 'string-hold';
+
+        // Reference tone for this string (doesn't lock the string)
+        const play = document.createElement('button');
+        play.className = 'string-play';
+        play.textContent = '🔊';
+        play.addEventListener('click', (event) => {
+            event.stopPropagation();
+            playReferenceTone(stringFrequency);
+        });
+
+        item.appendChild(number);
+        item.appendChild(label);
+        item.appendChild(deviation);
+        item.appendChild(cents);
+        item.appendChild(hold);
+        item.appendChild(play);
+        item.addEventListener('click', () => lockString(index));
+        stringsContainer.appendChild(item);
+    });
+
+    stringItems = Array.from(stringsContainer.querySelectorAll('.string-item'));
+    labelTuning();
+
+    stringTargeter.setStrings(selected.strings.map((noteName, index) => ({
+        index: index,
+        note: noteName,
+        midiNote: parseInt(stringItems[index].getAttribute('data-midi'), 10),
+        frequency: stringFrequencies[index]
+    })));
+    stringTargeter.setMode(targetModeSelect.value);
+    tuneLogger.reset();
+    intonationCheck.setStrings(stringTargeter.strings);
+    renderIntonation();
+    updateTargetDisplay();
+}
+
+/**
+ * Writes the tuning names and string labels in the current language and note naming
+ */
+function labelTuning() {
+    const tunings = tuningManager.getAll();
+    const selected = tuningManager.getSelected();
+
+    Array.from(tuningSelect.options).forEach((option, index) => {
+        const tuning = tunings[index];
+        option.textContent = tuning.custom ? tuning.name + ' ★' : tuningName(tuning);
+    });
+    tuningTitle.textContent = i18n.t('tuning.title', { name: tuningName(selected) });
+
+    stringItems.forEach((item, index) => {
+        const note = i18n.formatNote(parseInt(item.getAttribute('data-midi'), 10));
+        item.querySelector('.string-note').textContent = `${note} (${stringFrequencies[index].toFixed(1)} Hz)`;
+        const play = item.querySelector('.string-play');
+        play.title = i18n.t('tone.playString', { note: note });
+        play.setAttribute('aria-label', play.title);
+    });
+}
+
+/**
+ * @param {Object} tuning
+ * @returns {string} Preset names in the current language, custom names as entered
+ */
+function tuningName(tuning) {
+    return !tuning.custom && i18n.has('tuning.' + tuning.id) ? i18n.t('tuning.' + tuning.id) : tuning.name;
+}
+
 /**
  * Shows status message
  * @param {string} message
  * @param {string} type - 'info', 'success', 'error'
  */
 function showStatus(message, type = 'info') {
-    status.innerHTML = `<p>${message}</p>`;
+    // Messages can carry text from imported files: never parsed as HTML
+    const paragraph = document.createElement('p');
+    paragraph.textContent = message;
+    status.innerHTML = '';
+    status.appendChild(paragraph);
     status.className = 'status';
     
     if (type === 'error') {
@@ -227,16 +2451,8 @@ function showStatus(message, type = 'info') {
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
-    if (audioCapture) {
-        audioCapture.dispose();
-    }
-});
-
-// Handle visibility change (pause when tab is hidden)
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden && isRunning) {
-        // Optionally pause when tab is hidden to save resources
-        // Uncomment if desired:
-        // stopTuner();
+    tunerEngine.dispose();
+    if (toneGenerator) {
+        toneGenerator.stop();
     }
 });
@@ -1,18 +1,29 @@
 /**
  * AudioCapture - Web Audio API implementation for microphone capture
  * Compatible with iOS Safari, Chrome, Firefox, Edge
- * Uses ScriptProcessorNode as fallback for older browsers
+ * Uses an AudioWorklet when available and ScriptProcessorNode as fallback for older browsers.
+ * Samples arrive in chunks of hopSize and are delivered as overlapping windows of bufferSize.
  */
 class AudioCapture {
-    constructor(sampleRate = 44100, bufferSize = 4096) {
+    constructor(sampleRate = 44100, bufferSize = 4096, hopSize = bufferSize) {
         this.sampleRate = sampleRate;
         this.bufferSize = bufferSize;
+        this.hopSize = Math.min(hopSize, bufferSize);
         this.audioContext = null;
         this.mediaStream = null;
         this.sourceNode = null;
+        this.gainNode = null;
         this.processorNode = null;
+        this.deviceId = null; // null = default input device
+        this.gain = 1.0;
+        this.mode = null; // 'worklet' or 'script-processor'
+        this.analysisWindow = new Float32Array(bufferSize);
+        this.windowFill = 0;
         this.isRecording = false;
         this.onAudioData = null;
+        this.onInputEnded = null; // () => void: the input track ended (e.g. a USB interface was unplugged)
+        this.onContextStateChange = null; // (state) => void: 'running', 'suspended', 'interrupted' (iOS) or 'closed'
+        this.translate = null; // (key, params) => string, for messages in the page language
     }
 
     /**
@@ -21,55 +32,48 @@ class AudioCapture {
      */
     async initialize() {
         try {
-            // Request microphone permission
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: this.sampleRate
+            // Request microphone permission; a remembered device that is gone falls back to the default one
+            this.mediaStream = await this.openStream(this.deviceId).catch(error => {
+                if (!this.deviceId || error.name !== 'OverconstrainedError') {
+                    throw error;
                 }
+                this.deviceId = null;
+                return this.openStream(null);
             });
+            this.watchStream(this.mediaStream);
 
             // Create AudioContext
             // Safari requires webkitAudioContext
             const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContextClass({ sampleRate: this.sampleRate });
+            const audioContext = new AudioContextClass({ sampleRate: this.sampleRate });
+            audioContext.onstatechange = () => {
+                if (this.onContextStateChange) {
+                    this.onContextStateChange(audioContext.state);
+                }
+            };
+            this.audioContext = audioContext;
 
-            // Create source node from media stream
+            // Create source node from media stream, followed by the input gain
             this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.gainNode = this.audioContext.createGain();
+            this.gainNode.gain.value = this.gain;
+            this.sourceNode.connect(this.gainNode);
 
-            // Use ScriptProcessorNode for maximum compatibility with iOS Safari
-            // AudioWorklet is preferred but not supported on older iOS versions (< iOS 14.5)
-            // and some other mobile browsers. For guitar tuning, ScriptProcessorNode
-            // provides sufficient performance and wider compatibility.
-            // ScriptProcessorNode is deprecated but still widely supported and will be
-            // maintained for backward compatibility.
-            this.processorNode = this.audioContext.createScriptProcessor(
-                this.bufferSize,
-                1, // mono input
-                1  // mono output
-            );
-
-            // Set up audio processing
-            this.processorNode.onaudioprocess = (event) => {
-                if (!this.isRecording) return;
-
-                const inputBuffer = event.inputBuffer;
-                const samples = inputBuffer.getChannelData(0); // Get mono channel
-
-                // Call the callback with audio data
-                if (this.onAudioData) {
-                    this.onAudioData(samples);
-                }
-            };
+            // Prefer AudioWorklet; fall back to ScriptProcessorNode where it is missing
+            // (iOS < 14.5, some mobile browsers) or cannot load (e.g. file://)
+            const workletReady = await this.createWorkletNode();
+            if (!workletReady) {
+                this.createScriptProcessorNode();
+            }
 
             return {
                 success: true,
-                message: 'Microfono inizializzato correttamente'
+                message: this.message('audio.initialized')
             };
         } catch (error) {
             console.error('Error initializing audio:', error);
+            // Release what was opened before the failure, so the microphone does not stay on
+            this.dispose();
             return {
                 success: false,
                 message: this.getErrorMessage(error)
@@ -77,11 +81,190 @@ class AudioCapture {
         }
     }
 
+    /**
+     * Opens a microphone stream with the processing that would alter the pitch disabled
+     * @param {string|null} deviceId - Input device, or null for the default one
+     * @returns {Promise<MediaStream>}
+     */
+    openStream(deviceId) {
+        const constraints = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: this.sampleRate
+        };
+
+        if (deviceId) {
+            constraints.deviceId = { exact: deviceId };
+        }
+
+        return navigator.mediaDevices.getUserMedia({ audio: constraints });
+    }
+
+    /**
+     * Reports the end of the stream's input, unless it has been replaced meanwhile.
+     * Tracks stopped by this class do not fire 'ended'.
+     * @param {MediaStream} stream
+     */
+    watchStream(stream) {
+        stream.getAudioTracks().forEach(track => {
+            track.addEventListener('ended', () => {
+                if (this.mediaStream === stream && this.onInputEnded) {
+                    this.onInputEnded();
+                }
+            });
+        });
+    }
+
+    /**
+     * Switches to another input device, also while capture is running
+     * @param {string|null} deviceId - Input device, or null for the default one
+     * @returns {Promise<Object>} { success, message }
+     */
+    async switchDevice(deviceId) {
+        this.deviceId = deviceId || null;
+
+        // Not initialized yet: the device is used by initialize()
+        if (!this.audioContext) {
+            return { success: true, message: this.message('audio.deviceSelected') };
+        }
+
+        try {
+            const stream = await this.openStream(this.deviceId);
+            const source = this.audioContext.createMediaStreamSource(stream);
+
+            if (this.sourceNode) {
+                this.sourceNode.disconnect();
+            }
+            if (this.mediaStream) {
+                this.mediaStream.getTracks().forEach(track => track.stop());
+            }
+
+            this.mediaStream = stream;
+            this.watchStream(stream);
+            this.sourceNode = source;
+            this.sourceNode.connect(this.gainNode);
+            this.windowFill = 0;
+
+            return { success: true, message: this.message('audio.deviceChanged') };
+        } catch (error) {
+            console.error('Error switching input device:', error);
+            return { success: false, message: this.getErrorMessage(error) };
+        }
+    }
+
+    /**
+     * Sets the input gain
+     * @param {number} gain - Linear gain (1.0 = unchanged)
+     */
+    setGain(gain) {
+        this.gain = gain;
+
+        if (this.gainNode) {
+            // Short ramp to avoid clicks
+            this.gainNode.gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.01);
+        }
+    }
+
+    /**
+     * Creates the AudioWorklet capture node
+     * @returns {Promise<boolean>} false if AudioWorklet is not available
+     */
+    async createWorkletNode() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            return false;
+        }
+
+        try {
+            await this.audioContext.audioWorklet.addModule('capture-worklet.js');
+
+            this.processorNode = new AudioWorkletNode(this.audioContext, 'capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [1],
+                processorOptions: { hopSize: this.hopSize }
+            });
+
+            this.processorNode.port.onmessage = (event) => {
+                this.handleChunk(event.data);
+            };
+
+            this.mode = 'worklet';
+            return true;
+        } catch (error) {
+            console.warn('AudioWorklet not available, using ScriptProcessorNode:', error);
+            this.processorNode = null;
+            return false;
+        }
+    }
+
+    /**
+     * Creates the ScriptProcessorNode capture node.
+     * Deprecated but still widely supported, kept for backward compatibility.
+     */
+    createScriptProcessorNode() {
+        this.processorNode = this.audioContext.createScriptProcessor(
+            this.hopSize,
+            1, // mono input
+            1  // mono output
+        );
+
+        // Set up audio processing
+        this.processorNode.onaudioprocess = (event) => {
+            const inputBuffer = event.inputBuffer;
+            this.handleChunk(inputBuffer.getChannelData(0)); // Get mono channel
+        };
+
+        this.mode = 'script-processor';
+    }
+
+    /**
+     * Slides a new chunk into the analysis window and delivers the window
+     * once it is full, so consecutive windows overlap by bufferSize - hopSize
+     * @param {Float32Array} chunk
+     */
+    handleChunk(chunk) {
+        if (!this.isRecording) return;
+
+        const analysisWindow = this.analysisWindow;
+        if (chunk.length >= analysisWindow.length) {
+            analysisWindow.set(chunk.subarray(chunk.length - analysisWindow.length));
+        } else {
+            analysisWindow.copyWithin(0, chunk.length);
+            analysisWindow.set(chunk, analysisWindow.length - chunk.length);
+        }
+
+        this.windowFill = Math.min(analysisWindow.length, this.windowFill + chunk.length);
+        if (this.windowFill < analysisWindow.length) return;
+
+        // Call the callback with a copy, which the receiver may keep or transfer
+        if (this.onAudioData) {
+            this.onAudioData(analysisWindow.slice());
+        }
+    }
+
+    /**
+     * Changes the analysis window length; the new window is delivered once it has filled up.
+     * The most recent samples are kept, so a longer window starts with the audio already heard.
+     * @param {number} bufferSize
+     */
+    setBufferSize(bufferSize) {
+        if (bufferSize === this.bufferSize) return;
+
+        const previous = this.analysisWindow;
+        const kept = Math.min(this.windowFill, bufferSize);
+
+        this.bufferSize = bufferSize;
+        this.analysisWindow = new Float32Array(bufferSize);
+        this.analysisWindow.set(previous.subarray(previous.length - kept), bufferSize - kept);
+        this.windowFill = kept;
+    }
+
     /**
      * Starts audio capture
      */
     start() {
-        if (!this.audioContext || !this.sourceNode || !this.processorNode) {
+        if (!this.audioContext || !this.gainNode || !this.processorNode) {
             throw new Error('Audio non inizializzato. Chiamare initialize() prima.');
         }
 
@@ -91,9 +274,10 @@ class AudioCapture {
         }
 
         // Connect nodes
-        this.sourceNode.connect(this.processorNode);
+        this.gainNode.connect(this.processorNode);
         this.processorNode.connect(this.audioContext.destination);
 
+        this.windowFill = 0;
         this.isRecording = true;
     }
 
@@ -106,9 +290,9 @@ class AudioCapture {
         this.isRecording = false;
 
         // Disconnect nodes
-        if (this.sourceNode && this.processorNode) {
+        if (this.gainNode && this.processorNode) {
             try {
-                this.sourceNode.disconnect(this.processorNode);
+                this.gainNode.disconnect(this.processorNode);
                 this.processorNode.disconnect(this.audioContext.destination);
             } catch (error) {
                 console.error('Error disconnecting nodes:', error);
@@ -116,6 +300,34 @@ class AudioCapture {
         }
     }
 
+    /**
+     * Suspends audio processing; start() resumes it
+     * @returns {Promise<void>}
+     */
+    async suspend() {
+        if (this.audioContext && this.audioContext.state === 'running') {
+            await this.audioContext.suspend();
+        }
+    }
+
+    /**
+     * Resumes an audio context the browser suspended or interrupted (e.g. iOS during a phone call)
+     * @returns {Promise<boolean>} Whether audio is running again; false if the browser wants a user gesture first
+     */
+    async resume() {
+        if (!this.audioContext) return false;
+
+        // Without a user gesture iOS may leave the promise pending instead of rejecting it
+        const timeout = new Promise(resolve => setTimeout(resolve, AudioCapture.RESUME_TIMEOUT));
+        try {
+            await Promise.race([this.audioContext.resume(), timeout]);
+        } catch (error) {
+            console.warn('Unable to resume audio:', error);
+        }
+
+        return this.audioContext !== null && this.audioContext.state === 'running';
+    }
+
     /**
      * Releases all audio resources
      */
@@ -123,20 +335,28 @@ class AudioCapture {
         this.stop();
 
         if (this.processorNode) {
-            this.processorNode.onaudioprocess = null;
+            if (this.mode === 'worklet') {
+                this.processorNode.port.onmessage = null;
+            } else {
+                this.processorNode.onaudioprocess = null;
+            }
             this.processorNode = null;
         }
 
         if (this.sourceNode) {
+            this.sourceNode.disconnect();
             this.sourceNode = null;
         }
 
+        this.gainNode = null;
+
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
             this.mediaStream = null;
         }
 
         if (this.audioContext) {
+            this.audioContext.onstatechange = null;
             this.audioContext.close();
             this.audioContext = null;
         }
@@ -151,22 +371,50 @@ class AudioCapture {
      */
     getErrorMessage(error) {
         if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-            return 'Accesso al microfono negato. Concedi i permessi per usare l\'accordatore.';
+            return this.message('audio.permissionDenied');
         } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-            return 'Nessun microfono trovato. Collega un microfono e riprova.';
+            return this.message('audio.notFound');
         } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
-            return 'Impossibile accedere al microfono. Potrebbe essere in uso da un\'altra app.';
+            return this.message('audio.notReadable');
         } else if (error.name === 'OverconstrainedError' || error.name === 'ConstraintNotSatisfiedError') {
-            return 'Configurazione audio non supportata dal tuo dispositivo.';
+            return this.message('audio.overconstrained');
         } else if (error.name === 'NotSupportedError') {
-            return 'Il tuo browser non supporta l\'accesso al microfono.';
+            return this.message('audio.notSupported');
         } else if (error.name === 'SecurityError') {
-            return 'Errore di sicurezza. Assicurati di usare HTTPS.';
+            return this.message('audio.security');
         } else {
-            return `Errore: ${error.message || 'Errore sconosciuto'}`;
+            return this.message('audio.unknown', { error: error.message || this.message('audio.unknownError') });
         }
     }
 
+    /**
+     * Message for the user, translated by the translate hook if set (Italian otherwise)
+     * @param {string} key - AudioCapture.MESSAGES key
+     * @param {Object} params - Values for the {placeholders}
+     * @returns {string}
+     */
+    message(key, params = {}) {
+        if (this.translate) {
+            return this.translate(key, params);
+        }
+
+        return AudioCapture.MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => params[name]);
+    }
+
+    /**
+     * Lists the available audio input devices.
+     * Labels are empty until the user has granted microphone permission.
+     * @returns {Promise<Array<MediaDeviceInfo>>}
+     */
+    static async getInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
     /**
      * Checks if Web Audio API is supported
      * @returns {boolean}
@@ -177,3 +425,19 @@ class AudioCapture {
                   (window.AudioContext || window.webkitAudioContext));
     }
 }
+
+AudioCapture.RESUME_TIMEOUT = 1000; // ms to wait for a suspended context to resume
+
+AudioCapture.MESSAGES = {
+    'audio.initialized': 'Microfono inizializzato correttamente',
+    'audio.deviceSelected': 'Ingresso selezionato',
+    'audio.deviceChanged': 'Ingresso cambiato correttamente',
+    'audio.permissionDenied': 'Accesso al microfono negato. Concedi i permessi per usare l\'accordatore.',
+    'audio.notFound': 'Nessun microfono trovato. Collega un microfono e riprova.',
+    'audio.notReadable': 'Impossibile accedere al microfono. Potrebbe essere in uso da un\'altra app.',
+    'audio.overconstrained': 'Configurazione audio non supportata dal tuo dispositivo.',
+    'audio.notSupported': 'Il tuo browser non supporta l\'accesso al microfono.',
+    'audio.security': 'Errore di sicurezza. Assicurati di usare HTTPS.',
+    'audio.unknown': 'Errore: {error}',
+    'audio.unknownError': 'Errore sconosciuto'
+};
@@ -0,0 +1,46 @@
+/**
+ * CaptureProcessor - AudioWorklet processor for microphone capture
+ * Runs on the audio rendering thread and posts fixed-size chunks (hop size)
+ * of mono samples to the main thread, which builds the overlapping analysis windows
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.hopSize = (options.processorOptions && options.processorOptions.hopSize) || 1024;
+        this.chunk = new Float32Array(this.hopSize);
+        this.fill = 0;
+    }
+
+    /**
+     * Called for every render quantum (128 frames)
+     * @param {Array<Array<Float32Array>>} inputs
+     * @returns {boolean} true to keep the processor alive
+     */
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            return true;
+        }
+
+        const channel = input[0]; // Mono: first channel only
+        let offset = 0;
+
+        while (offset < channel.length) {
+            const count = Math.min(channel.length - offset, this.hopSize - this.fill);
+            this.chunk.set(channel.subarray(offset, offset + count), this.fill);
+            this.fill += count;
+            offset += count;
+
+            if (this.fill === this.hopSize) {
+                // Transfer the buffer instead of copying it, then start a new one
+                this.port.postMessage(this.chunk, [this.chunk.buffer]);
+                this.chunk = new Float32Array(this.hopSize);
+                this.fill = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
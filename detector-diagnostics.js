@@ -0,0 +1,125 @@
+/**
+ * DetectorDiagnostics - Running figures of the pitch detector for the diagnostics panel
+ * Counts the analyzed and dropped windows, keeps the latest processing times and the last
+ * window, and turns a window into a capture file that reproduces the reading in a bug report.
+ */
+class DetectorDiagnostics {
+    /**
+     * @param {Object} options - See DetectorDiagnostics.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DetectorDiagnostics.DEFAULTS, options);
+        this.reset();
+    }
+
+    /**
+     * Starts counting again
+     */
+    reset() {
+        this.windows = 0;
+        this.dropped = 0;
+        this.droppedBase = null; // Subtracted from the analyzer count of dropped windows
+        this.times = []; // Latest processing times in ms, oldest first
+        this.last = null;
+    }
+
+    /**
+     * @param {Object} reading - TunerEngine 'diagnostics' event: { result, samples, threshold, dropped, timestamp }
+     */
+    add(reading) {
+        if (this.droppedBase === null) {
+            this.droppedBase = reading.dropped;
+        } else if (reading.dropped < this.droppedBase + this.dropped) {
+            // A new analyzer (e.g. after the worker failed) counts from zero again
+            this.droppedBase = -this.dropped;
+        }
+
+        this.windows++;
+        this.dropped = reading.dropped - this.droppedBase;
+        this.last = reading;
+
+        const diagnostics = reading.result.diagnostics;
+        if (diagnostics) {
+            this.times.push(diagnostics.processingTime);
+            if (this.times.length > this.options.timings) {
+                this.times.shift();
+            }
+        }
+    }
+
+    /**
+     * @param {number} budget - ms between windows: detection must keep up with it
+     * @returns {Object} { windows, dropped, dropRate: 0-1, meanTime, maxTime, lastTime (ms),
+     *          load: mean time / budget }
+     */
+    stats(budget) {
+        const times = this.times;
+        const meanTime = times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : 0;
+        const total = this.windows + this.dropped;
+
+        return {
+            windows: this.windows,
+            dropped: this.dropped,
+            dropRate: total > 0 ? this.dropped / total : 0,
+            meanTime: meanTime,
+            maxTime: times.length > 0 ? Math.max.apply(null, times) : 0,
+            lastTime: times.length > 0 ? times[times.length - 1] : 0,
+            load: budget > 0 ? meanTime / budget : 0
+        };
+    }
+
+    /**
+     * A window with what the detector made of it, for a bug report
+     * @param {Object} reading - TunerEngine 'diagnostics' event
+     * @param {Object} config - Detector settings ({ sampleRate, algorithm, minFrequency, ... })
+     * @returns {string} JSON
+     */
+    static captureToJSON(reading, config) {
+        const result = reading.result;
+        const curve = result.diagnostics ? result.diagnostics.curve : null;
+
+        return JSON.stringify({
+            format: 'accordatore-buffer',
+            version: 1,
+            captured: new Date().toISOString(),
+            config: config,
+            threshold: reading.threshold,
+            result: {
+                frequency: result.frequency,
+                confidence: result.confidence,
+                isValid: result.isValid,
+                rms: result.rms,
+                lag: curve ? curve.lag : 0,
+                processingTime: result.diagnostics ? result.diagnostics.processingTime : null
+            },
+            samples: Array.from(reading.samples)
+        });
+    }
+
+    /**
+     * @param {string} text - Produced by captureToJSON()
+     * @returns {Object} The capture, with the samples as a Float32Array
+     */
+    static captureFromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File JSON non valido');
+        }
+
+        if (!data || data.format !== 'accordatore-buffer' || !Array.isArray(data.samples) || !data.config) {
+            throw new Error('Il file non contiene una finestra catturata dall\'accordatore');
+        }
+
+        return Object.assign({}, data, { samples: Float32Array.from(data.samples) });
+    }
+}
+
+DetectorDiagnostics.DEFAULTS = {
+    timings: 100 // Processing times kept for the mean and maximum
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DetectorDiagnostics };
+}
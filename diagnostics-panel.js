@@ -0,0 +1,173 @@
+/**
+ * DiagnosticsPanel - Draws the last analysis window and the detector's lag function
+ * The waveform shows what the detector was given (clipping, noise, a second note); the
+ * curve shows what it searched, with the searched lag range and the chosen period marked.
+ * Readings arrive for every window; drawing is done at most once per animation frame.
+ */
+class DiagnosticsPanel {
+    /**
+     * @param {HTMLCanvasElement} waveformCanvas
+     * @param {HTMLCanvasElement} curveCanvas
+     */
+    constructor(waveformCanvas, curveCanvas) {
+        this.waveformCanvas = waveformCanvas;
+        this.curveCanvas = curveCanvas;
+        this.reading = null;
+        this.frameId = null;
+    }
+
+    /**
+     * Schedules the drawing of a reading
+     * @param {Object} reading - TunerEngine 'diagnostics' event
+     */
+    show(reading) {
+        this.reading = reading;
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => {
+                this.frameId = null;
+                this.draw();
+            });
+        }
+    }
+
+    /**
+     * Clears both canvases
+     */
+    clear() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.reading = null;
+        this.draw();
+    }
+
+    /**
+     * Draws the current reading
+     */
+    draw() {
+        const waveform = this.prepare(this.waveformCanvas);
+        const curve = this.prepare(this.curveCanvas);
+        if (!this.reading) return;
+
+        if (waveform) {
+            this.drawWaveform(waveform, this.reading.samples);
+        }
+        if (curve && this.reading.result.diagnostics && this.reading.result.diagnostics.curve) {
+            this.drawCurve(curve, this.reading.result.diagnostics.curve, this.reading.result.isValid);
+        }
+    }
+
+    /**
+     * Sizes a canvas to its box and clears it
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Object|null} { context, width, height, ratio }, null while hidden
+     */
+    prepare(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (width === 0 || height === 0) return null;
+
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        return { context: context, width: width, height: height, ratio: ratio };
+    }
+
+    /**
+     * The window as a min/max envelope per pixel column, full scale = ±1
+     * @param {Object} view - From prepare()
+     * @param {Float32Array} samples
+     */
+    drawWaveform(view, samples) {
+        const context = view.context;
+        const width = view.width;
+        const height = view.height;
+        const ratio = view.ratio;
+        const y = value => height / 2 - Math.max(-1, Math.min(1, value)) * height / 2;
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        context.lineWidth = ratio;
+        context.beginPath();
+        context.moveTo(0, height / 2);
+        context.lineTo(width, height / 2);
+        context.stroke();
+
+        context.strokeStyle = '#4CAF50';
+        context.beginPath();
+        for (let column = 0; column < width; column++) {
+            const start = Math.floor(column / width * samples.length);
+            const end = Math.max(start + 1, Math.floor((column + 1) / width * samples.length));
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end && i < samples.length; i++) {
+                min = Math.min(min, samples[i]);
+                max = Math.max(max, samples[i]);
+            }
+            context.moveTo(column + 0.5, y(max));
+            context.lineTo(column + 0.5, y(min) + ratio);
+        }
+        context.stroke();
+    }
+
+    /**
+     * The lag function over the lags up to the longest period searched, with the lags
+     * outside the frequency range shaded and the chosen period marked
+     * @param {Object} view - From prepare()
+     * @param {Object} curve - { values, lag, minLag, maxLag }
+     * @param {boolean} valid - Whether the reading passed the confidence cutoff
+     */
+    drawCurve(view, curve, valid) {
+        const context = view.context;
+        const width = view.width;
+        const height = view.height;
+        const ratio = view.ratio;
+        const count = Math.min(curve.values.length, curve.maxLag + 2);
+
+        let min = 0;
+        let max = 0;
+        for (let lag = 1; lag < count; lag++) {
+            min = Math.min(min, curve.values[lag]);
+            max = Math.max(max, curve.values[lag]);
+        }
+        if (max === min) max = min + 1;
+
+        const x = lag => lag / (count - 1) * width;
+        const y = value => height - 4 * ratio - (value - min) / (max - min) * (height - 8 * ratio);
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        context.fillRect(0, 0, x(curve.minLag), height);
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        context.lineWidth = ratio;
+        context.beginPath();
+        context.moveTo(0, y(0));
+        context.lineTo(width, y(0));
+        context.stroke();
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        context.beginPath();
+        for (let lag = 1; lag < count; lag++) {
+            if (lag === 1) {
+                context.moveTo(x(lag), y(curve.values[lag]));
+            } else {
+                context.lineTo(x(lag), y(curve.values[lag]));
+            }
+        }
+        context.stroke();
+
+        if (curve.lag > 0) {
+            context.strokeStyle = valid ? '#4CAF50' : '#ff9800';
+            context.lineWidth = 2 * ratio;
+            context.beginPath();
+            context.moveTo(x(curve.lag), 0);
+            context.lineTo(x(curve.lag), height);
+            context.stroke();
+        }
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * FFT - Radix-2 in-place fast Fourier transform with precomputed tables
+ * Used for spectral analysis (strum mode, harmonic analysis)
+ */
+class FFT {
+    /**
+     * @param {number} size - Transform size, must be a power of two
+     */
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error('La dimensione della FFT deve essere una potenza di 2');
+        }
+
+        this.size = size;
+        this.cosTable = new Float64Array(size / 2);
+        this.sinTable = new Float64Array(size / 2);
+        this.reverse = new Uint32Array(size);
+
+        for (let i = 0; i < size / 2; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / size);
+            this.sinTable[i] = Math.sin(2 * Math.PI * i / size);
+        }
+
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+    }
+
+    /**
+     * Transforms real/imaginary arrays in place
+     * @param {Float64Array} real
+     * @param {Float64Array} imag
+     */
+    forward(real, imag) {
+        const n = this.size;
+
+        // Bit-reversal permutation
+        for (let i = 0; i < n; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                let temp = real[i]; real[i] = real[j]; real[j] = temp;
+                temp = imag[i]; imag[i] = imag[j]; imag[j] = temp;
+            }
+        }
+
+        // Butterflies
+        for (let length = 2; length <= n; length <<= 1) {
+            const half = length >> 1;
+            const step = n / length;
+            for (let start = 0; start < n; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * step];
+                    const sin = this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tre = real[b] * cos + imag[b] * sin;
+                    const tim = imag[b] * cos - real[b] * sin;
+                    real[b] = real[a] - tre;
+                    imag[b] = imag[a] - tim;
+                    real[a] += tre;
+                    imag[a] += tim;
+                }
+            }
+        }
+    }
+
+    /**
+     * Computes the magnitude spectrum of Hann-windowed samples, zero-padded to the FFT size
+     * @param {Float32Array} samples - At most size samples
+     * @returns {Float64Array} Magnitudes of bins 0 to size/2
+     */
+    magnitudeSpectrum(samples) {
+        const n = this.size;
+        const count = Math.min(samples.length, n);
+        const real = new Float64Array(n);
+        const imag = new Float64Array(n);
+
+        for (let i = 0; i < count; i++) {
+            const hann = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (count - 1));
+            real[i] = samples[i] * hann;
+        }
+
+        this.forward(real, imag);
+
+        const magnitudes = new Float64Array(n / 2 + 1);
+        for (let i = 0; i <= n / 2; i++) {
+            magnitudes[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+        }
+
+        return magnitudes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FFT };
+}
@@ -0,0 +1,177 @@
+/**
+ * FileAnalyzer - Offline pitch tracking of recordings
+ * Decodes an audio file, runs the TunerCore detector over it with overlapping windows and
+ * returns a pitch track that can be plotted or exported as CSV/JSON.
+ * Analysis yields to the event loop between chunks so the page stays responsive.
+ */
+class FileAnalyzer {
+    /**
+     * @param {Object} options - See FileAnalyzer.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, FileAnalyzer.DEFAULTS, options);
+        this.cancelled = false;
+        this.onProgress = null; // (fraction 0-1)
+    }
+
+    /**
+     * Computes the pitch track of a mono signal
+     * @param {Float32Array} samples
+     * @param {number} sampleRate
+     * @returns {Promise<Array<Object>>} [{ time, frequency, note, cents, confidence, rms }]
+     */
+    async analyze(samples, sampleRate) {
+        const options = this.options;
+        const detector = TunerCore.createDetector({
+            sampleRate: sampleRate,
+            minFrequency: options.minFrequency,
+            maxFrequency: options.maxFrequency,
+            threshold: options.threshold,
+            algorithm: options.algorithm
+        });
+        const windowCount = Math.max(0, Math.floor((samples.length - options.windowSize) / options.hopSize) + 1);
+        const track = [];
+
+        this.cancelled = false;
+
+        for (let index = 0; index < windowCount; index++) {
+            const start = index * options.hopSize;
+            const window = samples.subarray(start, start + options.windowSize);
+            const time = (start + options.windowSize / 2) / sampleRate;
+            track.push(this.analyzeWindow(detector, window, time));
+
+            if ((index + 1) % options.chunkWindows === 0) {
+                if (this.onProgress) {
+                    this.onProgress((index + 1) / windowCount);
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                if (this.cancelled) {
+                    throw new Error('Analisi annullata');
+                }
+            }
+        }
+
+        if (this.onProgress) {
+            this.onProgress(1);
+        }
+
+        return track;
+    }
+
+    /**
+     * Detects the pitch of one window and names the note
+     * @param {PitchDetector} detector
+     * @param {Float32Array} window
+     * @param {number} time - Centre of the window in seconds
+     * @returns {Object} Track point
+     */
+    analyzeWindow(detector, window, time) {
+        const result = detector.detectPitch(window);
+        const point = {
+            time: time,
+            frequency: 0,
+            note: '',
+            cents: null,
+            confidence: result.confidence,
+            rms: result.rms
+        };
+
+        if (result.isValid && result.frequency > 0) {
+            const note = TunerCore.frequencyToNote(result.frequency, this.options.noteOptions);
+            point.frequency = result.frequency;
+            point.note = note.name;
+            point.cents = note.centsOffset;
+        }
+
+        return point;
+    }
+
+    /**
+     * Stops a running analysis at the next chunk
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Decodes an audio file (WAV, MP3, OGG... whatever the browser supports) to mono
+     * @param {Blob} file
+     * @param {number} sampleRate - Rate to decode at
+     * @returns {Promise<Float32Array>}
+     */
+    static async decode(file, sampleRate) {
+        const data = await file.arrayBuffer();
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(1, 1, sampleRate);
+
+        let buffer;
+        try {
+            // Older Safari only supports the callback form
+            buffer = await new Promise((resolve, reject) => {
+                const promise = context.decodeAudioData(data, resolve, reject);
+                if (promise) {
+                    promise.then(resolve, reject);
+                }
+            });
+        } catch (error) {
+            throw new Error('Formato audio non supportato o file danneggiato');
+        }
+
+        // Mix all channels down to mono
+        const mono = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const channelData = buffer.getChannelData(channel);
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += channelData[i] / buffer.numberOfChannels;
+            }
+        }
+
+        return mono;
+    }
+
+    /**
+     * @param {Array<Object>} track
+     * @returns {string} CSV with a header row; unvoiced points have empty frequency, note and cents
+     */
+    static toCSV(track) {
+        const rows = ['time,frequency,note,cents,confidence,rms'];
+
+        track.forEach(point => {
+            rows.push([
+                point.time.toFixed(4),
+                point.frequency > 0 ? point.frequency.toFixed(3) : '',
+                point.note,
+                point.cents !== null ? point.cents.toFixed(2) : '',
+                point.confidence.toFixed(3),
+                point.rms.toFixed(4)
+            ].join(','));
+        });
+
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * @param {Array<Object>} track
+     * @param {Object} metadata - e.g. { file, sampleRate, algorithm }
+     * @returns {string}
+     */
+    static toJSON(track, metadata = {}) {
+        return JSON.stringify(Object.assign({}, metadata, { track: track }), null, 2);
+    }
+}
+
+FileAnalyzer.DEFAULTS = {
+    windowSize: 4096,
+    hopSize: 1024,
+    minFrequency: 70,
+    maxFrequency: 1500,
+    threshold: 0.01, // Recordings are often quieter than the live input
+    algorithm: 'mpm',
+    noteOptions: {}, // TunerCore note options ({ a4, temperament }) for note names and cents
+    chunkWindows: 50 // Windows analyzed between two yields to the event loop
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FileAnalyzer };
+}
@@ -0,0 +1,540 @@
+/**
+ * GuitarTuner - <guitar-tuner> custom element: a complete tuner on its own TunerEngine
+ * Note, frequency, needle or strobe, deviation in cents and a start button, in a shadow root
+ * so that it can be dropped into any page, more than once. Needs the core scripts,
+ * i18n.js, strobe-display.js, audio.js, pitch-analyzer.js and tuner-engine.js.
+ *
+ * Attributes:
+ *   tuning      - preset id (e.g. "drop-d", "bass-standard") or notes from the lowest string
+ *                 ("D2 A2 D3 G3 B3 E4"): readings are measured against the closest string.
+ *                 Without it the nearest note is shown.
+ *   reference   - A4 in Hz (default 440)
+ *   theme       - "dark" (default) or "light"
+ *   display     - "needle" (default) or "strobe"
+ *   lang        - interface language (default: the page's, then the browser's)
+ *   note-naming - "letters" (default), "solfege" or "german"
+ *   needle-range - cents at either end of the needle scale (default 50)
+ *   update-interval - ms between updates of the note, needle and cents text (default 0: every
+ *                 reading); the strobe still gets every reading
+ *
+ * Events (CustomEvent, detail from the engine): statechange, note, intune, silence, error.
+ * element.engine gives access to the TunerEngine for anything else.
+ */
+class GuitarTuner extends HTMLElement {
+    static get observedAttributes() {
+        return ['tuning', 'reference', 'display', 'lang', 'note-naming', 'needle-range', 'update-interval'];
+    }
+
+    constructor() {
+        super();
+
+        this.engine = new TunerEngine();
+        this.i18n = new I18n(null, [document.documentElement.lang].concat(navigator.languages || [navigator.language]));
+        this.displayMode = 'needle';
+        this.needleRange = 50;
+        this.updateInterval = 0;
+        this.shownAt = -Infinity; // Timestamp of the reading on display
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = GuitarTuner.TEMPLATE;
+        this.noteElement = root.querySelector('.detected-note');
+        this.frequencyElement = root.querySelector('.frequency');
+        this.indicator = root.querySelector('.tuning-indicator');
+        this.needle = root.querySelector('.tuning-needle');
+        this.scaleLabels = root.querySelectorAll('.tuning-scale span');
+        this.centsElement = root.querySelector('.cents-display');
+        this.button = root.querySelector('.btn');
+        this.strobe = new StrobeDisplay(root.querySelector('.strobe-display'));
+
+        this.button.addEventListener('click', () => this.toggle());
+        this.button.disabled = !TunerEngine.isSupported();
+
+        const engine = this.engine;
+        engine.translate = (key, params) => this.i18n.t(key, params);
+        engine.on('stateChange', (detail) => {
+            this.renderState();
+            this.relay('statechange', detail);
+        });
+        engine.on('note', (detail) => {
+            this.showNote(detail);
+            this.relay('note', detail);
+        });
+        engine.on('inTune', detail => this.relay('intune', detail));
+        engine.on('hold', () => {
+            // Signal fading: keep the last stable reading, dimmed
+            this.noteElement.classList.add('holding');
+            this.strobe.clearDeviation();
+        });
+        engine.on('attack', () => this.strobe.clearDeviation());
+        engine.on('silence', (detail) => {
+            this.clear();
+            this.relay('silence', detail);
+        });
+        engine.on('strum', detail => this.showStrum(detail.result));
+        engine.on('reset', () => this.clear());
+        engine.on('error', detail => this.relay('error', detail));
+
+        this.renderState();
+    }
+
+    /**
+     * Closes the microphone and the detection worker when the element leaves the page
+     * (e.g. on navigation in a single-page app); start() opens them again
+     */
+    disconnectedCallback() {
+        this.engine.dispose();
+        this.strobe.stop();
+    }
+
+    /**
+     * @param {string} name
+     * @param {string|null} oldValue
+     * @param {string|null} value
+     */
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'tuning') {
+            try {
+                const notes = GuitarTuner.resolveTuning(value);
+                this.engine.setTuning(notes || []);
+                this.engine.targeter.setMode(notes ? 'auto' : 'chromatic');
+            } catch (error) {
+                console.error('guitar-tuner: invalid tuning', value, error.message);
+            }
+        } else if (name === 'reference') {
+            const a4 = parseFloat(value);
+            this.engine.setNoteOptions({ a4: a4 > 0 ? a4 : 440 });
+        } else if (name === 'display') {
+            this.setDisplay(value === 'strobe' ? 'strobe' : 'needle');
+        } else if (name === 'lang' && I18N_MESSAGES[value]) {
+            this.i18n.setLanguage(value);
+            this.renderState();
+        } else if (name === 'note-naming' && NOTE_NAMINGS[value]) {
+            this.i18n.setNoteNaming(value);
+        } else if (name === 'needle-range') {
+            const range = parseFloat(value);
+            this.needleRange = range > 0 ? range : 50;
+            this.scaleLabels[0].textContent = '-' + this.needleRange;
+            this.scaleLabels[2].textContent = '+' + this.needleRange;
+        } else if (name === 'update-interval') {
+            const interval = parseFloat(value);
+            this.updateInterval = interval > 0 ? interval : 0;
+        }
+    }
+
+    /**
+     * Opens the microphone (after the browser's permission prompt) and starts tuning
+     * @returns {Promise<boolean>} Whether the tuner is running
+     */
+    start() {
+        return this.engine.start();
+    }
+
+    /**
+     * Stops tuning
+     */
+    stop() {
+        this.engine.stop();
+    }
+
+    /**
+     * Starts or stops tuning
+     */
+    toggle() {
+        if (this.engine.state === 'idle') {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Switches between the needle and the strobe
+     * @param {string} mode - 'needle' or 'strobe'
+     */
+    setDisplay(mode) {
+        this.displayMode = mode;
+        this.indicator.classList.toggle('strobe', mode === 'strobe');
+
+        // Only animate the strobe while it is visible
+        if (mode === 'strobe' && this.engine.isRunning) {
+            this.strobe.start();
+        } else {
+            this.strobe.stop();
+        }
+    }
+
+    /**
+     * Updates the start button and the waiting state
+     */
+    renderState() {
+        const running = this.engine.isRunning;
+
+        this.button.classList.toggle('btn-primary', !running);
+        this.button.classList.toggle('btn-danger', running);
+        this.button.disabled = this.engine.state === 'starting' || !TunerEngine.isSupported();
+        this.button.querySelector('.btn-icon').textContent = running ? '⏹' : '▶';
+        this.button.querySelector('.btn-text').textContent = this.i18n.t(running ? 'button.stop' : 'button.start');
+
+        if (running && this.displayMode === 'strobe') {
+            this.strobe.start();
+        } else if (!running) {
+            this.strobe.stop();
+        }
+        this.noteElement.classList.toggle('detecting', running);
+    }
+
+    /**
+     * Clears the note, frequency, cents and needle
+     */
+    clear() {
+        this.noteElement.textContent = this.engine.strumMode ? '♫' : '--';
+        this.noteElement.classList.remove('flat', 'sharp', 'holding');
+        this.frequencyElement.textContent = '--- Hz';
+        this.centsElement.textContent = '0 cents';
+        this.centsElement.className = 'cents-display';
+        this.needle.style.left = '50%';
+        this.strobe.clearDeviation();
+        this.shownAt = -Infinity;
+    }
+
+    /**
+     * Shows a stable reading
+     * @param {Object} detail - Engine 'note' event
+     */
+    showNote(detail) {
+        const note = detail.note;
+        const measurement = detail.measurement;
+        const cents = detail.cents;
+
+        // The strobe integrates the deviation over time, which averages the jitter of the
+        // raw readings out; outliers the stabilizer rejected (e.g. octave glitches) would spin it
+        const difference = 1200 * Math.log2(detail.rawFrequency / detail.frequency);
+        this.strobe.setDeviation(Math.abs(difference) < 50 ? cents + difference : cents);
+
+        if (detail.timestamp - this.shownAt < this.updateInterval) return;
+        this.shownAt = detail.timestamp;
+
+        // The target string, or the detected note
+        this.noteElement.textContent = this.i18n.formatNote(measurement ? measurement.string.midiNote : note.midiNote);
+        this.noteElement.classList.remove('detecting', 'holding', 'flat', 'sharp');
+
+        this.frequencyElement.textContent = measurement
+            ? `${note.actualFrequency.toFixed(2)} Hz → ${measurement.string.frequency.toFixed(2)} Hz`
+            : note.actualFrequency.toFixed(2) + ' Hz';
+
+        // Can exceed the needle range when measuring against a string
+        this.centsElement.textContent = (cents >= 0 ? '+' : '') + cents.toFixed(this.displayMode === 'strobe' ? 2 : 1) + ' cents';
+        this.centsElement.className = 'cents-display';
+
+        if (detail.isInTune) {
+            this.centsElement.classList.add('in-tune');
+        } else {
+            const direction = cents < 0 ? 'flat' : 'sharp';
+            this.noteElement.classList.add(direction);
+            this.centsElement.classList.add(direction);
+        }
+
+        // Map cents (-needleRange to +needleRange) to the needle position (0% to 100%)
+        this.needle.style.left = Math.max(0, Math.min(100, 50 + cents / this.needleRange * 50)) + '%';
+    }
+
+    /**
+     * Strum mode: all strings are measured at once, only their count is shown here
+     * @param {Object} result - StrumAnalyzer result
+     */
+    showStrum(result) {
+        const detected = result.strings.filter(string => string.detected).length;
+        this.noteElement.textContent = '♫';
+        this.frequencyElement.textContent = this.i18n.t('strum.detected', { detected: detected, total: result.strings.length });
+    }
+
+    /**
+     * Re-dispatches an engine event from the element
+     * @param {string} type
+     * @param {Object} detail
+     */
+    relay(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+    }
+
+    /**
+     * @param {string|null} value - Preset id or note names
+     * @returns {Array<string>|null} Note names, or null without a tuning
+     */
+    static resolveTuning(value) {
+        if (!value || !value.trim()) {
+            return null;
+        }
+
+        const profiles = typeof INSTRUMENT_PROFILES !== 'undefined' ? INSTRUMENT_PROFILES : [];
+        const presets = [].concat(...profiles.map(profile => profile.tunings), TunerCore.TUNING_PRESETS);
+        const preset = presets.find(tuning => tuning.id === value.trim());
+
+        return preset ? preset.strings : value.trim().split(/[\s,]+/);
+    }
+}
+
+GuitarTuner.TEMPLATE = `
+<style>
+    :host {
+        --primary-color: #4CAF50;
+        --danger-color: #f44336;
+        --warning-color: #ff9800;
+        --text-primary: #ffffff;
+        --text-secondary: #b0b0b0;
+        --tuner-panel: rgba(0, 0, 0, 0.3);
+        --tuner-needle: #ffffff;
+        --tuner-strobe: rgba(255, 255, 255, 0.05);
+        display: block;
+        color: var(--text-primary);
+    }
+
+    :host([theme="light"]) {
+        --text-primary: #1a1a1a;
+        --text-secondary: #555555;
+        --tuner-panel: rgba(0, 0, 0, 0.06);
+        --tuner-needle: #1a1a1a;
+        --tuner-strobe: rgba(0, 0, 0, 0.04);
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    .note-display {
+        text-align: center;
+        margin-bottom: 30px;
+        padding: 20px;
+        background: var(--tuner-panel);
+        border-radius: 15px;
+    }
+
+    .detected-note {
+        font-size: 5rem;
+        font-weight: 700;
+        line-height: 1;
+        margin-bottom: 10px;
+        color: var(--primary-color);
+        text-shadow: 0 0 20px rgba(76, 175, 80, 0.5);
+        transition: all 0.2s ease;
+    }
+
+    .detected-note.flat {
+        color: var(--danger-color);
+        text-shadow: 0 0 20px rgba(244, 67, 54, 0.5);
+    }
+
+    .detected-note.sharp {
+        color: var(--warning-color);
+        text-shadow: 0 0 20px rgba(255, 152, 0, 0.5);
+    }
+
+    /* Last stable reading held while the string fades */
+    .detected-note.holding {
+        opacity: 0.6;
+    }
+
+    .detecting {
+        animation: pulse 1.5s ease-in-out infinite;
+    }
+
+    @keyframes pulse {
+        0%, 100% {
+            opacity: 1;
+        }
+        50% {
+            opacity: 0.5;
+        }
+    }
+
+    .frequency {
+        font-size: 1.2rem;
+        color: var(--text-secondary);
+        font-weight: 500;
+    }
+
+    .tuning-indicator {
+        margin-bottom: 30px;
+    }
+
+    .tuning-scale {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 8px;
+        font-size: 0.8rem;
+        color: var(--text-secondary);
+    }
+
+    .tuning-bar {
+        height: 40px;
+        background: linear-gradient(90deg,
+            var(--danger-color) 0%,
+            var(--danger-color) 20%,
+            var(--warning-color) 40%,
+            var(--primary-color) 50%,
+            var(--warning-color) 60%,
+            var(--danger-color) 80%,
+            var(--danger-color) 100%);
+        border-radius: 20px;
+        position: relative;
+        margin-bottom: 10px;
+        box-shadow: 0 4px 10px rgba(0, 0, 0, 0.3);
+    }
+
+    .tuning-needle {
+        position: absolute;
+        width: 4px;
+        height: 50px;
+        background: var(--tuner-needle);
+        top: -5px;
+        left: 50%;
+        transform: translateX(-50%);
+        border-radius: 2px;
+        box-shadow: 0 0 10px rgba(255, 255, 255, 0.8);
+        transition: left 0.1s ease-out;
+    }
+
+    .tuning-needle::before {
+        content: '';
+        position: absolute;
+        top: -8px;
+        left: 50%;
+        transform: translateX(-50%);
+        border-left: 6px solid transparent;
+        border-right: 6px solid transparent;
+        border-top: 8px solid var(--tuner-needle);
+    }
+
+    /* Strobe display (replaces the scale and needle) */
+    .strobe-display {
+        display: none;
+        width: 100%;
+        height: 60px;
+        margin-bottom: 10px;
+        border-radius: 8px;
+        background: var(--tuner-strobe);
+        color: var(--primary-color);
+    }
+
+    .tuning-indicator.strobe .strobe-display {
+        display: block;
+    }
+
+    .tuning-indicator.strobe .tuning-scale,
+    .tuning-indicator.strobe .tuning-bar {
+        display: none;
+    }
+
+    .cents-display {
+        text-align: center;
+        font-size: 1.1rem;
+        font-weight: 600;
+    }
+
+    .cents-display.in-tune {
+        color: var(--primary-color);
+    }
+
+    .cents-display.flat {
+        color: var(--danger-color);
+    }
+
+    .cents-display.sharp {
+        color: var(--warning-color);
+    }
+
+    .controls {
+        display: flex;
+        justify-content: center;
+        margin-bottom: 20px;
+    }
+
+    .btn {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 10px;
+        padding: 15px 40px;
+        font: inherit;
+        font-size: 1.2rem;
+        font-weight: 700;
+        color: white;
+        border: none;
+        border-radius: 50px;
+        cursor: pointer;
+        transition: all 0.3s ease;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.3);
+        text-transform: uppercase;
+        letter-spacing: 1px;
+    }
+
+    .btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+    }
+
+    .btn:focus-visible {
+        outline: 2px solid var(--primary-color);
+        outline-offset: 2px;
+    }
+
+    .btn-primary {
+        background: linear-gradient(135deg, var(--primary-color) 0%, #45a049 100%);
+    }
+
+    .btn-primary:hover:not(:disabled) {
+        transform: translateY(-2px);
+        box-shadow: 0 6px 20px rgba(76, 175, 80, 0.4);
+    }
+
+    .btn-danger {
+        background: linear-gradient(135deg, var(--danger-color) 0%, #da190b 100%);
+    }
+
+    .btn-danger:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 6px 20px rgba(244, 67, 54, 0.4);
+    }
+
+    .btn-icon {
+        font-size: 1.3rem;
+    }
+
+    @media (max-width: 480px) {
+        .detected-note {
+            font-size: 4rem;
+        }
+
+        .btn {
+            padding: 12px 30px;
+            font-size: 1rem;
+        }
+    }
+</style>
+<div class="note-display" part="display">
+    <div class="detected-note">--</div>
+    <div class="frequency">--- Hz</div>
+</div>
+<div class="tuning-indicator" part="indicator">
+    <div class="tuning-scale">
+        <span>-50</span>
+        <span>0</span>
+        <span>+50</span>
+    </div>
+    <div class="tuning-bar">
+        <div class="tuning-needle"></div>
+    </div>
+    <canvas class="strobe-display" aria-hidden="true"></canvas>
+    <div class="cents-display">0 cents</div>
+</div>
+<div class="controls">
+    <button class="btn btn-primary" part="button">
+        <span class="btn-icon">▶</span>
+        <span class="btn-text"></span>
+    </button>
+</div>
+`;
+
+if (typeof customElements !== 'undefined' && !customElements.get('guitar-tuner')) {
+    customElements.define('guitar-tuner', GuitarTuner);
+}
@@ -0,0 +1,154 @@
+/**
+ * HarmonicAnalyzer - Partials of a single plucked string and its inharmonicity
+ * A stiff string's partials are not exact multiples of the fundamental: partial n sits at
+ * f_n = n·f0·√(1 + B·n²), where B is the inharmonicity coefficient. The analyzer measures
+ * the first partials in a long window, fits B to them and works out how far the upper
+ * partials stray from ideal harmonics, which is what stretch tuning compensates for.
+ */
+
+// Globals in the page, modules in Node
+const HARMONIC_MODULES = {
+    StrumAnalyzer: typeof StrumAnalyzer !== 'undefined'
+        ? StrumAnalyzer
+        : require('./strum-analyzer.js').StrumAnalyzer
+};
+
+class HarmonicAnalyzer extends HARMONIC_MODULES.StrumAnalyzer {
+    /**
+     * @param {number} sampleRate
+     * @param {number} fftSize - Power of two, at least the analysis window length
+     * @param {number} partials - Partials measured
+     */
+    constructor(sampleRate = 44100, fftSize = 65536, partials = 12) {
+        super(sampleRate, fftSize, partials, 50);
+        this.detectionRatio = 6; // Partial peak vs. noise floor needed to count it as present
+        this.refineCents = 20; // Search band around the position predicted by the fit so far
+        this.minPartials = 4; // Partials needed for a meaningful inharmonicity
+    }
+
+    /**
+     * Measures the partials of a string
+     * @param {Float32Array} samples - A long window of the ringing string (e.g. 32768 samples)
+     * @param {number} fundamental - Detected fundamental in Hz, the starting point of the search
+     * @returns {Object|null} { fundamental, inharmonicity, partials: [{ number, frequency, ideal,
+     *          cents, level, detected }] }, null if the fundamental is not in the spectrum.
+     *          ideal = number · fundamental; cents from ideal; level in dB below the strongest
+     *          partial; inharmonicity is B, null with fewer than minPartials partials
+     */
+    analyze(samples, fundamental) {
+        const spectrum = this.fft.magnitudeSpectrum(samples);
+        const binWidth = this.sampleRate / this.fft.size;
+        const noiseFloor = this.estimateNoiseFloor(spectrum, binWidth);
+
+        const first = this.findPartial(spectrum, binWidth, noiseFloor, fundamental, this.searchCents);
+        if (!first) {
+            return null;
+        }
+
+        // Partials one by one, each searched where the fit of the previous ones puts it
+        const found = [Object.assign({ number: 1 }, first)];
+        let fit = { base: first.frequency, inharmonicity: 0 };
+        for (let n = 2; n <= this.harmonics; n++) {
+            const expected = HarmonicAnalyzer.partialFrequency(fit.base, fit.inharmonicity, n);
+            if (expected >= this.sampleRate / 2) break;
+
+            const partial = this.findPartial(spectrum, binWidth, noiseFloor, expected, this.refineCents);
+            if (partial) {
+                found.push(Object.assign({ number: n }, partial));
+                fit = HarmonicAnalyzer.fitInharmonicity(found);
+            }
+        }
+
+        const strongest = Math.max.apply(null, found.map(partial => partial.magnitude));
+        const partials = [];
+        for (let n = 1; n <= this.harmonics; n++) {
+            const partial = found.find(item => item.number === n);
+            partials.push(partial ? {
+                number: n,
+                frequency: partial.frequency,
+                ideal: n * first.frequency,
+                cents: 1200 * Math.log2(partial.frequency / (n * first.frequency)),
+                level: 20 * Math.log10(partial.magnitude / strongest),
+                detected: true
+            } : {
+                number: n,
+                frequency: 0,
+                ideal: n * first.frequency,
+                cents: 0,
+                level: -Infinity,
+                detected: false
+            });
+        }
+
+        return {
+            fundamental: first.frequency,
+            inharmonicity: found.length >= this.minPartials ? fit.inharmonicity : null,
+            partials: partials
+        };
+    }
+
+    /**
+     * Least squares fit of (f_n / n)² = f0² + f0²·B·n², a straight line in n²
+     * @param {Array<Object>} partials - [{ number, frequency }]
+     * @returns {Object} { base: f0 in Hz, inharmonicity: B } (B = 0 from a single partial)
+     */
+    static fitInharmonicity(partials) {
+        const points = partials.map(partial => ({
+            x: partial.number * partial.number,
+            y: Math.pow(partial.frequency / partial.number, 2)
+        }));
+        const count = points.length;
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / count;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / count;
+
+        let covariance = 0;
+        let variance = 0;
+        points.forEach(point => {
+            covariance += (point.x - meanX) * (point.y - meanY);
+            variance += (point.x - meanX) * (point.x - meanX);
+        });
+
+        const slope = variance > 0 ? covariance / variance : 0;
+        const intercept = meanY - slope * meanX;
+
+        return { base: Math.sqrt(intercept), inharmonicity: slope / intercept };
+    }
+
+    /**
+     * @param {number} base - f0, the fundamental of the ideal flexible string
+     * @param {number} inharmonicity - B
+     * @param {number} number - Partial number, 1 = fundamental
+     * @returns {number} Frequency of the partial in Hz
+     */
+    static partialFrequency(base, inharmonicity, number) {
+        return number * base * Math.sqrt(1 + inharmonicity * number * number);
+    }
+
+    /**
+     * How sharp partial n is against n times the fundamental
+     * @param {number} inharmonicity - B
+     * @param {number} number - Partial number
+     * @returns {number} cents
+     */
+    static stretchCents(inharmonicity, number) {
+        return 600 * Math.log2((1 + inharmonicity * number * number) / (1 + inharmonicity));
+    }
+
+    /**
+     * Stretch tuning: a note tuned to this string by ear (beatless against its partial)
+     * has to be sharper than the equal-tempered interval by these amounts
+     * @param {number} inharmonicity - B
+     * @returns {Object} { octave, twelfth, doubleOctave } in cents
+     */
+    static stretchSuggestion(inharmonicity) {
+        return {
+            octave: HarmonicAnalyzer.stretchCents(inharmonicity, 2),
+            twelfth: HarmonicAnalyzer.stretchCents(inharmonicity, 3),
+            doubleOctave: HarmonicAnalyzer.stretchCents(inharmonicity, 4)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HarmonicAnalyzer };
+}
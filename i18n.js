@@ -0,0 +1,1251 @@
+/**
+ * I18n - Message catalogs, language selection and note naming systems
+ * The language is detected from the browser unless the user has chosen one;
+ * note naming (letters, solfège, German H/B) is a separate setting.
+ * Static page text is marked with data-i18n attributes (see translatePage()).
+ */
+
+const I18N_LANGUAGES = {
+    it: 'Italiano',
+    en: 'English',
+    de: 'Deutsch',
+    es: 'Español'
+};
+
+const DEFAULT_LANGUAGE = 'en'; // For browsers in a language without a catalog
+
+/**
+ * Pitch class names (0 = C) of each naming system
+ */
+const NOTE_NAMINGS = {
+    letters: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+    solfege: ['Do', 'Do#', 'Re', 'Re#', 'Mi', 'Fa', 'Fa#', 'Sol', 'Sol#', 'La', 'La#', 'Si'],
+    // German: B is B flat and H is B natural; sharps take the -is suffix
+    german: ['C', 'Cis', 'D', 'Dis', 'E', 'F', 'Fis', 'G', 'Gis', 'A', 'B', 'H']
+};
+
+/**
+ * Messages by language. Placeholders such as {name} are filled by t().
+ * Italian is the reference catalog: keys missing elsewhere fall back to it.
+ */
+const I18N_MESSAGES = {
+    it: {
+        'app.title': '🎸 Accordatore Chitarra',
+        'app.subtitle': 'Accordatore professionale per chitarra',
+        'settings.reference': 'La4 (Hz)',
+        'settings.temperament': 'Temperamento',
+        'settings.key': 'Tonalità',
+        'settings.algorithm': 'Algoritmo di rilevamento',
+        'settings.display': 'Indicatore',
+        'settings.stabilizer': 'Stabilizzazione',
+        'settings.hold': 'Mantieni lettura (s)',
+        'settings.customOffsets': 'Cents per nota (dalla tonica)',
+        'settings.tolerance': 'Tolleranza (± cents)',
+        'settings.needleRange': 'Scala lancetta (± cents)',
+        'settings.updateInterval': 'Aggiornamento (ms)',
+        'settings.confidence': 'Confidenza minima',
+        'settings.share': '🔗 Link di configurazione',
+        'settings.shareLabel': 'Link di configurazione',
+        'settings.reset': 'Ripristina predefiniti',
+        'settings.confirmReset': 'Riportare le impostazioni ai valori predefiniti, compresi lingua, strumento e ingresso audio? Le accordature personalizzate e lo storico non cambiano.',
+        'settings.resetDone': 'Impostazioni predefinite ripristinate',
+        'settings.linkCopied': 'Link copiato: chi lo apre trova l\'accordatore configurato così',
+        'settings.linkReady': 'Copia il link qui sotto: chi lo apre trova l\'accordatore configurato così',
+        'settings.linkApplied': 'Impostazioni applicate dal link',
+        'settings.linkInvalid': 'Parametri del link non validi, ignorati: {params}',
+        'settings.linkTuning': 'Dal link',
+        'settings.language': 'Lingua',
+        'settings.noteNaming': 'Nomi delle note',
+        'display.needle': 'Lancetta',
+        'display.strobe': 'Stroboscopio',
+        'naming.letters': 'Lettere (C D E)',
+        'naming.solfege': 'Solfeggio (Do Re Mi)',
+        'naming.german': 'Tedesca (H, B)',
+        'temperament.equal': 'Equabile (12-TET)',
+        'temperament.just': 'Naturale (just intonation)',
+        'temperament.meantone': 'Mesotonico 1/4 di comma',
+        'temperament.custom': 'Personalizzato (tabella cents)',
+        'filter.median': 'Mediana',
+        'filter.kalman': 'Kalman',
+        'filter.none': 'Nessuno',
+        'algorithm.autocorrelation': 'Autocorrelazione',
+        'target.label': 'Riferimento della misura',
+        'target.chromatic': 'Cromatico (nota più vicina)',
+        'target.auto': 'Automatico (corda più vicina)',
+        'target.manual': 'Manuale (tocca una corda)',
+        'target.guided': 'Guidato (una corda alla volta)',
+        'target.manualHint': 'Tocca una corda per misurare rispetto a quella',
+        'target.locked': 'Misura bloccata sulla corda {string}',
+        'strum.toggle': 'Modalità strum: controlla tutte le corde con un solo accordo',
+        'strum.detected': '{detected}/{total} corde rilevate',
+        'tuning.title': 'Accordatura {name}',
+        'tuning.select': 'Accordatura',
+        'tuning.new': 'Nuova accordatura',
+        'tuning.delete': 'Elimina accordatura',
+        'tuning.namePlaceholder': 'Nome (es. Open C)',
+        'tuning.notesPlaceholder': 'Note dalla corda grave: C2 G2 C3 G3 C4 E4',
+        'tuning.confirmDelete': 'Eliminare l\'accordatura "{name}"?',
+        'tuning.saved': 'Accordatura "{name}" salvata',
+        'profile.label': 'Tipo di strumento',
+        'profile.guitar-6': 'Chitarra 6 corde',
+        'profile.guitar-7': 'Chitarra 7 corde',
+        'profile.guitar-8': 'Chitarra 8 corde',
+        'profile.bass-4': 'Basso 4 corde',
+        'profile.bass-5': 'Basso 5 corde',
+        'profile.bass-6': 'Basso 6 corde',
+        'profile.ukulele': 'Ukulele',
+        'profile.mandolin': 'Mandolino',
+        'profile.violin': 'Violino',
+        'profile.viola': 'Viola',
+        'profile.cello': 'Violoncello',
+        'profile.double-bass': 'Contrabbasso',
+        'profile.banjo': 'Banjo 5 corde',
+        'tuning.bass5-high-c': 'Do acuto (E A D G C)',
+        'tuning.ukulele-low-g': 'Sol basso (G C E A)',
+        'tuning.ukulele-baritone': 'Baritono (D G B E)',
+        'tuning.double-bass-orchestral': 'Orchestra (E A D G)',
+        'tuning.double-bass-solo': 'Solista (F# B E A)',
+        'tuning.half-step-down': 'Mezzo tono sotto (Eb Ab Db Gb Bb Eb)',
+        'tuning.seven-string': '7 corde (B E A D G B E)',
+        'tuning.twelve-string': '12 corde (coppie in ottava)',
+        'common.save': 'Salva',
+        'common.cancel': 'Annulla',
+        'guided.complete': 'Accordatura completata',
+        'guided.string': 'Corda',
+        'guided.start': 'Partenza',
+        'guided.final': 'Finale',
+        'guided.time': 'Tempo',
+        'guided.restart': 'Ricomincia',
+        'guided.begin': 'Accordatura guidata: inizia dalla corda {string}',
+        'guided.advance': 'Corda {string} accordata! Ora suona la corda {next}',
+        'guided.done': 'Tutte le corde sono accordate!',
+        'intonation.title': 'Controllo intonazione',
+        'intonation.toggle': 'Confronta ogni corda con la nota al 12° tasto',
+        'intonation.reference': 'Riferimento',
+        'intonation.open': 'Corda a vuoto',
+        'intonation.harmonic': 'Armonico al 12° tasto',
+        'intonation.fret12': '12° tasto',
+        'intonation.difference': 'Differenza',
+        'intonation.saddle': 'Sella',
+        'intonation.playOpen': 'Corda {string}: suona la corda a vuoto',
+        'intonation.playHarmonic': 'Corda {string}: suona l\'armonico al 12° tasto',
+        'intonation.playFretted': 'Corda {string}: premi e suona al 12° tasto',
+        'intonation.done': 'Misura completata',
+        'intonation.before': 'prima {cents}',
+        'intonation.measure': 'Misura',
+        'intonation.remeasure': 'Rimisura',
+        'intonation.result': 'Corda {string}: {cents} - {advice}',
+        'intonation.complete': 'Intonazione misurata su tutte le corde. Dopo ogni regolazione premi Rimisura.',
+        'advice.ok': 'Intonata',
+        'advice.away-from-neck': 'Allontana la sella dal manico',
+        'advice.toward-neck': 'Avvicina la sella al manico',
+        'tone.title': 'Nota di riferimento',
+        'tone.note': 'Nota',
+        'tone.voice': 'Suono',
+        'tone.pluck': 'Corda pizzicata',
+        'tone.sine': 'Sinusoide',
+        'tone.drone': 'Bordone',
+        'tone.duration': 'Durata',
+        'tone.continuous': 'Continua',
+        'tone.volume': 'Volume',
+        'tone.play': '🔊 Suona',
+        'tone.stop': '⏹ Ferma',
+        'tone.playString': 'Suona {note}',
+        'input.device': 'Ingresso',
+        'input.default': 'Microfono predefinito',
+        'input.numbered': 'Microfono {number}',
+        'input.gain': 'Guadagno',
+        'input.level': 'Livello di ingresso',
+        'gate.calibrate': 'Calibra rumore',
+        'gate.idle': 'In pausa',
+        'gate.calibrating': 'Calibrazione...',
+        'gate.calibratingProgress': 'Calibrazione {percent}%',
+        'gate.gated': 'Sotto la soglia',
+        'gate.listening': 'In ascolto',
+        'gate.detecting': 'Nota rilevata',
+        'gate.calibrationStart': 'Calibrazione del rumore: resta in silenzio per {seconds} secondi...',
+        'gate.calibrated': 'Rumore di fondo {floor} dB, soglia di rilevamento {threshold} dB',
+        'button.start': 'AVVIA',
+        'button.stop': 'FERMA',
+        'a11y.title': 'Accessibilità',
+        'a11y.speech': 'Guida vocale: pronuncia la nota e lo scostamento',
+        'a11y.beeps': 'Segnali acustici: più acuti se crescente, più gravi se calante',
+        'a11y.vibration': 'Vibrazione quando la corda è intonata',
+        'a11y.string': 'Corda {note}',
+        'a11y.sharpSign': 'diesis',
+        'a11y.inTune': '{note} intonata',
+        'a11y.flat': '{note}, calante di {cents} cents',
+        'a11y.sharp': '{note}, crescente di {cents} cents',
+        'graph.title': 'Andamento dell\'intonazione',
+        'graph.label': 'Grafico dello scostamento in cents negli ultimi secondi',
+        'graph.span': 'Finestra',
+        'graph.range': 'Scala',
+        'graph.freeze': '⏸ Blocca',
+        'graph.resume': '▶ Riprendi',
+        'graph.clear': 'Cancella',
+        'graph.empty': 'Nessuna lettura',
+        'graph.stats': 'Media {mean} cents · stabilità ±{deviation} cents · deriva {drift} cents/s',
+        'graph.vibrato': 'vibrato {rate} Hz ±{depth} cents',
+        'harmonics.title': 'Analisi armonica',
+        'harmonics.hint': 'Premi Analizza e pizzica una corda a vuoto: vengono misurati i primi parziali e l\'inarmonicità',
+        'harmonics.label': 'Livello dei parziali e scostamento dalle armoniche ideali',
+        'harmonics.analyze': 'Analizza corda',
+        'harmonics.pluck': 'Pizzica una corda e lasciala suonare…',
+        'harmonics.recording': 'Ascolto dei parziali…',
+        'harmonics.interrupted': 'Analisi interrotta',
+        'harmonics.notRunning': 'Avvia l\'accordatore per analizzare una corda',
+        'harmonics.notFound': 'Nessun parziale chiaro: pizzica più forte e lascia suonare la corda',
+        'harmonics.partial': 'Parziale',
+        'harmonics.frequency': 'Frequenza',
+        'harmonics.ideal': 'Ideale',
+        'harmonics.deviation': 'Scostamento',
+        'harmonics.level': 'Livello',
+        'harmonics.summary': '{note}: {detected} parziali su {total}, inarmonicità B = {inharmonicity}',
+        'harmonics.fewPartials': '{note}: {detected} parziali su {total}, troppo pochi per stimare l\'inarmonicità',
+        'harmonics.stretch': 'Stretch tuning: per suonare pulite con questa corda, l\'ottava va accordata {octave}, la dodicesima {twelfth} e la doppia ottava {doubleOctave} rispetto al temperamento',
+        'harmonics.health': 'Stato delle corde',
+        'harmonics.healthEmpty': 'Nessuna misura dall\'ultimo cambio corde: analizza le corde per avere un riferimento',
+        'harmonics.healthSummary': '{count} misure',
+        'harmonics.healthSince': '{count} misure dal cambio corde del {date}',
+        'harmonics.count': 'Misure',
+        'harmonics.baseline': 'B iniziale',
+        'harmonics.current': 'B attuale',
+        'harmonics.change': 'Variazione',
+        'harmonics.status': 'Stato',
+        'harmonics.new': 'Riferimento',
+        'harmonics.good': 'Buone',
+        'harmonics.aging': 'Stanno invecchiando',
+        'harmonics.dead': 'Da cambiare',
+        'harmonics.restrung': 'Corde nuove',
+        'harmonics.confirmRestrung': 'Segnare come nuove le corde di "{name}"? Lo stato delle corde verrà misurato da adesso.',
+        'harmonics.restrungDone': 'Corde nuove registrate: analizza ogni corda per il riferimento',
+        'diagnostics.toggle': 'Diagnostica del rilevamento (per sviluppatori)',
+        'diagnostics.waveform': 'Finestra analizzata',
+        'diagnostics.waveformLabel': 'Forma d\'onda dell\'ultima finestra analizzata',
+        'diagnostics.curveLabel': 'Funzione di correlazione per ritardo con il picco scelto',
+        'diagnostics.curve.autocorrelation': 'Autocorrelazione (il picco è il periodo)',
+        'diagnostics.curve.yin': 'Differenza normalizzata di YIN (il minimo è il periodo)',
+        'diagnostics.curve.mpm': 'NSDF di McLeod (il picco è il periodo)',
+        'diagnostics.peak': '{curve}: ritardo {lag} campioni = {frequency} Hz',
+        'diagnostics.rms': 'RMS / soglia',
+        'diagnostics.confidence': 'Confidenza / limite',
+        'diagnostics.timing': 'Elaborazione {mean} ms (max {max} ms) ogni {budget} ms: carico {load}%',
+        'diagnostics.windows': 'Finestre analizzate {windows}, scartate {dropped} ({rate}%)',
+        'diagnostics.capture': '⬇ Cattura questa finestra',
+        'diagnostics.reset': 'Azzera contatori',
+        'diagnostics.noWindow': 'Nessuna finestra da catturare: avvia l\'accordatore',
+        'file.title': 'Analisi di una registrazione',
+        'file.drop': 'Trascina qui un file WAV, MP3 o OGG, oppure tocca per sceglierlo',
+        'file.decoding': 'Decodifica di {file}...',
+        'file.progress': 'Analisi di {file}: {percent}%',
+        'file.summary': '{file}: {seconds} s, {windows} finestre, {voiced} con una nota rilevata',
+        'file.error': 'Impossibile analizzare la registrazione: {error}',
+        'footer.algorithms': 'Accordatore professionale con algoritmi McLeod, YIN e autocorrelazione',
+        'footer.compatibility': 'Compatibile con iPhone Safari, Chrome, Firefox, Edge',
+        'history.title': 'Storico accordature',
+        'history.instrument': 'Strumento',
+        'history.newInstrument': 'Nuovo strumento',
+        'history.renameInstrument': 'Rinomina strumento',
+        'history.deleteInstrument': 'Elimina strumento e storico',
+        'history.namePlaceholder': 'Nome (es. Stratocaster)',
+        'history.defaultInstrument': 'Chitarra',
+        'history.sessions': 'Sessioni',
+        'history.mean': 'Media',
+        'history.last': 'Ultima',
+        'history.duration': 'Tempo medio',
+        'history.trend': 'Tendenza',
+        'history.flat': 'Cala',
+        'history.sharp': 'Cresce',
+        'history.stable': 'Stabile',
+        'history.import': '⬆ Importa',
+        'history.empty': 'Nessuna corda accordata finora con questo strumento',
+        'history.summary': '{entries} corde accordate in {sessions} sessioni',
+        'history.confirmDelete': 'Eliminare lo strumento "{name}" e il suo storico?',
+        'history.imported': '{count} voci importate nello storico',
+        'history.importError': 'Impossibile importare lo storico: {error}',
+        'status.unsupported': 'Il tuo browser non supporta l\'accesso al microfono. Usa Chrome, Firefox, Safari o Edge.',
+        'status.ready': 'Premi AVVIA per iniziare l\'accordatura',
+        'status.initializing': 'Inizializzazione microfono...',
+        'status.playString': 'Suona una corda della chitarra...',
+        'status.strumAll': 'Suona tutte le corde a vuoto insieme...',
+        'status.startError': 'Errore nell\'avvio dell\'accordatore: {error}',
+        'status.stopped': 'Accordatore fermato. Premi AVVIA per ricominciare.',
+        'lifecycle.paused': 'Accordatore in pausa mentre la pagina non è visibile',
+        'lifecycle.resumed': 'Accordatore ripreso',
+        'lifecycle.wakeLockFailed': 'Impossibile tenere acceso lo schermo: lo schermo potrebbe spegnersi durante l\'accordatura',
+        'lifecycle.audioInterrupted': 'Audio interrotto dal sistema, ripristino in corso...',
+        'lifecycle.audioResumed': 'Audio ripristinato',
+        'lifecycle.tapToResume': 'Audio sospeso dal sistema: tocca la pagina per riprendere',
+        'lifecycle.inputLost': 'Ingresso audio scollegato, riapertura in corso...',
+        'lifecycle.inputRestored': 'Ingresso audio riaperto',
+        'lifecycle.inputDefault': 'Ingresso scollegato: uso l\'ingresso predefinito finché non viene ricollegato',
+        'lifecycle.inputBack': 'Ingresso scelto ricollegato',
+        'lifecycle.noInput': 'Nessun ingresso audio disponibile: collega un microfono',
+        'error.reference': 'La frequenza di riferimento deve essere tra 400 e 480 Hz',
+        'error.customOffsets': 'Inserisci 12 valori in cents, dalla tonica alla settima maggiore',
+        'error.holdTime': 'Il tempo di mantenimento deve essere tra 0 e 10 secondi',
+        'error.setting': 'Il valore deve essere tra {min} e {max}',
+        'error.note': 'Nota non valida. Usa ad esempio A4, E2, F#3 o Bb3',
+        'error.tone': 'Impossibile riprodurre la nota di riferimento: {error}',
+        'pwa.offlineReady': 'Disponibile offline',
+        'pwa.updateAvailable': 'È disponibile una nuova versione',
+        'pwa.update': 'Aggiorna',
+        'audio.initialized': 'Microfono inizializzato correttamente',
+        'audio.permissionDenied': 'Accesso al microfono negato. Concedi i permessi per usare l\'accordatore.',
+        'audio.notFound': 'Nessun microfono trovato. Collega un microfono e riprova.',
+        'audio.notReadable': 'Impossibile accedere al microfono. Potrebbe essere in uso da un\'altra app.',
+        'audio.overconstrained': 'Configurazione audio non supportata dal tuo dispositivo.',
+        'audio.notSupported': 'Il tuo browser non supporta l\'accesso al microfono.',
+        'audio.security': 'Errore di sicurezza. Assicurati di usare HTTPS.',
+        'audio.unknown': 'Errore: {error}',
+        'audio.unknownError': 'Errore sconosciuto',
+        'audio.deviceSelected': 'Ingresso selezionato',
+        'audio.deviceChanged': 'Ingresso cambiato correttamente'
+    },
+
+    en: {
+        'app.title': '🎸 Guitar Tuner',
+        'app.subtitle': 'Professional guitar tuner',
+        'settings.reference': 'A4 (Hz)',
+        'settings.temperament': 'Temperament',
+        'settings.key': 'Key',
+        'settings.algorithm': 'Detection algorithm',
+        'settings.display': 'Display',
+        'settings.stabilizer': 'Smoothing',
+        'settings.hold': 'Hold reading (s)',
+        'settings.customOffsets': 'Cents per note (from the tonic)',
+        'settings.tolerance': 'Tolerance (± cents)',
+        'settings.needleRange': 'Needle scale (± cents)',
+        'settings.updateInterval': 'Refresh (ms)',
+        'settings.confidence': 'Minimum confidence',
+        'settings.share': '🔗 Configuration link',
+        'settings.shareLabel': 'Configuration link',
+        'settings.reset': 'Restore defaults',
+        'settings.confirmReset': 'Restore the default settings, including language, instrument and audio input? Custom tunings and history are not changed.',
+        'settings.resetDone': 'Default settings restored',
+        'settings.linkCopied': 'Link copied: whoever opens it gets the tuner set up like this',
+        'settings.linkReady': 'Copy the link below: whoever opens it gets the tuner set up like this',
+        'settings.linkApplied': 'Settings applied from the link',
+        'settings.linkInvalid': 'Invalid link parameters, ignored: {params}',
+        'settings.linkTuning': 'From link',
+        'settings.language': 'Language',
+        'settings.noteNaming': 'Note names',
+        'display.needle': 'Needle',
+        'display.strobe': 'Strobe',
+        'naming.letters': 'Letters (C D E)',
+        'naming.solfege': 'Solfège (Do Re Mi)',
+        'naming.german': 'German (H, B)',
+        'temperament.equal': 'Equal (12-TET)',
+        'temperament.just': 'Just intonation',
+        'temperament.meantone': 'Quarter-comma meantone',
+        'temperament.custom': 'Custom (cents table)',
+        'filter.median': 'Median',
+        'filter.kalman': 'Kalman',
+        'filter.none': 'None',
+        'algorithm.autocorrelation': 'Autocorrelation',
+        'target.label': 'Measure against',
+        'target.chromatic': 'Chromatic (nearest note)',
+        'target.auto': 'Automatic (nearest string)',
+        'target.manual': 'Manual (tap a string)',
+        'target.guided': 'Guided (one string at a time)',
+        'target.manualHint': 'Tap a string to measure against it',
+        'target.locked': 'Measuring against string {string}',
+        'strum.toggle': 'Strum mode: check all strings with a single chord',
+        'strum.detected': '{detected}/{total} strings detected',
+        'tuning.title': '{name} tuning',
+        'tuning.select': 'Tuning',
+        'tuning.new': 'New tuning',
+        'tuning.delete': 'Delete tuning',
+        'tuning.namePlaceholder': 'Name (e.g. Open C)',
+        'tuning.notesPlaceholder': 'Notes from the lowest string: C2 G2 C3 G3 C4 E4',
+        'tuning.confirmDelete': 'Delete the tuning "{name}"?',
+        'tuning.saved': 'Tuning "{name}" saved',
+        'profile.label': 'Instrument type',
+        'profile.guitar-6': '6-string guitar',
+        'profile.guitar-7': '7-string guitar',
+        'profile.guitar-8': '8-string guitar',
+        'profile.bass-4': '4-string bass',
+        'profile.bass-5': '5-string bass',
+        'profile.bass-6': '6-string bass',
+        'profile.ukulele': 'Ukulele',
+        'profile.mandolin': 'Mandolin',
+        'profile.violin': 'Violin',
+        'profile.viola': 'Viola',
+        'profile.cello': 'Cello',
+        'profile.double-bass': 'Double bass',
+        'profile.banjo': '5-string banjo',
+        'tuning.bass5-high-c': 'High C (E A D G C)',
+        'tuning.ukulele-low-g': 'Low G (G C E A)',
+        'tuning.ukulele-baritone': 'Baritone (D G B E)',
+        'tuning.double-bass-orchestral': 'Orchestral (E A D G)',
+        'tuning.double-bass-solo': 'Solo (F# B E A)',
+        'tuning.half-step-down': 'Half step down (Eb Ab Db Gb Bb Eb)',
+        'tuning.seven-string': '7-string (B E A D G B E)',
+        'tuning.twelve-string': '12-string (octave pairs)',
+        'common.save': 'Save',
+        'common.cancel': 'Cancel',
+        'guided.complete': 'Tuning complete',
+        'guided.string': 'String',
+        'guided.start': 'Start',
+        'guided.final': 'Final',
+        'guided.time': 'Time',
+        'guided.restart': 'Restart',
+        'guided.begin': 'Guided tuning: start with string {string}',
+        'guided.advance': 'String {string} in tune! Now play string {next}',
+        'guided.done': 'All strings are in tune!',
+        'intonation.title': 'Intonation check',
+        'intonation.toggle': 'Compare each string with the note at the 12th fret',
+        'intonation.reference': 'Reference',
+        'intonation.open': 'Open string',
+        'intonation.harmonic': '12th-fret harmonic',
+        'intonation.fret12': '12th fret',
+        'intonation.difference': 'Difference',
+        'intonation.saddle': 'Saddle',
+        'intonation.playOpen': 'String {string}: play the open string',
+        'intonation.playHarmonic': 'String {string}: play the 12th-fret harmonic',
+        'intonation.playFretted': 'String {string}: fret and play at the 12th fret',
+        'intonation.done': 'Measurement complete',
+        'intonation.before': 'before {cents}',
+        'intonation.measure': 'Measure',
+        'intonation.remeasure': 'Re-measure',
+        'intonation.result': 'String {string}: {cents} - {advice}',
+        'intonation.complete': 'Intonation measured on all strings. After each adjustment press Re-measure.',
+        'advice.ok': 'Intonated',
+        'advice.away-from-neck': 'Move the saddle away from the neck',
+        'advice.toward-neck': 'Move the saddle toward the neck',
+        'tone.title': 'Reference tone',
+        'tone.note': 'Note',
+        'tone.voice': 'Sound',
+        'tone.pluck': 'Plucked string',
+        'tone.sine': 'Sine',
+        'tone.drone': 'Drone',
+        'tone.duration': 'Duration',
+        'tone.continuous': 'Continuous',
+        'tone.volume': 'Volume',
+        'tone.play': '🔊 Play',
+        'tone.stop': '⏹ Stop',
+        'tone.playString': 'Play {note}',
+        'input.device': 'Input',
+        'input.default': 'Default microphone',
+        'input.numbered': 'Microphone {number}',
+        'input.gain': 'Gain',
+        'input.level': 'Input level',
+        'gate.calibrate': 'Calibrate noise',
+        'gate.idle': 'Paused',
+        'gate.calibrating': 'Calibrating...',
+        'gate.calibratingProgress': 'Calibrating {percent}%',
+        'gate.gated': 'Below the gate',
+        'gate.listening': 'Listening',
+        'gate.detecting': 'Note detected',
+        'gate.calibrationStart': 'Noise calibration: stay silent for {seconds} seconds...',
+        'gate.calibrated': 'Noise floor {floor} dB, detection gate {threshold} dB',
+        'button.start': 'START',
+        'button.stop': 'STOP',
+        'a11y.title': 'Accessibility',
+        'a11y.speech': 'Spoken guidance: says the note and how far off it is',
+        'a11y.beeps': 'Beeps: higher when sharp, lower when flat',
+        'a11y.vibration': 'Vibrate when the string is in tune',
+        'a11y.string': '{note} string',
+        'a11y.sharpSign': 'sharp',
+        'a11y.inTune': '{note} in tune',
+        'a11y.flat': '{note}, {cents} cents flat',
+        'a11y.sharp': '{note}, {cents} cents sharp',
+        'graph.title': 'Pitch history',
+        'graph.label': 'Graph of the deviation in cents over the last seconds',
+        'graph.span': 'Window',
+        'graph.range': 'Scale',
+        'graph.freeze': '⏸ Freeze',
+        'graph.resume': '▶ Resume',
+        'graph.clear': 'Clear',
+        'graph.empty': 'No readings',
+        'graph.stats': 'Mean {mean} cents · steadiness ±{deviation} cents · drift {drift} cents/s',
+        'graph.vibrato': 'vibrato {rate} Hz ±{depth} cents',
+        'harmonics.title': 'Harmonic analysis',
+        'harmonics.hint': 'Press Analyze and pluck an open string: its first partials and inharmonicity are measured',
+        'harmonics.label': 'Level of the partials and deviation from ideal harmonics',
+        'harmonics.analyze': 'Analyze string',
+        'harmonics.pluck': 'Pluck a string and let it ring…',
+        'harmonics.recording': 'Listening to the partials…',
+        'harmonics.interrupted': 'Analysis interrupted',
+        'harmonics.notRunning': 'Start the tuner to analyze a string',
+        'harmonics.notFound': 'No clear partials: pluck harder and let the string ring',
+        'harmonics.partial': 'Partial',
+        'harmonics.frequency': 'Frequency',
+        'harmonics.ideal': 'Ideal',
+        'harmonics.deviation': 'Deviation',
+        'harmonics.level': 'Level',
+        'harmonics.summary': '{note}: {detected} of {total} partials, inharmonicity B = {inharmonicity}',
+        'harmonics.fewPartials': '{note}: {detected} of {total} partials, too few to estimate the inharmonicity',
+        'harmonics.stretch': 'Stretch tuning: to sound clean against this string, tune the octave {octave}, the twelfth {twelfth} and the double octave {doubleOctave} from the temperament',
+        'harmonics.health': 'String health',
+        'harmonics.healthEmpty': 'No measurements since the last restringing: analyze the strings to get a baseline',
+        'harmonics.healthSummary': '{count} measurements',
+        'harmonics.healthSince': '{count} measurements since the strings were changed on {date}',
+        'harmonics.count': 'Measurements',
+        'harmonics.baseline': 'Initial B',
+        'harmonics.current': 'Current B',
+        'harmonics.change': 'Change',
+        'harmonics.status': 'Status',
+        'harmonics.new': 'Baseline',
+        'harmonics.good': 'Good',
+        'harmonics.aging': 'Aging',
+        'harmonics.dead': 'Replace',
+        'harmonics.restrung': 'New strings',
+        'harmonics.confirmRestrung': 'Mark the strings of "{name}" as new? String health will be measured from now on.',
+        'harmonics.restrungDone': 'New strings recorded: analyze each string for the baseline',
+        'diagnostics.toggle': 'Detector diagnostics (for developers)',
+        'diagnostics.waveform': 'Analyzed window',
+        'diagnostics.waveformLabel': 'Waveform of the last analyzed window',
+        'diagnostics.curveLabel': 'Lag correlation function with the chosen peak',
+        'diagnostics.curve.autocorrelation': 'Autocorrelation (the peak is the period)',
+        'diagnostics.curve.yin': 'YIN normalized difference (the dip is the period)',
+        'diagnostics.curve.mpm': 'McLeod NSDF (the peak is the period)',
+        'diagnostics.peak': '{curve}: lag {lag} samples = {frequency} Hz',
+        'diagnostics.rms': 'RMS / threshold',
+        'diagnostics.confidence': 'Confidence / cutoff',
+        'diagnostics.timing': 'Processing {mean} ms (max {max} ms) every {budget} ms: {load}% load',
+        'diagnostics.windows': 'Windows analyzed {windows}, dropped {dropped} ({rate}%)',
+        'diagnostics.capture': '⬇ Capture this window',
+        'diagnostics.reset': 'Reset counters',
+        'diagnostics.noWindow': 'No window to capture: start the tuner',
+        'file.title': 'Recording analysis',
+        'file.drop': 'Drop a WAV, MP3 or OGG file here, or tap to choose one',
+        'file.decoding': 'Decoding {file}...',
+        'file.progress': 'Analyzing {file}: {percent}%',
+        'file.summary': '{file}: {seconds} s, {windows} windows, {voiced} with a detected note',
+        'file.error': 'Unable to analyze the recording: {error}',
+        'footer.algorithms': 'Professional tuner with McLeod, YIN and autocorrelation algorithms',
+        'footer.compatibility': 'Works with iPhone Safari, Chrome, Firefox, Edge',
+        'history.title': 'Tuning history',
+        'history.instrument': 'Instrument',
+        'history.newInstrument': 'New instrument',
+        'history.renameInstrument': 'Rename instrument',
+        'history.deleteInstrument': 'Delete instrument and history',
+        'history.namePlaceholder': 'Name (e.g. Stratocaster)',
+        'history.defaultInstrument': 'Guitar',
+        'history.sessions': 'Sessions',
+        'history.mean': 'Mean',
+        'history.last': 'Last',
+        'history.duration': 'Mean time',
+        'history.trend': 'Tendency',
+        'history.flat': 'Goes flat',
+        'history.sharp': 'Goes sharp',
+        'history.stable': 'Stable',
+        'history.import': '⬆ Import',
+        'history.empty': 'No strings tuned with this instrument yet',
+        'history.summary': '{entries} strings tuned in {sessions} sessions',
+        'history.confirmDelete': 'Delete the instrument "{name}" and its history?',
+        'history.imported': '{count} entries imported into the history',
+        'history.importError': 'Unable to import the history: {error}',
+        'status.unsupported': 'Your browser does not support microphone access. Use Chrome, Firefox, Safari or Edge.',
+        'status.ready': 'Press START to begin tuning',
+        'status.initializing': 'Starting microphone...',
+        'status.playString': 'Play a guitar string...',
+        'status.strumAll': 'Strum all the open strings together...',
+        'status.startError': 'Error starting the tuner: {error}',
+        'status.stopped': 'Tuner stopped. Press START to begin again.',
+        'lifecycle.paused': 'Tuner paused while the page is not visible',
+        'lifecycle.resumed': 'Tuner resumed',
+        'lifecycle.wakeLockFailed': 'Unable to keep the screen on: it may turn off while tuning',
+        'lifecycle.audioInterrupted': 'Audio interrupted by the system, restoring...',
+        'lifecycle.audioResumed': 'Audio restored',
+        'lifecycle.tapToResume': 'Audio suspended by the system: tap the page to resume',
+        'lifecycle.inputLost': 'Audio input disconnected, reopening...',
+        'lifecycle.inputRestored': 'Audio input reopened',
+        'lifecycle.inputDefault': 'Input disconnected: using the default input until it is plugged in again',
+        'lifecycle.inputBack': 'Selected input plugged in again',
+        'lifecycle.noInput': 'No audio input available: connect a microphone',
+        'error.reference': 'The reference frequency must be between 400 and 480 Hz',
+        'error.customOffsets': 'Enter 12 cents values, from the tonic to the major seventh',
+        'error.holdTime': 'The hold time must be between 0 and 10 seconds',
+        'error.setting': 'The value must be between {min} and {max}',
+        'error.note': 'Invalid note. Use for example A4, E2, F#3 or Bb3',
+        'error.tone': 'Unable to play the reference tone: {error}',
+        'pwa.offlineReady': 'Available offline',
+        'pwa.updateAvailable': 'A new version is available',
+        'pwa.update': 'Update',
+        'audio.initialized': 'Microphone ready',
+        'audio.permissionDenied': 'Microphone access denied. Grant permission to use the tuner.',
+        'audio.notFound': 'No microphone found. Connect a microphone and try again.',
+        'audio.notReadable': 'Unable to access the microphone. It may be in use by another app.',
+        'audio.overconstrained': 'Audio configuration not supported by your device.',
+        'audio.notSupported': 'Your browser does not support microphone access.',
+        'audio.security': 'Security error. Make sure you are using HTTPS.',
+        'audio.unknown': 'Error: {error}',
+        'audio.unknownError': 'Unknown error',
+        'audio.deviceSelected': 'Input selected',
+        'audio.deviceChanged': 'Input changed'
+    },
+
+    de: {
+        'app.title': '🎸 Gitarrenstimmgerät',
+        'app.subtitle': 'Professionelles Stimmgerät für Gitarre',
+        'settings.reference': 'A4 (Hz)',
+        'settings.temperament': 'Stimmung',
+        'settings.key': 'Tonart',
+        'settings.algorithm': 'Erkennungsalgorithmus',
+        'settings.display': 'Anzeige',
+        'settings.stabilizer': 'Glättung',
+        'settings.hold': 'Anzeige halten (s)',
+        'settings.customOffsets': 'Cent pro Ton (ab Grundton)',
+        'settings.tolerance': 'Toleranz (± Cent)',
+        'settings.needleRange': 'Nadelskala (± Cent)',
+        'settings.updateInterval': 'Aktualisierung (ms)',
+        'settings.confidence': 'Mindestkonfidenz',
+        'settings.share': '🔗 Konfigurationslink',
+        'settings.shareLabel': 'Konfigurationslink',
+        'settings.reset': 'Standardwerte',
+        'settings.confirmReset': 'Einstellungen einschließlich Sprache, Instrument und Audioeingang auf die Standardwerte zurücksetzen? Eigene Stimmungen und Verlauf bleiben erhalten.',
+        'settings.resetDone': 'Standardeinstellungen wiederhergestellt',
+        'settings.linkCopied': 'Link kopiert: Wer ihn öffnet, erhält das Stimmgerät so eingestellt',
+        'settings.linkReady': 'Kopiere den Link unten: Wer ihn öffnet, erhält das Stimmgerät so eingestellt',
+        'settings.linkApplied': 'Einstellungen aus dem Link übernommen',
+        'settings.linkInvalid': 'Ungültige Link-Parameter ignoriert: {params}',
+        'settings.linkTuning': 'Aus dem Link',
+        'settings.language': 'Sprache',
+        'settings.noteNaming': 'Notennamen',
+        'display.needle': 'Zeiger',
+        'display.strobe': 'Stroboskop',
+        'naming.letters': 'Buchstaben (C D E)',
+        'naming.solfege': 'Solmisation (Do Re Mi)',
+        'naming.german': 'Deutsch (H, B)',
+        'temperament.equal': 'Gleichstufig (12-TET)',
+        'temperament.just': 'Reine Stimmung',
+        'temperament.meantone': 'Mitteltönig (1/4 Komma)',
+        'temperament.custom': 'Eigene (Cent-Tabelle)',
+        'filter.median': 'Median',
+        'filter.kalman': 'Kalman',
+        'filter.none': 'Keine',
+        'algorithm.autocorrelation': 'Autokorrelation',
+        'target.label': 'Messen gegen',
+        'target.chromatic': 'Chromatisch (nächster Ton)',
+        'target.auto': 'Automatisch (nächste Saite)',
+        'target.manual': 'Manuell (Saite antippen)',
+        'target.guided': 'Geführt (eine Saite nach der anderen)',
+        'target.manualHint': 'Tippe auf eine Saite, um gegen sie zu messen',
+        'target.locked': 'Messung fest auf Saite {string}',
+        'strum.toggle': 'Strum-Modus: alle Saiten mit einem Akkord prüfen',
+        'strum.detected': '{detected}/{total} Saiten erkannt',
+        'tuning.title': 'Stimmung {name}',
+        'tuning.select': 'Stimmung',
+        'tuning.new': 'Neue Stimmung',
+        'tuning.delete': 'Stimmung löschen',
+        'tuning.namePlaceholder': 'Name (z. B. Open C)',
+        'tuning.notesPlaceholder': 'Töne ab der tiefsten Saite: C2 G2 C3 G3 C4 E4',
+        'tuning.confirmDelete': 'Stimmung „{name}“ löschen?',
+        'tuning.saved': 'Stimmung „{name}“ gespeichert',
+        'profile.label': 'Instrumententyp',
+        'profile.guitar-6': '6-saitige Gitarre',
+        'profile.guitar-7': '7-saitige Gitarre',
+        'profile.guitar-8': '8-saitige Gitarre',
+        'profile.bass-4': '4-saitiger Bass',
+        'profile.bass-5': '5-saitiger Bass',
+        'profile.bass-6': '6-saitiger Bass',
+        'profile.ukulele': 'Ukulele',
+        'profile.mandolin': 'Mandoline',
+        'profile.violin': 'Violine',
+        'profile.viola': 'Bratsche',
+        'profile.cello': 'Cello',
+        'profile.double-bass': 'Kontrabass',
+        'profile.banjo': '5-saitiges Banjo',
+        'tuning.bass5-high-c': 'Hohes C (E A D G C)',
+        'tuning.ukulele-low-g': 'Tiefes G (G C E A)',
+        'tuning.ukulele-baritone': 'Bariton (D G B E)',
+        'tuning.double-bass-orchestral': 'Orchesterstimmung (E A D G)',
+        'tuning.double-bass-solo': 'Solostimmung (F# B E A)',
+        'tuning.half-step-down': 'Halbton tiefer (Eb Ab Db Gb Bb Eb)',
+        'tuning.seven-string': '7-saitig (B E A D G B E)',
+        'tuning.twelve-string': '12-saitig (Oktavpaare)',
+        'common.save': 'Speichern',
+        'common.cancel': 'Abbrechen',
+        'guided.complete': 'Stimmen abgeschlossen',
+        'guided.string': 'Saite',
+        'guided.start': 'Anfang',
+        'guided.final': 'Ende',
+        'guided.time': 'Zeit',
+        'guided.restart': 'Neu starten',
+        'guided.begin': 'Geführtes Stimmen: beginne mit der Saite {string}',
+        'guided.advance': 'Saite {string} gestimmt! Spiele jetzt die Saite {next}',
+        'guided.done': 'Alle Saiten sind gestimmt!',
+        'intonation.title': 'Oktavreinheit prüfen',
+        'intonation.toggle': 'Jede Saite mit dem Ton am 12. Bund vergleichen',
+        'intonation.reference': 'Referenz',
+        'intonation.open': 'Leersaite',
+        'intonation.harmonic': 'Flageolett am 12. Bund',
+        'intonation.fret12': '12. Bund',
+        'intonation.difference': 'Abweichung',
+        'intonation.saddle': 'Stegeinlage',
+        'intonation.playOpen': 'Saite {string}: spiele die Leersaite',
+        'intonation.playHarmonic': 'Saite {string}: spiele das Flageolett am 12. Bund',
+        'intonation.playFretted': 'Saite {string}: greife und spiele am 12. Bund',
+        'intonation.done': 'Messung abgeschlossen',
+        'intonation.before': 'vorher {cents}',
+        'intonation.measure': 'Messen',
+        'intonation.remeasure': 'Neu messen',
+        'intonation.result': 'Saite {string}: {cents} - {advice}',
+        'intonation.complete': 'Oktavreinheit aller Saiten gemessen. Nach jeder Einstellung „Neu messen“ drücken.',
+        'advice.ok': 'Oktavrein',
+        'advice.away-from-neck': 'Stegeinlage vom Hals weg verschieben',
+        'advice.toward-neck': 'Stegeinlage zum Hals hin verschieben',
+        'tone.title': 'Referenzton',
+        'tone.note': 'Ton',
+        'tone.voice': 'Klang',
+        'tone.pluck': 'Gezupfte Saite',
+        'tone.sine': 'Sinus',
+        'tone.drone': 'Bordun',
+        'tone.duration': 'Dauer',
+        'tone.continuous': 'Dauerton',
+        'tone.volume': 'Lautstärke',
+        'tone.play': '🔊 Abspielen',
+        'tone.stop': '⏹ Stopp',
+        'tone.playString': '{note} abspielen',
+        'input.device': 'Eingang',
+        'input.default': 'Standardmikrofon',
+        'input.numbered': 'Mikrofon {number}',
+        'input.gain': 'Verstärkung',
+        'input.level': 'Eingangspegel',
+        'gate.calibrate': 'Rauschen kalibrieren',
+        'gate.idle': 'Pausiert',
+        'gate.calibrating': 'Kalibrierung...',
+        'gate.calibratingProgress': 'Kalibrierung {percent}%',
+        'gate.gated': 'Unter der Schwelle',
+        'gate.listening': 'Hört zu',
+        'gate.detecting': 'Ton erkannt',
+        'gate.calibrationStart': 'Rauschkalibrierung: {seconds} Sekunden lang still sein...',
+        'gate.calibrated': 'Grundrauschen {floor} dB, Erkennungsschwelle {threshold} dB',
+        'button.start': 'START',
+        'button.stop': 'STOPP',
+        'a11y.title': 'Barrierefreiheit',
+        'a11y.speech': 'Sprachausgabe: sagt den Ton und die Abweichung an',
+        'a11y.beeps': 'Signaltöne: höher wenn zu hoch, tiefer wenn zu tief',
+        'a11y.vibration': 'Vibrieren, wenn die Saite gestimmt ist',
+        'a11y.string': '{note}-Saite',
+        'a11y.sharpSign': 'Kreuz',
+        'a11y.inTune': '{note} gestimmt',
+        'a11y.flat': '{note}, {cents} Cent zu tief',
+        'a11y.sharp': '{note}, {cents} Cent zu hoch',
+        'graph.title': 'Tonhöhenverlauf',
+        'graph.label': 'Verlauf der Abweichung in Cent in den letzten Sekunden',
+        'graph.span': 'Zeitfenster',
+        'graph.range': 'Skala',
+        'graph.freeze': '⏸ Anhalten',
+        'graph.resume': '▶ Fortsetzen',
+        'graph.clear': 'Löschen',
+        'graph.empty': 'Keine Messwerte',
+        'graph.stats': 'Mittel {mean} Cent · Stabilität ±{deviation} Cent · Drift {drift} Cent/s',
+        'graph.vibrato': 'Vibrato {rate} Hz ±{depth} Cent',
+        'harmonics.title': 'Obertonanalyse',
+        'harmonics.hint': 'Analysieren drücken und eine Leersaite zupfen: die ersten Teiltöne und die Inharmonizität werden gemessen',
+        'harmonics.label': 'Pegel der Teiltöne und Abweichung von den idealen Obertönen',
+        'harmonics.analyze': 'Saite analysieren',
+        'harmonics.pluck': 'Eine Saite zupfen und ausklingen lassen…',
+        'harmonics.recording': 'Teiltöne werden aufgenommen…',
+        'harmonics.interrupted': 'Analyse abgebrochen',
+        'harmonics.notRunning': 'Starte das Stimmgerät, um eine Saite zu analysieren',
+        'harmonics.notFound': 'Keine klaren Teiltöne: kräftiger zupfen und die Saite klingen lassen',
+        'harmonics.partial': 'Teilton',
+        'harmonics.frequency': 'Frequenz',
+        'harmonics.ideal': 'Ideal',
+        'harmonics.deviation': 'Abweichung',
+        'harmonics.level': 'Pegel',
+        'harmonics.summary': '{note}: {detected} von {total} Teiltönen, Inharmonizität B = {inharmonicity}',
+        'harmonics.fewPartials': '{note}: {detected} von {total} Teiltönen, zu wenige für die Inharmonizität',
+        'harmonics.stretch': 'Spreizung: damit es mit dieser Saite sauber klingt, die Oktave {octave}, die Duodezime {twelfth} und die Doppeloktave {doubleOctave} gegenüber der Stimmung stimmen',
+        'harmonics.health': 'Zustand der Saiten',
+        'harmonics.healthEmpty': 'Keine Messungen seit dem letzten Saitenwechsel: analysiere die Saiten für einen Referenzwert',
+        'harmonics.healthSummary': '{count} Messungen',
+        'harmonics.healthSince': '{count} Messungen seit dem Saitenwechsel am {date}',
+        'harmonics.count': 'Messungen',
+        'harmonics.baseline': 'B anfangs',
+        'harmonics.current': 'B aktuell',
+        'harmonics.change': 'Änderung',
+        'harmonics.status': 'Zustand',
+        'harmonics.new': 'Referenz',
+        'harmonics.good': 'Gut',
+        'harmonics.aging': 'Lassen nach',
+        'harmonics.dead': 'Wechseln',
+        'harmonics.restrung': 'Neue Saiten',
+        'harmonics.confirmRestrung': 'Die Saiten von „{name}“ als neu markieren? Der Zustand wird ab jetzt gemessen.',
+        'harmonics.restrungDone': 'Neue Saiten vermerkt: analysiere jede Saite für den Referenzwert',
+        'diagnostics.toggle': 'Diagnose der Tonerkennung (für Entwickler)',
+        'diagnostics.waveform': 'Analysiertes Fenster',
+        'diagnostics.waveformLabel': 'Wellenform des zuletzt analysierten Fensters',
+        'diagnostics.curveLabel': 'Korrelationsfunktion über die Verzögerung mit dem gewählten Maximum',
+        'diagnostics.curve.autocorrelation': 'Autokorrelation (das Maximum ist die Periode)',
+        'diagnostics.curve.yin': 'Normierte Differenz von YIN (das Minimum ist die Periode)',
+        'diagnostics.curve.mpm': 'NSDF nach McLeod (das Maximum ist die Periode)',
+        'diagnostics.peak': '{curve}: Verzögerung {lag} Samples = {frequency} Hz',
+        'diagnostics.rms': 'RMS / Schwelle',
+        'diagnostics.confidence': 'Konfidenz / Grenze',
+        'diagnostics.timing': 'Verarbeitung {mean} ms (max. {max} ms) alle {budget} ms: Auslastung {load}%',
+        'diagnostics.windows': 'Analysierte Fenster {windows}, verworfen {dropped} ({rate}%)',
+        'diagnostics.capture': '⬇ Dieses Fenster speichern',
+        'diagnostics.reset': 'Zähler zurücksetzen',
+        'diagnostics.noWindow': 'Kein Fenster zum Speichern: starte das Stimmgerät',
+        'file.title': 'Aufnahme analysieren',
+        'file.drop': 'WAV-, MP3- oder OGG-Datei hier ablegen oder tippen, um eine auszuwählen',
+        'file.decoding': '{file} wird dekodiert...',
+        'file.progress': 'Analyse von {file}: {percent}%',
+        'file.summary': '{file}: {seconds} s, {windows} Fenster, {voiced} mit erkanntem Ton',
+        'file.error': 'Die Aufnahme kann nicht analysiert werden: {error}',
+        'footer.algorithms': 'Professionelles Stimmgerät mit McLeod-, YIN- und Autokorrelationsalgorithmus',
+        'footer.compatibility': 'Funktioniert mit iPhone Safari, Chrome, Firefox, Edge',
+        'history.title': 'Stimmverlauf',
+        'history.instrument': 'Instrument',
+        'history.newInstrument': 'Neues Instrument',
+        'history.renameInstrument': 'Instrument umbenennen',
+        'history.deleteInstrument': 'Instrument und Verlauf löschen',
+        'history.namePlaceholder': 'Name (z. B. Stratocaster)',
+        'history.defaultInstrument': 'Gitarre',
+        'history.sessions': 'Sitzungen',
+        'history.mean': 'Mittel',
+        'history.last': 'Zuletzt',
+        'history.duration': 'Mittlere Zeit',
+        'history.trend': 'Tendenz',
+        'history.flat': 'Sinkt',
+        'history.sharp': 'Steigt',
+        'history.stable': 'Stabil',
+        'history.import': '⬆ Importieren',
+        'history.empty': 'Mit diesem Instrument wurde noch keine Saite gestimmt',
+        'history.summary': '{entries} Saiten in {sessions} Sitzungen gestimmt',
+        'history.confirmDelete': 'Instrument „{name}“ und seinen Verlauf löschen?',
+        'history.imported': '{count} Einträge in den Verlauf importiert',
+        'history.importError': 'Der Verlauf kann nicht importiert werden: {error}',
+        'status.unsupported': 'Dein Browser unterstützt keinen Mikrofonzugriff. Verwende Chrome, Firefox, Safari oder Edge.',
+        'status.ready': 'Drücke START, um mit dem Stimmen zu beginnen',
+        'status.initializing': 'Mikrofon wird gestartet...',
+        'status.playString': 'Spiele eine Gitarrensaite...',
+        'status.strumAll': 'Schlage alle Leersaiten zusammen an...',
+        'status.startError': 'Fehler beim Starten des Stimmgeräts: {error}',
+        'status.stopped': 'Stimmgerät angehalten. Drücke START, um neu zu beginnen.',
+        'lifecycle.paused': 'Stimmgerät pausiert, solange die Seite nicht sichtbar ist',
+        'lifecycle.resumed': 'Stimmgerät fortgesetzt',
+        'lifecycle.wakeLockFailed': 'Der Bildschirm kann nicht eingeschaltet bleiben: er könnte sich beim Stimmen abschalten',
+        'lifecycle.audioInterrupted': 'Audio vom System unterbrochen, wird wiederhergestellt...',
+        'lifecycle.audioResumed': 'Audio wiederhergestellt',
+        'lifecycle.tapToResume': 'Audio vom System angehalten: tippe auf die Seite, um fortzufahren',
+        'lifecycle.inputLost': 'Audioeingang getrennt, wird wieder geöffnet...',
+        'lifecycle.inputRestored': 'Audioeingang wieder geöffnet',
+        'lifecycle.inputDefault': 'Eingang getrennt: der Standardeingang wird verwendet, bis er wieder angeschlossen ist',
+        'lifecycle.inputBack': 'Gewählter Eingang wieder angeschlossen',
+        'lifecycle.noInput': 'Kein Audioeingang verfügbar: schließe ein Mikrofon an',
+        'error.reference': 'Die Referenzfrequenz muss zwischen 400 und 480 Hz liegen',
+        'error.customOffsets': 'Gib 12 Cent-Werte ein, vom Grundton bis zur großen Septime',
+        'error.holdTime': 'Die Haltezeit muss zwischen 0 und 10 Sekunden liegen',
+        'error.setting': 'Der Wert muss zwischen {min} und {max} liegen',
+        'error.note': 'Ungültiger Ton. Verwende z. B. A4, E2, F#3 oder Bb3',
+        'error.tone': 'Der Referenzton kann nicht abgespielt werden: {error}',
+        'pwa.offlineReady': 'Offline verfügbar',
+        'pwa.updateAvailable': 'Eine neue Version ist verfügbar',
+        'pwa.update': 'Aktualisieren',
+        'audio.initialized': 'Mikrofon bereit',
+        'audio.permissionDenied': 'Mikrofonzugriff verweigert. Erteile die Berechtigung, um das Stimmgerät zu verwenden.',
+        'audio.notFound': 'Kein Mikrofon gefunden. Schließe ein Mikrofon an und versuche es erneut.',
+        'audio.notReadable': 'Kein Zugriff auf das Mikrofon. Es wird möglicherweise von einer anderen App verwendet.',
+        'audio.overconstrained': 'Audiokonfiguration wird von deinem Gerät nicht unterstützt.',
+        'audio.notSupported': 'Dein Browser unterstützt keinen Mikrofonzugriff.',
+        'audio.security': 'Sicherheitsfehler. Stelle sicher, dass du HTTPS verwendest.',
+        'audio.unknown': 'Fehler: {error}',
+        'audio.unknownError': 'Unbekannter Fehler',
+        'audio.deviceSelected': 'Eingang ausgewählt',
+        'audio.deviceChanged': 'Eingang gewechselt'
+    },
+
+    es: {
+        'app.title': '🎸 Afinador de guitarra',
+        'app.subtitle': 'Afinador profesional para guitarra',
+        'settings.reference': 'La4 (Hz)',
+        'settings.temperament': 'Temperamento',
+        'settings.key': 'Tonalidad',
+        'settings.algorithm': 'Algoritmo de detección',
+        'settings.display': 'Indicador',
+        'settings.stabilizer': 'Estabilización',
+        'settings.hold': 'Mantener lectura (s)',
+        'settings.customOffsets': 'Cents por nota (desde la tónica)',
+        'settings.tolerance': 'Tolerancia (± cents)',
+        'settings.needleRange': 'Escala de la aguja (± cents)',
+        'settings.updateInterval': 'Actualización (ms)',
+        'settings.confidence': 'Confianza mínima',
+        'settings.share': '🔗 Enlace de configuración',
+        'settings.shareLabel': 'Enlace de configuración',
+        'settings.reset': 'Restaurar valores predeterminados',
+        'settings.confirmReset': '¿Restaurar los ajustes predeterminados, incluidos el idioma, el instrumento y la entrada de audio? Las afinaciones personalizadas y el historial no cambian.',
+        'settings.resetDone': 'Ajustes predeterminados restaurados',
+        'settings.linkCopied': 'Enlace copiado: quien lo abra tendrá el afinador configurado así',
+        'settings.linkReady': 'Copia el enlace de abajo: quien lo abra tendrá el afinador configurado así',
+        'settings.linkApplied': 'Ajustes aplicados desde el enlace',
+        'settings.linkInvalid': 'Parámetros del enlace no válidos, ignorados: {params}',
+        'settings.linkTuning': 'Del enlace',
+        'settings.language': 'Idioma',
+        'settings.noteNaming': 'Nombres de las notas',
+        'display.needle': 'Aguja',
+        'display.strobe': 'Estroboscopio',
+        'naming.letters': 'Letras (C D E)',
+        'naming.solfege': 'Solfeo (Do Re Mi)',
+        'naming.german': 'Alemana (H, B)',
+        'temperament.equal': 'Igual (12-TET)',
+        'temperament.just': 'Entonación justa',
+        'temperament.meantone': 'Mesotónico de 1/4 de coma',
+        'temperament.custom': 'Personalizado (tabla de cents)',
+        'filter.median': 'Mediana',
+        'filter.kalman': 'Kalman',
+        'filter.none': 'Ninguno',
+        'algorithm.autocorrelation': 'Autocorrelación',
+        'target.label': 'Medir respecto a',
+        'target.chromatic': 'Cromático (nota más cercana)',
+        'target.auto': 'Automático (cuerda más cercana)',
+        'target.manual': 'Manual (toca una cuerda)',
+        'target.guided': 'Guiado (una cuerda a la vez)',
+        'target.manualHint': 'Toca una cuerda para medir respecto a ella',
+        'target.locked': 'Medición fijada en la cuerda {string}',
+        'strum.toggle': 'Modo rasgueo: comprueba todas las cuerdas con un solo acorde',
+        'strum.detected': '{detected}/{total} cuerdas detectadas',
+        'tuning.title': 'Afinación {name}',
+        'tuning.select': 'Afinación',
+        'tuning.new': 'Nueva afinación',
+        'tuning.delete': 'Eliminar afinación',
+        'tuning.namePlaceholder': 'Nombre (p. ej. Open C)',
+        'tuning.notesPlaceholder': 'Notas desde la cuerda más grave: C2 G2 C3 G3 C4 E4',
+        'tuning.confirmDelete': '¿Eliminar la afinación "{name}"?',
+        'tuning.saved': 'Afinación "{name}" guardada',
+        'profile.label': 'Tipo de instrumento',
+        'profile.guitar-6': 'Guitarra de 6 cuerdas',
+        'profile.guitar-7': 'Guitarra de 7 cuerdas',
+        'profile.guitar-8': 'Guitarra de 8 cuerdas',
+        'profile.bass-4': 'Bajo de 4 cuerdas',
+        'profile.bass-5': 'Bajo de 5 cuerdas',
+        'profile.bass-6': 'Bajo de 6 cuerdas',
+        'profile.ukulele': 'Ukelele',
+        'profile.mandolin': 'Mandolina',
+        'profile.violin': 'Violín',
+        'profile.viola': 'Viola',
+        'profile.cello': 'Violonchelo',
+        'profile.double-bass': 'Contrabajo',
+        'profile.banjo': 'Banjo de 5 cuerdas',
+        'tuning.bass5-high-c': 'Do agudo (E A D G C)',
+        'tuning.ukulele-low-g': 'Sol grave (G C E A)',
+        'tuning.ukulele-baritone': 'Barítono (D G B E)',
+        'tuning.double-bass-orchestral': 'Orquesta (E A D G)',
+        'tuning.double-bass-solo': 'Solista (F# B E A)',
+        'tuning.half-step-down': 'Medio tono abajo (Eb Ab Db Gb Bb Eb)',
+        'tuning.seven-string': '7 cuerdas (B E A D G B E)',
+        'tuning.twelve-string': '12 cuerdas (pares en octava)',
+        'common.save': 'Guardar',
+        'common.cancel': 'Cancelar',
+        'guided.complete': 'Afinación completada',
+        'guided.string': 'Cuerda',
+        'guided.start': 'Inicio',
+        'guided.final': 'Final',
+        'guided.time': 'Tiempo',
+        'guided.restart': 'Reiniciar',
+        'guided.begin': 'Afinación guiada: empieza por la cuerda {string}',
+        'guided.advance': '¡Cuerda {string} afinada! Ahora toca la cuerda {next}',
+        'guided.done': '¡Todas las cuerdas están afinadas!',
+        'intonation.title': 'Comprobación de la octavación',
+        'intonation.toggle': 'Compara cada cuerda con la nota del traste 12',
+        'intonation.reference': 'Referencia',
+        'intonation.open': 'Cuerda al aire',
+        'intonation.harmonic': 'Armónico en el traste 12',
+        'intonation.fret12': 'Traste 12',
+        'intonation.difference': 'Diferencia',
+        'intonation.saddle': 'Selleta',
+        'intonation.playOpen': 'Cuerda {string}: toca la cuerda al aire',
+        'intonation.playHarmonic': 'Cuerda {string}: toca el armónico en el traste 12',
+        'intonation.playFretted': 'Cuerda {string}: pisa y toca en el traste 12',
+        'intonation.done': 'Medición completada',
+        'intonation.before': 'antes {cents}',
+        'intonation.measure': 'Medir',
+        'intonation.remeasure': 'Volver a medir',
+        'intonation.result': 'Cuerda {string}: {cents} - {advice}',
+        'intonation.complete': 'Octavación medida en todas las cuerdas. Tras cada ajuste pulsa Volver a medir.',
+        'advice.ok': 'Octavada',
+        'advice.away-from-neck': 'Aleja la selleta del mástil',
+        'advice.toward-neck': 'Acerca la selleta al mástil',
+        'tone.title': 'Nota de referencia',
+        'tone.note': 'Nota',
+        'tone.voice': 'Sonido',
+        'tone.pluck': 'Cuerda pulsada',
+        'tone.sine': 'Sinusoide',
+        'tone.drone': 'Bordón',
+        'tone.duration': 'Duración',
+        'tone.continuous': 'Continua',
+        'tone.volume': 'Volumen',
+        'tone.play': '🔊 Tocar',
+        'tone.stop': '⏹ Parar',
+        'tone.playString': 'Tocar {note}',
+        'input.device': 'Entrada',
+        'input.default': 'Micrófono predeterminado',
+        'input.numbered': 'Micrófono {number}',
+        'input.gain': 'Ganancia',
+        'input.level': 'Nivel de entrada',
+        'gate.calibrate': 'Calibrar ruido',
+        'gate.idle': 'En pausa',
+        'gate.calibrating': 'Calibrando...',
+        'gate.calibratingProgress': 'Calibrando {percent}%',
+        'gate.gated': 'Bajo el umbral',
+        'gate.listening': 'Escuchando',
+        'gate.detecting': 'Nota detectada',
+        'gate.calibrationStart': 'Calibración del ruido: guarda silencio durante {seconds} segundos...',
+        'gate.calibrated': 'Ruido de fondo {floor} dB, umbral de detección {threshold} dB',
+        'button.start': 'INICIAR',
+        'button.stop': 'DETENER',
+        'a11y.title': 'Accesibilidad',
+        'a11y.speech': 'Guía por voz: dice la nota y la desviación',
+        'a11y.beeps': 'Pitidos: más agudos si está alta, más graves si está baja',
+        'a11y.vibration': 'Vibrar cuando la cuerda está afinada',
+        'a11y.string': 'Cuerda {note}',
+        'a11y.sharpSign': 'sostenido',
+        'a11y.inTune': '{note} afinada',
+        'a11y.flat': '{note}, {cents} cents baja',
+        'a11y.sharp': '{note}, {cents} cents alta',
+        'graph.title': 'Historial de afinación',
+        'graph.label': 'Gráfico de la desviación en cents en los últimos segundos',
+        'graph.span': 'Ventana',
+        'graph.range': 'Escala',
+        'graph.freeze': '⏸ Congelar',
+        'graph.resume': '▶ Reanudar',
+        'graph.clear': 'Borrar',
+        'graph.empty': 'Sin lecturas',
+        'graph.stats': 'Media {mean} cents · estabilidad ±{deviation} cents · deriva {drift} cents/s',
+        'graph.vibrato': 'vibrato {rate} Hz ±{depth} cents',
+        'harmonics.title': 'Análisis armónico',
+        'harmonics.hint': 'Pulsa Analizar y toca una cuerda al aire: se miden sus primeros parciales y la inarmonicidad',
+        'harmonics.label': 'Nivel de los parciales y desviación de los armónicos ideales',
+        'harmonics.analyze': 'Analizar cuerda',
+        'harmonics.pluck': 'Toca una cuerda y déjala sonar…',
+        'harmonics.recording': 'Escuchando los parciales…',
+        'harmonics.interrupted': 'Análisis interrumpido',
+        'harmonics.notRunning': 'Inicia el afinador para analizar una cuerda',
+        'harmonics.notFound': 'No hay parciales claros: toca más fuerte y deja sonar la cuerda',
+        'harmonics.partial': 'Parcial',
+        'harmonics.frequency': 'Frecuencia',
+        'harmonics.ideal': 'Ideal',
+        'harmonics.deviation': 'Desviación',
+        'harmonics.level': 'Nivel',
+        'harmonics.summary': '{note}: {detected} de {total} parciales, inarmonicidad B = {inharmonicity}',
+        'harmonics.fewPartials': '{note}: {detected} de {total} parciales, demasiado pocos para estimar la inarmonicidad',
+        'harmonics.stretch': 'Afinación estirada: para sonar limpio con esta cuerda, afina la octava {octave}, la duodécima {twelfth} y la doble octava {doubleOctave} respecto al temperamento',
+        'harmonics.health': 'Estado de las cuerdas',
+        'harmonics.healthEmpty': 'Sin mediciones desde el último cambio de cuerdas: analiza las cuerdas para tener una referencia',
+        'harmonics.healthSummary': '{count} mediciones',
+        'harmonics.healthSince': '{count} mediciones desde el cambio de cuerdas del {date}',
+        'harmonics.count': 'Mediciones',
+        'harmonics.baseline': 'B inicial',
+        'harmonics.current': 'B actual',
+        'harmonics.change': 'Variación',
+        'harmonics.status': 'Estado',
+        'harmonics.new': 'Referencia',
+        'harmonics.good': 'Buenas',
+        'harmonics.aging': 'Envejeciendo',
+        'harmonics.dead': 'Cambiar',
+        'harmonics.restrung': 'Cuerdas nuevas',
+        'harmonics.confirmRestrung': '¿Marcar como nuevas las cuerdas de "{name}"? Su estado se medirá a partir de ahora.',
+        'harmonics.restrungDone': 'Cuerdas nuevas registradas: analiza cada cuerda para la referencia',
+        'diagnostics.toggle': 'Diagnóstico de la detección (para desarrolladores)',
+        'diagnostics.waveform': 'Ventana analizada',
+        'diagnostics.waveformLabel': 'Forma de onda de la última ventana analizada',
+        'diagnostics.curveLabel': 'Función de correlación por retardo con el pico elegido',
+        'diagnostics.curve.autocorrelation': 'Autocorrelación (el pico es el periodo)',
+        'diagnostics.curve.yin': 'Diferencia normalizada de YIN (el mínimo es el periodo)',
+        'diagnostics.curve.mpm': 'NSDF de McLeod (el pico es el periodo)',
+        'diagnostics.peak': '{curve}: retardo {lag} muestras = {frequency} Hz',
+        'diagnostics.rms': 'RMS / umbral',
+        'diagnostics.confidence': 'Confianza / límite',
+        'diagnostics.timing': 'Procesamiento {mean} ms (máx. {max} ms) cada {budget} ms: carga {load}%',
+        'diagnostics.windows': 'Ventanas analizadas {windows}, descartadas {dropped} ({rate}%)',
+        'diagnostics.capture': '⬇ Capturar esta ventana',
+        'diagnostics.reset': 'Reiniciar contadores',
+        'diagnostics.noWindow': 'No hay ventana que capturar: inicia el afinador',
+        'file.title': 'Análisis de una grabación',
+        'file.drop': 'Arrastra aquí un archivo WAV, MP3 u OGG, o toca para elegirlo',
+        'file.decoding': 'Decodificando {file}...',
+        'file.progress': 'Analizando {file}: {percent}%',
+        'file.summary': '{file}: {seconds} s, {windows} ventanas, {voiced} con una nota detectada',
+        'file.error': 'No se puede analizar la grabación: {error}',
+        'footer.algorithms': 'Afinador profesional con algoritmos McLeod, YIN y autocorrelación',
+        'footer.compatibility': 'Compatible con iPhone Safari, Chrome, Firefox, Edge',
+        'history.title': 'Historial de afinaciones',
+        'history.instrument': 'Instrumento',
+        'history.newInstrument': 'Nuevo instrumento',
+        'history.renameInstrument': 'Renombrar instrumento',
+        'history.deleteInstrument': 'Eliminar instrumento e historial',
+        'history.namePlaceholder': 'Nombre (p. ej. Stratocaster)',
+        'history.defaultInstrument': 'Guitarra',
+        'history.sessions': 'Sesiones',
+        'history.mean': 'Media',
+        'history.last': 'Última',
+        'history.duration': 'Tiempo medio',
+        'history.trend': 'Tendencia',
+        'history.flat': 'Baja',
+        'history.sharp': 'Sube',
+        'history.stable': 'Estable',
+        'history.import': '⬆ Importar',
+        'history.empty': 'Aún no se ha afinado ninguna cuerda con este instrumento',
+        'history.summary': '{entries} cuerdas afinadas en {sessions} sesiones',
+        'history.confirmDelete': '¿Eliminar el instrumento "{name}" y su historial?',
+        'history.imported': '{count} entradas importadas al historial',
+        'history.importError': 'No se puede importar el historial: {error}',
+        'status.unsupported': 'Tu navegador no permite el acceso al micrófono. Usa Chrome, Firefox, Safari o Edge.',
+        'status.ready': 'Pulsa INICIAR para empezar a afinar',
+        'status.initializing': 'Iniciando el micrófono...',
+        'status.playString': 'Toca una cuerda de la guitarra...',
+        'status.strumAll': 'Rasguea todas las cuerdas al aire a la vez...',
+        'status.startError': 'Error al iniciar el afinador: {error}',
+        'status.stopped': 'Afinador detenido. Pulsa INICIAR para volver a empezar.',
+        'lifecycle.paused': 'Afinador en pausa mientras la página no está visible',
+        'lifecycle.resumed': 'Afinador reanudado',
+        'lifecycle.wakeLockFailed': 'No se puede mantener la pantalla encendida: podría apagarse durante la afinación',
+        'lifecycle.audioInterrupted': 'Audio interrumpido por el sistema, restableciendo...',
+        'lifecycle.audioResumed': 'Audio restablecido',
+        'lifecycle.tapToResume': 'Audio suspendido por el sistema: toca la página para reanudar',
+        'lifecycle.inputLost': 'Entrada de audio desconectada, reabriendo...',
+        'lifecycle.inputRestored': 'Entrada de audio reabierta',
+        'lifecycle.inputDefault': 'Entrada desconectada: se usa la entrada predeterminada hasta que se vuelva a conectar',
+        'lifecycle.inputBack': 'Entrada elegida conectada de nuevo',
+        'lifecycle.noInput': 'No hay ninguna entrada de audio: conecta un micrófono',
+        'error.reference': 'La frecuencia de referencia debe estar entre 400 y 480 Hz',
+        'error.customOffsets': 'Introduce 12 valores en cents, de la tónica a la séptima mayor',
+        'error.holdTime': 'El tiempo de mantenimiento debe estar entre 0 y 10 segundos',
+        'error.setting': 'El valor debe estar entre {min} y {max}',
+        'error.note': 'Nota no válida. Usa por ejemplo A4, E2, F#3 o Bb3',
+        'error.tone': 'No se puede reproducir la nota de referencia: {error}',
+        'pwa.offlineReady': 'Disponible sin conexión',
+        'pwa.updateAvailable': 'Hay una nueva versión disponible',
+        'pwa.update': 'Actualizar',
+        'audio.initialized': 'Micrófono listo',
+        'audio.permissionDenied': 'Acceso al micrófono denegado. Concede el permiso para usar el afinador.',
+        'audio.notFound': 'No se ha encontrado ningún micrófono. Conecta un micrófono e inténtalo de nuevo.',
+        'audio.notReadable': 'No se puede acceder al micrófono. Puede que otra app lo esté usando.',
+        'audio.overconstrained': 'Configuración de audio no compatible con tu dispositivo.',
+        'audio.notSupported': 'Tu navegador no permite el acceso al micrófono.',
+        'audio.security': 'Error de seguridad. Asegúrate de usar HTTPS.',
+        'audio.unknown': 'Error: {error}',
+        'audio.unknownError': 'Error desconocido',
+        'audio.deviceSelected': 'Entrada seleccionada',
+        'audio.deviceChanged': 'Entrada cambiada'
+    }
+};
+
+class I18n {
+    /**
+     * @param {Storage|null} storage - Where the language and note naming choices are kept (null: not kept)
+     * @param {Array<string>} browserLanguages - e.g. navigator.languages
+     */
+    constructor(storage, browserLanguages = []) {
+        this.storage = storage;
+
+        const savedLanguage = storage ? storage.getItem(I18n.STORAGE_KEY_LANGUAGE) : null;
+        this.language = I18N_MESSAGES[savedLanguage] ? savedLanguage : I18n.detectLanguage(browserLanguages);
+
+        const savedNaming = storage ? storage.getItem(I18n.STORAGE_KEY_NOTE_NAMING) : null;
+        this.noteNaming = NOTE_NAMINGS[savedNaming] ? savedNaming : 'letters';
+    }
+
+    /**
+     * Picks the first browser language with a catalog ('de-AT' matches 'de')
+     * @param {Array<string>} languages
+     * @returns {string}
+     */
+    static detectLanguage(languages) {
+        for (const language of languages) {
+            const primary = String(language).toLowerCase().split('-')[0];
+            if (I18N_MESSAGES[primary]) {
+                return primary;
+            }
+        }
+
+        return DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * @param {string} language - One of the I18N_LANGUAGES keys
+     */
+    setLanguage(language) {
+        if (!I18N_MESSAGES[language]) {
+            throw new Error(`Lingua sconosciuta: ${language}`);
+        }
+
+        this.language = language;
+        if (this.storage) {
+            this.storage.setItem(I18n.STORAGE_KEY_LANGUAGE, language);
+        }
+    }
+
+    /**
+     * @param {string} naming - 'letters', 'solfege' or 'german'
+     */
+    setNoteNaming(naming) {
+        if (!NOTE_NAMINGS[naming]) {
+            throw new Error(`Sistema di nomi sconosciuto: ${naming}`);
+        }
+
+        this.noteNaming = naming;
+        if (this.storage) {
+            this.storage.setItem(I18n.STORAGE_KEY_NOTE_NAMING, naming);
+        }
+    }
+
+    /**
+     * Whether a message exists in the current or the reference catalog
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return key in I18N_MESSAGES[this.language] || key in I18N_MESSAGES.it;
+    }
+
+    /**
+     * Translates a message
+     * @param {string} key
+     * @param {Object} params - Values for the {placeholders}
+     * @returns {string} The message, or the key itself if no catalog has it
+     */
+    t(key, params = {}) {
+        const catalog = I18N_MESSAGES[this.language];
+        const message = key in catalog ? catalog[key] : (key in I18N_MESSAGES.it ? I18N_MESSAGES.it[key] : key);
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Translates the static text of the page:
+     * data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-aria-label
+     * @param {Document|Element} root
+     */
+    translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    /**
+     * Names a pitch class in the selected naming system
+     * @param {number} pitchClass - 0 = C ... 11 = B
+     * @returns {string}
+     */
+    formatPitchClass(pitchClass) {
+        return NOTE_NAMINGS[this.noteNaming][((pitchClass % 12) + 12) % 12];
+    }
+
+    /**
+     * Names a note with its octave in the selected naming system (e.g. E2, Mi2)
+     * @param {number} midiNote
+     * @returns {string}
+     */
+    formatNote(midiNote) {
+        return this.formatPitchClass(midiNote) + (Math.floor(midiNote / 12) - 1);
+    }
+}
+
+I18n.STORAGE_KEY_LANGUAGE = 'accordatore.language';
+I18n.STORAGE_KEY_NOTE_NAMING = 'accordatore.noteNaming';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, I18N_LANGUAGES, I18N_MESSAGES, NOTE_NAMINGS };
+}
@@ -0,0 +1,184 @@
+/**
+ * InstrumentProfiles - Instruments the tuner can be set up for
+ * Each profile has its own tunings, the frequency range searched by the detector and
+ * the length of the analysis window: low instruments need a longer window (the
+ * detectors compare the signal with itself shifted by up to one period of the lowest
+ * note, YIN over half the window), high ones answer faster with a shorter one.
+ * Strings are listed as in TUNING_PRESETS, from the lowest (thickest) to the highest,
+ * except for re-entrant tunings (ukulele, banjo) that follow the order on the neck.
+ */
+
+// A global in the page, a module in Node
+const GUITAR_PRESETS = typeof TUNING_PRESETS !== 'undefined'
+    ? TUNING_PRESETS
+    : require('./tunings.js').TUNING_PRESETS;
+
+/**
+ * @param {Array<string>} ids
+ * @returns {Array<Object>} The guitar presets with these ids
+ */
+function guitarPresets(ids) {
+    return GUITAR_PRESETS.filter(tuning => ids.indexOf(tuning.id) !== -1);
+}
+
+const INSTRUMENT_PROFILES = [
+    {
+        id: 'guitar-6',
+        name: 'Chitarra 6 corde',
+        minFrequency: 60,
+        maxFrequency: 1500,
+        bufferSize: 4096,
+        tunings: guitarPresets(['standard', 'drop-d', 'dadgad', 'open-g', 'open-d', 'half-step-down', 'twelve-string'])
+    },
+    {
+        id: 'guitar-7',
+        name: 'Chitarra 7 corde',
+        minFrequency: 45,
+        maxFrequency: 1500,
+        bufferSize: 4096,
+        tunings: guitarPresets(['seven-string']).concat([
+            { id: 'seven-string-drop-a', name: 'Drop A (A E A D G B E)', strings: ['A1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] }
+        ])
+    },
+    {
+        id: 'guitar-8',
+        name: 'Chitarra 8 corde',
+        minFrequency: 35,
+        maxFrequency: 1500,
+        bufferSize: 8192,
+        tunings: [
+            { id: 'eight-string', name: 'Standard (F# B E A D G B E)', strings: ['F#1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+            { id: 'eight-string-drop-e', name: 'Drop E (E B E A D G B E)', strings: ['E1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] }
+        ]
+    },
+    {
+        id: 'bass-4',
+        name: 'Basso 4 corde',
+        minFrequency: 30,
+        maxFrequency: 500,
+        bufferSize: 8192,
+        tunings: [
+            { id: 'bass-standard', name: 'Standard (E A D G)', strings: ['E1', 'A1', 'D2', 'G2'] },
+            { id: 'bass-drop-d', name: 'Drop D (D A D G)', strings: ['D1', 'A1', 'D2', 'G2'] }
+        ]
+    },
+    {
+        id: 'bass-5',
+        name: 'Basso 5 corde',
+        minFrequency: 25,
+        maxFrequency: 500,
+        bufferSize: 8192,
+        tunings: [
+            { id: 'bass5-standard', name: 'Standard (B E A D G)', strings: ['B0', 'E1', 'A1', 'D2', 'G2'] },
+            { id: 'bass5-high-c', name: 'Do acuto (E A D G C)', strings: ['E1', 'A1', 'D2', 'G2', 'C3'] }
+        ]
+    },
+    {
+        id: 'bass-6',
+        name: 'Basso 6 corde',
+        minFrequency: 25,
+        maxFrequency: 600,
+        bufferSize: 8192,
+        tunings: [
+            { id: 'bass6-standard', name: 'Standard (B E A D G C)', strings: ['B0', 'E1', 'A1', 'D2', 'G2', 'C3'] }
+        ]
+    },
+    {
+        id: 'ukulele',
+        name: 'Ukulele',
+        minFrequency: 120,
+        maxFrequency: 2000,
+        bufferSize: 2048,
+        tunings: [
+            { id: 'ukulele-standard', name: 'Standard (G C E A)', strings: ['G4', 'C4', 'E4', 'A4'] },
+            { id: 'ukulele-low-g', name: 'Sol basso (G C E A)', strings: ['G3', 'C4', 'E4', 'A4'] },
+            { id: 'ukulele-baritone', name: 'Baritono (D G B E)', strings: ['D3', 'G3', 'B3', 'E4'] }
+        ]
+    },
+    {
+        id: 'mandolin',
+        name: 'Mandolino',
+        minFrequency: 150,
+        maxFrequency: 2500,
+        bufferSize: 2048,
+        tunings: [
+            { id: 'mandolin-standard', name: 'Standard (G D A E)', strings: ['G3', 'D4', 'A4', 'E5'] }
+        ]
+    },
+    {
+        id: 'violin',
+        name: 'Violino',
+        minFrequency: 150,
+        maxFrequency: 2500,
+        bufferSize: 2048,
+        tunings: [
+            { id: 'violin-standard', name: 'Standard (G D A E)', strings: ['G3', 'D4', 'A4', 'E5'] }
+        ]
+    },
+    {
+        id: 'viola',
+        name: 'Viola',
+        minFrequency: 100,
+        maxFrequency: 2000,
+        bufferSize: 2048,
+        tunings: [
+            { id: 'viola-standard', name: 'Standard (C G D A)', strings: ['C3', 'G3', 'D4', 'A4'] }
+        ]
+    },
+    {
+        id: 'cello',
+        name: 'Violoncello',
+        minFrequency: 55,
+        maxFrequency: 1200,
+        bufferSize: 4096,
+        tunings: [
+            { id: 'cello-standard', name: 'Standard (C G D A)', strings: ['C2', 'G2', 'D3', 'A3'] }
+        ]
+    },
+    {
+        id: 'double-bass',
+        name: 'Contrabbasso',
+        minFrequency: 30,
+        maxFrequency: 500,
+        bufferSize: 8192,
+        tunings: [
+            { id: 'double-bass-orchestral', name: 'Orchestra (E A D G)', strings: ['E1', 'A1', 'D2', 'G2'] },
+            { id: 'double-bass-solo', name: 'Solista (F# B E A)', strings: ['F#1', 'B1', 'E2', 'A2'] }
+        ]
+    },
+    {
+        id: 'banjo',
+        name: 'Banjo 5 corde',
+        minFrequency: 110,
+        maxFrequency: 2000,
+        bufferSize: 2048,
+        tunings: [
+            { id: 'banjo-open-g', name: 'Open G (G D G B D)', strings: ['G4', 'D3', 'G3', 'B3', 'D4'] },
+            { id: 'banjo-double-c', name: 'Double C (G C G C D)', strings: ['G4', 'C3', 'G3', 'C4', 'D4'] }
+        ]
+    }
+];
+
+class InstrumentProfiles {
+    /**
+     * Finds a profile by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    static get(id) {
+        return INSTRUMENT_PROFILES.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Finds the profile a preset tuning belongs to
+     * @param {string} tuningId
+     * @returns {Object|null}
+     */
+    static forTuning(tuningId) {
+        return INSTRUMENT_PROFILES.find(profile => profile.tunings.some(tuning => tuning.id === tuningId)) || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InstrumentProfiles, INSTRUMENT_PROFILES };
+}
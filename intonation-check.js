@@ -0,0 +1,215 @@
+/**
+ * IntonationCheck - Guided intonation check for the guitar setup
+ * For each string, records a stable reading of the reference (open string or 12th-fret
+ * harmonic), then of the note fretted at the 12th fret, and reports how far the fretted
+ * note is from the octave and which way the saddle should move.
+ * DOM-free; readings and timestamps (ms) are passed in.
+ */
+class IntonationCheck {
+    constructor(holdTime = 1500) {
+        this.strings = []; // [{ index, note, midiNote, frequency }] from lowest to highest
+        this.referenceKind = 'open'; // 'open' or 'harmonic'
+        this.holdTime = holdTime; // ms a reading must stay steady to be recorded
+        this.stabilityCents = 3; // Maximum wobble of a steady reading
+        this.searchCents = 100; // Readings further than this from the expected note are ignored
+        this.inTuneCents = 2; // Fretted octave within this is considered intonated
+        this.maxGap = 300; // ms without readings after which the steady window restarts
+        this.newNoteGap = 60; // ms without readings that mark a new pluck (e.g. the stabilizer's attack gate)
+        this.onCapture = null; // (step, string, frequency) when a reading is recorded
+        this.onResult = null; // (result) when a string has been measured
+        this.onComplete = null; // (results) when every string has a result
+        this.setStrings([]);
+    }
+
+    /**
+     * Sets the strings of the current tuning and clears the table
+     * @param {Array<Object>} strings
+     */
+    setStrings(strings) {
+        this.strings = strings;
+        this.results = strings.map(() => null);
+        this.select(0);
+    }
+
+    /**
+     * @param {string} kind - 'open' (open string) or 'harmonic' (12th-fret harmonic)
+     */
+    setReferenceKind(kind) {
+        if (IntonationCheck.REFERENCE_KINDS.indexOf(kind) < 0) {
+            throw new Error(`Riferimento sconosciuto: ${kind}`);
+        }
+
+        this.referenceKind = kind;
+        this.select(this.stringIndex);
+    }
+
+    /**
+     * Starts (or restarts, after a saddle adjustment) the measurement of a string
+     * @param {number} index - Index in the strings array
+     */
+    select(index) {
+        this.stringIndex = Math.max(0, Math.min(index, this.strings.length - 1));
+        this.step = 'reference'; // 'reference', then 'fretted'
+        this.referenceFrequency = null;
+        this.waitingForPluck = false;
+        this.lastReadingTime = null;
+        this.resetWindow();
+    }
+
+    /**
+     * Forgets the readings of the steady window
+     */
+    resetWindow() {
+        this.window = []; // Readings in cents from the expected frequency
+        this.windowStart = null;
+    }
+
+    /**
+     * @returns {Object|null} The string being measured
+     */
+    getString() {
+        return this.strings[this.stringIndex] || null;
+    }
+
+    /**
+     * Frequency the current step expects (the harmonic and the 12th fret sound an octave up)
+     * @returns {number}
+     */
+    getExpectedFrequency() {
+        const string = this.getString();
+
+        if (this.step === 'fretted') {
+            return this.referenceKind === 'open' ? this.referenceFrequency * 2 : this.referenceFrequency;
+        }
+
+        return this.referenceKind === 'open' ? string.frequency : string.frequency * 2;
+    }
+
+    /**
+     * Feeds a stable reading and records it once it has stayed steady for holdTime
+     * @param {number} frequency - Hz
+     * @param {number} timestamp - ms
+     * @returns {Object|null} { string, step, cents, progress } or null if the reading is ignored
+     */
+    measure(frequency, timestamp) {
+        const string = this.getString();
+        if (!string || this.step === 'done' || frequency <= 0) return null;
+
+        const cents = 1200 * Math.log2(frequency / this.getExpectedFrequency());
+        if (Math.abs(cents) > this.searchCents) {
+            return null;
+        }
+
+        const gap = this.lastReadingTime === null ? 0 : timestamp - this.lastReadingTime;
+        this.lastReadingTime = timestamp;
+
+        // A ringing harmonic sounds like the fretted 12th: wait for the next pluck
+        if (this.waitingForPluck) {
+            if (gap <= this.newNoteGap) {
+                return { string: string, step: this.step, cents: cents, progress: 0 };
+            }
+            this.waitingForPluck = false;
+        }
+
+        const mean = this.window.length > 0
+            ? this.window.reduce((sum, value) => sum + value, 0) / this.window.length
+            : cents;
+        if (gap > this.maxGap || Math.abs(cents - mean) > this.stabilityCents) {
+            this.window = [];
+            this.windowStart = timestamp;
+        }
+        if (this.windowStart === null) {
+            this.windowStart = timestamp;
+        }
+        this.window.push(cents);
+
+        const step = this.step;
+        const progress = Math.min(1, (timestamp - this.windowStart) / this.holdTime);
+        if (progress >= 1) {
+            const average = this.window.reduce((sum, value) => sum + value, 0) / this.window.length;
+            this.capture(this.getExpectedFrequency() * Math.pow(2, average / 1200));
+        }
+
+        return { string: string, step: step, cents: cents, progress: progress };
+    }
+
+    /**
+     * Records the steady reading of the current step and moves on (callbacks fire
+     * once the next step is set, so they can render it)
+     * @param {number} frequency - Averaged frequency in Hz
+     */
+    capture(frequency) {
+        const string = this.getString();
+        const step = this.step;
+        this.resetWindow();
+
+        if (step === 'reference') {
+            this.referenceFrequency = frequency;
+            this.step = 'fretted';
+            this.waitingForPluck = true;
+
+            if (this.onCapture) {
+                this.onCapture(step, string, frequency);
+            }
+            return;
+        }
+
+        const octave = this.referenceKind === 'open' ? this.referenceFrequency * 2 : this.referenceFrequency;
+        const cents = 1200 * Math.log2(frequency / octave);
+        const previous = this.results[this.stringIndex];
+        const result = {
+            string: string,
+            referenceKind: this.referenceKind,
+            referenceFrequency: this.referenceFrequency,
+            frettedFrequency: frequency,
+            cents: cents,
+            previousCents: previous ? previous.cents : null,
+            advice: IntonationCheck.getAdvice(cents, this.inTuneCents)
+        };
+        this.results[this.stringIndex] = result;
+
+        // Continue with the first string still to measure, if any
+        const next = this.results.findIndex(value => value === null);
+        if (next >= 0) {
+            this.select(next);
+        } else {
+            this.step = 'done';
+        }
+
+        if (this.onCapture) {
+            this.onCapture(step, string, frequency);
+        }
+        if (this.onResult) {
+            this.onResult(result);
+        }
+        if (next < 0 && this.onComplete) {
+            this.onComplete(this.results.slice());
+        }
+    }
+
+    /**
+     * Which way the saddle should move for a fretted octave off by the given cents.
+     * Sharp at the 12th fret means the string is too short: move the saddle away from the neck.
+     * @param {number} cents - Fretted 12th relative to the reference octave
+     * @param {number} inTuneCents
+     * @returns {string} 'ok', 'away-from-neck' or 'toward-neck'
+     */
+    static getAdvice(cents, inTuneCents = 2) {
+        if (Math.abs(cents) < inTuneCents) {
+            return 'ok';
+        }
+        return cents > 0 ? 'away-from-neck' : 'toward-neck';
+    }
+}
+
+IntonationCheck.REFERENCE_KINDS = ['open', 'harmonic'];
+
+IntonationCheck.ADVICE = {
+    'ok': 'Intonata',
+    'away-from-neck': 'Allontana la sella dal manico',
+    'toward-neck': 'Avvicina la sella al manico'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntonationCheck };
+}
@@ -0,0 +1,262 @@
+/**
+ * LifecycleManager - Keeps a TunerEngine working through what happens around the page
+ * - Screen Wake Lock while tuning, so the display does not dim between strings
+ * - Pauses when the page is hidden and resumes when it is shown again
+ * - Resumes audio the browser suspended or interrupted (e.g. iOS during a phone call),
+ *   waiting for a tap when the browser requires one
+ * - Reopens the input when its device disappears, falling back to the default one, and
+ *   goes back to the chosen device when it is plugged in again
+ * Each step is reported through onStatus with a message key of the page catalogs.
+ */
+class LifecycleManager {
+    /**
+     * @param {TunerEngine} engine
+     * @param {Object} environment - { document, navigator }, the page ones by default
+     */
+    constructor(engine, environment = {}) {
+        this.engine = engine;
+        this.document = environment.document || document;
+        this.navigator = environment.navigator || navigator;
+        this.wakeLock = null; // WakeLockSentinel while held
+        this.pausedWhileHidden = false;
+        this.suspending = null; // Promise of the suspension started when the page was hidden
+        this.interrupted = false; // Audio waiting for a user gesture to resume
+        this.inputLost = false; // No input could be reopened
+        this.preferredDeviceId = null; // Device to go back to when it reappears
+        this.recovering = false;
+        this.onStatus = null; // (key, params, type) with type 'info', 'success' or 'error'
+    }
+
+    /**
+     * Starts following the engine and the page
+     */
+    attach() {
+        this.engine.on('stateChange', ({ state }) => {
+            if (state === 'running') {
+                this.requestWakeLock();
+            } else if (state === 'idle') {
+                this.releaseWakeLock();
+                this.interrupted = false;
+                this.inputLost = false;
+            }
+        });
+
+        this.engine.on('audioState', ({ state }) => this.handleAudioState(state));
+        this.engine.on('inputEnded', () => this.recoverInput());
+
+        this.document.addEventListener('visibilitychange', () => this.handleVisibility());
+
+        // Browsers only resume interrupted audio from a user gesture
+        ['pointerdown', 'keydown'].forEach(type => {
+            this.document.addEventListener(type, () => {
+                if (this.interrupted) {
+                    this.resumeAudio();
+                }
+            });
+        });
+
+        const mediaDevices = this.navigator.mediaDevices;
+        if (mediaDevices && mediaDevices.addEventListener) {
+            mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the Screen Wake Lock API is available
+     */
+    get wakeLockSupported() {
+        return Boolean(this.navigator.wakeLock && this.navigator.wakeLock.request);
+    }
+
+    /**
+     * Keeps the screen on; the browser releases the lock by itself when the page is hidden
+     */
+    async requestWakeLock() {
+        if (!this.wakeLockSupported || this.wakeLock || this.document.hidden) return;
+
+        try {
+            const sentinel = await this.navigator.wakeLock.request('screen');
+            // Stopped while the request was pending
+            if (!this.engine.isRunning) {
+                sentinel.release();
+                return;
+            }
+            this.wakeLock = sentinel;
+            sentinel.addEventListener('release', () => {
+                if (this.wakeLock === sentinel) {
+                    this.wakeLock = null;
+                }
+            });
+        } catch (error) {
+            // e.g. battery saver, or a permissions policy
+            console.warn('Wake lock not available:', error);
+            this.report('lifecycle.wakeLockFailed', {}, 'info');
+        }
+    }
+
+    /**
+     * Lets the screen dim again
+     */
+    releaseWakeLock() {
+        if (!this.wakeLock) return;
+
+        const sentinel = this.wakeLock;
+        this.wakeLock = null;
+        sentinel.release().catch(error => console.warn('Error releasing wake lock:', error));
+    }
+
+    /**
+     * Pauses while the page is hidden, resumes when it is shown again
+     */
+    async handleVisibility() {
+        if (this.document.hidden) {
+            if (this.engine.isRunning) {
+                // Set first: the page may be shown again before the suspension completes
+                this.pausedWhileHidden = true;
+                this.suspending = this.engine.suspendAudio();
+                await this.suspending;
+                this.suspending = null;
+                this.report('lifecycle.paused', {}, 'info');
+            }
+            return;
+        }
+
+        if (this.pausedWhileHidden) {
+            // Starting before the suspension completes would leave the audio suspended
+            if (this.suspending) {
+                await this.suspending;
+            }
+            // Hidden again meanwhile: resumed on the next visibility change
+            if (this.document.hidden || !this.pausedWhileHidden) return;
+
+            this.pausedWhileHidden = false;
+            if (await this.engine.start()) {
+                this.report('lifecycle.resumed', {}, 'success');
+            }
+        } else if (this.engine.isRunning) {
+            // The lock was released while hidden
+            this.requestWakeLock();
+        }
+    }
+
+    /**
+     * Resumes audio the browser stopped while tuning
+     * @param {string} state - AudioContext state
+     */
+    async handleAudioState(state) {
+        if (state === 'running') {
+            if (this.interrupted) {
+                this.interrupted = false;
+                this.report('lifecycle.audioResumed', {}, 'success');
+            }
+            return;
+        }
+
+        // Our own suspension while hidden, or a stop, is not an interruption
+        if ((state !== 'suspended' && state !== 'interrupted') || !this.engine.isRunning || this.document.hidden) {
+            return;
+        }
+
+        this.report('lifecycle.audioInterrupted', {}, 'info');
+        this.interrupted = true;
+        await this.resumeAudio();
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether audio is running again
+     */
+    async resumeAudio() {
+        const resumed = await this.engine.resumeAudio();
+        if (resumed) {
+            if (this.interrupted) {
+                this.interrupted = false;
+                this.report('lifecycle.audioResumed', {}, 'success');
+            }
+        } else if (this.interrupted) {
+            this.report('lifecycle.tapToResume', {}, 'error');
+        }
+        return resumed;
+    }
+
+    /**
+     * Reopens the input after its device went away: the same device first, then the default one
+     * @returns {Promise<boolean>} Whether an input is open again
+     */
+    async recoverInput() {
+        if (this.recovering) return false;
+        this.recovering = true;
+
+        try {
+            const deviceId = this.engine.deviceId;
+            this.report('lifecycle.inputLost', {}, 'info');
+
+            let result = await this.engine.switchDevice(deviceId);
+            if (!(result && result.success) && deviceId) {
+                this.preferredDeviceId = deviceId;
+                result = await this.engine.switchDevice(null);
+                if (result && result.success) {
+                    this.inputLost = false;
+                    this.report('lifecycle.inputDefault', {}, 'info');
+                    return true;
+                }
+            }
+
+            if (!(result && result.success)) {
+                this.inputLost = true;
+                this.report('lifecycle.noInput', {}, 'error');
+                return false;
+            }
+
+            this.inputLost = false;
+            this.report('lifecycle.inputRestored', {}, 'success');
+            return true;
+        } finally {
+            this.recovering = false;
+        }
+    }
+
+    /**
+     * A device was plugged in or removed: retry a lost input, or go back to the chosen device
+     */
+    async handleDeviceChange() {
+        if (this.inputLost) {
+            await this.recoverInput();
+            return;
+        }
+
+        if (!this.preferredDeviceId || !this.navigator.mediaDevices.enumerateDevices) return;
+
+        let devices = [];
+        try {
+            devices = await this.navigator.mediaDevices.enumerateDevices();
+        } catch (error) {
+            console.error('Error listing input devices:', error);
+            return;
+        }
+
+        const deviceId = this.preferredDeviceId;
+        const back = devices.some(device => device.kind === 'audioinput' && device.deviceId === deviceId);
+        if (!back) return;
+
+        const result = await this.engine.switchDevice(deviceId);
+        if (result && result.success) {
+            this.preferredDeviceId = null;
+            this.report('lifecycle.inputBack', {}, 'success');
+        }
+    }
+
+    /**
+     * @param {string} key - Message key
+     * @param {Object} params
+     * @param {string} type - 'info', 'success' or 'error'
+     */
+    report(key, params, type) {
+        if (this.onStatus) {
+            this.onStatus(key, params, type);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LifecycleManager };
+}
@@ -0,0 +1,158 @@
+/**
+ * NoiseGate - Detection gate set relative to the measured noise floor
+ * A calibration measures the ambient noise for a few seconds; afterwards the floor keeps
+ * adapting from the readings that are not a note (below the gate, or loud but unpitched),
+ * so the gate follows a room that gets quieter or noisier. Pitched readings never move it.
+ */
+class NoiseGate {
+    /**
+     * @param {Object} options - See NoiseGate.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, NoiseGate.DEFAULTS, options);
+        this.noiseFloor = this.options.noiseFloor; // RMS
+        this.calibration = null; // { startTime, levels } while calibrating
+        this.lastTime = null;
+        this.onCalibrated = null; // (noiseFloor, threshold)
+    }
+
+    /**
+     * RMS above which readings are analyzed
+     * @returns {number}
+     */
+    get threshold() {
+        const threshold = this.noiseFloor * Math.pow(10, this.options.marginDb / 20);
+        return Math.max(this.options.minThreshold, Math.min(this.options.maxThreshold, threshold));
+    }
+
+    /**
+     * @param {number} noiseFloor - RMS, e.g. a saved calibration
+     */
+    setNoiseFloor(noiseFloor) {
+        if (noiseFloor > 0 && isFinite(noiseFloor)) {
+            this.noiseFloor = noiseFloor;
+        }
+    }
+
+    /**
+     * Starts measuring the noise floor; it begins with the next reading
+     */
+    startCalibration() {
+        this.calibration = { startTime: null, levels: [] };
+    }
+
+    /**
+     * Stops a calibration without changing the noise floor
+     */
+    cancelCalibration() {
+        this.calibration = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    /**
+     * Gates a reading and updates the noise floor
+     * @param {number} rms - Level of the analysis window
+     * @param {boolean} pitched - Whether the detector found a note in it
+     * @param {number} timestamp - ms
+     * @returns {Object} { state: 'calibrating'|'gated'|'listening'|'detecting', open, threshold, progress }
+     *                   listening = above the gate but no note found
+     */
+    process(rms, pitched, timestamp) {
+        const elapsed = this.lastTime === null ? 0 : Math.min(timestamp - this.lastTime, NoiseGate.MAX_STEP);
+        this.lastTime = timestamp;
+
+        if (this.calibration) {
+            return this.calibrate(rms, timestamp);
+        }
+
+        const open = rms >= this.threshold;
+        if (!open || !pitched) {
+            this.adapt(rms, elapsed);
+        }
+
+        return {
+            state: !open ? 'gated' : (pitched ? 'detecting' : 'listening'),
+            open: open,
+            threshold: this.threshold,
+            progress: 1
+        };
+    }
+
+    /**
+     * Collects a calibration reading; at the end the floor is a high percentile of the
+     * levels, so intermittent noise (voices, air conditioning) stays below the gate
+     * @param {number} rms
+     * @param {number} timestamp
+     * @returns {Object} Gate result
+     */
+    calibrate(rms, timestamp) {
+        const calibration = this.calibration;
+        if (calibration.startTime === null) {
+            calibration.startTime = timestamp;
+        }
+        calibration.levels.push(rms);
+
+        const progress = Math.min(1, (timestamp - calibration.startTime) / this.options.calibrationTime);
+        if (progress >= 1) {
+            this.calibration = null;
+            this.setNoiseFloor(Math.max(NoiseGate.MIN_LEVEL,
+                NoiseGate.percentile(calibration.levels, this.options.floorPercentile)));
+
+            if (this.onCalibrated) {
+                this.onCalibrated(this.noiseFloor, this.threshold);
+            }
+        }
+
+        return { state: 'calibrating', open: false, threshold: this.threshold, progress: progress };
+    }
+
+    /**
+     * Moves the floor toward a noise reading, in dB: quickly down, slowly up,
+     * so the tail of a pluck or a short noise doesn't raise the gate
+     * @param {number} rms
+     * @param {number} elapsed - ms since the previous reading
+     */
+    adapt(rms, elapsed) {
+        const level = Math.max(NoiseGate.MIN_LEVEL, rms);
+        const time = level < this.noiseFloor ? this.options.fallTime : this.options.riseTime;
+        const amount = 1 - Math.exp(-elapsed / time);
+
+        const floorDb = 20 * Math.log10(this.noiseFloor);
+        const levelDb = 20 * Math.log10(level);
+        this.noiseFloor = Math.pow(10, (floorDb + (levelDb - floorDb) * amount) / 20);
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @param {number} fraction - 0 to 1
+     * @returns {number}
+     */
+    static percentile(values, fraction) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    }
+}
+
+NoiseGate.DEFAULTS = {
+    noiseFloor: 0.005, // RMS assumed until a calibration or the adaptation says otherwise
+    marginDb: 10, // Gate above the noise floor
+    minThreshold: 0.003, // Below this the detector ignores the signal anyway
+    maxThreshold: 0.2,
+    calibrationTime: 3000, // ms
+    floorPercentile: 0.9,
+    fallTime: 1000, // ms, time constant when the room gets quieter
+    riseTime: 8000 // ms, time constant when it gets noisier
+};
+
+NoiseGate.MIN_LEVEL = 1e-5; // Digital silence, kept finite in dB
+NoiseGate.MAX_STEP = 500; // ms, longest gap adapted over in one step (e.g. after a pause)
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoiseGate };
+}
@@ -0,0 +1,311 @@
+/**
+ * Pitch detection algorithms - interchangeable strategies used by PitchDetector
+ * Every algorithm implements detect(samples, sampleRate, minFrequency, maxFrequency)
+ * and returns { frequency, confidence } with confidence in the 0.0 to 1.0 range, plus the
+ * lag function it searched, if it got that far, as curve: { values, lag, minLag, maxLag }
+ * (lag 0 = none chosen), which the diagnostics panel draws
+ */
+class PitchAlgorithm {
+    /**
+     * Estimates the fundamental frequency of the samples
+     * @param {Float32Array} samples - Audio samples (normalized -1.0 to 1.0)
+     * @param {number} sampleRate
+     * @param {number} minFrequency
+     * @param {number} maxFrequency
+     * @returns {Object} { frequency, confidence, curve }
+     */
+    detect(samples, sampleRate, minFrequency, maxFrequency) {
+        throw new Error('detect() non implementato');
+    }
+
+    /**
+     * Parabolic interpolation for sub-sample precision
+     * @param {Float32Array} data
+     * @param {number} index
+     * @returns {number} Refined index with sub-sample precision
+     */
+    static parabolicInterpolation(data, index) {
+        if (index <= 0 || index >= data.length - 1) {
+            return index;
+        }
+
+        const alpha = data[index - 1];
+        const beta = data[index];
+        const gamma = data[index + 1];
+        const denominator = alpha - 2 * beta + gamma;
+
+        if (denominator === 0) {
+            return index;
+        }
+
+        return index + 0.5 * (alpha - gamma) / denominator;
+    }
+}
+
+/**
+ * Autocorrelation with parabolic interpolation (the original algorithm ported from PitchDetector.cs)
+ */
+class AutocorrelationAlgorithm extends PitchAlgorithm {
+    constructor() {
+        super();
+        this.name = 'autocorrelation';
+        this.label = 'Autocorrelazione';
+    }
+
+    detect(samples, sampleRate, minFrequency, maxFrequency) {
+        const minLag = Math.floor(sampleRate / maxFrequency);
+        const maxLag = Math.min(Math.floor(sampleRate / minFrequency), samples.length - 1);
+        const bufferSize = Math.min(samples.length, maxLag * 3);
+
+        // Calculate autocorrelation with normalization
+        const autocorrelation = new Float32Array(maxLag + 2);
+
+        for (let lag = minLag; lag <= maxLag + 1 && lag < samples.length; lag++) {
+            let sum = 0;
+            let count = bufferSize - lag;
+            for (let i = 0; i < count; i++) {
+                sum += samples[i] * samples[i + lag];
+            }
+            // Normalize by the number of samples
+            autocorrelation[lag] = count > 0 ? sum / count : 0;
+        }
+
+        const peakLag = this.findFirstPeak(autocorrelation, minLag, maxLag);
+        const curve = { values: autocorrelation, lag: 0, minLag: minLag, maxLag: maxLag };
+
+        if (peakLag === 0) {
+            return { frequency: 0, confidence: 0, curve: curve };
+        }
+
+        const refinedLag = PitchAlgorithm.parabolicInterpolation(autocorrelation, peakLag);
+        const frequency = sampleRate / refinedLag;
+        curve.lag = refinedLag;
+
+        return {
+            frequency: frequency,
+            confidence: this.calculateConfidence(samples, sampleRate, frequency),
+            curve: curve
+        };
+    }
+
+    /**
+     * Finds the first local maximum that reaches 90% of the global maximum.
+     * Peaks at multiples of the period are almost as high as the true one, so
+     * taking the global maximum would often report the octave below.
+     * @param {Float32Array} autocorrelation
+     * @param {number} minLag
+     * @param {number} maxLag
+     * @returns {number} Index of the peak
+     */
+    findFirstPeak(autocorrelation, minLag, maxLag) {
+        let maxValue = -Infinity;
+
+        for (let i = minLag; i <= maxLag; i++) {
+            if (autocorrelation[i] > maxValue) {
+                maxValue = autocorrelation[i];
+            }
+        }
+
+        if (maxValue <= 0) {
+            return 0;
+        }
+
+        for (let i = minLag + 1; i < maxLag; i++) {
+            if (autocorrelation[i] >= 0.9 * maxValue &&
+                autocorrelation[i] >= autocorrelation[i - 1] &&
+                autocorrelation[i] >= autocorrelation[i + 1]) {
+                return i;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Calculates confidence of pitch detection based on autocorrelation clarity
+     * @param {Float32Array} samples
+     * @param {number} sampleRate
+     * @param {number} frequency
+     * @returns {number} Confidence value (0.0 to 1.0)
+     */
+    calculateConfidence(samples, sampleRate, frequency) {
+        if (frequency <= 0) {
+            return 0;
+        }
+
+        const period = Math.floor(sampleRate / frequency);
+        if (period <= 0 || period >= samples.length / 2) {
+            return 0;
+        }
+
+        // Calculate correlation at detected period
+        let sum = 0;
+        let sumSquares = 0;
+        const count = Math.min(samples.length - period, period * 2);
+
+        for (let i = 0; i < count; i++) {
+            sum += samples[i] * samples[i + period];
+            sumSquares += samples[i] * samples[i];
+        }
+
+        if (sumSquares === 0) {
+            return 0;
+        }
+
+        // Normalized correlation coefficient, clamped to 0-1 range
+        return Math.max(0, Math.min(1, sum / sumSquares));
+    }
+}
+
+/**
+ * YIN (de Cheveigné & Kawahara, 2002): cumulative mean normalized difference function
+ * with an absolute threshold. Confidence is 1 minus the aperiodicity at the chosen lag.
+ */
+class YinAlgorithm extends PitchAlgorithm {
+    constructor(threshold = 0.15) {
+        super();
+        this.name = 'yin';
+        this.label = 'YIN';
+        this.threshold = threshold;
+    }
+
+    detect(samples, sampleRate, minFrequency, maxFrequency) {
+        const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+        const maxLag = Math.floor(sampleRate / minFrequency);
+        const windowSize = samples.length - maxLag - 1;
+
+        if (windowSize < maxLag) {
+            return { frequency: 0, confidence: 0 };
+        }
+
+        // Difference function and its cumulative mean normalization
+        const cmnd = new Float32Array(maxLag + 2);
+        cmnd[0] = 1;
+        let runningSum = 0;
+
+        for (let lag = 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = samples[i] - samples[i + lag];
+                sum += delta * delta;
+            }
+            runningSum += sum;
+            cmnd[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+        }
+
+        // First dip under the absolute threshold, followed down to its local minimum
+        let bestLag = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (cmnd[lag] < this.threshold) {
+                while (lag + 1 <= maxLag && cmnd[lag + 1] < cmnd[lag]) {
+                    lag++;
+                }
+                bestLag = lag;
+                break;
+            }
+        }
+
+        // No dip under the threshold: fall back to the global minimum
+        if (bestLag === 0) {
+            let minValue = Infinity;
+            for (let lag = minLag; lag <= maxLag; lag++) {
+                if (cmnd[lag] < minValue) {
+                    minValue = cmnd[lag];
+                    bestLag = lag;
+                }
+            }
+        }
+
+        const refinedLag = PitchAlgorithm.parabolicInterpolation(cmnd, bestLag);
+
+        return {
+            frequency: sampleRate / refinedLag,
+            confidence: Math.max(0, Math.min(1, 1 - cmnd[bestLag])),
+            curve: { values: cmnd, lag: refinedLag, minLag: minLag, maxLag: maxLag }
+        };
+    }
+}
+
+/**
+ * McLeod Pitch Method (McLeod & Wyvill, 2005): normalized square difference function,
+ * picking the first key maximum within a fraction of the highest one. Confidence is
+ * the clarity (NSDF value) of the chosen peak.
+ */
+class McLeodAlgorithm extends PitchAlgorithm {
+    constructor(cutoff = 0.93) {
+        super();
+        this.name = 'mpm';
+        this.label = 'McLeod (MPM)';
+        this.cutoff = cutoff;
+    }
+
+    detect(samples, sampleRate, minFrequency, maxFrequency) {
+        const minLag = Math.max(1, Math.floor(sampleRate / maxFrequency));
+        const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(samples.length / 2));
+        const windowSize = samples.length - maxLag - 1;
+
+        // Normalized square difference function
+        const nsdf = new Float32Array(maxLag + 2);
+        for (let lag = 0; lag <= maxLag + 1; lag++) {
+            let correlation = 0;
+            let energy = 0;
+            for (let i = 0; i < windowSize; i++) {
+                correlation += samples[i] * samples[i + lag];
+                energy += samples[i] * samples[i] + samples[i + lag] * samples[i + lag];
+            }
+            nsdf[lag] = energy > 0 ? 2 * correlation / energy : 0;
+        }
+
+        // Key maxima: the highest point of each positive lobe after the lobe around lag 0
+        const keyMaxima = [];
+        let lag = 1;
+        while (lag <= maxLag && nsdf[lag] > 0) {
+            lag++;
+        }
+
+        let lobeMax = -1;
+        for (; lag <= maxLag; lag++) {
+            if (nsdf[lag] > 0) {
+                if (lobeMax < 0 || nsdf[lag] > nsdf[lobeMax]) {
+                    lobeMax = lag;
+                }
+            } else if (lobeMax >= 0) {
+                keyMaxima.push(lobeMax);
+                lobeMax = -1;
+            }
+        }
+        if (lobeMax >= 0) {
+            keyMaxima.push(lobeMax);
+        }
+
+        const candidates = keyMaxima.filter(index => index >= minLag);
+        const curve = { values: nsdf, lag: 0, minLag: minLag, maxLag: maxLag };
+        if (candidates.length === 0) {
+            return { frequency: 0, confidence: 0, curve: curve };
+        }
+
+        const highest = Math.max.apply(null, candidates.map(index => nsdf[index]));
+        const chosen = candidates.find(index => nsdf[index] >= this.cutoff * highest);
+        const refinedLag = PitchAlgorithm.parabolicInterpolation(nsdf, chosen);
+        curve.lag = refinedLag;
+
+        return {
+            frequency: sampleRate / refinedLag,
+            confidence: Math.max(0, Math.min(1, nsdf[chosen])),
+            curve: curve
+        };
+    }
+}
+
+/**
+ * Available algorithms by name, for PitchDetector and the UI selector
+ */
+const PITCH_ALGORITHMS = {
+    autocorrelation: AutocorrelationAlgorithm,
+    yin: YinAlgorithm,
+    mpm: McLeodAlgorithm
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitchAlgorithm, AutocorrelationAlgorithm, YinAlgorithm, McLeodAlgorithm, PITCH_ALGORITHMS };
+}
@@ -0,0 +1,155 @@
+/**
+ * PitchAnalyzer - Runs PitchDetector and StrumAnalyzer in a Web Worker when available
+ * Falls back to detecting on the main thread (e.g. when opened from file://)
+ * Results are delivered asynchronously through onResult(result, samples)
+ * and onStrumResult(result, samples)
+ */
+class PitchAnalyzer {
+    /**
+     * @param {Object} config - { sampleRate, minFrequency, maxFrequency, threshold, algorithm }
+     */
+    constructor(config) {
+        this.config = Object.assign({}, config);
+        this.worker = null;
+        this.detector = null;
+        this.strumAnalyzer = null;
+        this.busy = false;
+        this.droppedWindows = 0;
+        this.onResult = null;
+        this.onStrumResult = null;
+
+        this.createWorker();
+        if (!this.worker) {
+            this.createDetector();
+        }
+    }
+
+    /**
+     * Starts the detection worker, if the browser allows it
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') {
+            return;
+        }
+
+        try {
+            this.worker = new Worker('pitch-worker.js');
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                this.busy = false;
+
+                if (message.type === 'result' && this.onResult) {
+                    this.onResult(message.result, message.samples);
+                } else if (message.type === 'strumResult' && this.onStrumResult) {
+                    this.onStrumResult(message.result, message.samples);
+                }
+            };
+            this.worker.onerror = (error) => {
+                console.error('Pitch worker error, detecting on the main thread:', error.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.busy = false;
+                this.createDetector();
+            };
+            this.worker.postMessage({ type: 'configure', config: this.config });
+        } catch (error) {
+            console.error('Unable to start pitch worker:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Creates the main-thread detector used when no worker is available
+     */
+    createDetector() {
+        this.detector = TunerCore.createDetector(this.config);
+    }
+
+    /**
+     * Updates detector parameters (e.g. { algorithm: 'yin' })
+     * @param {Object} changes
+     */
+    configure(changes) {
+        Object.assign(this.config, changes);
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', config: this.config });
+        } else {
+            this.createDetector();
+        }
+    }
+
+    /**
+     * Analyzes one window of samples. Ownership of the samples passes to the analyzer.
+     * If the worker is still busy with the previous window, this one is dropped.
+     * @param {Float32Array} samples
+     */
+    analyze(samples) {
+        if (this.worker) {
+            if (this.busy) {
+                this.droppedWindows++;
+                return;
+            }
+
+            this.busy = true;
+            this.worker.postMessage({ type: 'analyze', samples: samples }, [samples.buffer]);
+            return;
+        }
+
+        const result = this.detector.detectPitch(samples);
+        if (this.onResult) {
+            this.onResult(result, samples);
+        }
+    }
+
+    /**
+     * Measures all strings of a strummed chord in one window (see StrumAnalyzer).
+     * Like analyze(), the window is dropped while the worker is busy.
+     * @param {Float32Array} samples
+     * @param {Array<number>} targets - Target frequency of each string in Hz
+     */
+    analyzeStrum(samples, targets) {
+        if (this.worker) {
+            if (this.busy) {
+                this.droppedWindows++;
+                return;
+            }
+
+            this.busy = true;
+            this.worker.postMessage({ type: 'strum', samples: samples, targets: targets }, [samples.buffer]);
+            return;
+        }
+
+        if (!this.strumAnalyzer || this.strumAnalyzer.sampleRate !== this.config.sampleRate) {
+            this.strumAnalyzer = new StrumAnalyzer(this.config.sampleRate);
+        }
+
+        const result = this.strumAnalyzer.analyze(samples, targets);
+        if (this.onStrumResult) {
+            this.onStrumResult(result, samples);
+        }
+    }
+
+    /**
+     * Whether detection runs off the main thread
+     * @returns {boolean}
+     */
+    isOffMainThread() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Stops the worker and releases the detector
+     */
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.detector = null;
+        this.strumAnalyzer = null;
+        this.onResult = null;
+        this.onStrumResult = null;
+    }
+}
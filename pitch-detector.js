@@ -1,22 +1,71 @@
 /**
- * PitchDetector - JavaScript implementation of autocorrelation-based pitch detection
- * Ported from the C# PitchDetector.cs
+ * PitchDetector - JavaScript implementation of pitch detection
+ * Ported from the C# PitchDetector.cs, with pluggable algorithms (see pitch-algorithms.js)
  * Optimized for guitar tuning (70-1500 Hz range)
  */
 class PitchDetector {
-    constructor(sampleRate = 44100, minFrequency = 70, maxFrequency = 1500, threshold = 0.1) {
+    constructor(sampleRate = 44100, minFrequency = 70, maxFrequency = 1500, threshold = 0.1, algorithm = 'autocorrelation') {
         this.sampleRate = sampleRate;
         this.minFrequency = minFrequency;
         this.maxFrequency = maxFrequency;
         this.threshold = threshold;
+        this.confidenceThreshold = PitchDetector.CONFIDENCE_THRESHOLD; // Readings at or below it are not valid
+        this.diagnostics = false; // Attach the lag function and the processing time to every result
+        this.setAlgorithm(algorithm);
     }
 
     /**
-     * Detects the pitch (fundamental frequency) from audio samples using autocorrelation
+     * Switches the pitch detection algorithm
+     * @param {string|PitchAlgorithm} algorithm - A PITCH_ALGORITHMS name or an object implementing detect()
+     */
+    setAlgorithm(algorithm) {
+        if (typeof algorithm === 'string') {
+            // A global in the page and the worker, a module in Node
+            const registry = typeof PITCH_ALGORITHMS !== 'undefined'
+                ? PITCH_ALGORITHMS
+                : require('./pitch-algorithms.js').PITCH_ALGORITHMS;
+            const AlgorithmClass = registry[algorithm];
+            if (!AlgorithmClass) {
+                throw new Error(`Algoritmo sconosciuto: ${algorithm}`);
+            }
+            this.algorithm = new AlgorithmClass();
+        } else {
+            this.algorithm = algorithm;
+        }
+    }
+
+    /**
+     * Detects the pitch (fundamental frequency) from audio samples using the selected algorithm
      * @param {Float32Array} samples - Audio samples (normalized -1.0 to 1.0)
-     * @returns {Object} PitchDetectionResult with frequency, confidence, isValid, rms
+     * @returns {Object} PitchDetectionResult with frequency, confidence, isValid, rms; with
+     *          diagnostics on, also diagnostics: { curve (see pitch-algorithms.js) or null
+     *          below the threshold, processingTime: ms }
      */
     detectPitch(samples) {
+        const started = this.diagnostics ? PitchDetector.now() : 0;
+        const evaluation = this.evaluate(samples);
+        const result = {
+            frequency: evaluation.frequency,
+            confidence: evaluation.confidence,
+            isValid: evaluation.isValid,
+            rms: evaluation.rms
+        };
+
+        if (this.diagnostics) {
+            result.diagnostics = {
+                curve: evaluation.curve || null,
+                processingTime: PitchDetector.now() - started
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {Float32Array} samples
+     * @returns {Object} PitchDetectionResult, with the algorithm's curve once it has run
+     */
+    evaluate(samples) {
         if (!samples || samples.length === 0) {
             return {
                 frequency: 0,
@@ -37,8 +86,9 @@ class PitchDetector {
             };
         }
 
-        // Apply autocorrelation
-        const frequency = this.autocorrelationPitchDetection(samples);
+        // Estimate the fundamental
+        const estimate = this.algorithm.detect(samples, this.sampleRate, this.minFrequency, this.maxFrequency);
+        const frequency = estimate.frequency;
 
         // Validate frequency range
         if (frequency < this.minFrequency || frequency > this.maxFrequency) {
@@ -46,138 +96,22 @@ class PitchDetector {
                 frequency: frequency,
                 confidence: 0,
                 isValid: false,
-                rms: rms
+                rms: rms,
+                curve: estimate.curve
             };
         }
 
-        // Calculate confidence based on autocorrelation clarity
-        const confidence = this.calculateConfidence(samples, frequency);
+        const confidence = estimate.confidence;
 
         return {
             frequency: frequency,
             confidence: confidence,
-            isValid: confidence > 0.5, // Confidence threshold
-            rms: rms
+            isValid: confidence > this.confidenceThreshold,
+            rms: rms,
+            curve: estimate.curve
         };
     }
 
-    /**
-     * Performs autocorrelation-based pitch detection
-     * @param {Float32Array} samples
-     * @returns {number} Detected frequency in Hz
-     */
-    autocorrelationPitchDetection(samples) {
-        const minLag = Math.floor(this.sampleRate / this.maxFrequency);
-        const maxLag = Math.floor(this.sampleRate / this.minFrequency);
-        const bufferSize = Math.min(samples.length, maxLag * 3);
-
-        // Calculate autocorrelation with normalization
-        const autocorrelation = new Float32Array(maxLag + 1);
-
-        for (let lag = minLag; lag <= maxLag; lag++) {
-            let sum = 0;
-            let count = bufferSize - lag;
-            for (let i = 0; i < count; i++) {
-                sum += samples[i] * samples[i + lag];
-            }
-            // Normalize by the number of samples
-            autocorrelation[lag] = count > 0 ? sum / count : 0;
-        }
-
-        // Find the first peak (highest autocorrelation value after minimum lag)
-        const peakLag = this.findFirstPeak(autocorrelation, minLag, maxLag);
-
-        if (peakLag === 0) {
-            return 0;
-        }
-
-        // Parabolic interpolation for better precision
-        const refinedLag = this.parabolicInterpolation(autocorrelation, peakLag);
-
-        // Convert lag to frequency
-        const frequency = this.sampleRate / refinedLag;
-
-        return frequency;
-    }
-
-    /**
-     * Finds the first significant peak in autocorrelation
-     * @param {Float32Array} autocorrelation
-     * @param {number} minLag
-     * @param {number} maxLag
-     * @returns {number} Index of the peak
-     */
-    findFirstPeak(autocorrelation, minLag, maxLag) {
-        let maxValue = -Infinity;
-        let maxIndex = 0;
-
-        for (let i = minLag; i <= maxLag; i++) {
-            if (autocorrelation[i] > maxValue) {
-                maxValue = autocorrelation[i];
-                maxIndex = i;
-            }
-        }
-
-        return maxIndex;
-    }
-
-    /**
-     * Parabolic interpolation for sub-sample precision
-     * @param {Float32Array} data
-     * @param {number} index
-     * @returns {number} Refined index with sub-sample precision
-     */
-    parabolicInterpolation(data, index) {
-        if (index <= 0 || index >= data.length - 1) {
-            return index;
-        }
-
-        const alpha = data[index - 1];
-        const beta = data[index];
-        const gamma = data[index + 1];
-
-        const offset = 0.5 * (alpha - gamma) / (alpha - 2 * beta + gamma);
-
-        return index + offset;
-    }
-
-    /**
-     * Calculates confidence of pitch detection based on autocorrelation clarity
-     * @param {Float32Array} samples
-     * @param {number} frequency
-     * @returns {number} Confidence value (0.0 to 1.0)
-     */
-    calculateConfidence(samples, frequency) {
-        if (frequency <= 0) {
-            return 0;
-        }
-
-        const period = Math.floor(this.sampleRate / frequency);
-        if (period <= 0 || period >= samples.length / 2) {
-            return 0;
-        }
-
-        // Calculate correlation at detected period
-        let sum = 0;
-        let sumSquares = 0;
-        const count = Math.min(samples.length - period, period * 2);
-
-        for (let i = 0; i < count; i++) {
-            sum += samples[i] * samples[i + period];
-            sumSquares += samples[i] * samples[i];
-        }
-
-        if (sumSquares === 0) {
-            return 0;
-        }
-
-        // Normalized correlation coefficient
-        const correlation = sum / sumSquares;
-
-        // Clamp to 0-1 range
-        return Math.max(0, Math.min(1, correlation));
-    }
-
     /**
      * Calculates Root Mean Square (RMS) of audio samples
      * @param {Float32Array} samples
@@ -196,12 +130,22 @@ class PitchDetector {
         return Math.sqrt(sum / samples.length);
     }
 
+    /**
+     * @returns {number} ms, for the processing time
+     */
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
     /**
      * Identifies the musical note from a frequency
      * @param {number} frequency - Frequency in Hz
+     * @param {Object} options - { referenceFrequency: A4 in Hz (default 440), temperament: Temperament (default equal),
+     *                             inTuneThreshold: cents (default 5),
+     *                             midiNote: measure against this note instead of the nearest one }
      * @returns {Object} MusicalNote object with note name, octave, cents offset, etc.
      */
-    static getNoteFromFrequency(frequency) {
+    static getNoteFromFrequency(frequency, options = {}) {
         if (frequency <= 0) {
             return {
                 noteName: '',
@@ -214,17 +158,35 @@ class PitchDetector {
             };
         }
 
-        // A4 = 440 Hz as reference
-        const A4 = 440.0;
+        const A4 = options.referenceFrequency || 440.0;
         const A4_MIDI = 69;
+        const inTuneThreshold = options.inTuneThreshold || 5;
 
         // Calculate MIDI note number
         const halfStepsFromA4 = 12.0 * Math.log2(frequency / A4);
-        const midiNote = Math.round(halfStepsFromA4) + A4_MIDI;
+        let midiNote = Math.round(halfStepsFromA4) + A4_MIDI;
 
         // Calculate cents offset from perfect pitch
-        const perfectFrequency = A4 * Math.pow(2, (midiNote - A4_MIDI) / 12.0);
-        const centsOffset = 1200.0 * Math.log2(frequency / perfectFrequency);
+        let perfectFrequency = PitchDetector.getFrequencyFromMidi(midiNote, options);
+        let centsOffset = 1200.0 * Math.log2(frequency / perfectFrequency);
+
+        // A note held by the caller (e.g. PitchStabilizer hysteresis) wins over the nearest one
+        if (typeof options.midiNote === 'number') {
+            midiNote = options.midiNote;
+            perfectFrequency = PitchDetector.getFrequencyFromMidi(midiNote, options);
+            centsOffset = 1200.0 * Math.log2(frequency / perfectFrequency);
+        } else if (options.temperament) {
+            // Tempered notes are shifted from equal temperament, so a neighbour may be closer
+            [midiNote - 1, midiNote + 1].forEach(candidate => {
+                const candidateFrequency = PitchDetector.getFrequencyFromMidi(candidate, options);
+                const candidateCents = 1200.0 * Math.log2(frequency / candidateFrequency);
+                if (Math.abs(candidateCents) < Math.abs(centsOffset)) {
+                    midiNote = candidate;
+                    perfectFrequency = candidateFrequency;
+                    centsOffset = candidateCents;
+                }
+            });
+        }
 
         // Get note name
         const noteIndex = midiNote % 12;
@@ -242,8 +204,27 @@ class PitchDetector {
             actualFrequency: frequency,
             centsOffset: centsOffset,
             isValid: true,
-            isInTune: Math.abs(centsOffset) < 5,
-            tuningStatus: Math.abs(centsOffset) < 5 ? 'In Tune' : (centsOffset > 0 ? 'Sharp' : 'Flat')
+            isInTune: Math.abs(centsOffset) < inTuneThreshold,
+            tuningStatus: Math.abs(centsOffset) < inTuneThreshold ? 'In Tune' : (centsOffset > 0 ? 'Sharp' : 'Flat')
         };
     }
+
+    /**
+     * Returns the target frequency of a MIDI note for the given reference pitch and temperament
+     * @param {number} midiNote
+     * @param {Object} options - { referenceFrequency: A4 in Hz (default 440), temperament: Temperament (default equal) }
+     * @returns {number} Frequency in Hz
+     */
+    static getFrequencyFromMidi(midiNote, options = {}) {
+        const A4 = options.referenceFrequency || 440.0;
+        const offset = options.temperament ? options.temperament.getOffset(midiNote) : 0;
+
+        return A4 * Math.pow(2, (midiNote - 69) / 12.0 + offset / 1200.0);
+    }
+}
+
+PitchDetector.CONFIDENCE_THRESHOLD = 0.5; // Default confidence cutoff of new detectors
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitchDetector };
 }
@@ -0,0 +1,170 @@
+/**
+ * PitchHistoryGraph - Scrolling strip chart of a PitchHistory on a canvas
+ * Deviation in cents over the last seconds, with the frequency of the grid lines for the
+ * current target on the right. Each reading is drawn as opaque as the detector was confident,
+ * inside a band that widens as the confidence drops. Can be frozen to study a pluck.
+ */
+class PitchHistoryGraph {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {PitchHistory} history
+     */
+    constructor(canvas, history) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.history = history;
+        this.span = 5000; // ms shown
+        this.centsRange = 25; // ± cents shown
+        this.inTuneCents = 5; // Shaded band around the target
+        this.gapTime = 150; // ms without readings that breaks the line
+        this.frozenAt = null; // End of the frozen view (ms), null while scrolling
+        this.clock = () => performance.now();
+        this.frameId = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isFrozen() {
+        return this.frozenAt !== null;
+    }
+
+    /**
+     * Stops or resumes the scrolling; readings keep being recorded while frozen
+     * @param {boolean} frozen
+     */
+    freeze(frozen) {
+        this.frozenAt = frozen ? this.clock() : null;
+        this.draw();
+    }
+
+    /**
+     * @param {number} span - ms shown, up to the history duration
+     */
+    setSpan(span) {
+        this.span = Math.min(span, this.history.options.duration);
+        this.draw();
+    }
+
+    /**
+     * @param {number} cents - ± cents shown
+     */
+    setCentsRange(cents) {
+        this.centsRange = cents;
+        this.draw();
+    }
+
+    /**
+     * @returns {Array<Object>} The readings in view
+     */
+    visiblePoints() {
+        const end = this.isFrozen ? this.frozenAt : this.clock();
+        return this.history.range(end - this.span, end);
+    }
+
+    /**
+     * Starts the animation loop
+     */
+    start() {
+        if (this.frameId !== null) return;
+        this.frameId = requestAnimationFrame(() => this.frame());
+    }
+
+    /**
+     * Stops the animation loop, keeping the last frame
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Draws a frame and schedules the next
+     */
+    frame() {
+        this.draw();
+        this.frameId = requestAnimationFrame(() => this.frame());
+    }
+
+    /**
+     * Draws the grid and the readings in view. Newest readings on the right.
+     */
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+
+        if (width === 0 || height === 0) return;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = this.context;
+        const range = this.centsRange;
+        const end = this.isFrozen ? this.frozenAt : this.clock();
+        const start = end - this.span;
+        const points = this.history.range(start, end);
+        const x = time => (time - start) / this.span * width;
+        const y = cents => height / 2 - Math.max(-range, Math.min(range, cents)) / range * height / 2;
+
+        context.clearRect(0, 0, width, height);
+
+        // In tune band
+        context.fillStyle = 'rgba(76, 175, 80, 0.12)';
+        context.fillRect(0, y(this.inTuneCents), width, y(-this.inTuneCents) - y(this.inTuneCents));
+
+        // Grid: cents on the left, the frequency of the latest target on the right
+        const reference = points.length > 0 ? points[points.length - 1].reference : null;
+        context.font = `${10 * ratio}px sans-serif`;
+        context.lineWidth = ratio;
+        [-range, -range / 2, 0, range / 2, range].forEach(cents => {
+            const lineY = Math.min(height - ratio, Math.max(ratio, y(cents)));
+            context.strokeStyle = cents === 0 ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+            context.beginPath();
+            context.moveTo(0, lineY);
+            context.lineTo(width, lineY);
+            context.stroke();
+
+            const labelY = Math.min(height - 2 * ratio, Math.max(10 * ratio, lineY - 2 * ratio));
+            context.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            context.textAlign = 'left';
+            context.fillText((cents > 0 ? '+' : '') + cents, 2 * ratio, labelY);
+            if (reference) {
+                context.textAlign = 'right';
+                context.fillText((reference * Math.pow(2, cents / 1200)).toFixed(1) + ' Hz', width - 2 * ratio, labelY);
+            }
+        });
+        context.textAlign = 'left';
+
+        // Confidence band, then the line segment by segment
+        points.forEach(point => {
+            const spread = (1 - Math.max(0, Math.min(1, point.confidence))) * range / 2;
+            context.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            context.fillRect(x(point.time) - ratio, y(point.cents + spread), 2 * ratio, y(point.cents - spread) - y(point.cents + spread) + ratio);
+        });
+
+        context.lineWidth = 2 * ratio;
+        context.lineCap = 'round';
+        points.forEach((point, index) => {
+            const previous = points[index - 1];
+            const inTune = Math.abs(point.cents) < this.inTuneCents;
+            context.strokeStyle = inTune ? '#4CAF50' : (point.cents < 0 ? '#f44336' : '#ff9800');
+            context.globalAlpha = Math.max(0.15, Math.min(1, point.confidence));
+            context.beginPath();
+
+            // A pause or a new target starts a new line
+            if (previous && point.time - previous.time <= this.gapTime && previous.reference === point.reference) {
+                context.moveTo(x(previous.time), y(previous.cents));
+            } else {
+                context.moveTo(x(point.time), y(point.cents));
+            }
+            context.lineTo(x(point.time), y(point.cents));
+            context.stroke();
+        });
+        context.globalAlpha = 1;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * PitchHistory - The detector readings of the last seconds, for the pitch history graph
+ * Every reading is kept with its deviation from the note or string being tuned, so the
+ * graph can show a note drifting as it decays, a string settling after a bend, or vibrato.
+ * stats() sums up a stretch of readings: mean, stability, drift and vibrato.
+ */
+class PitchHistory {
+    /**
+     * @param {Object} options - See PitchHistory.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, PitchHistory.DEFAULTS, options);
+        this.points = []; // { time, frequency, reference, cents, confidence }, oldest first
+    }
+
+    /**
+     * Adds a reading and drops the ones older than the kept duration
+     * @param {Object} reading - { time: ms, frequency: Hz, reference: Hz of the target, confidence: 0-1 }
+     */
+    add(reading) {
+        this.points.push({
+            time: reading.time,
+            frequency: reading.frequency,
+            reference: reading.reference,
+            cents: 1200 * Math.log2(reading.frequency / reading.reference),
+            confidence: reading.confidence
+        });
+
+        const oldest = reading.time - this.options.duration;
+        let expired = 0;
+        while (expired < this.points.length && this.points[expired].time < oldest) {
+            expired++;
+        }
+        if (expired > 0) {
+            this.points.splice(0, expired);
+        }
+    }
+
+    /**
+     * Forgets all readings
+     */
+    clear() {
+        this.points = [];
+    }
+
+    /**
+     * @param {number} start - ms
+     * @param {number} end - ms
+     * @returns {Array<Object>} Readings from start to end
+     */
+    range(start, end) {
+        return this.points.filter(point => point.time >= start && point.time <= end);
+    }
+
+    /**
+     * Sums up a stretch of readings
+     * @param {Array<Object>} points - Readings, oldest first
+     * @param {Object} options - { vibratoMinRate, vibratoMaxRate, vibratoMinDepth, vibratoCorrelation }
+     * @returns {Object|null} { count, duration: ms, mean, deviation, drift, vibrato }, null without
+     *          readings. mean and deviation in cents; deviation is the spread around the drift
+     *          (how steady the note is); drift in cents per second; vibrato { rate: Hz, depth: ±cents } or null
+     */
+    static stats(points, options = PitchHistory.DEFAULTS) {
+        if (points.length === 0) {
+            return null;
+        }
+
+        const count = points.length;
+        const start = points[0].time;
+        const duration = points[count - 1].time - start;
+        const mean = points.reduce((sum, point) => sum + point.cents, 0) / count;
+        const meanTime = points.reduce((sum, point) => sum + point.time - start, 0) / count;
+
+        // Least squares line through the deviation: the drift
+        let covariance = 0;
+        let variance = 0;
+        points.forEach(point => {
+            covariance += (point.time - start - meanTime) * (point.cents - mean);
+            variance += Math.pow(point.time - start - meanTime, 2);
+        });
+        const drift = variance > 0 ? covariance / variance * 1000 : 0;
+
+        const residuals = points.map(point => point.cents - mean - drift * (point.time - start - meanTime) / 1000);
+        const deviation = Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / count);
+
+        return {
+            count: count,
+            duration: duration,
+            mean: mean,
+            deviation: deviation,
+            drift: drift,
+            vibrato: PitchHistory.vibrato(residuals, duration, deviation, options)
+        };
+    }
+
+    /**
+     * Finds a regular oscillation around the drift line
+     * @param {Array<number>} residuals - cents around the drift line, at a steady pace
+     * @param {number} duration - ms
+     * @param {number} deviation - RMS of the residuals
+     * @param {Object} options
+     * @returns {Object|null} { rate: Hz, depth: ±cents }
+     */
+    static vibrato(residuals, duration, deviation, options) {
+        // A sine of amplitude A has an RMS of A / √2
+        const depth = deviation * Math.SQRT2;
+        const count = residuals.length;
+        if (duration <= 0 || count < 3 || depth < options.vibratoMinDepth) {
+            return null;
+        }
+
+        // Autocorrelation over the lags of the vibrato rates: a swing shows as a peak,
+        // while jitter and slow corrections don't
+        const step = duration / (count - 1); // ms between readings
+        const minLag = Math.max(1, Math.floor(1000 / options.vibratoMaxRate / step));
+        const maxLag = Math.min(Math.floor(count / 2), Math.ceil(1000 / options.vibratoMinRate / step));
+        const energy = residuals.reduce((sum, value) => sum + value * value, 0);
+
+        const correlation = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < count; i++) {
+                sum += residuals[i] * residuals[i + lag];
+            }
+            correlation.push(sum / energy * count / (count - lag));
+        }
+
+        let best = -1;
+        for (let i = 1; i < correlation.length - 1; i++) {
+            if (correlation[i] > correlation[i - 1] && correlation[i] >= correlation[i + 1] &&
+                (best < 0 || correlation[i] > correlation[best])) {
+                best = i;
+            }
+        }
+        if (best < 0 || correlation[best] < options.vibratoCorrelation) {
+            return null;
+        }
+
+        // Parabolic interpolation between lags for the period
+        const previous = correlation[best - 1];
+        const next = correlation[best + 1];
+        const shift = 0.5 * (previous - next) / (previous - 2 * correlation[best] + next);
+        const rate = 1000 / ((minLag + best + shift) * step);
+
+        if (rate < options.vibratoMinRate || rate > options.vibratoMaxRate) {
+            return null;
+        }
+
+        return { rate: rate, depth: depth };
+    }
+}
+
+PitchHistory.DEFAULTS = {
+    duration: 30000, // ms of readings kept (the longest zoom of the graph)
+    vibratoMinRate: 3, // Hz: slower swings are the player correcting the pitch
+    vibratoMaxRate: 10, // Hz: faster ones are detector jitter
+    vibratoMinDepth: 4, // ±cents
+    vibratoCorrelation: 0.5 // Autocorrelation peak that counts as a regular swing
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitchHistory };
+}
@@ -0,0 +1,232 @@
+/**
+ * PitchStabilizer - Turns raw per-window detection results into a steady reading
+ * Sits between PitchDetector and the UI:
+ *   - median or Kalman smoothing of the frequency (in cents, so it behaves the same on every string)
+ *   - note-change hysteresis, so the note doesn't flicker on a semitone boundary
+ *   - onset detection that ignores the first milliseconds of the pluck transient
+ *   - "hold last stable reading" while the signal fades, with a timeout
+ * DOM-free; timestamps are passed in (ms), so recorded sequences can be replayed in tests.
+ */
+class PitchStabilizer {
+    constructor(options = {}) {
+        this.options = Object.assign({}, PitchStabilizer.DEFAULTS);
+        this.configure(options);
+        this.reset();
+    }
+
+    /**
+     * Updates options (see PitchStabilizer.DEFAULTS)
+     * @param {Object} options
+     */
+    configure(options) {
+        Object.keys(options).forEach(key => {
+            if (!(key in PitchStabilizer.DEFAULTS)) {
+                throw new Error(`Opzione di stabilizzazione sconosciuta: ${key}`);
+            }
+        });
+
+        Object.assign(this.options, options);
+        if (!PitchStabilizer.FILTERS[this.options.filter]) {
+            throw new Error(`Filtro sconosciuto: ${this.options.filter}`);
+        }
+    }
+
+    /**
+     * Forgets all history (e.g. when the tuner is stopped)
+     */
+    reset() {
+        this.history = []; // Recent readings in cents from A4, for the median filter
+        this.kalman = null; // { estimate, variance }
+        this.outliers = 0;
+        this.attackStart = null;
+        this.lastRms = 0;
+        this.wasValid = false;
+        this.midiNote = null;
+        this.lastStable = null; // { frequency, midiNote, confidence, timestamp }
+    }
+
+    /**
+     * Processes one detection result
+     * @param {Object} result - PitchDetectionResult { frequency, confidence, isValid, rms }
+     * @param {number} timestamp - ms
+     * @returns {Object} { state: 'silent'|'attack'|'stable'|'holding', frequency, midiNote, confidence, rms }
+     */
+    process(result, timestamp) {
+        const options = this.options;
+        const valid = result.isValid && result.frequency > 0;
+
+        // A new pluck: signal reappearing, or a sudden jump in level
+        const onset = valid && (!this.wasValid || result.rms > this.lastRms * options.onsetRatio);
+        this.lastRms = result.rms;
+        this.wasValid = valid;
+
+        if (onset) {
+            this.attackStart = timestamp;
+            this.clearFilter();
+        }
+
+        if (!valid) {
+            return this.holdOrSilence(result, timestamp);
+        }
+
+        if (timestamp - this.attackStart < options.attackTime) {
+            const held = this.lastStable;
+            return this.output('attack', held ? held.frequency : 0, held ? held.midiNote : null, result);
+        }
+
+        const cents = this.toCents(result.frequency);
+        const smoothed = this.smooth(cents);
+        const frequency = this.fromCents(smoothed);
+        const midiNote = this.applyHysteresis(smoothed);
+
+        this.lastStable = { frequency: frequency, midiNote: midiNote, confidence: result.confidence, timestamp: timestamp };
+
+        return this.output('stable', frequency, midiNote, result);
+    }
+
+    /**
+     * Keeps showing the last stable reading for holdTime, then reports silence
+     * @param {Object} result
+     * @param {number} timestamp
+     * @returns {Object}
+     */
+    holdOrSilence(result, timestamp) {
+        const held = this.lastStable;
+
+        if (held && timestamp - held.timestamp < this.options.holdTime) {
+            return this.output('holding', held.frequency, held.midiNote, result);
+        }
+
+        this.lastStable = null;
+        this.midiNote = null;
+        this.clearFilter();
+        return this.output('silent', 0, null, result);
+    }
+
+    /**
+     * Smooths a reading with the configured filter. A run of readings far from the
+     * current estimate means the note really changed, so the filter restarts there.
+     * @param {number} cents - Reading in cents from A4
+     * @returns {number} Smoothed cents
+     */
+    smooth(cents) {
+        const options = this.options;
+        const current = this.currentEstimate();
+
+        if (current !== null && Math.abs(cents - current) > options.jumpCents) {
+            this.outliers++;
+            if (this.outliers >= options.jumpFrames) {
+                this.clearFilter();
+            } else {
+                // Isolated outlier (e.g. an octave glitch): don't let it into the filter
+                return current;
+            }
+        } else {
+            this.outliers = 0;
+        }
+
+        if (options.filter === 'median') {
+            this.history.push(cents);
+            if (this.history.length > options.medianWindow) {
+                this.history.shift();
+            }
+            const sorted = this.history.slice().sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        }
+
+        if (options.filter === 'kalman') {
+            if (!this.kalman) {
+                this.kalman = { estimate: cents, variance: options.measurementNoise };
+                return cents;
+            }
+            // Random-walk model: predict, then correct with the new reading
+            const predictedVariance = this.kalman.variance + options.processNoise;
+            const gain = predictedVariance / (predictedVariance + options.measurementNoise);
+            this.kalman.estimate += gain * (cents - this.kalman.estimate);
+            this.kalman.variance = (1 - gain) * predictedVariance;
+            return this.kalman.estimate;
+        }
+
+        this.history = [cents];
+        return cents;
+    }
+
+    /**
+     * @returns {number|null} Current filter estimate in cents, or null if there is none
+     */
+    currentEstimate() {
+        if (this.options.filter === 'kalman') {
+            return this.kalman ? this.kalman.estimate : null;
+        }
+        if (this.history.length === 0) {
+            return null;
+        }
+        const sorted = this.history.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    clearFilter() {
+        this.history = [];
+        this.kalman = null;
+        this.outliers = 0;
+    }
+
+    /**
+     * Keeps the current note until the reading is hysteresisCents past the semitone boundary
+     * @param {number} cents - Smoothed reading in cents from A4
+     * @returns {number} MIDI note
+     */
+    applyHysteresis(cents) {
+        const position = 69 + cents / 100;
+        const nearest = Math.round(position);
+
+        if (this.midiNote === null ||
+            Math.abs(position - this.midiNote) > 0.5 + this.options.hysteresisCents / 100) {
+            this.midiNote = nearest;
+        }
+
+        return this.midiNote;
+    }
+
+    toCents(frequency) {
+        return 1200 * Math.log2(frequency / this.options.referenceFrequency);
+    }
+
+    fromCents(cents) {
+        return this.options.referenceFrequency * Math.pow(2, cents / 1200);
+    }
+
+    output(state, frequency, midiNote, result) {
+        return {
+            state: state,
+            frequency: frequency,
+            midiNote: midiNote,
+            confidence: result.confidence,
+            rms: result.rms
+        };
+    }
+}
+
+PitchStabilizer.FILTERS = {
+    median: 'Mediana',
+    kalman: 'Kalman',
+    none: 'Nessuno'
+};
+
+PitchStabilizer.DEFAULTS = {
+    filter: 'median',
+    medianWindow: 5, // readings
+    processNoise: 1, // cents² per reading (how fast the true pitch may move)
+    measurementNoise: 25, // cents² (detector jitter)
+    hysteresisCents: 20, // beyond the ±50 cents semitone boundary
+    attackTime: 80, // ms ignored after an onset
+    onsetRatio: 2, // RMS jump (6 dB) that counts as a new pluck
+    holdTime: 1500, // ms the last stable reading stays after the signal fades
+    jumpCents: 80, // readings this far from the estimate are outliers...
+    jumpFrames: 3, // ...unless this many arrive in a row (a real note change)
+    referenceFrequency: 440 // A4, for the note grid used by the hysteresis
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitchStabilizer };
+}
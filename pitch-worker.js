@@ -0,0 +1,32 @@
+/**
+ * Pitch detection Web Worker
+ * Runs the TunerCore detector off the main thread. Messages:
+ *   { type: 'configure', config }  - (re)creates the detector
+ *   { type: 'analyze', samples }   - replies { type: 'result', result, samples }
+ *   { type: 'strum', samples, targets } - replies { type: 'strumResult', result, samples }
+ */
+importScripts('pitch-algorithms.js', 'pitch-detector.js', 'temperament.js', 'tunings.js', 'tuner-core.js',
+    'fft.js', 'strum-analyzer.js');
+
+let detector = null;
+let strumAnalyzer = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'configure') {
+        detector = TunerCore.createDetector(message.config);
+    } else if (message.type === 'analyze' && detector) {
+        const result = detector.detectPitch(message.samples);
+
+        // Hand the samples back so the main thread can reuse them without copying
+        self.postMessage({ type: 'result', result: result, samples: message.samples }, [message.samples.buffer]);
+    } else if (message.type === 'strum' && detector) {
+        if (!strumAnalyzer || strumAnalyzer.sampleRate !== detector.sampleRate) {
+            strumAnalyzer = new StrumAnalyzer(detector.sampleRate);
+        }
+        const result = strumAnalyzer.analyze(message.samples, message.targets);
+
+        self.postMessage({ type: 'strumResult', result: result, samples: message.samples }, [message.samples.buffer]);
+    }
+};
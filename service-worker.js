@@ -0,0 +1,108 @@
+/**
+ * Service worker - Precaches the app so the tuner loads without connectivity
+ * Bump CACHE_VERSION whenever a precached file changes: the new worker installs
+ * next to the old one and waits until the user accepts the update (see update-manager.js).
+ */
+
+const CACHE_VERSION = 'v20';
+const CACHE_NAME = 'accordatore-' + CACHE_VERSION;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png',
+    'i18n.js',
+    'temperament.js',
+    'pitch-algorithms.js',
+    'pitch-detector.js',
+    'tunings.js',
+    'instrument-profiles.js',
+    'tuner-core.js',
+    'pitch-stabilizer.js',
+    'settings-store.js',
+    'noise-gate.js',
+    'string-targeting.js',
+    'strobe-display.js',
+    'pitch-history.js',
+    'pitch-history-graph.js',
+    'detector-diagnostics.js',
+    'diagnostics-panel.js',
+    'intonation-check.js',
+    'file-analyzer.js',
+    'tune-logger.js',
+    'session-history.js',
+    'tone-generator.js',
+    'accessible-feedback.js',
+    'fft.js',
+    'strum-analyzer.js',
+    'harmonic-analyzer.js',
+    'pitch-analyzer.js',
+    'pitch-worker.js',
+    'audio.js',
+    'tuner-engine.js',
+    'lifecycle-manager.js',
+    'guitar-tuner.js',
+    'capture-worklet.js',
+    'update-manager.js',
+    'app.js'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the page asks for it when the user accepts the update.
+    // Past the HTTP cache, or the new version could be filled with the files it replaces
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop the caches of previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('accordatore-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+
+    if (event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (event.data.type === 'GET_VERSION' && event.ports[0]) {
+        event.ports[0].postMessage({ version: CACHE_VERSION });
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Cache first: the precached files are versioned as a whole by CACHE_VERSION
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) {
+                return cached;
+            }
+
+            return fetch(request).catch(error => {
+                // Offline navigation to a URL that isn't cached: serve the app shell
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw error;
+            });
+        })
+    );
+});
@@ -0,0 +1,627 @@
+/**
+ * SessionHistory - Log of tuned strings stored in IndexedDB, per instrument
+ * Every entry records how far a string was from its target before tuning, so the
+ * history shows how each instrument drifts between sessions. Harmonic analyses of the
+ * strings are kept too, to follow their inharmonicity as they age. The log can be
+ * exported and imported as JSON or CSV.
+ */
+class SessionHistory {
+    /**
+     * @param {string} dbName - IndexedDB database
+     */
+    constructor(dbName = SessionHistory.DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Opens (and on first use creates) the database
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (this.db) return;
+
+        const request = indexedDB.open(this.dbName, SessionHistory.DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                db.createObjectStore('instruments', { keyPath: 'id', autoIncrement: true });
+                const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                entries.createIndex('instrumentId', 'instrumentId');
+            }
+            if (event.oldVersion < 2) {
+                const harmonics = db.createObjectStore('harmonics', { keyPath: 'id', autoIncrement: true });
+                harmonics.createIndex('instrumentId', 'instrumentId');
+            }
+        };
+
+        this.db = await SessionHistory.promisify(request);
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} [{ id, name, createdAt, restrungAt }] in creation order
+     */
+    async getInstruments() {
+        const instruments = await SessionHistory.promisify(this.store('instruments').getAll());
+        return instruments.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Object>} The new instrument
+     */
+    async addInstrument(name) {
+        const instrument = { name: await this.validateName(name), createdAt: Date.now() };
+        instrument.id = await SessionHistory.promisify(this.store('instruments', 'readwrite').add(instrument));
+        return instrument;
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async renameInstrument(id, name) {
+        const store = this.store('instruments');
+        const instrument = await SessionHistory.promisify(store.get(id));
+        if (!instrument) {
+            throw new Error('Strumento non trovato');
+        }
+
+        instrument.name = await this.validateName(name, id);
+        await SessionHistory.promisify(this.store('instruments', 'readwrite').put(instrument));
+    }
+
+    /**
+     * Records that the instrument got new strings: string health is measured from here on
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async markRestrung(id) {
+        const instrument = await SessionHistory.promisify(this.store('instruments').get(id));
+        if (!instrument) {
+            throw new Error('Strumento non trovato');
+        }
+
+        instrument.restrungAt = Date.now();
+        await SessionHistory.promisify(this.store('instruments', 'readwrite').put(instrument));
+    }
+
+    /**
+     * Deletes an instrument together with its history
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async removeInstrument(id) {
+        const transaction = this.db.transaction(['instruments', 'entries', 'harmonics'], 'readwrite');
+        ['entries', 'harmonics'].forEach(name => {
+            const store = transaction.objectStore(name);
+            const keys = store.index('instrumentId').getAllKeys(id);
+
+            // Deleting from the callback keeps the transaction active (an await could let it commit)
+            keys.onsuccess = () => keys.result.forEach(key => store.delete(key));
+        });
+        transaction.objectStore('instruments').delete(id);
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Trims and checks an instrument name
+     * @param {string} name
+     * @param {number} ownId - Instrument being renamed (may keep its name)
+     * @returns {Promise<string>}
+     */
+    async validateName(name, ownId = null) {
+        const trimmed = SessionHistory.checkName(name);
+        const instruments = await this.getInstruments();
+        if (instruments.some(other => other.id !== ownId && other.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`Esiste già uno strumento chiamato "${trimmed}"`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * @param {Object} entry - { instrumentId, sessionId, time, tuningId, stringIndex, note, midiNote,
+     *                           startCents, duration }
+     * @returns {Promise<number>} Entry id
+     */
+    addEntry(entry) {
+        return SessionHistory.promisify(this.store('entries', 'readwrite').add(entry));
+    }
+
+    /**
+     * @param {number} instrumentId
+     * @returns {Promise<Array<Object>>} Entries of the instrument, oldest first
+     */
+    async getEntries(instrumentId) {
+        const entries = await SessionHistory.promisify(
+            this.store('entries').index('instrumentId').getAll(instrumentId));
+        return entries.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * @param {Object} measurement - { instrumentId, time, stringIndex, note, midiNote, frequency,
+     *                                 inharmonicity, partials: number detected }
+     * @returns {Promise<number>} Measurement id
+     */
+    addMeasurement(measurement) {
+        return SessionHistory.promisify(this.store('harmonics', 'readwrite').add(measurement));
+    }
+
+    /**
+     * @param {number} instrumentId
+     * @returns {Promise<Array<Object>>} Harmonic measurements of the instrument, oldest first
+     */
+    async getMeasurements(instrumentId) {
+        const measurements = await SessionHistory.promisify(
+            this.store('harmonics').index('instrumentId').getAll(instrumentId));
+        return measurements.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * @returns {Promise<Object>} { instruments, entries, harmonics } - everything, for export
+     */
+    async exportData() {
+        const instruments = await this.getInstruments();
+        const entries = await SessionHistory.promisify(this.store('entries').getAll());
+        const harmonics = await SessionHistory.promisify(this.store('harmonics').getAll());
+        return {
+            instruments: instruments,
+            entries: entries.sort((a, b) => a.time - b.time),
+            harmonics: harmonics.sort((a, b) => a.time - b.time)
+        };
+    }
+
+    /**
+     * Merges exported data: instruments are matched by name (new ones are created)
+     * and entries already present are skipped, so importing twice changes nothing
+     * @param {Object} data - { instruments: [{ id, name }], entries: [{ instrumentId, ... }],
+     *                         harmonics: [{ instrumentId, ... }] (optional) }
+     * @returns {Promise<number>} Entries and measurements added
+     */
+    async importData(data) {
+        // Every name is checked before writing, so a bad one does not leave a partial import
+        const importedInstruments = data.instruments.map(imported => ({
+            id: imported.id,
+            name: SessionHistory.checkName(imported.name)
+        }));
+        const instruments = await this.getInstruments();
+        const idMap = new Map();
+
+        for (const imported of importedInstruments) {
+            let instrument = instruments.find(existing => existing.name.toLowerCase() === imported.name.toLowerCase());
+            if (!instrument) {
+                instrument = await this.addInstrument(imported.name);
+                instruments.push(instrument);
+            }
+            idMap.set(imported.id, instrument.id);
+        }
+
+        const kinds = [
+            { items: data.entries, get: id => this.getEntries(id), add: item => this.addEntry(item) },
+            { items: data.harmonics || [], get: id => this.getMeasurements(id), add: item => this.addMeasurement(item) }
+        ];
+
+        let added = 0;
+        for (const instrument of instruments) {
+            for (const kind of kinds) {
+                const importedItems = kind.items.filter(item => idMap.get(item.instrumentId) === instrument.id);
+                if (importedItems.length === 0) continue;
+
+                const existing = new Set((await kind.get(instrument.id)).map(SessionHistory.entryKey));
+                for (const item of importedItems) {
+                    const copy = Object.assign({}, item, { instrumentId: instrument.id });
+                    delete copy.id;
+
+                    if (!existing.has(SessionHistory.entryKey(copy))) {
+                        await kind.add(copy);
+                        existing.add(SessionHistory.entryKey(copy));
+                        added++;
+                    }
+                }
+            }
+        }
+
+        return added;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {IDBObjectStore}
+     */
+    store(name, mode = 'readonly') {
+        return this.db.transaction(name, mode).objectStore(name);
+    }
+
+    /**
+     * @param {IDBRequest} request
+     * @returns {Promise<*>} The request result
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Identity of an entry for duplicate detection on import
+     * @param {Object} entry
+     * @returns {string}
+     */
+    static entryKey(entry) {
+        return `${entry.time}|${entry.stringIndex}|${entry.note}`;
+    }
+
+    /**
+     * Drift of each string between sessions: the offset at the first tuning of every
+     * session is how far the string moved since it was last tuned
+     * @param {Array<Object>} entries - Entries of one instrument
+     * @returns {Array<Object>} Per string, lowest first: { stringIndex, note, midiNote, sessions,
+     *                          meanCents, lastCents, minCents, maxCents, meanDuration }
+     */
+    static driftStats(entries) {
+        const strings = new Map();
+
+        entries.forEach(entry => {
+            const key = `${entry.stringIndex}|${entry.note}`;
+            if (!strings.has(key)) {
+                strings.set(key, { entry: entry, firstBySession: new Map(), durations: [] });
+            }
+
+            const string = strings.get(key);
+            const first = string.firstBySession.get(entry.sessionId);
+            if (!first || entry.time < first.time) {
+                string.firstBySession.set(entry.sessionId, entry);
+            }
+            string.durations.push(entry.duration);
+        });
+
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        return Array.from(strings.values())
+            .map(string => {
+                const firsts = Array.from(string.firstBySession.values()).sort((a, b) => a.time - b.time);
+                const offsets = firsts.map(entry => entry.startCents);
+
+                return {
+                    stringIndex: string.entry.stringIndex,
+                    note: string.entry.note,
+                    midiNote: string.entry.midiNote,
+                    sessions: firsts.length,
+                    meanCents: mean(offsets),
+                    lastCents: offsets[offsets.length - 1],
+                    minCents: Math.min.apply(null, offsets),
+                    maxCents: Math.max.apply(null, offsets),
+                    meanDuration: mean(string.durations)
+                };
+            })
+            .sort((a, b) => a.stringIndex - b.stringIndex || a.midiNote - b.midiNote);
+    }
+
+    /**
+     * Health of each string from its inharmonicity since the last restringing: the first
+     * measurements of fresh strings are the baseline, the latest ones are compared to it.
+     * Aging strings lose their brilliance and their partials drift further from harmonic.
+     * @param {Array<Object>} measurements - Harmonic measurements of one instrument
+     * @param {number|null} since - Time of the last restringing (earlier measurements are ignored)
+     * @returns {Array<Object>} Per string, lowest first: { stringIndex, note, midiNote, count,
+     *          baseline, current, change, status } - baseline and current are B, change is the
+     *          relative increase; status 'new' until there are more measurements than the baseline
+     *          needs, then 'good', 'aging' or 'dead'
+     */
+    static stringHealth(measurements, since = null) {
+        const strings = new Map();
+        measurements
+            .filter(measurement => measurement.inharmonicity !== null && (since === null || measurement.time >= since))
+            .sort((a, b) => a.time - b.time)
+            .forEach(measurement => {
+                const key = `${measurement.stringIndex}|${measurement.note}`;
+                if (!strings.has(key)) {
+                    strings.set(key, []);
+                }
+                strings.get(key).push(measurement);
+            });
+
+        const median = values => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        const size = SessionHistory.HEALTH_BASELINE;
+
+        return Array.from(strings.values())
+            .map(list => {
+                const values = list.map(measurement => measurement.inharmonicity);
+                const baseline = median(values.slice(0, size));
+                const current = values.length > size ? median(values.slice(Math.max(size, values.length - size))) : null;
+                const change = current !== null && baseline > 0 ? current / baseline - 1 : null;
+
+                let status = 'new';
+                if (change !== null) {
+                    status = change >= SessionHistory.HEALTH_DEAD ? 'dead'
+                        : change >= SessionHistory.HEALTH_AGING ? 'aging' : 'good';
+                }
+
+                return {
+                    stringIndex: list[0].stringIndex,
+                    note: list[0].note,
+                    midiNote: list[0].midiNote,
+                    count: list.length,
+                    baseline: baseline,
+                    current: current,
+                    change: change,
+                    status: status
+                };
+            })
+            .sort((a, b) => a.stringIndex - b.stringIndex || a.midiNote - b.midiNote);
+    }
+
+    /**
+     * @param {Object} data - { instruments, entries, harmonics }
+     * @returns {string}
+     */
+    static toJSON(data) {
+        return JSON.stringify({
+            format: 'accordatore-history',
+            version: 1,
+            exported: new Date().toISOString(),
+            instruments: data.instruments,
+            entries: data.entries,
+            harmonics: data.harmonics || []
+        }, null, 2);
+    }
+
+    /**
+     * @param {string} text - Produced by toJSON()
+     * @returns {Object} { instruments, entries, harmonics }
+     */
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File JSON non valido');
+        }
+
+        if (!data || data.format !== 'accordatore-history' || !Array.isArray(data.instruments) ||
+            !Array.isArray(data.entries)) {
+            throw new Error('Il file non contiene uno storico dell\'accordatore');
+        }
+
+        return {
+            instruments: data.instruments.map(SessionHistory.checkInstrument),
+            entries: data.entries.map(SessionHistory.checkEntry),
+            harmonics: (data.harmonics || []).map(SessionHistory.checkMeasurement)
+        };
+    }
+
+    /**
+     * One row per entry, with the instrument name instead of its id
+     * @param {Object} data - { instruments, entries }
+     * @returns {string}
+     */
+    static toCSV(data) {
+        const names = new Map(data.instruments.map(instrument => [instrument.id, instrument.name]));
+        const rows = [SessionHistory.CSV_COLUMNS.join(',')];
+
+        data.entries.forEach(entry => {
+            rows.push([
+                SessionHistory.csvField(names.get(entry.instrumentId) || ''),
+                new Date(entry.time).toISOString(),
+                new Date(entry.sessionId).toISOString(),
+                SessionHistory.csvField(entry.tuningId || ''),
+                entry.stringIndex,
+                entry.note,
+                entry.midiNote,
+                entry.startCents.toFixed(2),
+                Math.round(entry.duration)
+            ].join(','));
+        });
+
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * @param {string} text - Produced by toCSV()
+     * @returns {Object} { instruments, entries } with the instrument names as ids
+     */
+    static fromCSV(text) {
+        const rows = SessionHistory.parseCSV(text).filter(row => row.length > 1 || row[0] !== '');
+        const header = rows.shift() || [];
+        const columns = SessionHistory.CSV_COLUMNS.map(column => header.indexOf(column));
+        if (columns.some(index => index < 0)) {
+            throw new Error('Colonne CSV attese: ' + SessionHistory.CSV_COLUMNS.join(', '));
+        }
+
+        const names = new Set();
+        const entries = rows.map((row, index) => {
+            const value = column => row[columns[SessionHistory.CSV_COLUMNS.indexOf(column)]];
+            names.add(value('instrument'));
+
+            return SessionHistory.checkEntry({
+                instrumentId: value('instrument'),
+                sessionId: Date.parse(value('session')),
+                time: Date.parse(value('time')),
+                tuningId: value('tuning'),
+                stringIndex: parseInt(value('string'), 10),
+                note: value('note'),
+                midiNote: parseInt(value('midi'), 10),
+                startCents: parseFloat(value('startCents')),
+                duration: parseFloat(value('duration'))
+            }, index);
+        });
+
+        return {
+            instruments: Array.from(names, name => ({ id: name, name: name })),
+            entries: entries
+        };
+    }
+
+    /**
+     * Trims an instrument name and checks its length
+     * @param {string} name
+     * @returns {string}
+     */
+    static checkName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Inserisci un nome per lo strumento');
+        }
+        if (trimmed.length > 40) {
+            throw new Error('Il nome dello strumento può avere al massimo 40 caratteri');
+        }
+        return trimmed;
+    }
+
+    /**
+     * @param {Object} instrument
+     * @param {number} index - Position in the imported list
+     * @returns {Object} The instrument, if it has an id and a valid name
+     */
+    static checkInstrument(instrument, index) {
+        let field;
+        if (!instrument || typeof instrument !== 'object') {
+            field = null;
+        } else if (instrument.id === undefined || instrument.id === null) {
+            field = 'id';
+        } else if (typeof instrument.name !== 'string') {
+            field = 'name';
+        }
+        if (field !== undefined) {
+            throw new Error(SessionHistory.invalidMessage('Strumento dello storico non valido', index, field));
+        }
+        SessionHistory.checkName(instrument.name);
+        return instrument;
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {number} index - Position in the imported list
+     * @returns {Object} The entry, if its fields are valid
+     */
+    static checkEntry(entry, index) {
+        const field = SessionHistory.invalidField(entry,
+            ['sessionId', 'time', 'stringIndex', 'midiNote', 'startCents', 'duration']);
+        if (field !== undefined) {
+            throw new Error(SessionHistory.invalidMessage('Voce dello storico non valida', index, field));
+        }
+        return entry;
+    }
+
+    /**
+     * @param {Object} measurement
+     * @param {number} index - Position in the imported list
+     * @returns {Object} The harmonic measurement, if its fields are valid
+     */
+    static checkMeasurement(measurement, index) {
+        let field = SessionHistory.invalidField(measurement, ['time', 'stringIndex', 'midiNote', 'frequency', 'partials']);
+        if (field === undefined && !(measurement.inharmonicity === null || isFinite(measurement.inharmonicity))) {
+            field = 'inharmonicity';
+        }
+        if (field !== undefined) {
+            throw new Error(SessionHistory.invalidMessage('Misura armonica non valida', index, field));
+        }
+        return measurement;
+    }
+
+    /**
+     * First field of an imported record that is missing or not valid
+     * @param {Object} record - Entry or measurement, with a note
+     * @param {Array<string>} numbers - Fields that must be finite numbers
+     * @returns {string|null|undefined} The field, null if the record is not an object, undefined if valid
+     */
+    static invalidField(record, numbers) {
+        if (!record || typeof record !== 'object') return null;
+
+        const field = numbers.find(name => typeof record[name] !== 'number' || !isFinite(record[name]));
+        if (field !== undefined) return field;
+        return record.note ? undefined : 'note';
+    }
+
+    /**
+     * Names the bad record and field only: imported values never reach the page
+     * @param {string} error - e.g. 'Voce dello storico non valida'
+     * @param {number} index - Position in the imported list
+     * @param {string|null} field
+     * @returns {string}
+     */
+    static invalidMessage(error, index, field) {
+        return `${error}: n. ${index + 1}` + (field ? `, campo "${field}"` : '');
+    }
+
+    /**
+     * @param {string} value
+     * @returns {string} Quoted if it contains separators or quotes
+     */
+    static csvField(value) {
+        return /[",\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }
+
+    /**
+     * Minimal RFC 4180 parser (quoted fields, doubled quotes, CRLF)
+     * @param {string} text
+     * @returns {Array<Array<string>>}
+     */
+    static parseCSV(text) {
+        const rows = [[]];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const row = rows[rows.length - 1];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                field = '';
+                rows.push([]);
+            } else {
+                field += char;
+            }
+        }
+
+        rows[rows.length - 1].push(field);
+        return rows;
+    }
+
+    /**
+     * Checks if IndexedDB is available (it may be disabled in private browsing)
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+}
+
+SessionHistory.DB_NAME = 'accordatore';
+SessionHistory.DB_VERSION = 2;
+SessionHistory.HEALTH_BASELINE = 3; // Measurements of fresh strings averaged (median) into the baseline
+SessionHistory.HEALTH_AGING = 0.2; // Inharmonicity increase over the baseline for 'aging'
+SessionHistory.HEALTH_DEAD = 0.5; // ... and for 'dead'
+SessionHistory.CSV_COLUMNS = ['instrument', 'time', 'session', 'tuning', 'string', 'note', 'midi', 'startCents', 'duration'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionHistory };
+}
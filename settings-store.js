@@ -0,0 +1,430 @@
+/**
+ * SettingsStore - The user's tuner settings, validated against a schema and kept in one
+ * versioned localStorage entry
+ * Values can also travel in URL query parameters (toQuery() / applyQuery()), so that a
+ * configured tuner can be shared as a link. Settings of an older version are migrated on load;
+ * version 0 is the separate keys the page used before the store existed, version 1 still kept
+ * the instrument, language and input settings in their own keys.
+ */
+
+// Globals in the page, modules in Node
+const SETTINGS_MODULES = {
+    PITCH_ALGORITHMS: typeof PITCH_ALGORITHMS !== 'undefined'
+        ? PITCH_ALGORITHMS
+        : require('./pitch-algorithms.js').PITCH_ALGORITHMS,
+    PitchStabilizer: typeof PitchStabilizer !== 'undefined'
+        ? PitchStabilizer
+        : require('./pitch-stabilizer.js').PitchStabilizer,
+    TEMPERAMENTS: typeof TEMPERAMENTS !== 'undefined' ? TEMPERAMENTS : require('./temperament.js').TEMPERAMENTS,
+    Temperament: typeof Temperament !== 'undefined' ? Temperament : require('./temperament.js').Temperament,
+    I18N_MESSAGES: typeof I18N_MESSAGES !== 'undefined' ? I18N_MESSAGES : require('./i18n.js').I18N_MESSAGES,
+    NOTE_NAMINGS: typeof NOTE_NAMINGS !== 'undefined' ? NOTE_NAMINGS : require('./i18n.js').NOTE_NAMINGS,
+    InstrumentProfiles: typeof InstrumentProfiles !== 'undefined'
+        ? InstrumentProfiles
+        : require('./instrument-profiles.js').InstrumentProfiles,
+    INSTRUMENT_PROFILES: typeof INSTRUMENT_PROFILES !== 'undefined'
+        ? INSTRUMENT_PROFILES
+        : require('./instrument-profiles.js').INSTRUMENT_PROFILES,
+    TuningManager: typeof TuningManager !== 'undefined' ? TuningManager : require('./tunings.js').TuningManager,
+    StringTargeter: typeof StringTargeter !== 'undefined'
+        ? StringTargeter
+        : require('./string-targeting.js').StringTargeter,
+    NoiseGate: typeof NoiseGate !== 'undefined' ? NoiseGate : require('./noise-gate.js').NoiseGate
+};
+
+/**
+ * @param {Object} values
+ * @returns {Object} The values without the missing (undefined or null) ones, which keep their default
+ */
+function definedSettings(values) {
+    const defined = {};
+    Object.keys(values).forEach(key => {
+        if (values[key] !== undefined && values[key] !== null) {
+            defined[key] = values[key];
+        }
+    });
+    return defined;
+}
+
+class SettingsStore {
+    /**
+     * @param {Storage|null} storage - Where the settings are kept (null: not kept)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.values = SettingsStore.defaults();
+        this.load();
+    }
+
+    /**
+     * @param {string} key - SettingsStore.SCHEMA key
+     * @returns {*}
+     */
+    get(key) {
+        if (!(key in SettingsStore.SCHEMA)) {
+            throw new Error(`Impostazione sconosciuta: ${key}`);
+        }
+        return this.values[key];
+    }
+
+    /**
+     * @returns {Object} A copy of all the values
+     */
+    getAll() {
+        return Object.assign({}, this.values);
+    }
+
+    /**
+     * Changes and saves some settings; nothing is changed if one of them is invalid
+     * @param {Object} changes - { key: value }
+     */
+    set(changes) {
+        const validated = {};
+        Object.keys(changes).forEach(key => {
+            validated[key] = SettingsStore.validate(key, changes[key]);
+        });
+
+        Object.assign(this.values, validated);
+        this.save();
+    }
+
+    /**
+     * Goes back to the defaults
+     */
+    reset() {
+        this.values = SettingsStore.defaults();
+        this.save();
+    }
+
+    /**
+     * Restores the saved settings, migrating them from older versions together with the
+     * separate keys those versions kept
+     */
+    load() {
+        if (!this.storage) return;
+
+        let data = null;
+        try {
+            data = JSON.parse(this.storage.getItem(SettingsStore.STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+
+        const outdated = !data || data.version !== SettingsStore.VERSION;
+        this.values = SettingsStore.migrate(data || { version: 0, values: {} },
+            outdated ? SettingsStore.readLegacy(this.storage) : {});
+
+        if (outdated) {
+            this.save();
+            SettingsStore.LEGACY_KEYS.forEach(key => this.storage.removeItem(key));
+        }
+    }
+
+    /**
+     * Persists the settings with the current schema version
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(SettingsStore.STORAGE_KEY, JSON.stringify({
+                version: SettingsStore.VERSION,
+                values: this.values
+            }));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    /**
+     * The settings that differ from the defaults, as URL query parameters
+     * @returns {string} e.g. "a4=442&tolerance=3", empty with the defaults
+     */
+    toQuery() {
+        const params = new URLSearchParams();
+        const defaults = SettingsStore.defaults();
+
+        Object.keys(SettingsStore.SCHEMA).forEach(key => {
+            const value = this.values[key];
+            const field = SettingsStore.SCHEMA[key];
+            if (field.param && String(value) !== String(defaults[key])) {
+                params.set(field.param, field.type === 'boolean' ? (value ? '1' : '0') : String(value));
+            }
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * Changes and saves the settings found in URL query parameters
+     * @param {string} search - e.g. location.search
+     * @returns {Object} See SettingsStore.parseQuery()
+     */
+    applyQuery(search) {
+        const parsed = SettingsStore.parseQuery(search);
+        if (Object.keys(parsed.values).length > 0) {
+            this.set(parsed.values);
+        }
+        return parsed;
+    }
+
+    /**
+     * @returns {Object} The default value of every setting
+     */
+    static defaults() {
+        const values = {};
+        Object.keys(SettingsStore.SCHEMA).forEach(key => {
+            const value = SettingsStore.SCHEMA[key].default;
+            values[key] = Array.isArray(value) ? value.slice() : value;
+        });
+        return values;
+    }
+
+    /**
+     * Checks a value against the schema
+     * @param {string} key
+     * @param {*} value - Also as text, as read from a URL
+     * @returns {*} The value in its stored type
+     */
+    static validate(key, value) {
+        const field = SettingsStore.SCHEMA[key];
+        if (!field) {
+            throw new Error(`Impostazione sconosciuta: ${key}`);
+        }
+
+        let normalized;
+        if (field.type === 'boolean') {
+            const text = String(value);
+            if (text === 'true' || text === '1') {
+                normalized = true;
+            } else if (text === 'false' || text === '0') {
+                normalized = false;
+            }
+        } else if (field.type === 'choice') {
+            normalized = field.values.find(choice => String(choice) === String(value));
+        } else if (field.type === 'number') {
+            const number = value === '' || value === null ? NaN : Number(value);
+            if (isFinite(number) && number >= field.min && number <= field.max) {
+                normalized = field.integer ? Math.round(number) : number;
+            }
+        } else if (field.type === 'text') {
+            normalized = typeof value === 'string' && value.length <= field.maxLength ? value : undefined;
+        } else if (field.type === 'offsets') {
+            const offsets = Array.isArray(value)
+                ? (value.length === 12 && value.every(offset => typeof offset === 'number' && isFinite(offset)) ? value.slice() : null)
+                : SETTINGS_MODULES.Temperament.parseOffsets(value);
+            normalized = offsets && offsets.every(offset => Math.abs(offset) <= 100) ? offsets : undefined;
+        }
+
+        if (normalized === undefined) {
+            throw new Error(`Valore non valido per ${key}: ${value}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Reads the settings from URL query parameters; other parameters are left alone
+     * @param {string} search - e.g. location.search
+     * @returns {Object} { values: the valid settings, invalid: names of the parameters rejected }
+     */
+    static parseQuery(search) {
+        const params = new URLSearchParams(search);
+        const values = {};
+        const invalid = [];
+
+        Object.keys(SettingsStore.SCHEMA).forEach(key => {
+            const param = SettingsStore.SCHEMA[key].param;
+            if (!param || !params.has(param)) return;
+
+            try {
+                values[key] = SettingsStore.validate(key, params.get(param));
+            } catch (error) {
+                invalid.push(param);
+            }
+        });
+
+        return { values: values, invalid: invalid };
+    }
+
+    /**
+     * Brings saved settings up to the current version; invalid or unknown values are dropped
+     * @param {Object|null} data - { version, values }
+     * @param {Object} legacy - Values of the separate keys, see SettingsStore.readLegacy()
+     * @returns {Object} Complete values
+     */
+    static migrate(data, legacy = {}) {
+        const values = SettingsStore.defaults();
+        if (!data || typeof data !== 'object' || !data.values || typeof data.values !== 'object') {
+            return values;
+        }
+
+        let version = data.version || 0;
+        let saved = data.values;
+        while (version < SettingsStore.VERSION) {
+            version++;
+            saved = SettingsStore.MIGRATIONS[version](saved, legacy);
+        }
+
+        Object.keys(saved).forEach(key => {
+            if (!(key in values)) return;
+            try {
+                values[key] = SettingsStore.validate(key, saved[key]);
+            } catch (error) {
+                // Keep the default
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Collects the settings older versions kept in separate keys
+     * @param {Storage} storage
+     * @returns {Object} { key: value } of the keys found
+     */
+    static readLegacy(storage) {
+        const values = {};
+        SettingsStore.LEGACY_KEYS.concat(SettingsStore.SHARED_KEYS).forEach(key => {
+            const text = storage.getItem(key);
+            if (text === null) return;
+            try {
+                values[key] = JSON.parse(text);
+            } catch (error) {
+                values[key] = text; // Plain strings such as the algorithm name
+            }
+        });
+
+        return values;
+    }
+}
+
+SettingsStore.VERSION = 2;
+SettingsStore.STORAGE_KEY = 'accordatore.settings';
+
+/**
+ * Every setting: its type, default and the URL parameter that carries it
+ *   number  - min, max, integer: rounded
+ *   choice  - values: the allowed values
+ *   boolean - "1"/"0" in URLs
+ *   offsets - 12 cents offsets from equal temperament, comma-separated in URLs
+ *   text    - maxLength
+ * Settings without a param belong to this device (input, room noise) and stay out of links.
+ */
+SettingsStore.SCHEMA = {
+    algorithm: { type: 'choice', values: Object.keys(SETTINGS_MODULES.PITCH_ALGORITHMS), default: 'mpm', param: 'algorithm' },
+    confidenceThreshold: { type: 'number', min: 0.1, max: 0.95, default: 0.5, param: 'confidence' },
+    referenceFrequency: { type: 'number', min: 400, max: 480, default: 440, param: 'a4' },
+    temperament: { type: 'choice', values: Object.keys(SETTINGS_MODULES.TEMPERAMENTS), default: 'equal', param: 'temperament' },
+    temperamentKey: { type: 'number', min: 0, max: 11, integer: true, default: 0, param: 'key' },
+    customOffsets: { type: 'offsets', default: SETTINGS_MODULES.TEMPERAMENTS.equal.offsets, param: 'offsets' },
+    inTuneCents: { type: 'number', min: 0.5, max: 25, default: 5, param: 'tolerance' },
+    needleRange: { type: 'number', min: 10, max: 100, integer: true, default: 50, param: 'range' },
+    updateInterval: { type: 'number', min: 0, max: 1000, integer: true, default: 100, param: 'interval' },
+    filter: {
+        type: 'choice',
+        values: Object.keys(SETTINGS_MODULES.PitchStabilizer.FILTERS),
+        default: SETTINGS_MODULES.PitchStabilizer.DEFAULTS.filter,
+        param: 'filter'
+    },
+    holdTime: {
+        type: 'number', min: 0, max: 10000, integer: true,
+        default: SETTINGS_MODULES.PitchStabilizer.DEFAULTS.holdTime,
+        param: 'hold'
+    },
+    displayMode: { type: 'choice', values: ['needle', 'strobe'], default: 'needle', param: 'display' },
+    speech: { type: 'boolean', default: false, param: 'speech' },
+    beeps: { type: 'boolean', default: false, param: 'beeps' },
+    vibration: { type: 'boolean', default: false, param: 'vibration' },
+    graphSpan: { type: 'choice', values: [2000, 5000, 10000, 20000, 30000], default: 5000, param: 'span' },
+    graphRange: { type: 'choice', values: [10, 25, 50, 100], default: 25, param: 'scale' },
+    diagnostics: { type: 'boolean', default: false, param: 'diagnostics' },
+    profile: {
+        type: 'choice',
+        values: SETTINGS_MODULES.INSTRUMENT_PROFILES.map(profile => profile.id),
+        default: SETTINGS_MODULES.TuningManager.DEFAULT_PROFILE,
+        param: 'profile'
+    },
+    // '': the browser's language
+    language: { type: 'choice', values: [''].concat(Object.keys(SETTINGS_MODULES.I18N_MESSAGES)), default: '', param: 'lang' },
+    noteNaming: { type: 'choice', values: Object.keys(SETTINGS_MODULES.NOTE_NAMINGS), default: 'letters', param: 'naming' },
+    targetMode: { type: 'choice', values: SETTINGS_MODULES.StringTargeter.MODES, default: 'chromatic', param: 'target' },
+    // '': the default input
+    inputDevice: { type: 'text', maxLength: 256, default: '', param: null },
+    inputGain: { type: 'number', min: 0, max: 4, default: 1, param: null },
+    noiseFloor: { type: 'number', min: 0, max: 1, default: SETTINGS_MODULES.NoiseGate.DEFAULTS.noiseFloor, param: null }
+};
+
+// Keys of the settings kept outside the store by older versions, each with its own format;
+// removed once migrated
+SettingsStore.LEGACY_KEYS = [
+    // Before version 1
+    'accordatore.algorithm',
+    'accordatore.pitchSettings',
+    'accordatore.stabilizer',
+    'accordatore.displayMode',
+    'accordatore.accessibility',
+    'accordatore.graph',
+    'accordatore.diagnostics',
+    // Before version 2
+    'accordatore.profile',
+    'accordatore.language',
+    'accordatore.noteNaming',
+    'accordatore.targetMode',
+    'accordatore.inputDevice',
+    'accordatore.inputGain',
+    'accordatore.noiseFloor'
+];
+
+// Keys of other modules that the migrations read and leave in place
+SettingsStore.SHARED_KEYS = [
+    SETTINGS_MODULES.TuningManager.STORAGE_KEY_SELECTED
+];
+
+/**
+ * Migrations by the version they produce, each from the values of the previous version and
+ * the legacy keys (see SettingsStore.readLegacy())
+ */
+SettingsStore.MIGRATIONS = {
+    1: (values, legacy) => {
+        const pitch = legacy['accordatore.pitchSettings'] || {};
+        const stabilizer = legacy['accordatore.stabilizer'] || {};
+        const accessibility = legacy['accordatore.accessibility'] || {};
+        const graph = legacy['accordatore.graph'] || {};
+        return definedSettings({
+            algorithm: legacy['accordatore.algorithm'],
+            referenceFrequency: pitch.referenceFrequency,
+            temperament: pitch.temperament,
+            temperamentKey: pitch.key,
+            customOffsets: pitch.customOffsets,
+            filter: stabilizer.filter,
+            holdTime: stabilizer.holdTime,
+            displayMode: legacy['accordatore.displayMode'],
+            speech: accessibility.speech,
+            beeps: accessibility.beeps,
+            vibration: accessibility.vibration,
+            graphSpan: graph.span,
+            graphRange: graph.range,
+            diagnostics: legacy['accordatore.diagnostics']
+        });
+    },
+    2: (values, legacy) => {
+        // Before profiles existed every tuning was a guitar tuning: keep a saved 7-string selection
+        const tuningProfile = SETTINGS_MODULES.InstrumentProfiles.forTuning(legacy[SETTINGS_MODULES.TuningManager.STORAGE_KEY_SELECTED]);
+        const device = legacy['accordatore.inputDevice'];
+
+        return Object.assign({}, values, definedSettings({
+            profile: legacy['accordatore.profile'] || (tuningProfile ? tuningProfile.id : null),
+            language: legacy['accordatore.language'],
+            noteNaming: legacy['accordatore.noteNaming'],
+            targetMode: legacy['accordatore.targetMode'],
+            // Parsed as JSON when it looks like a number
+            inputDevice: device === undefined || device === null ? null : String(device),
+            inputGain: legacy['accordatore.inputGain'],
+            noiseFloor: legacy['accordatore.noiseFloor']
+        }));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SettingsStore };
+}
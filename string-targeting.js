@@ -0,0 +1,195 @@
+/**
+ * StringTargeter - Measures readings against the strings of the current tuning
+ * instead of the nearest chromatic note. DOM-free; timestamps are passed in (ms).
+ * Modes:
+ *   'chromatic' - no string target (nearest note, handled by the caller)
+ *   'auto'      - nearest string of the tuning
+ *   'manual'    - the string locked with lock(), however far off the reading is
+ *   'guided'    - strings one at a time from the lowest, advancing when one holds in tune
+ */
+class StringTargeter {
+    constructor(holdTime = 1000) {
+        this.mode = 'chromatic';
+        this.strings = []; // [{ index, note, midiNote, frequency }]
+        this.lockedIndex = null;
+        this.holdTime = holdTime; // ms a string must stay in tune to count as tuned (guided)
+        this.maxGap = 300; // ms without readings after which the in-tune hold restarts
+        this.onAdvance = null; // (result, nextString) in guided mode
+        this.onComplete = null; // (results) when the guided sequence ends
+        this.resetGuided();
+    }
+
+    /**
+     * Sets the strings of the current tuning (restarts the guided sequence)
+     * @param {Array<Object>} strings - [{ index, note, midiNote, frequency }] from lowest to highest
+     */
+    setStrings(strings) {
+        this.strings = strings;
+        if (this.lockedIndex !== null && this.lockedIndex >= strings.length) {
+            this.lockedIndex = null;
+        }
+        this.resetGuided();
+    }
+
+    /**
+     * @param {string} mode - 'chromatic', 'auto', 'manual' or 'guided'
+     */
+    setMode(mode) {
+        if (StringTargeter.MODES.indexOf(mode) < 0) {
+            throw new Error(`Modalità sconosciuta: ${mode}`);
+        }
+
+        this.mode = mode;
+        if (mode === 'manual' && this.lockedIndex === null && this.strings.length > 0) {
+            this.lockedIndex = 0;
+        }
+        if (mode === 'guided') {
+            this.resetGuided();
+        }
+    }
+
+    /**
+     * Locks manual mode to a string
+     * @param {number} index - Index in the strings array
+     */
+    lock(index) {
+        if (index < 0 || index >= this.strings.length) return;
+
+        this.lockedIndex = index;
+        this.mode = 'manual';
+    }
+
+    /**
+     * Restarts the guided sequence from the lowest string
+     */
+    resetGuided() {
+        this.guidedIndex = 0;
+        this.guidedResults = [];
+        this.guidedComplete = false;
+        this.resetHold();
+    }
+
+    /**
+     * Forgets the in-tune hold and the start reading of the current string
+     */
+    resetHold() {
+        this.inTuneSince = null;
+        this.lastReadingTime = null;
+        this.startTime = null;
+        this.startCents = null;
+    }
+
+    /**
+     * Returns the string readings are currently measured against
+     * @param {number} frequency - Detected frequency, used by auto mode
+     * @returns {Object|null}
+     */
+    getTarget(frequency) {
+        if (this.strings.length === 0) return null;
+
+        switch (this.mode) {
+            case 'auto':
+                return this.findClosestString(frequency);
+            case 'manual':
+                return this.strings[this.lockedIndex] || null;
+            case 'guided':
+                return this.guidedComplete ? null : this.strings[this.guidedIndex];
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Finds the string closest to a frequency (in cents, so it is fair to low and high strings)
+     * @param {number} frequency
+     * @returns {Object|null}
+     */
+    findClosestString(frequency) {
+        let closest = null;
+        let minDistance = Infinity;
+
+        this.strings.forEach(string => {
+            const distance = Math.abs(1200 * Math.log2(frequency / string.frequency));
+            if (distance < minDistance) {
+                minDistance = distance;
+                closest = string;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Measures a reading against the current target and drives the guided sequence
+     * @param {number} frequency - Detected frequency in Hz
+     * @param {number} timestamp - ms
+     * @param {number} inTuneThreshold - cents
+     * @returns {Object|null} { string, cents, isInTune, holdProgress } or null in chromatic mode
+     */
+    measure(frequency, timestamp, inTuneThreshold = 5) {
+        const string = this.getTarget(frequency);
+        if (!string || frequency <= 0) return null;
+
+        const cents = 1200 * Math.log2(frequency / string.frequency);
+        const isInTune = Math.abs(cents) < inTuneThreshold;
+        const measurement = { string: string, cents: cents, isInTune: isInTune, holdProgress: 0 };
+
+        if (this.mode === 'guided') {
+            this.trackGuided(measurement, timestamp);
+        }
+
+        return measurement;
+    }
+
+    /**
+     * Advances the guided sequence once the current string has held in tune for holdTime
+     * @param {Object} measurement
+     * @param {number} timestamp
+     */
+    trackGuided(measurement, timestamp) {
+        const gap = this.lastReadingTime === null ? 0 : timestamp - this.lastReadingTime;
+        this.lastReadingTime = timestamp;
+
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+            this.startCents = measurement.cents;
+        }
+
+        if (!measurement.isInTune || gap > this.maxGap) {
+            this.inTuneSince = measurement.isInTune ? timestamp : null;
+            return;
+        }
+
+        if (this.inTuneSince === null) {
+            this.inTuneSince = timestamp;
+        }
+
+        measurement.holdProgress = Math.min(1, (timestamp - this.inTuneSince) / this.holdTime);
+        if (measurement.holdProgress < 1) return;
+
+        const result = {
+            string: measurement.string,
+            startCents: this.startCents,
+            finalCents: measurement.cents,
+            duration: timestamp - this.startTime
+        };
+        this.guidedResults.push(result);
+        this.guidedIndex++;
+        this.resetHold();
+
+        if (this.guidedIndex >= this.strings.length) {
+            this.guidedComplete = true;
+            if (this.onComplete) {
+                this.onComplete(this.guidedResults.slice());
+            }
+        } else if (this.onAdvance) {
+            this.onAdvance(result, this.strings[this.guidedIndex]);
+        }
+    }
+}
+
+StringTargeter.MODES = ['chromatic', 'auto', 'manual', 'guided'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StringTargeter };
+}
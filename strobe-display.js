@@ -0,0 +1,139 @@
+/**
+ * StrobeDisplay - Strobe tuner view drawn on a canvas
+ * Like a mechanical strobe, the stripes drift at a speed proportional to the deviation
+ * and stand still when the note is perfect, so drifts well below one cent stay visible.
+ * The pattern phase is integrated every animation frame from a continuous estimate
+ * that eases towards each new reading, instead of jumping at the detection cadence.
+ */
+class StrobeDisplay {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.speed = 0.5; // Stripe periods per second for each cent of deviation (bottom row)
+        this.bands = [4, 2, 1]; // Speed multiplier of each row, top to bottom
+        this.stripesPerRow = 8;
+        this.smoothingTime = 60; // ms for the estimate to follow a new reading
+        this.fadeTime = 300; // ms for the pattern to appear or fade out
+
+        this.targetCents = null; // Latest reading, null without signal
+        this.cents = 0; // Continuous estimate used for the drift
+        this.phase = 0; // Stripe periods travelled
+        this.intensity = 0; // 0-1, pattern visibility
+        this.frameId = null;
+        this.lastFrame = null;
+    }
+
+    /**
+     * Sets the latest deviation from the target
+     * @param {number} cents
+     */
+    setDeviation(cents) {
+        if (this.targetCents === null && this.intensity === 0) {
+            this.cents = cents;
+        }
+        this.targetCents = cents;
+    }
+
+    /**
+     * No signal: the pattern stops and fades out
+     */
+    clearDeviation() {
+        this.targetCents = null;
+    }
+
+    /**
+     * Starts the animation loop
+     */
+    start() {
+        if (this.frameId !== null) return;
+
+        this.lastFrame = null;
+        this.frameId = requestAnimationFrame(timestamp => this.frame(timestamp));
+    }
+
+    /**
+     * Stops the animation loop and clears the pattern
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+
+        this.targetCents = null;
+        this.intensity = 0;
+        this.draw();
+    }
+
+    /**
+     * @param {number} timestamp - requestAnimationFrame time (ms)
+     */
+    frame(timestamp) {
+        // Cap the step so a frame after a background tab doesn't jump the pattern
+        const elapsed = this.lastFrame === null ? 0 : Math.min(100, timestamp - this.lastFrame);
+        this.lastFrame = timestamp;
+
+        this.advance(elapsed);
+        this.draw();
+
+        this.frameId = requestAnimationFrame(next => this.frame(next));
+    }
+
+    /**
+     * Moves the estimate, the phase and the fade forward in time
+     * @param {number} elapsed - ms
+     */
+    advance(elapsed) {
+        const fadeStep = this.fadeTime > 0 ? elapsed / this.fadeTime : 1;
+
+        if (this.targetCents === null) {
+            this.intensity = Math.max(0, this.intensity - fadeStep);
+            return;
+        }
+
+        this.intensity = Math.min(1, this.intensity + fadeStep);
+        this.cents += (this.targetCents - this.cents) * (1 - Math.exp(-elapsed / this.smoothingTime));
+        this.phase = (this.phase + this.cents * this.speed * elapsed / 1000) % 1;
+    }
+
+    /**
+     * Draws the stripe rows. Sharp notes drift right, flat notes drift left.
+     */
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+
+        if (width === 0 || height === 0) return;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = this.context;
+        context.clearRect(0, 0, width, height);
+        if (this.intensity === 0) return;
+
+        // Stripe colour comes from the canvas CSS colour
+        context.fillStyle = getComputedStyle(canvas).color;
+        context.globalAlpha = this.intensity;
+
+        const rowHeight = height / this.bands.length;
+        const period = width / this.stripesPerRow;
+
+        this.bands.forEach((multiplier, row) => {
+            const offset = ((this.phase * multiplier) % 1 + 1) % 1 * period;
+            const top = row * rowHeight + 2 * ratio;
+
+            for (let x = offset - period; x < width; x += period) {
+                context.fillRect(x, top, period / 2, rowHeight - 4 * ratio);
+            }
+        });
+
+        context.globalAlpha = 1;
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * StrumAnalyzer - Polyphonic analysis of all open strings strummed together
+ * For every string of the tuning it looks for the partials near the expected
+ * harmonics in the spectrum and estimates the string's fundamental from them
+ */
+
+// Globals in the page and the worker, modules in Node
+const STRUM_MODULES = {
+    FFT: typeof FFT !== 'undefined' ? FFT : require('./fft.js').FFT
+};
+
+class StrumAnalyzer {
+    /**
+     * @param {number} sampleRate
+     * @param {number} fftSize - Power of two, at least the analysis window length
+     * @param {number} harmonics - Partials used per string
+     * @param {number} searchCents - How far from the target a string may be to be found
+     */
+    constructor(sampleRate = 44100, fftSize = 32768, harmonics = 6, searchCents = 100) {
+        this.sampleRate = sampleRate;
+        this.fft = new STRUM_MODULES.FFT(fftSize);
+        this.harmonics = harmonics;
+        this.searchCents = searchCents;
+        this.detectionRatio = 8; // Partial peak vs. noise floor needed to count a string as ringing
+        this.collisionCents = 60; // Partials this close to another string's partial are ambiguous
+        this.refineCents = 25; // Search band for the upper partials once a string has been found
+    }
+
+    /**
+     * Measures every target string in one window of samples
+     * @param {Float32Array} samples
+     * @param {Array<number>} targetFrequencies - Target frequency of each string in Hz
+     * @returns {Object} { rms, strings: [{ targetFrequency, frequency, cents, strength, detected }] }
+     */
+    analyze(samples, targetFrequencies) {
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+        }
+
+        const spectrum = this.fft.magnitudeSpectrum(samples);
+        const binWidth = this.sampleRate / this.fft.size;
+        const noiseFloor = this.estimateNoiseFloor(spectrum, binWidth);
+
+        return {
+            rms: Math.sqrt(sumSquares / samples.length),
+            strings: targetFrequencies.map((target, index) => {
+                const others = targetFrequencies.filter((other, otherIndex) => otherIndex !== index);
+                return this.measureString(spectrum, binWidth, noiseFloor, target, others);
+            })
+        };
+    }
+
+    /**
+     * Estimates one string's fundamental. The lowest clear partial anchors the estimate,
+     * then the other partials are searched in a narrow band around their expected position
+     * and combined in an amplitude-weighted average. Partials that coincide with a partial
+     * of another string are skipped, the anchor too unless no other partial is found.
+     * @param {Float64Array} spectrum
+     * @param {number} binWidth
+     * @param {number} noiseFloor
+     * @param {number} target
+     * @param {Array<number>} otherTargets - Target frequencies of the other strings
+     * @returns {Object}
+     */
+    measureString(spectrum, binWidth, noiseFloor, target, otherTargets) {
+        const notFound = { targetFrequency: target, frequency: 0, cents: 0, strength: 0, detected: false };
+        const usable = [];
+        for (let h = 1; h <= this.harmonics; h++) {
+            if (!this.collides(h * target, otherTargets, this.collisionCents)) {
+                usable.push(h);
+            }
+        }
+
+        // Anchor on one of the first three partials whose search band holds no partial of
+        // another string. If there is none (e.g. B3 against the 3rd partial of E2), the
+        // fundamental is used anyway.
+        const anchorCandidates = [1, 2, 3].filter(h => !this.collides(h * target, otherTargets, this.searchCents));
+        if (anchorCandidates.indexOf(1) < 0) {
+            anchorCandidates.push(1);
+        }
+
+        let anchor = null;
+        for (const h of anchorCandidates) {
+            anchor = this.findPartial(spectrum, binWidth, noiseFloor, h * target, this.searchCents);
+            if (anchor) {
+                anchor.harmonic = h;
+                break;
+            }
+        }
+
+        if (!anchor) {
+            return notFound;
+        }
+
+        // A shared anchor merges with the other string's partial: it only locates the others
+        const found = [];
+        const estimate = anchor.frequency / anchor.harmonic;
+        usable.forEach(h => {
+            const partial = h === anchor.harmonic
+                ? anchor
+                : this.findPartial(spectrum, binWidth, noiseFloor, h * estimate, this.refineCents);
+            if (partial) {
+                partial.harmonic = h;
+                found.push(partial);
+            }
+        });
+        if (found.length === 0) {
+            found.push(anchor);
+        }
+
+        let weightedSum = 0;
+        let weightTotal = 0;
+        let strongest = 0;
+        found.forEach(partial => {
+            // Lower partials are less affected by inharmonicity
+            const weight = partial.magnitude / partial.harmonic;
+            weightedSum += weight * partial.frequency / partial.harmonic;
+            weightTotal += weight;
+            strongest = Math.max(strongest, partial.magnitude);
+        });
+
+        const frequency = weightedSum / weightTotal;
+
+        return {
+            targetFrequency: target,
+            frequency: frequency,
+            cents: 1200 * Math.log2(frequency / target),
+            strength: strongest / noiseFloor,
+            detected: true
+        };
+    }
+
+    /**
+     * Finds a spectral peak within a band around an expected frequency
+     * @param {Float64Array} spectrum
+     * @param {number} binWidth
+     * @param {number} noiseFloor
+     * @param {number} expected - Expected frequency in Hz
+     * @param {number} rangeCents - Half-width of the band
+     * @returns {Object|null} { frequency, magnitude }, or null if there is no clear peak
+     */
+    findPartial(spectrum, binWidth, noiseFloor, expected, rangeCents) {
+        const ratio = Math.pow(2, rangeCents / 1200);
+        const low = Math.max(1, Math.floor(expected / ratio / binWidth));
+        const high = Math.min(spectrum.length - 2, Math.ceil(expected * ratio / binWidth));
+        if (low >= high) return null;
+
+        let peak = low;
+        for (let bin = low + 1; bin <= high; bin++) {
+            if (spectrum[bin] > spectrum[peak]) {
+                peak = bin;
+            }
+        }
+
+        // A maximum on the edge of the band is the skirt of a neighbouring partial, not a peak
+        if (peak === low || peak === high || spectrum[peak] < this.detectionRatio * noiseFloor) {
+            return null;
+        }
+
+        return {
+            frequency: this.interpolatePeak(spectrum, peak) * binWidth,
+            magnitude: spectrum[peak]
+        };
+    }
+
+    /**
+     * Whether a partial lies close to any partial of the other strings
+     * @param {number} frequency
+     * @param {Array<number>} otherTargets
+     * @param {number} toleranceCents
+     * @returns {boolean}
+     */
+    collides(frequency, otherTargets, toleranceCents) {
+        return otherTargets.some(other => {
+            for (let h = 1; h <= this.harmonics; h++) {
+                if (Math.abs(1200 * Math.log2(frequency / (h * other))) < toleranceCents) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Quadratic interpolation of a spectral peak on a log-magnitude scale
+     * @param {Float64Array} spectrum
+     * @param {number} bin
+     * @returns {number} Fractional bin index
+     */
+    interpolatePeak(spectrum, bin) {
+        const alpha = Math.log(spectrum[bin - 1] + 1e-12);
+        const beta = Math.log(spectrum[bin] + 1e-12);
+        const gamma = Math.log(spectrum[bin + 1] + 1e-12);
+        const denominator = alpha - 2 * beta + gamma;
+
+        return denominator === 0 ? bin : bin + 0.5 * (alpha - gamma) / denominator;
+    }
+
+    /**
+     * Median magnitude over the guitar range, a robust estimate of the noise floor
+     * @param {Float64Array} spectrum
+     * @param {number} binWidth
+     * @returns {number}
+     */
+    estimateNoiseFloor(spectrum, binWidth) {
+        const low = Math.max(1, Math.floor(60 / binWidth));
+        const high = Math.min(spectrum.length - 1, Math.ceil(3000 / binWidth));
+        const band = Array.prototype.slice.call(spectrum, low, high).sort((a, b) => a - b);
+
+        return Math.max(band[Math.floor(band.length / 2)] || 0, 1e-9);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StrumAnalyzer };
+}
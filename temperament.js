@@ -0,0 +1,86 @@
+/**
+ * Temperament - Tuning systems expressed as per-note cents offsets from equal temperament
+ * DOM-free: can be used with PitchDetector.getNoteFromFrequency() from any code
+ */
+
+/**
+ * Cents deviation from 12-tone equal temperament for each scale degree,
+ * starting from the key note (index 0 = tonic, 1 = minor second, ...).
+ */
+const TEMPERAMENTS = {
+    equal: {
+        name: 'Equabile (12-TET)',
+        offsets: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    },
+    // 5-limit just intonation: 1, 16/15, 9/8, 6/5, 5/4, 4/3, 45/32, 3/2, 8/5, 5/3, 9/5, 15/8
+    just: {
+        name: 'Naturale (just intonation)',
+        offsets: [0, 11.73, 3.91, 15.64, -13.69, -1.96, -9.78, 1.96, 13.69, -15.64, 17.60, -11.73]
+    },
+    // Quarter-comma meantone: pure major thirds, fifths narrowed by 1/4 syntonic comma
+    meantone: {
+        name: 'Mesotonico 1/4 di comma',
+        offsets: [0, -23.95, -6.84, 10.26, -13.69, 3.42, -20.53, -3.42, -27.37, -10.26, 6.84, -17.11]
+    },
+    custom: {
+        name: 'Personalizzato (tabella cents)',
+        offsets: null
+    }
+};
+
+const A_PITCH_CLASS = 9;
+
+class Temperament {
+    /**
+     * @param {string} type - One of the TEMPERAMENTS keys
+     * @param {number} key - Pitch class of the tonic (0 = C ... 11 = B)
+     * @param {Array<number>} customOffsets - 12 cents values, used when type is 'custom'
+     */
+    constructor(type = 'equal', key = 0, customOffsets = null) {
+        if (!TEMPERAMENTS[type]) {
+            throw new Error(`Temperamento sconosciuto: ${type}`);
+        }
+
+        const offsets = type === 'custom' ? customOffsets : TEMPERAMENTS[type].offsets;
+        if (!Array.isArray(offsets) || offsets.length !== 12 || offsets.some(value => !isFinite(value))) {
+            throw new Error('La tabella del temperamento deve contenere 12 valori in cents');
+        }
+
+        this.type = type;
+        this.key = ((key % 12) + 12) % 12;
+        this.offsets = offsets.map(Number);
+    }
+
+    /**
+     * Returns the cents offset from equal temperament for a MIDI note.
+     * Offsets are shifted so that A keeps the reference frequency, which is
+     * what ensembles tune to regardless of the key.
+     * @param {number} midiNote
+     * @returns {number} Cents offset
+     */
+    getOffset(midiNote) {
+        const degree = (((midiNote % 12) - this.key) % 12 + 12) % 12;
+        const aDegree = ((A_PITCH_CLASS - this.key) % 12 + 12) % 12;
+
+        return this.offsets[degree] - this.offsets[aDegree];
+    }
+
+    /**
+     * Parses a custom cents table such as "0, 11.7, 3.9, ..."
+     * @param {string} text
+     * @returns {Array<number>|null} 12 values, or null if the text is not a valid table
+     */
+    static parseOffsets(text) {
+        const values = String(text).trim().split(/[\s,;]+/).filter(value => value.length > 0).map(Number);
+
+        if (values.length !== 12 || values.some(value => !isFinite(value))) {
+            return null;
+        }
+
+        return values;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Temperament, TEMPERAMENTS };
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests for the pacing of the screen reader / speech announcements and of the beeps.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { AccessibleFeedback } = require('../accessible-feedback.js');
+
+const STEP = 23; // ms between analysis windows (1024 samples at 44.1 kHz)
+
+/**
+ * Feeds the same reading for a duration
+ * @returns {Array<Object>} The announcements made
+ */
+function feed(feedback, reading, duration, start = 0) {
+    const announcements = [];
+    for (let time = start; time < start + duration; time += STEP) {
+        const announcement = feedback.update(reading, time);
+        if (announcement) {
+            announcements.push(announcement);
+        }
+    }
+    return announcements;
+}
+
+test('a new note is announced at once, then repeated only now and then while it moves', () => {
+    const feedback = new AccessibleFeedback();
+
+    const first = feedback.update({ label: 'A2', cents: -12.4, isInTune: false }, 0);
+    assert.deepStrictEqual(first, { key: 'a11y.flat', params: { note: 'A2', cents: 12 }, tuned: false });
+
+    // A steady reading is not repeated
+    assert.strictEqual(feed(feedback, { label: 'A2', cents: -12, isInTune: false }, 10000, STEP).length, 0);
+
+    // A moving one is, at most every interval
+    const moving = [];
+    for (let time = 10000, cents = -12; time < 20000; time += STEP, cents += 0.05) {
+        const announcement = feedback.update({ label: 'A2', cents: cents, isInTune: false }, time);
+        if (announcement) {
+            moving.push(announcement);
+        }
+    }
+    assert.ok(moving.length >= 2 && moving.length <= 10000 / AccessibleFeedback.DEFAULTS.interval, `${moving.length}`);
+});
+
+test('coming into tune is announced once and flagged for the vibration', () => {
+    const feedback = new AccessibleFeedback();
+    feedback.update({ label: 'E2', cents: 20, isInTune: false }, 0);
+
+    const tuned = feed(feedback, { label: 'E2', cents: 1, isInTune: true }, 5000, 1000);
+    assert.strictEqual(tuned.length, 1);
+    assert.deepStrictEqual(tuned[0], { key: 'a11y.inTune', params: { note: 'E2', cents: 1 }, tuned: true });
+
+    const sharp = feedback.update({ label: 'E2', cents: 8, isInTune: false }, 7000);
+    assert.strictEqual(sharp.key, 'a11y.sharp');
+});
+
+test('announcements are spaced so a screen reader can finish them', () => {
+    const feedback = new AccessibleFeedback();
+    const announced = [];
+    feedback.onAnnounce = (announcement) => announced.push(announcement.params.note);
+
+    feedback.update({ label: 'E2', cents: 3, isInTune: false }, 0);
+    feedback.update({ label: 'A2', cents: 3, isInTune: false }, 100);
+    feedback.update({ label: 'A2', cents: 3, isInTune: false }, AccessibleFeedback.DEFAULTS.minInterval);
+    assert.deepStrictEqual(announced, ['E2', 'A2']);
+
+    // After a silence the next note doesn't wait
+    feedback.reset();
+    feedback.update({ label: 'D3', cents: 3, isInTune: false }, AccessibleFeedback.DEFAULTS.minInterval + 10);
+    assert.deepStrictEqual(announced, ['E2', 'A2', 'D3']);
+});
+
+test('beeps are paced and their pitch follows the deviation', () => {
+    const feedback = new AccessibleFeedback();
+    const beeps = [];
+    feedback.onBeep = (frequency, inTune) => beeps.push({ frequency, inTune });
+
+    feed(feedback, { label: 'A2', cents: -20, isInTune: false }, 2000);
+    assert.strictEqual(beeps.length, Math.ceil(2000 / (Math.ceil(AccessibleFeedback.DEFAULTS.beepInterval / STEP) * STEP)));
+
+    const base = AccessibleFeedback.DEFAULTS.beepFrequency;
+    assert.strictEqual(AccessibleFeedback.beepFrequency(0), base);
+    assert.ok(beeps[0].frequency < base);
+    assert.ok(AccessibleFeedback.beepFrequency(20) > base);
+    assert.strictEqual(AccessibleFeedback.beepFrequency(200), AccessibleFeedback.beepFrequency(50));
+    assert.ok(Math.abs(AccessibleFeedback.beepFrequency(50) / base - Math.pow(2, 7 / 12)) < 1e-12);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the detector diagnostics: the lag function exposed by the detector, the running
+ * figures of the panel and the buffer captures for bug reports.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PitchDetector } = require('../pitch-detector.js');
+const { DetectorDiagnostics } = require('../detector-diagnostics.js');
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * @param {number} frequency
+ * @returns {Float32Array} 4096 samples of a string-like tone
+ */
+function tone(frequency) {
+    const samples = new Float32Array(4096);
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        samples[i] = 0.3 * Math.sin(2 * Math.PI * frequency * t) + 0.15 * Math.sin(4 * Math.PI * frequency * t + 1);
+    }
+    return samples;
+}
+
+/**
+ * @param {Object} result - PitchDetectionResult
+ * @param {Float32Array} samples
+ * @param {number} dropped
+ * @returns {Object} TunerEngine 'diagnostics' event
+ */
+function reading(result, samples, dropped) {
+    return { result: result, samples: samples, threshold: 0.01, dropped: dropped, timestamp: 0 };
+}
+
+test('with diagnostics on, the detector exposes the lag function and the chosen peak', () => {
+    ['autocorrelation', 'yin', 'mpm'].forEach(algorithm => {
+        const detector = new PitchDetector(SAMPLE_RATE, 70, 1500, 0.01, algorithm);
+        assert.strictEqual(detector.detectPitch(tone(110)).diagnostics, undefined);
+
+        detector.diagnostics = true;
+        const result = detector.detectPitch(tone(110));
+        const curve = result.diagnostics.curve;
+
+        assert.ok(Math.abs(curve.lag - SAMPLE_RATE / 110) < 1, `${algorithm}: ${curve.lag}`);
+        assert.ok(curve.minLag < curve.lag && curve.lag < curve.maxLag && curve.values.length > curve.maxLag);
+        assert.ok(result.diagnostics.processingTime >= 0);
+        assert.strictEqual(result.curve, undefined);
+
+        // Below the RMS threshold nothing is searched
+        assert.strictEqual(detector.detectPitch(new Float32Array(4096)).diagnostics.curve, null);
+    });
+});
+
+test('counts windows, dropped windows and processing times', () => {
+    const diagnostics = new DetectorDiagnostics({ timings: 3 });
+    const result = time => ({ frequency: 110, confidence: 0.9, isValid: true, rms: 0.1,
+        diagnostics: { curve: null, processingTime: time } });
+    const samples = new Float32Array(16);
+
+    // The analyzer had already dropped 5 windows before the panel was opened
+    [1, 2, 3, 6].forEach((time, index) => diagnostics.add(reading(result(time), samples, 5 + index)));
+    let stats = diagnostics.stats(23);
+    assert.strictEqual(stats.windows, 4);
+    assert.strictEqual(stats.dropped, 3);
+    assert.strictEqual(stats.dropRate, 3 / 7);
+    assert.strictEqual(stats.meanTime, (2 + 3 + 6) / 3);
+    assert.strictEqual(stats.maxTime, 6);
+    assert.strictEqual(stats.lastTime, 6);
+    assert.ok(Math.abs(stats.load - 11 / 3 / 23) < 1e-12);
+
+    // A new analyzer counts from zero: the windows dropped so far stay counted
+    diagnostics.add(reading(result(1), samples, 1));
+    assert.strictEqual(diagnostics.stats(23).dropped, 4);
+
+    diagnostics.reset();
+    stats = diagnostics.stats(23);
+    assert.strictEqual(stats.windows, 0);
+    assert.strictEqual(stats.meanTime, 0);
+});
+
+test('a captured buffer reproduces the reading', () => {
+    const config = { sampleRate: SAMPLE_RATE, minFrequency: 70, maxFrequency: 1500, threshold: 0.01, algorithm: 'mpm' };
+    const detector = new PitchDetector(config.sampleRate, config.minFrequency, config.maxFrequency,
+        config.threshold, config.algorithm);
+    detector.diagnostics = true;
+
+    const samples = tone(196.3);
+    const result = detector.detectPitch(samples);
+    const capture = DetectorDiagnostics.captureFromJSON(
+        DetectorDiagnostics.captureToJSON(reading(result, samples, 0), config));
+
+    assert.deepStrictEqual(capture.samples, samples);
+    assert.deepStrictEqual(capture.config, config);
+    assert.strictEqual(capture.result.frequency, result.frequency);
+    assert.strictEqual(capture.result.lag, result.diagnostics.curve.lag);
+    assert.strictEqual(detector.detectPitch(capture.samples).frequency, capture.result.frequency);
+
+    assert.throws(() => DetectorDiagnostics.captureFromJSON('{"format": "accordatore-history"}'), /finestra catturata/);
+    assert.throws(() => DetectorDiagnostics.captureFromJSON('not json'), /JSON non valido/);
+});
@@ -0,0 +1,60 @@
+/**
+ * FileAnalyzer tests: pitch track of a synthetic recording and its CSV/JSON export
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+// In the page TunerCore is a global; provide it the same way
+global.TunerCore = require('../tuner-core.js');
+const { FileAnalyzer } = require('../file-analyzer.js');
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Half a second of silence, then one second each of A2 and D3
+ * @returns {Float32Array}
+ */
+function recording() {
+    const samples = new Float32Array(SAMPLE_RATE * 2.5);
+    [[0.5, 110], [1.5, 146.83]].forEach(([start, frequency]) => {
+        const offset = start * SAMPLE_RATE;
+        for (let i = 0; i < SAMPLE_RATE; i++) {
+            const t = i / SAMPLE_RATE;
+            samples[offset + i] = 0.5 * Math.sin(2 * Math.PI * frequency * t) +
+                0.25 * Math.sin(4 * Math.PI * frequency * t);
+        }
+    });
+    return samples;
+}
+
+test('tracks the notes of a recording over time', async () => {
+    const analyzer = new FileAnalyzer();
+    const progress = [];
+    analyzer.onProgress = fraction => progress.push(fraction);
+
+    const track = await analyzer.analyze(recording(), SAMPLE_RATE);
+
+    assert.strictEqual(track.length, Math.floor((SAMPLE_RATE * 2.5 - 4096) / 1024) + 1);
+    assert.strictEqual(progress[progress.length - 1], 1);
+
+    const at = time => track.find(point => point.time >= time);
+    assert.strictEqual(at(0.2).frequency, 0);
+    assert.strictEqual(at(1.0).note, 'A2');
+    assert.strictEqual(at(2.0).note, 'D3');
+    assert.ok(Math.abs(at(1.0).cents) < 1, `A2 ${at(1.0).cents} cents`);
+    assert.ok(Math.abs(at(2.0).cents) < 1, `D3 ${at(2.0).cents} cents`);
+});
+
+test('exports CSV and JSON', async () => {
+    const track = await new FileAnalyzer().analyze(recording(), SAMPLE_RATE);
+    const lines = FileAnalyzer.toCSV(track).trim().split('\n');
+
+    assert.strictEqual(lines[0], 'time,frequency,note,cents,confidence,rms');
+    assert.strictEqual(lines.length, track.length + 1);
+    assert.strictEqual(lines[1].split(',')[2], '');
+
+    const json = JSON.parse(FileAnalyzer.toJSON(track, { file: 'test', sampleRate: SAMPLE_RATE }));
+    assert.strictEqual(json.file, 'test');
+    assert.strictEqual(json.track.length, track.length);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the partial measurement, the inharmonicity fit and the stretch tuning figures.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { HarmonicAnalyzer } = require('../harmonic-analyzer.js');
+
+const SAMPLE_RATE = 44100;
+const LENGTH = 32768;
+
+/**
+ * A decaying stiff string with partials of amplitude 1/n, plus a little noise
+ * @param {number} base - f0 in Hz
+ * @param {number} inharmonicity - B
+ * @param {Array<number>} missing - Partial numbers left out
+ * @returns {Float32Array}
+ */
+function pluck(base, inharmonicity, missing = []) {
+    let seed = 11;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    const samples = new Float32Array(LENGTH);
+    for (let n = 1; n <= 14; n++) {
+        if (missing.indexOf(n) >= 0) continue;
+
+        const frequency = HarmonicAnalyzer.partialFrequency(base, inharmonicity, n);
+        for (let i = 0; i < LENGTH; i++) {
+            const time = i / SAMPLE_RATE;
+            samples[i] += Math.exp(-time * (1 + n / 2)) * Math.sin(2 * Math.PI * frequency * time + n) / n;
+        }
+    }
+    for (let i = 0; i < LENGTH; i++) {
+        samples[i] = 0.2 * samples[i] + 0.0005 * noise();
+    }
+    return samples;
+}
+
+test('measures the partials of a stiff string and recovers its inharmonicity', () => {
+    const analyzer = new HarmonicAnalyzer(SAMPLE_RATE);
+    const result = analyzer.analyze(pluck(82.4, 1.5e-4), 82.5);
+
+    assert.ok(Math.abs(result.inharmonicity - 1.5e-4) < 0.1e-4, `${result.inharmonicity}`);
+    assert.ok(Math.abs(result.fundamental - HarmonicAnalyzer.partialFrequency(82.4, 1.5e-4, 1)) < 0.01);
+    assert.strictEqual(result.partials.length, 12);
+    assert.ok(result.partials.every(partial => partial.detected));
+
+    // The upper partials run sharp of the ideal harmonics, as the model says
+    const twelfth = result.partials[11];
+    assert.ok(Math.abs(twelfth.cents - HarmonicAnalyzer.stretchCents(1.5e-4, 12)) < 0.5, `${twelfth.cents}`);
+    assert.ok(twelfth.level < -15);
+    assert.strictEqual(result.partials[0].level, 0);
+});
+
+test('an ideal string has no inharmonicity and missing partials are reported as such', () => {
+    const analyzer = new HarmonicAnalyzer(SAMPLE_RATE);
+    const result = analyzer.analyze(pluck(110, 0, [5]), 110);
+
+    assert.ok(Math.abs(result.inharmonicity) < 0.05e-4, `${result.inharmonicity}`);
+    assert.strictEqual(result.partials[4].detected, false);
+    assert.ok(result.partials[5].detected);
+
+    assert.strictEqual(analyzer.analyze(new Float32Array(LENGTH), 110), null);
+});
+
+test('stretch tuning grows with the interval and the inharmonicity', () => {
+    const stretch = HarmonicAnalyzer.stretchSuggestion(2e-4);
+
+    assert.ok(Math.abs(stretch.octave - 600 * Math.log2(1.0008 / 1.0002)) < 1e-9);
+    assert.ok(stretch.octave > 0 && stretch.twelfth > stretch.octave && stretch.doubleOctave > stretch.twelfth);
+    assert.strictEqual(HarmonicAnalyzer.stretchSuggestion(0).octave, 0);
+
+    const fit = HarmonicAnalyzer.fitInharmonicity([1, 2, 3].map(n => ({
+        number: n,
+        frequency: HarmonicAnalyzer.partialFrequency(100, 3e-4, n)
+    })));
+    assert.ok(Math.abs(fit.base - 100) < 1e-9 && Math.abs(fit.inharmonicity - 3e-4) < 1e-12);
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for the message catalogs, language detection and note naming.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { I18n, I18N_MESSAGES, NOTE_NAMINGS } = require('../i18n.js');
+
+function memoryStorage(values = {}) {
+    return {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => { values[key] = String(value); }
+    };
+}
+
+test('every catalog has the keys of the Italian reference catalog', () => {
+    const reference = Object.keys(I18N_MESSAGES.it).sort();
+
+    Object.keys(I18N_MESSAGES).forEach(language => {
+        assert.deepStrictEqual(Object.keys(I18N_MESSAGES[language]).sort(), reference, language);
+    });
+});
+
+test('every key used by the page, the app and the tuner element exists', () => {
+    const root = path.join(__dirname, '..');
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const app = ['app.js', 'guitar-tuner.js']
+        .map(file => fs.readFileSync(path.join(root, file), 'utf8'))
+        .join('\n');
+    const keys = new Set();
+
+    for (const match of html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)) {
+        keys.add(match[1]);
+    }
+    // Prefixes such as 'advice.' + result.advice are completed at run time
+    for (const match of app.matchAll(/i18n\.t\('([\w.-]*\w)'/g)) {
+        keys.add(match[1]);
+    }
+
+    keys.forEach(key => assert.ok(key in I18N_MESSAGES.it, key));
+});
+
+test('detects the first browser language with a catalog', () => {
+    assert.strictEqual(I18n.detectLanguage(['de-AT', 'en-US']), 'de');
+    assert.strictEqual(I18n.detectLanguage(['fr-FR', 'es-ES']), 'es');
+    assert.strictEqual(I18n.detectLanguage(['ja']), 'en');
+    assert.strictEqual(I18n.detectLanguage([]), 'en');
+});
+
+test('a saved language wins over the browser one and changes are saved', () => {
+    const storage = memoryStorage({ 'accordatore.language': 'it' });
+    const i18n = new I18n(storage, ['de-DE']);
+    assert.strictEqual(i18n.language, 'it');
+
+    i18n.setLanguage('es');
+    assert.strictEqual(storage.getItem('accordatore.language'), 'es');
+    assert.strictEqual(new I18n(storage, ['de-DE']).language, 'es');
+    assert.throws(() => i18n.setLanguage('fr'));
+});
+
+test('without storage nothing is saved or restored', () => {
+    const i18n = new I18n(null, ['de-DE']);
+    assert.strictEqual(i18n.language, 'de');
+
+    i18n.setLanguage('es');
+    i18n.setNoteNaming('solfege');
+    assert.strictEqual(i18n.language, 'es');
+    assert.strictEqual(i18n.noteNaming, 'solfege');
+});
+
+test('fills placeholders and falls back to the key', () => {
+    const i18n = new I18n(memoryStorage(), ['en']);
+
+    assert.strictEqual(i18n.t('guided.advance', { string: 'E2', next: 'A2' }), 'String E2 in tune! Now play string A2');
+    assert.strictEqual(i18n.t('tuning.title', {}), '{name} tuning');
+    assert.strictEqual(i18n.t('missing.key'), 'missing.key');
+    assert.ok(!i18n.has('missing.key'));
+});
+
+test('names notes in each naming system', () => {
+    const i18n = new I18n(memoryStorage(), ['en']);
+    const names = naming => {
+        i18n.setNoteNaming(naming);
+        return [40, 45, 46, 47, 54].map(midiNote => i18n.formatNote(midiNote));
+    };
+
+    assert.deepStrictEqual(names('letters'), ['E2', 'A2', 'A#2', 'B2', 'F#3']);
+    assert.deepStrictEqual(names('solfege'), ['Mi2', 'La2', 'La#2', 'Si2', 'Fa#3']);
+    assert.deepStrictEqual(names('german'), ['E2', 'A2', 'B2', 'H2', 'Fis3']);
+    assert.strictEqual(i18n.formatNote(23), 'H0');
+    assert.throws(() => i18n.setNoteNaming('numbers'));
+    assert.strictEqual(Object.keys(NOTE_NAMINGS).length, 3);
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests of the instrument profiles: every string fits the detector range and the
+ * analysis window, and the lowest and highest strings are detected with the profile's settings
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const TunerCore = require('../tuner-core.js');
+const { InstrumentProfiles, INSTRUMENT_PROFILES } = require('../instrument-profiles.js');
+
+const SAMPLE_RATES = [44100, 48000];
+const SEMITONE = Math.pow(2, 1 / 12);
+
+// Maximum cents error, as in tuner-core.test.js
+const MAX_CENTS = { autocorrelation: 5, yin: 1, mpm: 1 };
+
+/**
+ * A plucked-string-like tone, as in tuner-core.test.js
+ * @param {number} frequency
+ * @param {number} length - Samples
+ * @returns {Float32Array}
+ */
+function stringSignal(frequency, length) {
+    const amplitudes = [0.6, 1, 0.5, 0.3, 0.2, 0.1];
+    const samples = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const t = i / 44100;
+        let value = 0;
+        amplitudes.forEach((amplitude, index) => {
+            value += amplitude * Math.exp(-t * (index + 1)) * Math.sin(2 * Math.PI * frequency * (index + 1) * t);
+        });
+        samples[i] = 0.2 * value;
+    }
+
+    return samples;
+}
+
+/**
+ * @param {Object} profile
+ * @returns {Array<number>} Frequencies of all the strings of all the profile's tunings
+ */
+function stringFrequencies(profile) {
+    return [].concat(...profile.tunings.map(tuning => tuning.strings.map(name => TunerCore.noteToFrequency(name))));
+}
+
+test('every string is in range, also a semitone flat and at the 12th fret', () => {
+    INSTRUMENT_PROFILES.forEach(profile => {
+        stringFrequencies(profile).forEach(frequency => {
+            assert.ok(!isNaN(frequency), `${profile.id}: invalid note`);
+            assert.ok(frequency / SEMITONE >= profile.minFrequency, `${profile.id}: ${frequency.toFixed(1)} Hz`);
+            assert.ok(frequency * 2 <= profile.maxFrequency, `${profile.id}: ${frequency.toFixed(1)} Hz`);
+        });
+    });
+});
+
+test('the analysis window holds two periods of the lowest frequency (YIN)', () => {
+    INSTRUMENT_PROFILES.forEach(profile => {
+        SAMPLE_RATES.forEach(sampleRate => {
+            const maxLag = Math.ceil(sampleRate / profile.minFrequency);
+            assert.ok(profile.bufferSize >= 2 * maxLag + 1, `${profile.id} at ${sampleRate} Hz`);
+        });
+    });
+});
+
+test('tuning ids are unique across profiles', () => {
+    const ids = [].concat(...INSTRUMENT_PROFILES.map(profile => profile.tunings.map(tuning => tuning.id)));
+    assert.strictEqual(new Set(ids).size, ids.length);
+
+    assert.strictEqual(InstrumentProfiles.get('bass-5').minFrequency, 25);
+    assert.strictEqual(InstrumentProfiles.forTuning('seven-string').id, 'guitar-7');
+    assert.strictEqual(InstrumentProfiles.forTuning('custom-x'), null);
+});
+
+Object.keys(TunerCore.PITCH_ALGORITHMS).forEach(algorithm => {
+    test(`${algorithm}: the lowest and highest strings of each profile are detected`, () => {
+        INSTRUMENT_PROFILES.forEach(profile => {
+            const frequencies = stringFrequencies(profile);
+            const options = {
+                sampleRate: 44100,
+                minFrequency: profile.minFrequency,
+                maxFrequency: profile.maxFrequency,
+                algorithm: algorithm
+            };
+
+            [Math.min(...frequencies), Math.max(...frequencies)].forEach(target => {
+                const result = TunerCore.detect(stringSignal(target, profile.bufferSize), options);
+                assert.ok(result.isValid, `${profile.id} ${target.toFixed(1)} Hz: no pitch`);
+
+                const cents = 1200 * Math.log2(result.frequency / target);
+                assert.ok(Math.abs(cents) < MAX_CENTS[algorithm], `${profile.id} ${target.toFixed(1)} Hz: ${cents.toFixed(2)} cents`);
+            });
+        });
+    });
+});
+
+test('the tuning manager lists the presets and custom tunings of the current profile', () => {
+    const manager = new TunerCore.TuningManager();
+    manager.customTunings.push({ id: 'custom-old', name: 'Open C', strings: ['C2', 'G2', 'C3', 'G3', 'C4', 'E4'], custom: true });
+
+    manager.setProfile(InstrumentProfiles.get('bass-5'));
+    assert.strictEqual(manager.getSelected().id, 'bass5-standard', 'a guitar selection falls back to the first preset');
+
+    const custom = manager.addCustom('Drop A', 'A0 E1 A1 D2 G2');
+    assert.strictEqual(custom.profile, 'bass-5');
+    assert.deepStrictEqual(manager.getAll().map(tuning => tuning.id), ['bass5-standard', 'bass5-high-c', custom.id]);
+
+    manager.select(custom.id);
+    manager.setProfile(InstrumentProfiles.get('guitar-6'));
+    assert.strictEqual(manager.getSelected().id, 'standard');
+    assert.ok(manager.get('custom-old'), 'tunings saved before profiles belong to the 6-string guitar');
+    assert.strictEqual(manager.get(custom.id), null);
+});
@@ -0,0 +1,120 @@
+/**
+ * IntonationCheck tests on timestamped reading sequences
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { IntonationCheck } = require('../intonation-check.js');
+
+const HOP_MS = 1024 / 44100 * 1000; // One reading per analysis hop
+
+const STRINGS = [
+    { index: 0, note: 'A2', midiNote: 45, frequency: 110 },
+    { index: 1, note: 'A3', midiNote: 57, frequency: 220 }
+];
+
+/**
+ * @param {number} frequency
+ * @param {number} cents
+ * @returns {number} The frequency moved by cents
+ */
+function detune(frequency, cents) {
+    return frequency * Math.pow(2, cents / 1200);
+}
+
+/**
+ * Feeds readings one hop apart, each from frequencyAt(i)
+ * @param {IntonationCheck} check
+ * @param {function(number): number} frequencyAt
+ * @param {number} duration - ms
+ * @param {number} startTime - ms
+ * @returns {Array<Object|null>} Measurements
+ */
+function replay(check, frequencyAt, duration, startTime) {
+    const measurements = [];
+    for (let i = 0, time = startTime; time < startTime + duration; i++, time += HOP_MS) {
+        measurements.push(check.measure(frequencyAt(i), time));
+    }
+    return measurements;
+}
+
+test('a reading is recorded once it stays steady for the hold time', () => {
+    const check = new IntonationCheck(1500);
+    const captures = [];
+    check.onCapture = (step, string, frequency) => captures.push({ step, note: string.note, frequency });
+    check.setStrings(STRINGS);
+
+    // Far from the open string: ignored
+    assert.strictEqual(check.measure(150, 0), null);
+
+    // A wobble of ±1 cent is steady; a jump of 10 cents restarts the window
+    replay(check, i => detune(110, i % 2 ? 1 : -1), 1000, 0);
+    check.measure(detune(110, 10), 1000);
+    const steady = replay(check, i => detune(110, i % 2 ? 1 : -1), 1400, 1000 + HOP_MS);
+    assert.strictEqual(captures.length, 0);
+    assert.ok(steady[steady.length - 1].progress < 1);
+
+    replay(check, i => detune(110, i % 2 ? 1 : -1), 300, 2400 + HOP_MS);
+    assert.strictEqual(captures.length, 1);
+    assert.strictEqual(captures[0].step, 'reference');
+    assert.ok(Math.abs(1200 * Math.log2(captures[0].frequency / 110)) < 0.2);
+    assert.strictEqual(check.step, 'fretted');
+    assert.ok(Math.abs(check.getExpectedFrequency() - 2 * captures[0].frequency) < 1e-9);
+});
+
+test('with the harmonic as reference, the fretted note waits for a new pluck', () => {
+    const check = new IntonationCheck(1000);
+    const results = [];
+    check.onResult = result => results.push(result);
+    check.setStrings(STRINGS);
+    check.setReferenceKind('harmonic');
+    assert.throws(() => check.setReferenceKind('capo'), /Riferimento sconosciuto/);
+    assert.strictEqual(check.getExpectedFrequency(), 220);
+
+    replay(check, () => 220, 1100, 0);
+    assert.strictEqual(check.step, 'fretted');
+    assert.ok(check.waitingForPluck);
+
+    // The harmonic keeps ringing at the fretted note's pitch: not measured
+    const ringing = replay(check, () => 220, 1500, 1100);
+    assert.ok(ringing.every(measurement => measurement.progress === 0));
+    assert.strictEqual(results.length, 0);
+
+    // The fretted note, plucked after the stabilizer's attack gate
+    const fretted = detune(220, 6);
+    replay(check, () => fretted, 1100, 2700);
+    assert.strictEqual(check.waitingForPluck, false);
+    assert.strictEqual(results.length, 1);
+    assert.ok(Math.abs(results[0].cents - 6) < 1e-6);
+    assert.strictEqual(results[0].advice, 'away-from-neck');
+    assert.strictEqual(results[0].previousCents, null);
+    assert.strictEqual(check.getString().note, 'A3');
+});
+
+test('a string can be measured again after a saddle adjustment', () => {
+    const check = new IntonationCheck(1000);
+    let complete = null;
+    check.onComplete = results => { complete = results; };
+    check.setStrings(STRINGS);
+
+    let time = 0;
+    const measureString = (open, frettedCents) => {
+        replay(check, () => open, 1100, time);
+        replay(check, () => detune(2 * open, frettedCents), 1100, time + 1200);
+        time += 2400;
+    };
+
+    measureString(110, 6);
+    measureString(220, -1);
+    assert.deepStrictEqual(complete.map(result => result.advice), ['away-from-neck', 'ok']);
+    assert.strictEqual(check.step, 'done');
+    assert.strictEqual(check.measure(110, time), null);
+
+    check.select(0);
+    measureString(110, -4);
+    const result = check.results[0];
+    assert.ok(Math.abs(result.cents + 4) < 1e-6);
+    assert.ok(Math.abs(result.previousCents - 6) < 1e-6);
+    assert.strictEqual(result.advice, 'toward-neck');
+    assert.strictEqual(IntonationCheck.getAdvice(1.5, 2), 'ok');
+});
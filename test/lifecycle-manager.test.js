@@ -0,0 +1,191 @@
+/**
+ * Tests for the lifecycle handling: wake lock, pause while hidden, audio interruptions
+ * and input recovery, with a fake page and microphone.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { TunerEngine } = require('../tuner-engine.js');
+const { LifecycleManager } = require('../lifecycle-manager.js');
+
+/**
+ * Minimal event target
+ */
+function eventTarget(target = {}) {
+    const listeners = {};
+    target.addEventListener = (type, listener) => {
+        (listeners[type] = listeners[type] || []).push(listener);
+    };
+    target.dispatch = async (type) => {
+        await Promise.all((listeners[type] || []).map(listener => listener()));
+    };
+    return target;
+}
+
+/**
+ * Lifecycle manager on an engine with a fake capture, page and devices
+ * @param {Object} options - { wakeLock: false without the API }
+ */
+function fakePage(options = {}) {
+    const page = { statuses: [], devices: ['usb', 'builtin'], locks: [] };
+
+    page.capture = {
+        contextState: 'running',
+        resumable: true,
+        initialize: async () => ({ success: true, message: '' }),
+        start() { this.contextState = 'running'; },
+        stop() {},
+        dispose() {},
+        setBufferSize() {},
+        setGain() {},
+        async suspend() { this.contextState = 'suspended'; },
+        async resume() {
+            if (this.resumable) this.contextState = 'running';
+            return this.contextState === 'running';
+        },
+        async switchDevice(deviceId) {
+            const success = deviceId === null || page.devices.includes(deviceId);
+            return { success: success, message: '' };
+        }
+    };
+
+    page.engine = new TunerEngine({
+        createCapture: () => page.capture,
+        createAnalyzer: () => ({ configure() {}, analyze() {}, dispose() {} })
+    });
+    page.engine.deviceId = 'usb';
+
+    page.document = eventTarget({ hidden: false });
+    page.mediaDevices = eventTarget({
+        enumerateDevices: async () => page.devices.map(id => ({ kind: 'audioinput', deviceId: id }))
+    });
+    page.navigator = { mediaDevices: page.mediaDevices };
+    if (options.wakeLock !== false) {
+        page.navigator.wakeLock = {
+            request: async (type) => {
+                const lock = eventTarget({ type: type, released: false });
+                lock.release = async () => { lock.released = true; };
+                page.locks.push(lock);
+                return lock;
+            }
+        };
+    }
+
+    page.lifecycle = new LifecycleManager(page.engine, { document: page.document, navigator: page.navigator });
+    page.lifecycle.onStatus = (key, params, type) => page.statuses.push(key);
+    page.lifecycle.attach();
+    return page;
+}
+
+// Lets the pending promises settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('the screen is kept on while tuning and tuning pauses while the page is hidden', async () => {
+    const page = fakePage();
+    await page.engine.start();
+    await settle();
+    assert.strictEqual(page.locks.length, 1);
+    assert.strictEqual(page.locks[0].type, 'screen');
+
+    page.document.hidden = true;
+    await page.document.dispatch('visibilitychange');
+    assert.strictEqual(page.engine.state, 'idle');
+    assert.strictEqual(page.capture.contextState, 'suspended');
+    assert.ok(page.locks[0].released);
+
+    page.document.hidden = false;
+    await page.document.dispatch('visibilitychange');
+    await settle();
+    assert.ok(page.engine.isRunning);
+    assert.strictEqual(page.locks.length, 2);
+    assert.deepStrictEqual(page.statuses, ['lifecycle.paused', 'lifecycle.resumed']);
+
+    // Stopped by the user: nothing resumes
+    page.engine.stop();
+    page.document.hidden = true;
+    await page.document.dispatch('visibilitychange');
+    page.document.hidden = false;
+    await page.document.dispatch('visibilitychange');
+    assert.strictEqual(page.engine.state, 'idle');
+});
+
+test('a page shown again before the suspension completes resumes once it has', async () => {
+    const page = fakePage({ wakeLock: false });
+    await page.engine.start();
+
+    let finishSuspend = null;
+    page.capture.suspend = function () {
+        return new Promise(resolve => {
+            finishSuspend = () => {
+                this.contextState = 'suspended';
+                resolve();
+            };
+        });
+    };
+
+    page.document.hidden = true;
+    const hiding = page.document.dispatch('visibilitychange');
+    page.document.hidden = false;
+    const showing = page.document.dispatch('visibilitychange');
+    await settle();
+    assert.strictEqual(page.engine.state, 'idle');
+
+    finishSuspend();
+    await Promise.all([hiding, showing]);
+    assert.ok(page.engine.isRunning);
+    assert.strictEqual(page.capture.contextState, 'running');
+    assert.deepStrictEqual(page.statuses, ['lifecycle.paused', 'lifecycle.resumed']);
+});
+
+test('interrupted audio is resumed, after a tap if the browser requires one', async () => {
+    const page = fakePage({ wakeLock: false });
+    await page.engine.start();
+
+    page.capture.contextState = 'suspended';
+    page.engine.emit('audioState', { state: 'suspended' });
+    await settle();
+    assert.deepStrictEqual(page.statuses, ['lifecycle.audioInterrupted', 'lifecycle.audioResumed']);
+
+    page.statuses.length = 0;
+    page.capture.resumable = false;
+    page.capture.contextState = 'interrupted';
+    page.engine.emit('audioState', { state: 'interrupted' });
+    await settle();
+    assert.deepStrictEqual(page.statuses, ['lifecycle.audioInterrupted', 'lifecycle.tapToResume']);
+
+    page.capture.resumable = true;
+    await page.document.dispatch('pointerdown');
+    assert.strictEqual(page.capture.contextState, 'running');
+    assert.strictEqual(page.statuses[page.statuses.length - 1], 'lifecycle.audioResumed');
+    assert.strictEqual(page.lifecycle.interrupted, false);
+});
+
+test('an unplugged input falls back to the default one and comes back when plugged in again', async () => {
+    const page = fakePage();
+    await page.engine.start();
+
+    page.devices = ['builtin'];
+    page.capture.onInputEnded();
+    await settle();
+    assert.strictEqual(page.engine.deviceId, null);
+    assert.strictEqual(page.lifecycle.preferredDeviceId, 'usb');
+    assert.deepStrictEqual(page.statuses, ['lifecycle.inputLost', 'lifecycle.inputDefault']);
+
+    page.devices = ['builtin', 'usb'];
+    await page.mediaDevices.dispatch('devicechange');
+    assert.strictEqual(page.engine.deviceId, 'usb');
+    assert.strictEqual(page.lifecycle.preferredDeviceId, null);
+    assert.strictEqual(page.statuses[page.statuses.length - 1], 'lifecycle.inputBack');
+
+    // No input at all: retried on the next device change
+    page.statuses.length = 0;
+    page.capture.switchDevice = async () => ({ success: false, message: '' });
+    await page.lifecycle.recoverInput();
+    assert.ok(page.lifecycle.inputLost);
+    assert.deepStrictEqual(page.statuses, ['lifecycle.inputLost', 'lifecycle.noInput']);
+
+    page.capture.switchDevice = async () => ({ success: true, message: '' });
+    await page.mediaDevices.dispatch('devicechange');
+    assert.strictEqual(page.lifecycle.inputLost, false);
+    assert.strictEqual(page.statuses[page.statuses.length - 1], 'lifecycle.inputRestored');
+});
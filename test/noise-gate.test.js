@@ -0,0 +1,88 @@
+/**
+ * Tests for the noise floor calibration and the adaptive gate.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { NoiseGate } = require('../noise-gate.js');
+
+const STEP = 23; // ms between analysis windows (1024 samples at 44.1 kHz)
+
+/**
+ * Feeds constant readings for a duration
+ * @returns {Object} Last gate result
+ */
+function feed(gate, rms, pitched, duration, start = 0) {
+    let result = null;
+    for (let time = start; time <= start + duration; time += STEP) {
+        result = gate.process(rms, pitched, time);
+    }
+    return result;
+}
+
+test('calibration sets the gate above a high percentile of the noise', () => {
+    const gate = new NoiseGate();
+    let calibrated = null;
+    gate.onCalibrated = (noiseFloor, threshold) => { calibrated = { noiseFloor, threshold }; };
+
+    gate.startCalibration();
+    assert.strictEqual(gate.process(0.01, false, 1000).state, 'calibrating');
+
+    // Steady noise at 0.01 with frequent bumps to 0.03 (every fifth reading)
+    let result;
+    for (let i = 1, time = 1000 + STEP; !calibrated; i++, time += STEP) {
+        result = gate.process(i % 5 === 0 ? 0.03 : 0.01, false, time);
+        assert.ok(result.progress <= 1);
+    }
+
+    assert.strictEqual(result.state, 'calibrating');
+    assert.strictEqual(result.progress, 1);
+    assert.ok(!gate.isCalibrating());
+    assert.strictEqual(calibrated.noiseFloor, 0.03);
+    assert.ok(Math.abs(calibrated.threshold - 0.03 * Math.pow(10, 10 / 20)) < 1e-9);
+});
+
+test('gates readings below the threshold and tells listening from detecting', () => {
+    const gate = new NoiseGate({ noiseFloor: 0.01 });
+    const threshold = gate.threshold;
+
+    assert.strictEqual(gate.process(threshold / 2, false, 0).state, 'gated');
+    assert.strictEqual(gate.process(threshold / 2, true, STEP).open, false);
+    assert.strictEqual(gate.process(threshold * 3, false, 2 * STEP).state, 'listening');
+    assert.strictEqual(gate.process(threshold * 3, true, 3 * STEP).state, 'detecting');
+});
+
+test('the floor falls quickly in a quieter room and rises slowly in a noisier one', () => {
+    const quieter = new NoiseGate({ noiseFloor: 0.02 });
+    feed(quieter, 0.002, false, 5000);
+    assert.ok(quieter.noiseFloor < 0.0025, `floor ${quieter.noiseFloor}`);
+
+    const noisier = new NoiseGate({ noiseFloor: 0.002 });
+    feed(noisier, 0.02, false, 1000);
+    assert.ok(noisier.noiseFloor < 0.005, 'a one-second noise barely moves the gate');
+
+    const result = feed(noisier, 0.02, false, 40000, 1000);
+    assert.ok(noisier.noiseFloor > 0.018, `floor ${noisier.noiseFloor}`);
+    assert.strictEqual(result.state, 'gated', 'steady unpitched noise ends up below the gate');
+});
+
+test('a ringing note never raises the floor', () => {
+    const gate = new NoiseGate({ noiseFloor: 0.005 });
+    const result = feed(gate, 0.2, true, 10000);
+
+    assert.strictEqual(gate.noiseFloor, 0.005);
+    assert.strictEqual(result.state, 'detecting');
+});
+
+test('the threshold is clamped and invalid floors are ignored', () => {
+    const gate = new NoiseGate();
+
+    gate.setNoiseFloor(1e-6);
+    assert.strictEqual(gate.threshold, NoiseGate.DEFAULTS.minThreshold);
+    gate.setNoiseFloor(0.5);
+    assert.strictEqual(gate.threshold, NoiseGate.DEFAULTS.maxThreshold);
+
+    gate.setNoiseFloor(NaN);
+    gate.setNoiseFloor(0);
+    assert.strictEqual(gate.noiseFloor, 0.5);
+});
@@ -0,0 +1,97 @@
+/**
+ * Accuracy tests for the pitch detection algorithms on synthetic harmonic-rich signals
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PITCH_ALGORITHMS } = require('../pitch-algorithms.js');
+
+const SAMPLE_RATE = 44100;
+const BUFFER_SIZE = 4096;
+
+// Standard tuning, drop D and a few notes up the neck
+const FREQUENCIES = [73.42, 82.41, 87.31, 110.0, 146.83, 155.56, 196.0, 246.94, 329.63, 440.0, 659.26];
+
+// Relative harmonic amplitudes: a warm string, and bright strings whose fundamental
+// is weaker than the upper partials (the classic cause of octave errors)
+const HARMONIC_PROFILES = {
+    warm: [1, 0.5, 0.33, 0.25, 0.2],
+    bright: [0.3, 1, 0.7, 0.5, 0.4, 0.3, 0.2, 0.15],
+    brightLowE: [0.25, 1, 0.9, 0.6, 0.5, 0.4, 0.3, 0.2]
+};
+
+// Maximum allowed octave errors (fraction of signals) and cents error on the others
+const LIMITS = {
+    autocorrelation: { octaveErrorRate: 0, maxCents: 5 },
+    yin: { octaveErrorRate: 0, maxCents: 1 },
+    mpm: { octaveErrorRate: 0, maxCents: 1 }
+};
+
+/**
+ * Builds a decaying harmonic tone with a little deterministic noise
+ * @param {number} frequency
+ * @param {Array<number>} amplitudes
+ * @returns {Float32Array}
+ */
+function harmonicSignal(frequency, amplitudes) {
+    let seed = 7;
+    const noise = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648 - 0.5;
+    };
+
+    const samples = new Float32Array(BUFFER_SIZE);
+    for (let i = 0; i < BUFFER_SIZE; i++) {
+        const t = i / SAMPLE_RATE;
+        let value = 0;
+        amplitudes.forEach((amplitude, h) => {
+            value += amplitude * Math.sin(2 * Math.PI * frequency * (h + 1) * t + h);
+        });
+        samples[i] = 0.3 * value * Math.exp(-2 * t) + 0.01 * noise();
+    }
+
+    return samples;
+}
+
+Object.keys(PITCH_ALGORITHMS).forEach(name => {
+    test(`${name}: octave errors and cents accuracy on harmonic-rich signals`, () => {
+        const algorithm = new PITCH_ALGORITHMS[name]();
+        let octaveErrors = 0;
+        let total = 0;
+        let maxCents = 0;
+
+        Object.keys(HARMONIC_PROFILES).forEach(profile => {
+            FREQUENCIES.forEach(frequency => {
+                const samples = harmonicSignal(frequency, HARMONIC_PROFILES[profile]);
+                const result = algorithm.detect(samples, SAMPLE_RATE, 70, 1500);
+                const cents = 1200 * Math.log2(result.frequency / frequency);
+
+                total++;
+                if (!isFinite(cents) || Math.abs(cents) > 600) {
+                    octaveErrors++;
+                } else {
+                    maxCents = Math.max(maxCents, Math.abs(cents));
+                }
+            });
+        });
+
+        assert.ok(octaveErrors / total <= LIMITS[name].octaveErrorRate,
+            `${octaveErrors}/${total} octave errors`);
+        assert.ok(maxCents < LIMITS[name].maxCents, `max error ${maxCents.toFixed(2)} cents`);
+    });
+
+    test(`${name}: confidence is high on a clean tone and low on noise`, () => {
+        const algorithm = new PITCH_ALGORITHMS[name]();
+        const tone = algorithm.detect(harmonicSignal(110, HARMONIC_PROFILES.warm), SAMPLE_RATE, 70, 1500);
+
+        let seed = 1;
+        const noise = new Float32Array(BUFFER_SIZE).map(() => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648 - 0.5;
+        });
+        const random = algorithm.detect(noise, SAMPLE_RATE, 70, 1500);
+
+        assert.ok(tone.confidence > 0.8, `tone confidence ${tone.confidence}`);
+        assert.ok(random.confidence < 0.5, `noise confidence ${random.confidence}`);
+    });
+});
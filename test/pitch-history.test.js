@@ -0,0 +1,76 @@
+/**
+ * Tests for the pitch history kept for the graph and its drift, stability and vibrato figures.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PitchHistory } = require('../pitch-history.js');
+
+const STEP = 23; // ms between analysis windows (1024 samples at 44.1 kHz)
+const REFERENCE = 110; // A2
+
+/**
+ * Readings following a deviation curve
+ * @param {Function} cents - (time in ms) => cents from the reference
+ * @param {number} duration - ms
+ * @returns {PitchHistory}
+ */
+function record(cents, duration, options = {}) {
+    const history = new PitchHistory(options);
+    for (let time = 0; time <= duration; time += STEP) {
+        history.add({
+            time: time,
+            frequency: REFERENCE * Math.pow(2, cents(time) / 1200),
+            reference: REFERENCE,
+            confidence: 0.9
+        });
+    }
+    return history;
+}
+
+test('keeps the readings of the last seconds with their deviation from the target', () => {
+    const history = record(() => -12, 5000, { duration: 2000 });
+
+    assert.ok(history.points[0].time >= 3000);
+    assert.ok(Math.abs(history.points[0].cents + 12) < 1e-9);
+    assert.strictEqual(history.range(4000, 4100).length, 5);
+
+    history.clear();
+    assert.strictEqual(PitchHistory.stats(history.points), null);
+});
+
+test('a note going flat as it decays shows as drift, not as instability', () => {
+    const history = record(time => 3 - time / 1000 * 2, 4000);
+    const stats = PitchHistory.stats(history.points);
+
+    assert.ok(Math.abs(stats.drift + 2) < 1e-6, `${stats.drift}`);
+    assert.ok(Math.abs(stats.mean + 1) < 0.1, `${stats.mean}`);
+    assert.ok(stats.deviation < 1e-6);
+    assert.strictEqual(stats.vibrato, null);
+});
+
+test('finds the rate and depth of a vibrato', () => {
+    const history = record(time => 15 * Math.sin(2 * Math.PI * 5.5 * time / 1000), 3000);
+    const stats = PitchHistory.stats(history.points);
+
+    assert.ok(Math.abs(stats.vibrato.rate - 5.5) < 0.5, `${stats.vibrato.rate}`);
+    assert.ok(Math.abs(stats.vibrato.depth - 15) < 1, `${stats.vibrato.depth}`);
+    assert.ok(Math.abs(stats.drift) < 1);
+});
+
+test('detector jitter and slow corrections are not vibrato', () => {
+    let seed = 7;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    const jitter = PitchHistory.stats(record(() => 16 * noise(), 3000).points);
+    assert.strictEqual(jitter.vibrato, null);
+
+    const slow = PitchHistory.stats(record(time => 10 * Math.sin(2 * Math.PI * time / 2000), 4000).points);
+    assert.strictEqual(slow.vibrato, null);
+
+    const small = PitchHistory.stats(record(time => 1.5 * Math.sin(2 * Math.PI * 6 * time / 1000), 3000).points);
+    assert.strictEqual(small.vibrato, null);
+});
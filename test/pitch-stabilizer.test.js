@@ -0,0 +1,117 @@
+/**
+ * PitchStabilizer tests on recorded-style frequency sequences
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PitchStabilizer } = require('../pitch-stabilizer.js');
+
+const HOP_MS = 1024 / 44100 * 1000; // One reading per analysis hop
+
+/**
+ * Feeds a sequence of [frequency, rms] readings (frequency 0 = no pitch) one hop apart
+ * @param {PitchStabilizer} stabilizer
+ * @param {Array<Array<number>>} sequence
+ * @param {number} startTime - ms
+ * @returns {Array<Object>} Stabilizer outputs
+ */
+function replay(stabilizer, sequence, startTime = 0) {
+    return sequence.map(([frequency, rms], i) => stabilizer.process({
+        frequency: frequency,
+        confidence: frequency > 0 ? 0.95 : 0,
+        isValid: frequency > 0,
+        rms: rms
+    }, startTime + i * HOP_MS));
+}
+
+function cents(frequency, reference) {
+    return 1200 * Math.log2(frequency / reference);
+}
+
+// A2 pluck: sharp attack transient, then jitter of a few cents around 110 Hz while decaying
+const PLUCK = [
+    [118, 0.4], [114, 0.35], [112, 0.3], [111, 0.28],
+    [110.2, 0.26], [109.7, 0.24], [110.4, 0.22], [109.8, 0.2], [110.1, 0.19],
+    [110.3, 0.18], [109.9, 0.17], [110.0, 0.16], [109.6, 0.15], [110.2, 0.14]
+];
+
+test('ignores the attack transient', () => {
+    const outputs = replay(new PitchStabilizer(), PLUCK);
+    const attack = outputs.filter(output => output.state === 'attack');
+
+    assert.strictEqual(attack.length, 4);
+    outputs.filter(output => output.state === 'stable').forEach(output => {
+        assert.ok(Math.abs(cents(output.frequency, 110)) < 10, `${output.frequency} Hz`);
+    });
+});
+
+test('median and Kalman filters reduce jitter', () => {
+    const jitter = PLUCK.slice(4);
+    const spread = values => Math.max(...values) - Math.min(...values);
+    const rawSpread = spread(jitter.map(([frequency]) => cents(frequency, 110)));
+
+    ['median', 'kalman'].forEach(filter => {
+        const outputs = replay(new PitchStabilizer({ filter: filter, attackTime: 0 }), jitter)
+            .slice(3)
+            .map(output => cents(output.frequency, 110));
+        assert.ok(spread(outputs) < rawSpread / 2, `${filter}: ${spread(outputs).toFixed(1)} cents`);
+    });
+});
+
+test('keeps the note on a semitone boundary', () => {
+    // Wobbling between 45 cents sharp and 55 cents sharp of A2, i.e. across the A/A# boundary
+    const sequence = [];
+    for (let i = 0; i < 20; i++) {
+        sequence.push([110 * Math.pow(2, (i % 2 ? 55 : 45) / 1200), 0.2]);
+    }
+
+    const outputs = replay(new PitchStabilizer({ filter: 'none', attackTime: 0 }), sequence);
+    outputs.forEach(output => assert.strictEqual(output.midiNote, 45));
+
+    // Well past the boundary the note does change
+    const past = replay(new PitchStabilizer({ filter: 'none', attackTime: 0 }), [[110, 0.2], [110 * Math.pow(2, 75 / 1200), 0.2]]);
+    assert.strictEqual(past[1].midiNote, 46);
+});
+
+test('rejects an isolated octave glitch but follows a real note change', () => {
+    const stabilizer = new PitchStabilizer({ attackTime: 0 });
+    const sequence = [[110, 0.2], [110, 0.2], [110, 0.2], [220, 0.2], [110, 0.2],
+        [146.83, 0.2], [146.83, 0.2], [146.83, 0.2], [146.83, 0.2]];
+    const outputs = replay(stabilizer, sequence);
+
+    assert.ok(Math.abs(cents(outputs[3].frequency, 110)) < 1, 'octave glitch reached the output');
+    assert.strictEqual(outputs[8].midiNote, 50);
+    assert.ok(Math.abs(cents(outputs[8].frequency, 146.83)) < 1);
+});
+
+test('holds the last stable reading, then reports silence', () => {
+    const stabilizer = new PitchStabilizer({ holdTime: 500 });
+    const outputs = replay(stabilizer, PLUCK);
+    const last = outputs[outputs.length - 1];
+    const end = (PLUCK.length - 1) * HOP_MS;
+
+    const silent = { frequency: 0, confidence: 0, isValid: false, rms: 0.01 };
+    const held = stabilizer.process(silent, end + 200);
+    assert.strictEqual(held.state, 'holding');
+    assert.strictEqual(held.frequency, last.frequency);
+    assert.strictEqual(held.midiNote, last.midiNote);
+
+    const gone = stabilizer.process(silent, end + 600);
+    assert.strictEqual(gone.state, 'silent');
+    assert.strictEqual(gone.midiNote, null);
+});
+
+test('a new pluck restarts the attack gate', () => {
+    const stabilizer = new PitchStabilizer();
+    replay(stabilizer, PLUCK);
+
+    // Level jumps while the previous note is still ringing
+    const output = stabilizer.process({ frequency: 150, confidence: 0.9, isValid: true, rms: 0.5 }, 1000);
+    assert.strictEqual(output.state, 'attack');
+    assert.strictEqual(output.midiNote, 45);
+});
+
+test('rejects unknown options and filters', () => {
+    assert.throws(() => new PitchStabilizer({ smoothing: 'median' }));
+    assert.throws(() => new PitchStabilizer({ filter: 'average' }));
+});
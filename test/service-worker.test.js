@@ -0,0 +1,76 @@
+/**
+ * Checks that the service worker precaches every file the app loads,
+ * so the tuner keeps working offline when scripts are added.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+function precacheUrls() {
+    const source = read('service-worker.js');
+    const list = source.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/)[1];
+    return Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+}
+
+test('precached files exist', () => {
+    precacheUrls()
+        .filter(url => url !== './')
+        .forEach(url => assert.ok(fs.existsSync(path.join(root, url)), url));
+});
+
+test('precaches the scripts, styles and icons of the page, the workers and the manifest', () => {
+    const urls = new Set(precacheUrls());
+    const needed = new Set(['index.html', 'capture-worklet.js']);
+
+    const html = read('index.html');
+    for (const match of html.matchAll(/<(?:script src|link rel="[^"]+" href)="([^"]+)"/g)) {
+        needed.add(match[1]);
+    }
+
+    const worker = read('pitch-worker.js');
+    const imports = worker.match(/importScripts\(([^)]*)\)/)[1];
+    for (const match of imports.matchAll(/'([^']+)'/g)) {
+        needed.add(match[1]);
+    }
+    needed.add('pitch-worker.js');
+
+    const manifest = JSON.parse(read('manifest.webmanifest'));
+    manifest.icons.forEach(icon => needed.add(icon.src));
+
+    needed.forEach(url => assert.ok(urls.has(url), `${url} is not precached`));
+});
+
+test('the install step fetches every precached file past the HTTP cache', async () => {
+    const listeners = {};
+    const added = [];
+    const cacheNames = [];
+    vm.runInNewContext(read('service-worker.js'), {
+        self: { addEventListener: (type, listener) => { listeners[type] = listener; } },
+        caches: {
+            open: async (name) => {
+                cacheNames.push(name);
+                return { addAll: async (requests) => { added.push(...requests); } };
+            }
+        },
+        Request: class {
+            constructor(url, options) {
+                this.url = url;
+                this.cache = options.cache;
+            }
+        }
+    });
+
+    let installed = null;
+    listeners.install({ waitUntil: promise => { installed = promise; } });
+    await installed;
+
+    assert.ok(/^accordatore-v\d+$/.test(cacheNames[0]));
+    assert.deepStrictEqual(added.map(request => request.url), precacheUrls());
+    assert.ok(added.every(request => request.cache === 'reload'));
+});
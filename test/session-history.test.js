@@ -0,0 +1,173 @@
+/**
+ * Tests for the drift and string health statistics and the JSON/CSV formats of the tuning history.
+ * (The IndexedDB storage itself needs a browser.)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { SessionHistory } = require('../session-history.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function entry(instrumentId, session, offset, stringIndex, note, midiNote, startCents, duration = 2000) {
+    return {
+        instrumentId: instrumentId,
+        sessionId: session,
+        time: session + offset,
+        tuningId: 'standard',
+        stringIndex: stringIndex,
+        note: note,
+        midiNote: midiNote,
+        startCents: startCents,
+        duration: duration
+    };
+}
+
+// High E always about 20 cents flat after a gig, low E barely moving
+const ENTRIES = [
+    entry(1, 0, 0, 5, 'E4', 64, -22),
+    entry(1, 0, 60000, 5, 'E4', 64, -3), // Re-tuned in the same session: not a drift
+    entry(1, 0, 1000, 0, 'E2', 40, 2),
+    entry(1, DAY, 0, 5, 'E4', 64, -18, 4000),
+    entry(1, DAY, 1000, 0, 'E2', 40, -1),
+    entry(1, 2 * DAY, 0, 5, 'E4', 64, -20)
+];
+
+test('drift uses the first tuning of each session, per string', () => {
+    const stats = SessionHistory.driftStats(ENTRIES);
+
+    assert.deepStrictEqual(stats.map(stat => stat.note), ['E2', 'E4']);
+
+    const high = stats[1];
+    assert.strictEqual(high.sessions, 3);
+    assert.strictEqual(high.meanCents, -20);
+    assert.strictEqual(high.lastCents, -20);
+    assert.strictEqual(high.minCents, -22);
+    assert.strictEqual(high.maxCents, -18);
+    assert.strictEqual(high.meanDuration, 2500);
+
+    const low = stats[0];
+    assert.strictEqual(low.sessions, 2);
+    assert.strictEqual(low.meanCents, 0.5);
+});
+
+function measurement(time, stringIndex, note, midiNote, inharmonicity) {
+    return {
+        instrumentId: 1,
+        time: time,
+        stringIndex: stringIndex,
+        note: note,
+        midiNote: midiNote,
+        frequency: 82.4,
+        inharmonicity: inharmonicity,
+        partials: 10
+    };
+}
+
+// Low E going dull over two months, high E steady; a measurement before the restringing
+const MEASUREMENTS = [
+    measurement(-DAY, 0, 'E2', 40, 9e-4),
+    measurement(0, 0, 'E2', 40, 1.0e-4),
+    measurement(DAY, 0, 'E2', 40, 1.1e-4),
+    measurement(2 * DAY, 0, 'E2', 40, 0.9e-4),
+    measurement(50 * DAY, 0, 'E2', 40, 1.5e-4),
+    measurement(60 * DAY, 0, 'E2', 40, 1.7e-4),
+    measurement(0, 5, 'E4', 64, 2e-5),
+    measurement(DAY, 5, 'E4', 64, 2e-5),
+    measurement(2 * DAY, 5, 'E4', 64, 2e-5),
+    measurement(60 * DAY, 5, 'E4', 64, 2.1e-5),
+    measurement(60 * DAY, 1, 'A2', 45, null)
+];
+
+test('string health compares the latest inharmonicity with the fresh strings', () => {
+    const health = SessionHistory.stringHealth(MEASUREMENTS, 0);
+
+    assert.deepStrictEqual(health.map(string => string.note), ['E2', 'E4']);
+
+    const low = health[0];
+    assert.strictEqual(low.count, 5);
+    assert.strictEqual(low.baseline, 1.0e-4);
+    assert.ok(Math.abs(low.current - 1.6e-4) < 1e-12);
+    assert.ok(Math.abs(low.change - 0.6) < 1e-9);
+    assert.strictEqual(low.status, 'dead');
+    assert.strictEqual(health[1].status, 'good');
+
+    // Right after the restringing there is only the baseline
+    const fresh = SessionHistory.stringHealth(MEASUREMENTS, 50 * DAY);
+    assert.strictEqual(fresh[0].status, 'new');
+    assert.strictEqual(fresh[0].current, null);
+});
+
+test('JSON export round-trips', () => {
+    const data = {
+        instruments: [{ id: 1, name: 'Stratocaster', createdAt: 0 }],
+        entries: ENTRIES,
+        harmonics: MEASUREMENTS
+    };
+    const parsed = SessionHistory.fromJSON(SessionHistory.toJSON(data));
+
+    assert.deepStrictEqual(parsed.instruments, data.instruments);
+    assert.deepStrictEqual(parsed.entries, ENTRIES);
+    assert.deepStrictEqual(parsed.harmonics, MEASUREMENTS);
+    assert.throws(() => SessionHistory.fromJSON(SessionHistory.toJSON({
+        instruments: [], entries: [], harmonics: [measurement(0, 0, 'E2', 40, 'dull')]
+    })), /Misura armonica non valida/);
+    assert.throws(() => SessionHistory.fromJSON('{"tracks": []}'));
+    assert.throws(() => SessionHistory.fromJSON('not json'));
+});
+
+test('malformed instruments are rejected before anything is imported', async () => {
+    const exported = (instruments) => SessionHistory.toJSON({ instruments: instruments, entries: [] });
+    assert.throws(() => SessionHistory.fromJSON(exported([{ id: 1 }])), /Strumento dello storico non valido/);
+    assert.throws(() => SessionHistory.fromJSON(exported([null])), /Strumento dello storico non valido/);
+    assert.throws(() => SessionHistory.fromJSON(exported([{ id: 1, name: 42 }])), /Strumento dello storico non valido/);
+    assert.throws(() => SessionHistory.fromJSON(exported([{ id: 1, name: '  ' }])), /Inserisci un nome/);
+    assert.throws(() => SessionHistory.fromJSON(exported([{ id: 1, name: 'x'.repeat(41) }])), /al massimo 40 caratteri/);
+
+    // Only the position and field of a bad record are reported, never its content
+    const markup = '<img src=x onerror=alert(1)>';
+    const badEntry = Object.assign(entry(1, 0, 0, 0, markup, 40, 2), { time: undefined });
+    assert.throws(() => SessionHistory.fromJSON(SessionHistory.toJSON({
+        instruments: [{ id: 1, name: 'Classica' }], entries: [ENTRIES[0], badEntry]
+    })), error => error.message === 'Voce dello storico non valida: n. 2, campo "time"');
+    assert.throws(() => SessionHistory.fromJSON(exported([{ id: 1, name: 'Classica' }, { name: markup }])),
+        error => error.message === 'Strumento dello storico non valido: n. 2, campo "id"');
+
+    // A CSV carries names only: the import checks them all before adding the first instrument
+    const history = new SessionHistory();
+    const added = [];
+    history.getInstruments = async () => [];
+    history.addInstrument = async (name) => {
+        added.push(name);
+        return { id: added.length, name: name };
+    };
+    history.addEntry = async () => assert.fail('nothing must be written');
+
+    await assert.rejects(history.importData({
+        instruments: [{ id: 'Classica', name: 'Classica' }, { id: 'long', name: 'x'.repeat(41) }],
+        entries: [entry('Classica', 0, 0, 0, 'E2', 40, 2)]
+    }), /al massimo 40 caratteri/);
+    assert.deepStrictEqual(added, []);
+});
+
+test('CSV export round-trips with the instrument names', () => {
+    const data = {
+        instruments: [{ id: 1, name: 'Strat "Sunburst", 1998' }, { id: 2, name: 'Classica' }],
+        entries: ENTRIES.concat([entry(2, DAY, 0, 1, 'A2', 45, 7.25)])
+    };
+    const csv = SessionHistory.toCSV(data);
+    const parsed = SessionHistory.fromCSV(csv.replace(/\n/g, '\r\n'));
+
+    assert.strictEqual(csv.split('\n')[0], 'instrument,time,session,tuning,string,note,midi,startCents,duration');
+    assert.deepStrictEqual(parsed.instruments.map(instrument => instrument.name),
+        ['Strat "Sunburst", 1998', 'Classica']);
+    assert.strictEqual(parsed.entries.length, 7);
+
+    const last = parsed.entries[6];
+    assert.strictEqual(last.instrumentId, 'Classica');
+    assert.strictEqual(last.time, DAY);
+    assert.strictEqual(last.startCents, 7.25);
+    assert.strictEqual(last.note, 'A2');
+
+    assert.throws(() => SessionHistory.fromCSV('time,frequency\n0,110\n'));
+});
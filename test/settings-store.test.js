@@ -0,0 +1,135 @@
+/**
+ * Tests for the settings store: validation, versioned storage, migration of the old keys
+ * and the configuration links.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { SettingsStore } = require('../settings-store.js');
+
+function memoryStorage(values = {}) {
+    return {
+        values: values,
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => { values[key] = String(value); },
+        removeItem: key => { delete values[key]; }
+    };
+}
+
+test('settings are validated, saved with the schema version and reset to the defaults', () => {
+    const storage = memoryStorage();
+    const store = new SettingsStore(storage);
+    assert.deepStrictEqual(store.getAll(), SettingsStore.defaults());
+
+    store.set({ inTuneCents: '3', needleRange: 30.4, speech: true, temperament: 'just' });
+    assert.strictEqual(store.get('inTuneCents'), 3);
+    assert.strictEqual(store.get('needleRange'), 30);
+
+    // One invalid value: nothing changes
+    assert.throws(() => store.set({ referenceFrequency: 442, updateInterval: -1 }), /Valore non valido per updateInterval/);
+    assert.strictEqual(store.get('referenceFrequency'), 440);
+    assert.throws(() => store.set({ colour: 'red' }), /Impostazione sconosciuta/);
+
+    const saved = JSON.parse(storage.getItem(SettingsStore.STORAGE_KEY));
+    assert.strictEqual(saved.version, SettingsStore.VERSION);
+    assert.strictEqual(new SettingsStore(storage).get('temperament'), 'just');
+
+    store.reset();
+    assert.deepStrictEqual(new SettingsStore(storage).getAll(), SettingsStore.defaults());
+});
+
+test('the settings saved before the store are migrated once and their keys removed', () => {
+    const storage = memoryStorage({
+        'accordatore.algorithm': 'yin',
+        'accordatore.pitchSettings': JSON.stringify({ referenceFrequency: 432, temperament: 'custom', key: 7,
+            customOffsets: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }),
+        'accordatore.stabilizer': JSON.stringify({ filter: 'kalman', holdTime: 2500 }),
+        'accordatore.displayMode': 'strobe',
+        'accordatore.accessibility': JSON.stringify({ speech: false, beeps: true, vibration: true }),
+        'accordatore.graph': JSON.stringify({ span: 10000, range: 'huge' }),
+        'accordatore.diagnostics': 'true',
+        'accordatore.inputGain': '1.5',
+        'accordatore.customTunings': '[]'
+    });
+    const values = new SettingsStore(storage).getAll();
+
+    assert.strictEqual(values.algorithm, 'yin');
+    assert.strictEqual(values.referenceFrequency, 432);
+    assert.strictEqual(values.temperamentKey, 7);
+    assert.deepStrictEqual(values.customOffsets, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    assert.strictEqual(values.holdTime, 2500);
+    assert.strictEqual(values.displayMode, 'strobe');
+    assert.strictEqual(values.beeps, true);
+    assert.strictEqual(values.graphSpan, 10000);
+    assert.strictEqual(values.graphRange, 25); // Invalid: default
+    assert.strictEqual(values.diagnostics, true);
+    assert.strictEqual(values.inputGain, 1.5);
+
+    // Data of other modules stays where it is
+    assert.deepStrictEqual(Object.keys(storage.values).sort(), ['accordatore.customTunings', SettingsStore.STORAGE_KEY]);
+    assert.deepStrictEqual(new SettingsStore(storage).getAll(), values);
+
+    // A corrupt entry falls back to the defaults
+    storage.setItem(SettingsStore.STORAGE_KEY, '{"version": 1, "values": {"needleRange": "wide"}}');
+    assert.strictEqual(new SettingsStore(storage).get('needleRange'), 50);
+});
+
+test('version 1 settings take over the instrument, language and input keys', () => {
+    const storage = memoryStorage({
+        [SettingsStore.STORAGE_KEY]: JSON.stringify({ version: 1, values: { referenceFrequency: 442, displayMode: 'strobe' } }),
+        'accordatore.language': 'de',
+        'accordatore.noteNaming': 'solfege',
+        'accordatore.targetMode': 'guided',
+        'accordatore.inputDevice': '12345',
+        'accordatore.noiseFloor': '0.0042',
+        'accordatore.selectedTuning': 'seven-string-drop-a'
+    });
+    const store = new SettingsStore(storage);
+
+    assert.strictEqual(store.get('referenceFrequency'), 442);
+    assert.strictEqual(store.get('language'), 'de');
+    assert.strictEqual(store.get('noteNaming'), 'solfege');
+    assert.strictEqual(store.get('targetMode'), 'guided');
+    assert.strictEqual(store.get('inputDevice'), '12345');
+    assert.strictEqual(store.get('noiseFloor'), 0.0042);
+    assert.strictEqual(store.get('inputGain'), 1);
+    // No saved profile: the one of the selected tuning
+    assert.strictEqual(store.get('profile'), 'guitar-7');
+    assert.deepStrictEqual(Object.keys(storage.values).sort(), ['accordatore.selectedTuning', SettingsStore.STORAGE_KEY]);
+
+    // Reset covers them too
+    store.reset();
+    assert.strictEqual(store.get('profile'), 'guitar-6');
+    assert.strictEqual(store.get('language'), '');
+    assert.strictEqual(store.get('inputDevice'), '');
+});
+
+test('a configuration link carries the changed settings', () => {
+    const teacher = new SettingsStore(null);
+    assert.strictEqual(teacher.toQuery(), '');
+
+    teacher.set({ referenceFrequency: 442, inTuneCents: 2.5, displayMode: 'strobe', beeps: true,
+        temperament: 'custom', customOffsets: '0 -10 0 0 -14 0 0 2 0 0 0 -12', profile: 'bass-4', language: 'es' });
+    const query = teacher.toQuery();
+    assert.match(query, /a4=442/);
+    assert.match(query, /beeps=1/);
+    assert.match(query, /profile=bass-4/);
+    assert.match(query, /lang=es/);
+    assert.doesNotMatch(query, /algorithm/);
+
+    // The input and the room noise belong to the teacher's device
+    teacher.set({ inputDevice: 'usb-interface', inputGain: 2, noiseFloor: 0.01 });
+    assert.strictEqual(teacher.toQuery(), query);
+    assert.deepStrictEqual(SettingsStore.parseQuery('?inputDevice=x&inputGain=2').values, {});
+
+    const student = new SettingsStore(memoryStorage());
+    const parsed = student.applyQuery('?' + query + '&tuning=drop-d');
+    assert.deepStrictEqual(parsed.invalid, []);
+    const shared = Object.assign(teacher.getAll(), { inputDevice: '', inputGain: 1, noiseFloor: SettingsStore.defaults().noiseFloor });
+    assert.deepStrictEqual(student.getAll(), shared);
+
+    // Bad parameters are reported and skipped, the rest applies
+    const partial = new SettingsStore(null).applyQuery('?range=500&filter=kalman&speech=maybe');
+    assert.deepStrictEqual(partial.invalid, ['range', 'speech']);
+    assert.deepStrictEqual(partial.values, { filter: 'kalman' });
+});
@@ -0,0 +1,141 @@
+/**
+ * StringTargeter tests on timestamped reading sequences
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { StringTargeter } = require('../string-targeting.js');
+
+const HOP_MS = 1024 / 44100 * 1000; // One reading per analysis hop
+
+const STRINGS = [['E2', 40], ['A2', 45], ['D3', 50]].map(([note, midiNote], index) => ({
+    index: index,
+    note: note,
+    midiNote: midiNote,
+    frequency: 440 * Math.pow(2, (midiNote - 69) / 12)
+}));
+
+/**
+ * @param {number} frequency
+ * @param {number} cents
+ * @returns {number} The frequency moved by cents
+ */
+function detune(frequency, cents) {
+    return frequency * Math.pow(2, cents / 1200);
+}
+
+/**
+ * Feeds readings of one frequency, one hop apart
+ * @param {StringTargeter} targeter
+ * @param {number} frequency
+ * @param {number} duration - ms
+ * @param {number} startTime - ms
+ * @returns {Array<Object>} Measurements
+ */
+function replay(targeter, frequency, duration, startTime) {
+    const measurements = [];
+    for (let time = startTime; time < startTime + duration; time += HOP_MS) {
+        measurements.push(targeter.measure(frequency, time));
+    }
+    return measurements;
+}
+
+test('auto mode measures against the closest string, chromatic mode against none', () => {
+    const targeter = new StringTargeter();
+    targeter.setStrings(STRINGS);
+    assert.strictEqual(targeter.measure(110, 0), null);
+
+    targeter.setMode('auto');
+    const measurement = targeter.measure(detune(STRINGS[1].frequency, -40), 0);
+    assert.strictEqual(measurement.string.note, 'A2');
+    assert.ok(Math.abs(measurement.cents + 40) < 1e-9);
+    assert.strictEqual(measurement.isInTune, false);
+
+    assert.strictEqual(targeter.measure(detune(STRINGS[2].frequency, 3), 0).string.note, 'D3');
+    assert.strictEqual(targeter.measure(detune(STRINGS[2].frequency, 3), 0, 2).isInTune, false);
+    assert.throws(() => targeter.setMode('random'), /Modalità sconosciuta/);
+});
+
+test('manual mode keeps the locked string, also an octave away', () => {
+    const targeter = new StringTargeter();
+    targeter.setStrings(STRINGS);
+    targeter.setMode('manual');
+    assert.strictEqual(targeter.lockedIndex, 0);
+
+    targeter.lock(1);
+    assert.strictEqual(targeter.mode, 'manual');
+    // Closer to D3, still measured against A2
+    const near = targeter.measure(STRINGS[2].frequency, 0);
+    assert.strictEqual(near.string.note, 'A2');
+    assert.ok(Math.abs(near.cents - 500) < 1e-9);
+
+    const octaveUp = targeter.measure(2 * STRINGS[1].frequency, 0);
+    const octaveDown = targeter.measure(STRINGS[1].frequency / 2, 0);
+    assert.ok(Math.abs(octaveUp.cents - 1200) < 1e-9);
+    assert.ok(Math.abs(octaveDown.cents + 1200) < 1e-9);
+    assert.ok(!octaveUp.isInTune && !octaveDown.isInTune);
+
+    // Out-of-range locks are ignored; fewer strings drop a lock beyond them
+    targeter.lock(7);
+    assert.strictEqual(targeter.lockedIndex, 1);
+    targeter.setStrings(STRINGS.slice(0, 1));
+    assert.strictEqual(targeter.lockedIndex, null);
+});
+
+test('guided mode advances after a string holds in tune and completes after the last', () => {
+    const targeter = new StringTargeter(1000);
+    const advances = [];
+    let results = null;
+    targeter.onAdvance = (result, next) => advances.push({ result: result, next: next.note });
+    targeter.onComplete = (complete) => { results = complete; };
+    targeter.setStrings(STRINGS);
+    targeter.setMode('guided');
+
+    // Readings far from the current string are still measured against it
+    assert.strictEqual(targeter.measure(STRINGS[2].frequency, 0).string.note, 'E2');
+
+    // Tuned up from 30 cents flat: the hold starts once it is in tune
+    replay(targeter, detune(STRINGS[0].frequency, -30), 500, 100);
+    const holding = replay(targeter, detune(STRINGS[0].frequency, 2), 900, 600);
+    assert.ok(holding.every(measurement => measurement.holdProgress < 1));
+    assert.ok(holding[holding.length - 1].holdProgress > 0.8);
+    assert.strictEqual(advances.length, 0);
+
+    replay(targeter, detune(STRINGS[0].frequency, 2), 200, 1500);
+    assert.strictEqual(advances.length, 1);
+    assert.strictEqual(advances[0].next, 'A2');
+    assert.strictEqual(advances[0].result.string.note, 'E2');
+    assert.ok(Math.abs(advances[0].result.finalCents - 2) < 1e-9);
+    // The first reading was D3 against E2
+    assert.ok(Math.abs(advances[0].result.startCents - 1000) < 1e-9);
+    assert.ok(advances[0].result.duration >= 1000 + 500);
+
+    replay(targeter, STRINGS[1].frequency, 1100, 2000);
+    replay(targeter, detune(STRINGS[2].frequency, -1), 1100, 4000);
+    assert.strictEqual(advances.length, 2);
+    assert.strictEqual(results.length, 3);
+    assert.deepStrictEqual(results.map(result => result.string.note), ['E2', 'A2', 'D3']);
+    assert.strictEqual(targeter.guidedComplete, true);
+    assert.strictEqual(targeter.measure(110, 6000), null);
+
+    targeter.setMode('guided');
+    assert.strictEqual(targeter.getTarget(110).note, 'E2');
+});
+
+test('the guided hold restarts after an out-of-tune reading or a gap in the readings', () => {
+    const targeter = new StringTargeter(1000);
+    targeter.setStrings(STRINGS);
+    targeter.setMode('guided');
+
+    replay(targeter, STRINGS[0].frequency, 800, 0);
+    targeter.measure(detune(STRINGS[0].frequency, 20), 800);
+    const afterSlip = replay(targeter, STRINGS[0].frequency, 800, 820);
+    assert.ok(afterSlip[afterSlip.length - 1].holdProgress < 0.8);
+    assert.strictEqual(targeter.guidedIndex, 0);
+
+    // The string stopped ringing for longer than maxGap
+    const afterGap = targeter.measure(STRINGS[0].frequency, 1620 + targeter.maxGap + 100);
+    assert.strictEqual(afterGap.holdProgress, 0);
+    replay(targeter, STRINGS[0].frequency, 1100, 2100);
+    assert.strictEqual(targeter.guidedIndex, 1);
+});
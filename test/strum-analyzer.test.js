@@ -0,0 +1,108 @@
+/**
+ * Tests for the polyphonic strum analysis on synthetic chords of detuned strings.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { StrumAnalyzer } = require('../strum-analyzer.js');
+const TunerCore = require('../tuner-core.js');
+
+const SAMPLE_RATE = 44100;
+const LENGTH = 16384; // TunerEngine.DEFAULTS.strumBufferSize
+
+/**
+ * Open strings strummed together: decaying partials of amplitude 1/n, plus a little noise
+ * @param {Array<number>} targets - Frequency of each string in Hz
+ * @param {Array<number>} detunes - Cents of each string from its target
+ * @returns {Float32Array}
+ */
+function strum(targets, detunes) {
+    let seed = 7;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    const samples = new Float32Array(LENGTH);
+    targets.forEach((target, index) => {
+        const frequency = target * Math.pow(2, detunes[index] / 1200);
+        const phase = 1.3 * index;
+        for (let n = 1; n <= 8; n++) {
+            for (let i = 0; i < LENGTH; i++) {
+                const t = i / SAMPLE_RATE;
+                samples[i] += 0.1 / n * Math.exp(-1.5 * t) * Math.sin(2 * Math.PI * n * frequency * t + n * phase);
+            }
+        }
+    });
+    for (let i = 0; i < LENGTH; i++) {
+        samples[i] += 0.0005 * noise();
+    }
+
+    return samples;
+}
+
+/**
+ * @param {Array<string>} notes
+ * @returns {Array<number>}
+ */
+function frequencies(notes) {
+    return notes.map(note => TunerCore.noteToFrequency(note));
+}
+
+const STANDARD = frequencies(['E2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+const TWELVE_STRING = frequencies(['E3', 'E2', 'A3', 'A2', 'D4', 'D3', 'G4', 'G3', 'B3', 'B3', 'E4', 'E4']);
+
+test('every string of a detuned chord is measured on its own', () => {
+    const analyzer = new StrumAnalyzer(SAMPLE_RATE);
+
+    [[0, 0, 0, 0, 0, 0], [-10, 5, 0, -3, 7, 12], [20, -20, 15, -15, 7, -7]].forEach(detunes => {
+        const result = analyzer.analyze(strum(STANDARD, detunes), STANDARD);
+
+        assert.ok(result.rms > 0.05);
+        result.strings.forEach((string, index) => {
+            assert.ok(string.detected, `string ${index + 1}`);
+            assert.strictEqual(string.targetFrequency, STANDARD[index]);
+            assert.ok(Math.abs(string.cents - detunes[index]) < 0.5,
+                `string ${index + 1}: ${string.cents.toFixed(2)} for ${detunes[index]}`);
+        });
+    });
+});
+
+test('a string whose fundamental is another string\'s partial is read from its clear partials', () => {
+    const analyzer = new StrumAnalyzer(SAMPLE_RATE);
+    const others = STANDARD.filter(target => target !== STANDARD[4]);
+
+    // B3 lies 2 cents from the 3rd partial of E2, and its 2nd and 3rd partials are shared too
+    [1, 2, 3].forEach(h => assert.ok(analyzer.collides(h * STANDARD[4], others, analyzer.searchCents), `partial ${h}`));
+    assert.ok(!analyzer.collides(5 * STANDARD[4], others, analyzer.collisionCents));
+
+    // E2 and B3 pulled apart: the merged peak lies between them
+    const result = analyzer.analyze(strum(STANDARD, [-8, 0, 0, 0, 7, 0]), STANDARD);
+    assert.ok(Math.abs(result.strings[0].cents + 8) < 0.5, `E2: ${result.strings[0].cents.toFixed(2)}`);
+    assert.ok(Math.abs(result.strings[4].cents - 7) < 0.5, `B3: ${result.strings[4].cents.toFixed(2)}`);
+});
+
+test('the octave pairs of a 12-string are told apart, the unison pairs read together', () => {
+    const analyzer = new StrumAnalyzer(SAMPLE_RATE);
+    const detunes = [5, -5, 0, 8, -6, 0, 3, -3, 4, 4, -2, -6];
+    const strings = analyzer.analyze(strum(TWELVE_STRING, detunes), TWELVE_STRING).strings;
+
+    assert.ok(strings.every(string => string.detected));
+    for (let index = 0; index < 8; index++) {
+        assert.ok(Math.abs(strings[index].cents - detunes[index]) < 1.5,
+            `string ${index + 1}: ${strings[index].cents.toFixed(2)} for ${detunes[index]}`);
+    }
+
+    // Unison strings share every partial: one reading for both
+    assert.strictEqual(strings[8].cents, strings[9].cents);
+    assert.ok(Math.abs(strings[8].cents - 4) < 0.5, `B3: ${strings[8].cents.toFixed(2)}`);
+    assert.strictEqual(strings[10].cents, strings[11].cents);
+});
+
+test('nothing is detected in silence', () => {
+    const analyzer = new StrumAnalyzer(SAMPLE_RATE);
+    const result = analyzer.analyze(new Float32Array(LENGTH), STANDARD);
+
+    assert.strictEqual(result.rms, 0);
+    assert.ok(result.strings.every(string => !string.detected && string.frequency === 0));
+});
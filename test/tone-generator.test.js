@@ -0,0 +1,80 @@
+/**
+ * Tests for the plucked string voice of the reference tones: pitch, decay and level
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ToneGenerator } = require('../tone-generator.js');
+const TunerCore = require('../tuner-core.js');
+
+const NOTES = ['E2', 'A2', 'G3', 'E4'];
+const SAMPLE_RATES = [44100, 48000];
+const BUFFER_SIZE = 4096;
+
+/**
+ * Renders a pluck with a deterministic excitation burst
+ * @param {number} frequency
+ * @param {number} sampleRate
+ * @param {number} duration - seconds
+ * @returns {Float32Array}
+ */
+function pluck(frequency, sampleRate, duration) {
+    const random = Math.random;
+    let seed = 7;
+    Math.random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    try {
+        return ToneGenerator.renderPluck(frequency, sampleRate, duration);
+    } finally {
+        Math.random = random;
+    }
+}
+
+/**
+ * @param {Float32Array} samples
+ * @returns {number}
+ */
+function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+}
+
+test('the pluck sounds at the exact frequency, not a whole number of samples per period', () => {
+    SAMPLE_RATES.forEach(sampleRate => {
+        NOTES.forEach(note => {
+            const frequency = TunerCore.noteToFrequency(note);
+            const samples = pluck(frequency, sampleRate, 0.5);
+
+            // Past the attack, as the tuner would hear it
+            [0.05, 0.2].forEach(time => {
+                const start = Math.floor(time * sampleRate);
+                const result = TunerCore.detect(samples.subarray(start, start + BUFFER_SIZE), { sampleRate: sampleRate });
+                const cents = 1200 * Math.log2(result.frequency / frequency);
+
+                assert.ok(result.isValid, `${note} at ${sampleRate} Hz, ${time} s`);
+                assert.ok(Math.abs(cents) < 1, `${note} at ${sampleRate} Hz, ${time} s: ${cents.toFixed(2)} cents`);
+            });
+        });
+    });
+});
+
+test('the pluck decays, stays within full scale and has no DC offset', () => {
+    SAMPLE_RATES.forEach(sampleRate => {
+        NOTES.forEach(note => {
+            const samples = pluck(TunerCore.noteToFrequency(note), sampleRate, 3);
+            const window = Math.floor(0.1 * sampleRate);
+
+            assert.ok(samples.every(sample => sample >= -1 && sample <= 1), note);
+            assert.ok(rms(samples.subarray(samples.length - window)) < 0.5 * rms(samples.subarray(0, window)), note);
+
+            const mean = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+            assert.ok(Math.abs(mean) < 1e-3, `${note} at ${sampleRate} Hz: mean ${mean}`);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for the detection of tuned strings logged to the history.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { TuneLogger } = require('../tune-logger.js');
+
+const E2 = { index: 0, note: 'E2', midiNote: 40 };
+const A2 = { index: 1, note: 'A2', midiNote: 45 };
+
+function reading(string, cents) {
+    return { string: string, cents: cents, isInTune: Math.abs(cents) < 5 };
+}
+
+function createLogger() {
+    const logger = new TuneLogger(5000);
+    logger.clock = () => 1700000000000;
+    logger.entries = [];
+    logger.onTuned = entry => logger.entries.push(entry);
+    return logger;
+}
+
+test('logs the start offset and duration once the string is in tune', () => {
+    const logger = createLogger();
+
+    logger.measure(reading(E2, -22), 1000);
+    logger.measure(reading(E2, -12), 2000);
+    logger.measure(reading(E2, -2), 3500);
+    logger.measure(reading(E2, 1), 3600);
+
+    assert.deepStrictEqual(logger.entries, [{
+        time: 1700000000000, stringIndex: 0, note: 'E2', midiNote: 40, startCents: -22, duration: 2500
+    }]);
+});
+
+test('re-plucks of the same string continue the attempt', () => {
+    const logger = createLogger();
+
+    logger.measure(reading(E2, 30), 0);
+    logger.measure(reading(E2, 15), 3000); // New pluck after a short pause
+    logger.measure(reading(E2, 0), 6000);
+
+    assert.strictEqual(logger.entries.length, 1);
+    assert.strictEqual(logger.entries[0].startCents, 30);
+    assert.strictEqual(logger.entries[0].duration, 6000);
+});
+
+test('another string or a long pause starts a new attempt', () => {
+    const logger = createLogger();
+
+    logger.measure(reading(E2, 0), 0);
+    logger.measure(reading(A2, -40), 1000);
+    logger.measure(reading(A2, 2), 2000);
+    logger.measure(reading(A2, 1), 3000); // Still the same attempt: not logged again
+    logger.measure(reading(A2, 3), 20000); // Played again much later
+
+    assert.deepStrictEqual(logger.entries.map(entry => [entry.note, entry.startCents]),
+        [['E2', 0], ['A2', -40], ['A2', 3]]);
+});
+
+test('reset() forgets the attempt', () => {
+    const logger = createLogger();
+
+    logger.measure(reading(E2, -30), 0);
+    logger.reset();
+    logger.measure(reading(E2, -3), 100);
+
+    assert.strictEqual(logger.entries[0].startCents, -3);
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests of the packaged tuner core: every string of standard tuning through detect()
+ * and frequencyToNote(), as a consumer of the package would use them
+ * Run with: node --test test/ (or npm test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const TunerCore = require('../tuner-core.js');
+
+const SAMPLE_RATE = 44100;
+const BUFFER_SIZE = 4096;
+
+// Maximum cents error, as in pitch-algorithms.test.js
+const MAX_CENTS = { autocorrelation: 5, yin: 1, mpm: 1 };
+
+/**
+ * A plucked-string-like tone: decaying harmonics with a strong second partial
+ * @param {number} frequency
+ * @returns {Float32Array}
+ */
+function stringSignal(frequency) {
+    const amplitudes = [0.6, 1, 0.5, 0.3, 0.2, 0.1];
+    const samples = new Float32Array(BUFFER_SIZE);
+
+    for (let i = 0; i < BUFFER_SIZE; i++) {
+        const t = i / SAMPLE_RATE;
+        let value = 0;
+        amplitudes.forEach((amplitude, index) => {
+            value += amplitude * Math.exp(-t * (index + 1)) * Math.sin(2 * Math.PI * frequency * (index + 1) * t);
+        });
+        samples[i] = 0.2 * value;
+    }
+
+    return samples;
+}
+
+Object.keys(TunerCore.PITCH_ALGORITHMS).forEach(algorithm => {
+    test(`${algorithm}: every standard string is named and measured within ${MAX_CENTS[algorithm]} cents`, () => {
+        const standard = TunerCore.TUNING_PRESETS.find(tuning => tuning.id === 'standard');
+        standard.strings.forEach(name => {
+            const target = TunerCore.noteToFrequency(name);
+            const result = TunerCore.detect(stringSignal(target), { sampleRate: SAMPLE_RATE, algorithm: algorithm });
+            assert.ok(result.isValid, `${name}: no pitch`);
+
+            const note = TunerCore.frequencyToNote(result.frequency);
+            assert.strictEqual(note.name, name);
+            assert.ok(Math.abs(note.centsOffset) < MAX_CENTS[algorithm], `${name}: ${note.centsOffset.toFixed(2)} cents`);
+        });
+    });
+});
+
+test('frequencyToNote honours the reference pitch and temperament', () => {
+    assert.strictEqual(TunerCore.frequencyToNote(442, { a4: 442 }).centsOffset, 0);
+    assert.ok(Math.abs(TunerCore.frequencyToNote(440, { a4: 442 }).centsOffset + 7.85) < 0.01);
+
+    // Just intonation in C: E is a pure major third above C, 330 Hz with A = 440
+    const just = TunerCore.frequencyToNote(330, { temperament: 'just', key: 0 });
+    assert.strictEqual(just.name, 'E4');
+    assert.ok(Math.abs(just.centsOffset) < 0.05);
+});
+
+test('noteToFrequency accepts names, flats and MIDI numbers', () => {
+    assert.strictEqual(TunerCore.noteToFrequency('A4'), 440);
+    assert.strictEqual(TunerCore.noteToFrequency(69, { a4: 415 }), 415);
+    assert.strictEqual(TunerCore.noteToFrequency('Bb3'), TunerCore.noteToFrequency('A#3'));
+    assert.ok(isNaN(TunerCore.noteToFrequency('H2')));
+});
+
+test('parseNote spells enharmonic notes with the sharps of the note names', () => {
+    const parsed = note => {
+        const result = TunerCore.parseNote(note);
+        return result.name + result.octave + ' ' + result.midiNote;
+    };
+    assert.strictEqual(parsed('E#3'), 'F3 53');
+    assert.strictEqual(parsed('B#2'), 'C3 48');
+    assert.strictEqual(parsed('Fb3'), 'E3 52');
+    assert.strictEqual(parsed('Cb3'), 'B2 47');
+    assert.strictEqual(parsed('db4'), 'C#4 61');
+    assert.strictEqual(TunerCore.parseNote('E##3'), null);
+});
+
+test('the ES module entry exposes the same API', async () => {
+    const esm = await import('../tuner-core.mjs');
+
+    assert.strictEqual(esm.detect, TunerCore.detect);
+    assert.strictEqual(esm.frequencyToNote, TunerCore.frequencyToNote);
+    assert.strictEqual(esm.default, TunerCore);
+});
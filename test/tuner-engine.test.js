@@ -0,0 +1,278 @@
+/**
+ * Tests for the tuner engine events, with a fake microphone and detector.
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { TunerEngine } = require('../tuner-engine.js');
+
+const STEP = 23; // ms between analysis windows (1024 samples at 44.1 kHz)
+
+/**
+ * Engine on a fake capture and analyzer, with a clock driven by the test
+ * @param {Object} options - { failure: AudioCapture error message }
+ */
+function fakeTuner(options = {}) {
+    const tuner = { now: 0 };
+
+    tuner.capture = {
+        running: false,
+        bufferSize: null,
+        initialize: async () => (options.failure
+            ? { success: false, message: options.failure }
+            : { success: true, message: '' }),
+        start() { this.running = true; },
+        stop() { this.running = false; },
+        dispose() { this.disposed = true; },
+        setBufferSize(size) { this.bufferSize = size; },
+        setGain(gain) { this.gain = gain; }
+    };
+
+    tuner.analyzer = {
+        config: null,
+        targets: null,
+        configure(changes) { Object.assign(this.config, changes); },
+        analyze() {},
+        analyzeStrum(samples, targets) { this.targets = targets; },
+        dispose() { this.disposed = true; }
+    };
+
+    tuner.engine = new TunerEngine({
+        createCapture: () => tuner.capture,
+        createAnalyzer: (config) => {
+            tuner.analyzer.config = Object.assign({}, config);
+            return tuner.analyzer;
+        }
+    });
+    tuner.engine.clock = () => tuner.now;
+
+    // Detector readings of a constant signal for a duration (frequency 0 = no pitch)
+    tuner.play = (frequency, rms, duration) => {
+        for (const end = tuner.now + duration; tuner.now < end; tuner.now += STEP) {
+            tuner.analyzer.onResult({
+                frequency: frequency,
+                confidence: frequency > 0 ? 0.95 : 0,
+                isValid: frequency > 0,
+                rms: rms
+            });
+        }
+    };
+
+    return tuner;
+}
+
+/**
+ * Collects the events of the given types
+ * @returns {Array<Object>} { type, detail }
+ */
+function record(engine, types) {
+    const events = [];
+    types.forEach(type => engine.on(type, detail => events.push({ type, detail })));
+    return events;
+}
+
+test('a held note is reported as stable readings, coming into tune once, then silence', async () => {
+    const tuner = fakeTuner();
+    const events = record(tuner.engine, ['stateChange', 'note', 'inTune', 'silence']);
+
+    assert.strictEqual(await tuner.engine.start(), true);
+    assert.ok(tuner.capture.running);
+    assert.deepStrictEqual(events.map(event => event.detail.state), ['starting', 'running']);
+
+    tuner.play(440.5, 0.1, 1000);
+    const notes = events.filter(event => event.type === 'note');
+    assert.ok(notes.length > 20, `${notes.length}`);
+    assert.strictEqual(notes[0].detail.note.midiNote, 69);
+    assert.strictEqual(notes[0].detail.measurement, null);
+    assert.ok(Math.abs(notes[notes.length - 1].detail.cents - 1.97) < 0.1);
+    assert.strictEqual(events.filter(event => event.type === 'inTune').length, 1);
+
+    tuner.play(0, 0.0001, 3000);
+    assert.strictEqual(events.filter(event => event.type === 'silence').length, 1);
+});
+
+test('readings are measured against the closest string of the tuning', async () => {
+    const tuner = fakeTuner();
+    const notes = record(tuner.engine, ['note']);
+    tuner.engine.setTuning(['E2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+    tuner.engine.targeter.setMode('auto');
+    await tuner.engine.start();
+
+    tuner.play(107, 0.1, 500);
+    const last = notes[notes.length - 1].detail;
+    assert.strictEqual(last.measurement.string.note, 'A2');
+    assert.ok(last.cents < -40 && !last.isInTune);
+
+    // A new reference pitch moves the strings
+    tuner.engine.setNoteOptions({ a4: 432 });
+    assert.ok(Math.abs(tuner.engine.targeter.strings[1].frequency - 108) < 1e-9);
+    assert.throws(() => tuner.engine.setTuning(['E2', 'X9']), /Nota non valida/);
+});
+
+test('every window above the gate is reported as a raw reading', async () => {
+    const tuner = fakeTuner();
+    const pitches = record(tuner.engine, ['pitch']);
+    await tuner.engine.start();
+
+    tuner.play(110, 0.1, 230);
+    tuner.play(0, 0.1, 230);
+    assert.strictEqual(pitches.length, 10);
+    assert.deepStrictEqual(pitches[1].detail, { frequency: 110, confidence: 0.95, timestamp: 23 });
+});
+
+test('quiet input stays below the noise gate and our own tones are ignored', async () => {
+    const tuner = fakeTuner();
+    const events = record(tuner.engine, ['level', 'note', 'pitch']);
+    await tuner.engine.start();
+
+    tuner.play(440, 0.006, 1000);
+    assert.ok(events.every(event => event.type === 'level' && !event.detail.gate.open));
+
+    events.length = 0;
+    tuner.engine.ignoreInput = () => true;
+    tuner.play(440, 0.1, 1000);
+    assert.ok(events.every(event => event.type === 'level' && event.detail.gate === null));
+});
+
+test('strum mode analyzes the strings of the tuning in a longer window', async () => {
+    const tuner = fakeTuner();
+    const strums = record(tuner.engine, ['strum']);
+    tuner.engine.setTuning(['E2', 'A2']);
+    await tuner.engine.start();
+
+    tuner.engine.setStrumMode(true);
+    assert.strictEqual(tuner.capture.bufferSize, TunerEngine.DEFAULTS.strumBufferSize);
+
+    tuner.engine.analyze(new Float32Array(16));
+    assert.strictEqual(tuner.analyzer.targets.length, 2);
+
+    const result = rms => ({ rms: rms, strings: [{ detected: true, cents: 3 }, { detected: false }] });
+    tuner.analyzer.onStrumResult(result(0.001));
+    tuner.analyzer.onStrumResult(result(0.1));
+    assert.strictEqual(strums.length, 1);
+    assert.strictEqual(strums[0].detail.result.rms, 0.1);
+});
+
+test('configure passes detector settings on and rejects unknown ones', async () => {
+    const tuner = fakeTuner();
+    await tuner.engine.start();
+
+    tuner.engine.configure({ minFrequency: 30, maxFrequency: 500, bufferSize: 8192 });
+    assert.strictEqual(tuner.analyzer.config.minFrequency, 30);
+    assert.strictEqual(tuner.capture.bufferSize, 8192);
+    assert.throws(() => tuner.engine.configure({ volume: 2 }), /Opzione sconosciuta/);
+
+    // A tighter tolerance: 2 cents sharp is no longer in tune
+    const notes = record(tuner.engine, ['note']);
+    tuner.engine.configure({ confidenceThreshold: 0.8, inTuneCents: 1 });
+    assert.strictEqual(tuner.analyzer.config.confidenceThreshold, 0.8);
+    tuner.play(440.5, 0.1, 500);
+    assert.ok(notes.length > 0 && notes.every(note => !note.detail.isInTune));
+});
+
+test('a long window can be recorded, pausing detection until it is complete', async () => {
+    const tuner = fakeTuner();
+    await assert.rejects(tuner.engine.recordWindow(32768), /Accordatore non avviato/);
+    await tuner.engine.start();
+
+    let analyzed = 0;
+    tuner.analyzer.analyze = () => analyzed++;
+
+    const recording = tuner.engine.recordWindow(32768);
+    assert.strictEqual(tuner.capture.bufferSize, 32768);
+    tuner.capture.onAudioData(new Float32Array(4096));
+    tuner.capture.onAudioData(new Float32Array(32768).fill(0.5));
+    assert.strictEqual((await recording).length, 32768);
+    assert.strictEqual(analyzed, 0);
+    assert.strictEqual(tuner.capture.bufferSize, TunerEngine.DEFAULTS.bufferSize);
+
+    tuner.capture.onAudioData(new Float32Array(4096));
+    assert.strictEqual(analyzed, 1);
+
+    const interrupted = tuner.engine.recordWindow(32768);
+    tuner.engine.stop();
+    await assert.rejects(interrupted, /Registrazione interrotta/);
+    assert.strictEqual(tuner.capture.bufferSize, TunerEngine.DEFAULTS.bufferSize);
+});
+
+test('with diagnostics on, every window is reported with the gate threshold and dropped count', async () => {
+    const tuner = fakeTuner();
+    const readings = record(tuner.engine, ['diagnostics']);
+    await tuner.engine.start();
+
+    tuner.play(110, 0.1, 100);
+    assert.strictEqual(readings.length, 0);
+
+    tuner.engine.configure({ diagnostics: true });
+    assert.strictEqual(tuner.analyzer.config.diagnostics, true);
+    tuner.analyzer.droppedWindows = 2;
+    const samples = new Float32Array(4096);
+    tuner.analyzer.onResult({ frequency: 110, confidence: 0.9, isValid: true, rms: 0.1,
+        diagnostics: { curve: null, processingTime: 1.5 } }, samples);
+
+    assert.strictEqual(readings.length, 1);
+    assert.strictEqual(readings[0].detail.samples, samples);
+    assert.strictEqual(readings[0].detail.dropped, 2);
+    assert.strictEqual(readings[0].detail.threshold, tuner.engine.noiseGate.threshold);
+});
+
+test('dispose closes the microphone and the worker, and a new start opens them again', async () => {
+    const tuner = fakeTuner();
+    await tuner.engine.start();
+
+    tuner.engine.dispose();
+    assert.strictEqual(tuner.engine.state, 'idle');
+    assert.ok(tuner.capture.disposed);
+    assert.ok(tuner.analyzer.disposed);
+    assert.strictEqual(tuner.engine.capture, null);
+    assert.strictEqual(tuner.engine.analyzer, null);
+
+    tuner.capture.disposed = false;
+    assert.strictEqual(await tuner.engine.start(), true);
+    assert.strictEqual(tuner.engine.capture, tuner.capture);
+    assert.ok(tuner.capture.running && !tuner.capture.disposed);
+});
+
+test('a microphone opened after a stop or dispose during the permission prompt is closed again', async () => {
+    const tuner = fakeTuner();
+    const captures = [];
+    tuner.engine.options.createCapture = () => {
+        const capture = Object.assign({}, tuner.capture, { disposed: false });
+        capture.initialize = () => new Promise(resolve => {
+            capture.grant = () => resolve({ success: true, message: '' });
+        });
+        captures.push(capture);
+        return capture;
+    };
+
+    // The element is removed while the prompt is open
+    const first = tuner.engine.start();
+    tuner.engine.dispose();
+    captures[0].grant();
+    assert.strictEqual(await first, false);
+    assert.ok(captures[0].disposed);
+    assert.strictEqual(tuner.engine.capture, null);
+    assert.strictEqual(tuner.engine.state, 'idle');
+
+    // Stopped and started again: only the latest microphone is kept, whichever answers first
+    const second = tuner.engine.start();
+    tuner.engine.stop();
+    const third = tuner.engine.start();
+    captures[2].grant();
+    captures[1].grant();
+    assert.strictEqual(await third, true);
+    assert.strictEqual(await second, false);
+    assert.ok(captures[1].disposed && !captures[1].running);
+    assert.strictEqual(tuner.engine.capture, captures[2]);
+    assert.ok(captures[2].running && !captures[2].disposed);
+    assert.ok(tuner.engine.isRunning);
+});
+
+test('a microphone that cannot be opened is reported and leaves the engine idle', async () => {
+    const tuner = fakeTuner({ failure: 'Permesso negato' });
+    const errors = record(tuner.engine, ['error']);
+
+    assert.strictEqual(await tuner.engine.start(), false);
+    assert.strictEqual(tuner.engine.state, 'idle');
+    assert.deepStrictEqual(errors[0].detail, { message: 'Permesso negato', error: null });
+});
@@ -0,0 +1,277 @@
+/**
+ * ToneGenerator - Reference tones for tuning by ear
+ * Voices: pure sine, Karplus-Strong plucked string, sustained drone
+ * Plays through the AudioContext returned by getContext (the capture context when available)
+ */
+class ToneGenerator {
+    /**
+     * @param {Function} getContext - Returns the AudioContext to play on
+     */
+    constructor(getContext) {
+        this.getContext = getContext;
+        this.context = null; // Context of the last tone
+        this.output = null;
+        this.sources = [];
+        this.endTime = 0; // AudioContext time when the current tone has faded out
+        this.onStateChange = null; // (isPlaying)
+        this.stopTimer = null;
+    }
+
+    /**
+     * Plays a reference tone, replacing any tone already playing
+     * @param {number} frequency - Hz
+     * @param {Object} options - { voice: 'sine'|'pluck'|'drone', volume: 0-1, duration: seconds (0 = until stop()) }
+     */
+    play(frequency, options = {}) {
+        const voice = options.voice || 'pluck';
+        const volume = options.volume !== undefined ? options.volume : 0.5;
+        // A plucked string dies away by itself, so it never plays "until stopped"
+        const duration = options.duration > 0 ? options.duration : (voice === 'pluck' ? 4 : 0);
+
+        this.stop();
+
+        const context = this.getContext();
+        this.context = context;
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+
+        const now = context.currentTime;
+        const output = context.createGain();
+        output.gain.setValueAtTime(0, now);
+        output.gain.linearRampToValueAtTime(volume, now + 0.01);
+        output.connect(context.destination);
+        this.output = output;
+
+        if (voice === 'pluck') {
+            this.playPluck(context, frequency, duration, output);
+        } else if (voice === 'drone') {
+            this.playDrone(context, frequency, output);
+        } else {
+            this.playSine(context, frequency, output);
+        }
+
+        if (duration > 0) {
+            // Short fade-out to avoid a click at the end
+            output.gain.setValueAtTime(volume, now + duration - 0.05);
+            output.gain.linearRampToValueAtTime(0, now + duration);
+            this.sources.forEach(source => source.stop(now + duration));
+            this.endTime = now + duration;
+            this.stopTimer = setTimeout(() => this.stop(), duration * 1000);
+        } else {
+            this.endTime = Infinity;
+        }
+
+        if (this.onStateChange) {
+            this.onStateChange(true);
+        }
+    }
+
+    /**
+     * Pure sine, the easiest tone to hear beats against
+     * @param {AudioContext} context
+     * @param {number} frequency
+     * @param {AudioNode} output
+     */
+    playSine(context, frequency, output) {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        oscillator.connect(output);
+        oscillator.start();
+        this.sources.push(oscillator);
+    }
+
+    /**
+     * Sustained drone: a filtered sawtooth with a sine an octave below for body
+     * @param {AudioContext} context
+     * @param {number} frequency
+     * @param {AudioNode} output
+     */
+    playDrone(context, frequency, output) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = Math.min(frequency * 6, context.sampleRate / 2);
+        filter.connect(output);
+
+        const saw = context.createOscillator();
+        saw.type = 'sawtooth';
+        saw.frequency.value = frequency;
+        const sawGain = context.createGain();
+        sawGain.gain.value = 0.4;
+        saw.connect(sawGain);
+        sawGain.connect(filter);
+
+        const sub = context.createOscillator();
+        sub.type = 'sine';
+        sub.frequency.value = frequency / 2;
+        const subGain = context.createGain();
+        subGain.gain.value = 0.3;
+        sub.connect(subGain);
+        subGain.connect(filter);
+
+        saw.start();
+        sub.start();
+        this.sources.push(saw, sub);
+    }
+
+    /**
+     * Plucked string rendered with renderPluck()
+     * @param {AudioContext} context
+     * @param {number} frequency
+     * @param {number} duration - seconds
+     * @param {AudioNode} output
+     */
+    playPluck(context, frequency, duration, output) {
+        const samples = ToneGenerator.renderPluck(frequency, context.sampleRate, duration);
+        const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+        buffer.getChannelData(0).set(samples);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(output);
+        source.start();
+        this.sources.push(source);
+    }
+
+    /**
+     * Short sine blip played over any current tone (accessible feedback).
+     * It counts as sounding, so detection ignores it like a reference tone.
+     * @param {number} frequency - Hz
+     * @param {Object} options - { volume: 0-1, duration: seconds }
+     */
+    beep(frequency, options = {}) {
+        const volume = options.volume !== undefined ? options.volume : 0.3;
+        const duration = options.duration || 0.06;
+
+        const context = this.getContext();
+        this.context = context;
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+
+        const now = context.currentTime;
+        const output = context.createGain();
+        output.gain.setValueAtTime(0, now);
+        output.gain.linearRampToValueAtTime(volume, now + 0.005);
+        output.gain.setValueAtTime(volume, now + duration - 0.02);
+        output.gain.linearRampToValueAtTime(0, now + duration);
+        output.connect(context.destination);
+
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        oscillator.connect(output);
+        oscillator.onended = () => output.disconnect();
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+
+        this.endTime = Math.max(this.endTime, now + duration);
+    }
+
+    /**
+     * Stops the current tone
+     */
+    stop() {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+
+        const wasPlaying = this.sources.length > 0;
+
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        this.sources = [];
+
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+
+        if (wasPlaying && this.context) {
+            this.endTime = this.context.currentTime;
+        }
+
+        if (wasPlaying && this.onStateChange) {
+            this.onStateChange(false);
+        }
+    }
+
+    /**
+     * Whether a tone is sounding or has just stopped, so that detection can
+     * ignore it instead of tuning to the speaker
+     * @param {number} tail - Extra seconds after the tone for the room to decay
+     * @returns {boolean}
+     */
+    isSounding(tail = 0.2) {
+        if (!this.context || this.context.state === 'closed') {
+            return false;
+        }
+
+        return this.context.currentTime < this.endTime + tail;
+    }
+
+    /**
+     * Karplus-Strong plucked string with an allpass filter for the fractional part of the
+     * period, so that the pitch is exact and not rounded to a whole number of samples
+     * @param {number} frequency - Hz
+     * @param {number} sampleRate
+     * @param {number} duration - seconds
+     * @returns {Float32Array}
+     */
+    static renderPluck(frequency, sampleRate, duration) {
+        const length = Math.max(1, Math.floor(sampleRate * duration));
+        const output = new Float32Array(length);
+
+        // Loop delay = N samples + 0.5 (averaging filter) + allpass delay (0.1 to 1.1)
+        const period = sampleRate / frequency;
+        const delayLength = Math.max(2, Math.floor(period - 0.6));
+        const fraction = period - 0.5 - delayLength;
+        const coefficient = (1 - fraction) / (1 + fraction);
+
+        // Excitation: a lowpassed noise burst sounds like a pick rather than a click
+        const line = new Float32Array(delayLength);
+        let smooth = 0;
+        let mean = 0;
+        for (let i = 0; i < delayLength; i++) {
+            smooth = 0.5 * smooth + 0.5 * (Math.random() * 2 - 1);
+            line[i] = smooth;
+            mean += smooth / delayLength;
+        }
+        // The loop keeps any DC offset of the burst for the whole note
+        for (let i = 0; i < delayLength; i++) {
+            line[i] -= mean;
+        }
+
+        // Longer sustain for low strings, as on a real instrument
+        const decay = Math.pow(0.001, 1 / (frequency * Math.max(2, 8 - frequency / 100)));
+        let position = 0;
+        let previous = 0;
+        let allpassInput = 0;
+        let allpassOutput = 0;
+
+        for (let n = 0; n < length; n++) {
+            const current = line[position];
+            output[n] = current;
+
+            const averaged = decay * 0.5 * (current + previous);
+            previous = current;
+
+            allpassOutput = coefficient * averaged + allpassInput - coefficient * allpassOutput;
+            allpassInput = averaged;
+
+            line[position] = allpassOutput;
+            position = (position + 1) % delayLength;
+        }
+
+        return output;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ToneGenerator };
+}
@@ -0,0 +1,71 @@
+/**
+ * TuneLogger - Detects when a string is brought in tune and reports how it started
+ * An attempt on a string lasts while readings of that string keep coming (re-plucks
+ * included); the first in-tune reading of the attempt is reported once, with the
+ * offset of its first reading and the time it took.
+ */
+class TuneLogger {
+    /**
+     * @param {number} attemptGap - ms without readings of the string after which a new attempt starts
+     */
+    constructor(attemptGap = 5000) {
+        this.attemptGap = attemptGap;
+        this.attempt = null; // { string, startCents, startTime, lastTime, logged }
+        this.clock = () => Date.now(); // Wall-clock time of the logged entries
+        this.onTuned = null; // (entry) { time, stringIndex, note, midiNote, startCents, duration }
+    }
+
+    /**
+     * Forgets the current attempt (e.g. when the tuning changes)
+     */
+    reset() {
+        this.attempt = null;
+    }
+
+    /**
+     * Tracks a reading against a string
+     * @param {Object} measurement - { string: { index, note, midiNote }, cents, isInTune }
+     * @param {number} timestamp - ms
+     * @returns {Object|null} The logged entry if this reading completed the attempt
+     */
+    measure(measurement, timestamp) {
+        const attempt = this.attempt;
+
+        if (!attempt || attempt.string.index !== measurement.string.index ||
+            timestamp - attempt.lastTime > this.attemptGap) {
+            this.attempt = {
+                string: measurement.string,
+                startCents: measurement.cents,
+                startTime: timestamp,
+                lastTime: timestamp,
+                logged: false
+            };
+        } else {
+            attempt.lastTime = timestamp;
+        }
+
+        if (!measurement.isInTune || this.attempt.logged) {
+            return null;
+        }
+
+        this.attempt.logged = true;
+        const entry = {
+            time: this.clock(),
+            stringIndex: measurement.string.index,
+            note: measurement.string.note,
+            midiNote: measurement.string.midiNote,
+            startCents: this.attempt.startCents,
+            duration: timestamp - this.attempt.startTime
+        };
+
+        if (this.onTuned) {
+            this.onTuned(entry);
+        }
+
+        return entry;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TuneLogger };
+}
@@ -0,0 +1,154 @@
+/**
+ * TunerCore - Headless tuner API: pitch detection, note naming and tunings
+ * DOM-free, packaged as UMD so the same code runs in three places:
+ *   - Node / bundlers: require('accordatore-chitarra') (or import, see tuner-core.mjs)
+ *   - the page and the detection worker: the TunerCore global, after the core scripts
+ *     (pitch-algorithms.js, pitch-detector.js, temperament.js, tunings.js)
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./pitch-algorithms.js'),
+            require('./pitch-detector.js'),
+            require('./temperament.js'),
+            require('./tunings.js')
+        );
+    } else {
+        root.TunerCore = factory(
+            { PITCH_ALGORITHMS: PITCH_ALGORITHMS },
+            { PitchDetector: PitchDetector },
+            { Temperament: Temperament, TEMPERAMENTS: TEMPERAMENTS },
+            { TuningManager: TuningManager, TUNING_PRESETS: TUNING_PRESETS }
+        );
+    }
+}(typeof self !== 'undefined' ? self : this, function (algorithms, detector, temperament, tunings) {
+    const PITCH_ALGORITHMS = algorithms.PITCH_ALGORITHMS;
+    const PitchDetector = detector.PitchDetector;
+    const Temperament = temperament.Temperament;
+    const TEMPERAMENTS = temperament.TEMPERAMENTS;
+    const TuningManager = tunings.TuningManager;
+    const TUNING_PRESETS = tunings.TUNING_PRESETS;
+
+    const DETECT_DEFAULTS = {
+        sampleRate: 44100,
+        minFrequency: 70,
+        maxFrequency: 1500,
+        threshold: 0.01, // Minimum RMS
+        algorithm: 'mpm',
+        confidenceThreshold: PitchDetector.CONFIDENCE_THRESHOLD // Readings at or below it are not valid
+    };
+
+    // detect() reuses the detector while the options stay the same
+    let cachedDetector = null;
+    let cachedKey = null;
+
+    /**
+     * Creates a PitchDetector
+     * @param {Object} options - { sampleRate, minFrequency, maxFrequency, threshold, algorithm,
+     *                            confidenceThreshold,
+     *                            diagnostics: attach the lag function and timing to every result }
+     * @returns {PitchDetector}
+     */
+    function createDetector(options = {}) {
+        const config = Object.assign({}, DETECT_DEFAULTS, options);
+
+        const detector = new PitchDetector(config.sampleRate, config.minFrequency, config.maxFrequency,
+            config.threshold, config.algorithm);
+        detector.confidenceThreshold = config.confidenceThreshold;
+        detector.diagnostics = Boolean(config.diagnostics);
+        return detector;
+    }
+
+    /**
+     * Detects the fundamental frequency of a buffer
+     * @param {Float32Array} samples - Mono samples (-1.0 to 1.0), e.g. 4096 at 44.1 kHz
+     * @param {Object} options - { sampleRate, minFrequency, maxFrequency, threshold, algorithm, confidenceThreshold }
+     * @returns {Object} { frequency, confidence, isValid, rms }
+     */
+    function detect(samples, options = {}) {
+        const config = Object.assign({}, DETECT_DEFAULTS, options);
+        const key = [config.sampleRate, config.minFrequency, config.maxFrequency, config.threshold, config.algorithm,
+            config.confidenceThreshold].join('|');
+
+        if (key !== cachedKey) {
+            cachedDetector = createDetector(config);
+            cachedKey = key;
+        }
+
+        return cachedDetector.detectPitch(samples);
+    }
+
+    /**
+     * Converts the public note options to the ones PitchDetector uses
+     * @param {Object} options - { a4, temperament, key, customOffsets, inTuneThreshold, midiNote }
+     * @returns {Object}
+     */
+    function toDetectorOptions(options) {
+        let tempered = options.temperament || null;
+        if (typeof tempered === 'string') {
+            tempered = new Temperament(tempered, options.key || 0, options.customOffsets || null);
+        }
+
+        return {
+            referenceFrequency: options.a4 || 440,
+            temperament: tempered,
+            inTuneThreshold: options.inTuneThreshold,
+            midiNote: options.midiNote
+        };
+    }
+
+    /**
+     * Names the note closest to a frequency and measures the deviation from it
+     * @param {number} frequency - Hz
+     * @param {Object} options - { a4: Hz (default 440), temperament: Temperament or TEMPERAMENTS key,
+     *                             key: tonic pitch class for a temperament given by name,
+     *                             customOffsets: for 'custom', inTuneThreshold: cents (default 5),
+     *                             midiNote: measure against this note instead of the nearest one }
+     * @returns {Object} { name: 'E2', noteName, noteNameAnglo, octave, midiNote, frequency: target Hz,
+     *                     actualFrequency, centsOffset, isInTune, tuningStatus, isValid }
+     */
+    function frequencyToNote(frequency, options = {}) {
+        const note = PitchDetector.getNoteFromFrequency(frequency, toDetectorOptions(options));
+        note.name = note.isValid ? note.noteNameAnglo + note.octave : '';
+
+        return note;
+    }
+
+    /**
+     * Target frequency of a note
+     * @param {string|number} note - Name such as 'E2', 'F#3', 'Bb3', or a MIDI note number
+     * @param {Object} options - Same as frequencyToNote()
+     * @returns {number} Hz, or NaN if the name is not a valid note
+     */
+    function noteToFrequency(note, options = {}) {
+        const midiNote = typeof note === 'number' ? note : parseMidiNote(note);
+        if (midiNote === null) {
+            return NaN;
+        }
+
+        return PitchDetector.getFrequencyFromMidi(midiNote, toDetectorOptions(options));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {number|null} MIDI note number
+     */
+    function parseMidiNote(name) {
+        const parsed = TuningManager.parseNote(name);
+        return parsed ? parsed.midiNote : null;
+    }
+
+    return {
+        detect: detect,
+        createDetector: createDetector,
+        frequencyToNote: frequencyToNote,
+        noteToFrequency: noteToFrequency,
+        parseNote: TuningManager.parseNote,
+        PitchDetector: PitchDetector,
+        Temperament: Temperament,
+        TuningManager: TuningManager,
+        PITCH_ALGORITHMS: PITCH_ALGORITHMS,
+        TEMPERAMENTS: TEMPERAMENTS,
+        TUNING_PRESETS: TUNING_PRESETS
+    };
+}));
@@ -0,0 +1,20 @@
+/**
+ * ES module entry of the tuner core (see tuner-core.js)
+ */
+import TunerCore from './tuner-core.js';
+
+export const {
+    detect,
+    createDetector,
+    frequencyToNote,
+    noteToFrequency,
+    parseNote,
+    PitchDetector,
+    Temperament,
+    TuningManager,
+    PITCH_ALGORITHMS,
+    TEMPERAMENTS,
+    TUNING_PRESETS
+} = TunerCore;
+
+export default TunerCore;
@@ -0,0 +1,554 @@
+/**
+ * TunerEngine - One live tuner: microphone capture, pitch detection, noise gate,
+ * stabilization and string targeting, reported through events
+ * Holds no global state and touches no elements, so several tuners can run on a page
+ * (see guitar-tuner.js) and the page can build its own interface on the events.
+ *
+ * Events (listener receives a detail object):
+ *   stateChange { state, previous }  - 'idle', 'starting' or 'running'
+ *   error       { message, error }   - the microphone could not be opened (error: the exception, if any)
+ *   level       { rms, gate }        - every analysis window; gate is null while the input is ignored
+ *   pitch       { frequency, confidence, timestamp } - raw detector reading of a window above the gate
+ *   note        { note, measurement, frequency, rawFrequency, cents, isInTune, timestamp }
+ *                                    - stable reading; measurement is the StringTargeter reading or null
+ *   inTune      { note, measurement, timestamp } - the note or string has just come into tune
+ *   attack      { timestamp }        - pluck transient, the reading is not reliable yet
+ *   hold        { timestamp }        - the string is fading, the last reading is kept
+ *   silence     { timestamp }        - the note has ended
+ *   strum       { result, timestamp } - strum mode: StrumAnalyzer result of a window above the gate
+ *   reset       {}                   - readings were discarded (stop, strum mode, new settings)
+ *   diagnostics { result, samples, threshold, dropped, timestamp }
+ *                                    - with configure({ diagnostics: true }): every window with the
+ *                                      detector's lag function and timing, the gate threshold and
+ *                                      the windows dropped so far because the detector was busy
+ *   audioState  { state }            - the audio context changed state: 'running', 'suspended',
+ *                                      'interrupted' (iOS, e.g. a phone call) or 'closed'
+ *   inputEnded  { deviceId }         - the input stopped delivering audio (e.g. a USB interface was
+ *                                      unplugged); switchDevice() reopens it
+ */
+
+// Globals in the page, modules in Node
+const ENGINE_MODULES = {
+    TunerCore: typeof TunerCore !== 'undefined' ? TunerCore : require('./tuner-core.js'),
+    PitchDetector: typeof PitchDetector !== 'undefined' ? PitchDetector : require('./pitch-detector.js').PitchDetector,
+    PitchStabilizer: typeof PitchStabilizer !== 'undefined'
+        ? PitchStabilizer
+        : require('./pitch-stabilizer.js').PitchStabilizer,
+    NoiseGate: typeof NoiseGate !== 'undefined' ? NoiseGate : require('./noise-gate.js').NoiseGate,
+    StringTargeter: typeof StringTargeter !== 'undefined'
+        ? StringTargeter
+        : require('./string-targeting.js').StringTargeter
+};
+
+class TunerEngine {
+    /**
+     * @param {Object} options - See TunerEngine.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, TunerEngine.DEFAULTS, options);
+        this.config = {
+            sampleRate: this.options.sampleRate,
+            minFrequency: this.options.minFrequency,
+            maxFrequency: this.options.maxFrequency,
+            threshold: this.options.threshold,
+            algorithm: this.options.algorithm,
+            confidenceThreshold: this.options.confidenceThreshold,
+            diagnostics: false
+        };
+        this.noteOptions = {}; // TunerCore note options: { a4, temperament }
+        this.tuning = null; // Note names set with setTuning()
+
+        this.stabilizer = new ENGINE_MODULES.PitchStabilizer();
+        this.noiseGate = new ENGINE_MODULES.NoiseGate();
+        this.targeter = new ENGINE_MODULES.StringTargeter();
+        this.capture = null; // AudioCapture, once the microphone is open
+        this.analyzer = null; // PitchAnalyzer
+        this.startToken = 0; // Tells the latest start() from earlier ones still waiting for the microphone
+
+        this.state = 'idle';
+        this.strumMode = false;
+        this.deviceId = null; // Input device, null = default
+        this.gain = 1.0;
+        this.translate = null; // (key, params) => string, passed to AudioCapture for its messages
+        this.ignoreInput = null; // () => boolean, e.g. while our own reference tone is sounding
+        this.clock = () => performance.now();
+
+        this.listeners = {};
+        this.readingState = 'silent'; // Last stabilizer state
+        this.inTuneKey = null; // Note or string currently in tune
+        this.recording = null; // Pending recordWindow(): { length, resolve, reject }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.state === 'running';
+    }
+
+    /**
+     * Adds an event listener
+     * @param {string} type
+     * @param {Function} listener - (detail)
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    /**
+     * Removes an event listener
+     * @param {string} type
+     * @param {Function} listener
+     */
+    off(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(item => item !== listener);
+        }
+    }
+
+    /**
+     * @param {string} type
+     * @param {Object} detail
+     */
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => listener(detail));
+    }
+
+    /**
+     * @param {string} state
+     */
+    setState(state) {
+        const previous = this.state;
+        if (state === previous) return;
+
+        this.state = state;
+        this.emit('stateChange', { state: state, previous: previous });
+    }
+
+    /**
+     * Opens the microphone (the first time) and starts detecting
+     * @returns {Promise<boolean>} Whether the tuner is running
+     */
+    async start() {
+        if (this.state !== 'idle') {
+            return this.isRunning;
+        }
+
+        this.setState('starting');
+        const token = ++this.startToken;
+
+        try {
+            if (!this.capture) {
+                const capture = this.options.createCapture
+                    ? this.options.createCapture(this)
+                    : new AudioCapture(this.config.sampleRate, this.windowSize(), this.options.hopSize);
+                capture.translate = this.translate;
+                capture.deviceId = this.deviceId;
+                capture.gain = this.gain;
+                capture.onInputEnded = () => this.emit('inputEnded', { deviceId: this.deviceId });
+                capture.onContextStateChange = state => this.emit('audioState', { state: state });
+
+                const result = await capture.initialize();
+
+                // Stopped, disposed or started again while the permission prompt was open:
+                // nothing would ever release this microphone
+                if (this.state !== 'starting' || token !== this.startToken) {
+                    if (result.success) {
+                        capture.dispose();
+                    }
+                    return false;
+                }
+
+                if (!result.success) {
+                    this.setState('idle');
+                    this.emit('error', { message: result.message, error: null });
+                    return false;
+                }
+                this.capture = capture;
+                this.deviceId = capture.deviceId;
+            }
+
+            if (!this.analyzer) {
+                this.analyzer = this.options.createAnalyzer
+                    ? this.options.createAnalyzer(this.config)
+                    : new PitchAnalyzer(this.config);
+                this.analyzer.onResult = (result, samples) => {
+                    if (this.isRunning && !this.strumMode) {
+                        const timestamp = this.clock();
+                        if (result.diagnostics) {
+                            this.emit('diagnostics', {
+                                result: result,
+                                samples: samples,
+                                threshold: this.noiseGate.threshold,
+                                dropped: this.analyzer.droppedWindows || 0,
+                                timestamp: timestamp
+                            });
+                        }
+                        this.handleResult(result, timestamp);
+                    }
+                };
+                this.analyzer.onStrumResult = (result) => {
+                    if (this.isRunning && this.strumMode) {
+                        this.handleStrumResult(result, this.clock());
+                    }
+                };
+            }
+
+            this.capture.onAudioData = (samples) => {
+                if (!this.isRunning) return;
+
+                if (this.recording) {
+                    this.finishRecording(samples);
+                } else {
+                    this.analyze(samples);
+                }
+            };
+            this.capture.start();
+            this.setState('running');
+            return true;
+        } catch (error) {
+            console.error('Error starting tuner:', error);
+            if (token !== this.startToken) return false;
+            this.setState('idle');
+            this.emit('error', { message: error.message, error: error });
+            return false;
+        }
+    }
+
+    /**
+     * Stops detecting; the microphone stays open for a quick restart
+     */
+    stop() {
+        if (this.capture) {
+            this.capture.stop();
+        }
+
+        this.noiseGate.cancelCalibration();
+        this.cancelRecording();
+        this.reset();
+        this.setState('idle');
+    }
+
+    /**
+     * Stops detecting and suspends audio processing until the next start(), e.g. while the
+     * page is hidden; the microphone stays open
+     * @returns {Promise<void>}
+     */
+    async suspendAudio() {
+        this.stop();
+        if (this.capture) {
+            await this.capture.suspend();
+        }
+    }
+
+    /**
+     * Resumes audio processing the browser suspended or interrupted while running
+     * @returns {Promise<boolean>} Whether audio is running again; false if the browser wants a user gesture first
+     */
+    async resumeAudio() {
+        return this.capture ? this.capture.resume() : false;
+    }
+
+    /**
+     * Closes the microphone and the detection worker; a later start() opens them again
+     */
+    dispose() {
+        this.stop();
+
+        if (this.capture) {
+            this.capture.dispose();
+            this.capture = null;
+        }
+        if (this.analyzer) {
+            this.analyzer.dispose();
+            this.analyzer = null;
+        }
+    }
+
+    /**
+     * Discards the readings so far (stabilizer history, current note)
+     */
+    reset() {
+        this.stabilizer.reset();
+        this.readingState = 'silent';
+        this.inTuneKey = null;
+        this.emit('reset');
+    }
+
+    /**
+     * Updates detector, window and measurement settings
+     * @param {Object} changes - { algorithm, minFrequency, maxFrequency, threshold, confidenceThreshold, diagnostics,
+     *                           bufferSize, strumBufferSize, inTuneCents }
+     */
+    configure(changes) {
+        const detectorChanges = {};
+        Object.keys(changes).forEach(key => {
+            if (key in this.config && key !== 'sampleRate') {
+                detectorChanges[key] = changes[key];
+            } else if (key === 'bufferSize' || key === 'strumBufferSize' || key === 'inTuneCents') {
+                this.options[key] = changes[key];
+            } else {
+                throw new Error(`Opzione sconosciuta: ${key}`);
+            }
+        });
+
+        Object.assign(this.config, detectorChanges);
+        this.cancelRecording();
+        if (this.analyzer && Object.keys(detectorChanges).length > 0) {
+            this.analyzer.configure(detectorChanges);
+        }
+        if (this.capture) {
+            this.capture.setBufferSize(this.windowSize());
+        }
+    }
+
+    /**
+     * @returns {number} Samples per analysis window in the current mode
+     */
+    windowSize() {
+        return this.strumMode ? this.options.strumBufferSize : this.options.bufferSize;
+    }
+
+    /**
+     * Switches between single-note detection and strum mode (all strings at once)
+     * @param {boolean} enabled
+     */
+    setStrumMode(enabled) {
+        this.strumMode = Boolean(enabled);
+        this.cancelRecording();
+        if (this.capture) {
+            this.capture.setBufferSize(this.windowSize());
+        }
+        this.reset();
+    }
+
+    /**
+     * Sets the reference pitch and temperament used to name notes and strings
+     * @param {Object} noteOptions - { a4, temperament }
+     */
+    setNoteOptions(noteOptions) {
+        Object.assign(this.noteOptions, noteOptions);
+        if (noteOptions.a4) {
+            this.stabilizer.configure({ referenceFrequency: noteOptions.a4 });
+        }
+        if (this.tuning) {
+            this.setTuning(this.tuning);
+        }
+    }
+
+    /**
+     * Sets the strings readings are measured against (see StringTargeter)
+     * @param {Array<string>} notes - Note names from the lowest string, e.g. ['E2', 'A2', ...]
+     */
+    setTuning(notes) {
+        const TunerCore = ENGINE_MODULES.TunerCore;
+
+        this.tuning = notes.slice();
+        this.targeter.setStrings(notes.map((name, index) => {
+            const parsed = TunerCore.parseNote(name);
+            if (!parsed) {
+                throw new Error(`Nota non valida: ${name}`);
+            }
+            return {
+                index: index,
+                note: name,
+                midiNote: parsed.midiNote,
+                frequency: TunerCore.noteToFrequency(parsed.midiNote, this.noteOptions)
+            };
+        }));
+    }
+
+    /**
+     * Changes the input gain
+     * @param {number} gain - Linear, 1 = unchanged
+     */
+    setGain(gain) {
+        this.gain = gain;
+        if (this.capture) {
+            this.capture.setGain(gain);
+        }
+    }
+
+    /**
+     * Changes the input device, also while running
+     * @param {string|null} deviceId
+     * @returns {Promise<Object|null>} AudioCapture result { success, message }, null if not opened yet
+     */
+    async switchDevice(deviceId) {
+        this.deviceId = deviceId;
+        return this.capture ? this.capture.switchDevice(deviceId) : null;
+    }
+
+    /**
+     * Captures one long window of samples, e.g. for a spectral analysis finer than the
+     * detector's. Detection pauses until the window is complete.
+     * @param {number} length - Samples
+     * @returns {Promise<Float32Array>} Rejected if the tuner stops or changes mode meanwhile
+     */
+    recordWindow(length) {
+        if (!this.isRunning) {
+            return Promise.reject(new Error('Accordatore non avviato'));
+        }
+
+        this.cancelRecording();
+        return new Promise((resolve, reject) => {
+            this.recording = { length: length, resolve: resolve, reject: reject };
+            this.capture.setBufferSize(length);
+        });
+    }
+
+    /**
+     * Hands a window to the pending recording once it is long enough
+     * @param {Float32Array} samples
+     */
+    finishRecording(samples) {
+        const recording = this.recording;
+        if (samples.length < recording.length) return;
+
+        this.recording = null;
+        this.capture.setBufferSize(this.windowSize());
+        recording.resolve(samples);
+    }
+
+    /**
+     * Abandons the pending recording, if any
+     */
+    cancelRecording() {
+        const recording = this.recording;
+        if (!recording) return;
+
+        this.recording = null;
+        if (this.capture) {
+            this.capture.setBufferSize(this.windowSize());
+        }
+        recording.reject(new Error('Registrazione interrotta'));
+    }
+
+    /**
+     * Sends an analysis window to the analyzer
+     * @param {Float32Array} samples
+     */
+    analyze(samples) {
+        if (this.strumMode) {
+            this.analyzer.analyzeStrum(samples, this.targeter.strings.map(string => string.frequency));
+        } else {
+            this.analyzer.analyze(samples);
+        }
+    }
+
+    /**
+     * Turns a detection result into events
+     * @param {Object} result - PitchDetectionResult
+     * @param {number} timestamp - ms
+     */
+    handleResult(result, timestamp) {
+        // Don't tune to our own tones coming back through the microphone
+        if (this.ignoreInput && this.ignoreInput()) {
+            this.emit('level', { rms: result.rms, gate: null });
+            return;
+        }
+
+        const gate = this.noiseGate.process(result.rms, result.isValid, timestamp);
+        this.emit('level', { rms: result.rms, gate: gate });
+        if (gate.open && result.isValid) {
+            this.emit('pitch', { frequency: result.frequency, confidence: result.confidence, timestamp: timestamp });
+        }
+
+        const reading = this.stabilizer.process(gate.open ? result : Object.assign({}, result, { isValid: false }), timestamp);
+        const previousState = this.readingState;
+        this.readingState = reading.state;
+
+        if (reading.state === 'stable') {
+            this.handleReading(result, reading, timestamp);
+        } else if (reading.state === 'holding') {
+            this.emit('hold', { timestamp: timestamp });
+        } else if (reading.state === 'silent') {
+            this.inTuneKey = null;
+            if (previousState !== 'silent') {
+                this.emit('silence', { timestamp: timestamp });
+            }
+        } else {
+            this.emit('attack', { timestamp: timestamp });
+        }
+    }
+
+    /**
+     * Names and measures a stable reading
+     * @param {Object} result - Raw detection result
+     * @param {Object} reading - PitchStabilizer reading
+     * @param {number} timestamp
+     */
+    handleReading(result, reading, timestamp) {
+        // Keep the note chosen by the stabilizer's hysteresis
+        const note = ENGINE_MODULES.TunerCore.frequencyToNote(reading.frequency,
+            Object.assign({ midiNote: reading.midiNote, inTuneThreshold: this.options.inTuneCents }, this.noteOptions));
+        if (!note.isValid) return;
+
+        // In the string modes, measure against a string of the tuning instead of the nearest note
+        const measurement = this.targeter.measure(reading.frequency, timestamp, this.options.inTuneCents);
+        const isInTune = measurement ? measurement.isInTune : note.isInTune;
+
+        this.emit('note', {
+            note: note,
+            measurement: measurement,
+            frequency: reading.frequency,
+            rawFrequency: result.frequency,
+            cents: measurement ? measurement.cents : note.centsOffset,
+            isInTune: isInTune,
+            timestamp: timestamp
+        });
+
+        const key = measurement ? 'string:' + measurement.string.index : 'note:' + note.midiNote;
+        if (!isInTune) {
+            this.inTuneKey = null;
+        } else if (this.inTuneKey !== key) {
+            this.inTuneKey = key;
+            this.emit('inTune', { note: note, measurement: measurement, timestamp: timestamp });
+        }
+    }
+
+    /**
+     * Gates a strum analysis result and reports it
+     * @param {Object} result - StrumAnalyzer result
+     * @param {number} timestamp - ms
+     */
+    handleStrumResult(result, timestamp) {
+        if (this.ignoreInput && this.ignoreInput()) {
+            this.emit('level', { rms: result.rms, gate: null });
+            return;
+        }
+
+        const gate = this.noiseGate.process(result.rms, result.strings.some(string => string.detected), timestamp);
+        this.emit('level', { rms: result.rms, gate: gate });
+
+        if (gate.open) {
+            this.emit('strum', { result: result, timestamp: timestamp });
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the browser can capture audio
+     */
+    static isSupported() {
+        return typeof AudioCapture !== 'undefined' && AudioCapture.isSupported();
+    }
+}
+
+TunerEngine.DEFAULTS = {
+    sampleRate: 44100,
+    bufferSize: 4096,
+    hopSize: 1024, // New analysis window every 1024 samples (75% overlap)
+    strumBufferSize: 16384, // Longer window for the frequency resolution of strum mode
+    minFrequency: 70,
+    maxFrequency: 1500,
+    threshold: ENGINE_MODULES.NoiseGate.DEFAULTS.minThreshold, // The noise gate decides what counts as signal
+    algorithm: 'mpm',
+    confidenceThreshold: ENGINE_MODULES.PitchDetector.CONFIDENCE_THRESHOLD, // Detector readings at or below it are not valid
+    inTuneCents: 5, // Deviation counted as in tune
+    createCapture: null, // (engine) => AudioCapture-like object, to replace the microphone
+    createAnalyzer: null // (config) => PitchAnalyzer-like object
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TunerEngine };
+}
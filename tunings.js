@@ -0,0 +1,219 @@
+/**
+ * TuningManager - Tuning presets and user-defined tunings
+ * Keeps the list of available tunings, the current selection and
+ * persists custom tunings in localStorage across sessions
+ */
+
+/**
+ * Built-in tuning presets. Strings are listed from the lowest (thickest)
+ * to the highest (thinnest), using sharps for accidentals.
+ */
+const TUNING_PRESETS = [
+    { id: 'standard', name: 'Standard (E A D G B E)', strings: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    { id: 'drop-d', name: 'Drop D (D A D G B E)', strings: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    { id: 'dadgad', name: 'DADGAD', strings: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4'] },
+    { id: 'open-g', name: 'Open G (D G D G B D)', strings: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] },
+    { id: 'open-d', name: 'Open D (D A D F# A D)', strings: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4'] },
+    { id: 'half-step-down', name: 'Mezzo tono sotto (Eb Ab Db Gb Bb Eb)', strings: ['D#2', 'G#2', 'C#3', 'F#3', 'A#3', 'D#4'] },
+    { id: 'seven-string', name: '7 corde (B E A D G B E)', strings: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    {
+        id: 'twelve-string',
+        name: '12 corde (coppie in ottava)',
+        strings: ['E3', 'E2', 'A3', 'A2', 'D4', 'D3', 'G4', 'G3', 'B3', 'B3', 'E4', 'E4']
+    }
+];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_TO_SHARP = { 'DB': 'C#', 'EB': 'D#', 'GB': 'F#', 'AB': 'G#', 'BB': 'A#' };
+
+class TuningManager {
+    constructor(storage = null) {
+        this.storage = storage;
+        this.customTunings = [];
+        this.selectedId = 'standard';
+        this.presets = TUNING_PRESETS;
+        this.profileId = TuningManager.DEFAULT_PROFILE;
+        this.load();
+    }
+
+    /**
+     * Switches to the tunings of an instrument profile (see instrument-profiles.js).
+     * Keeps the selection if it belongs to the profile, otherwise selects its first tuning.
+     * @param {Object} profile - { id, tunings }
+     */
+    setProfile(profile) {
+        this.profileId = profile.id;
+        this.presets = profile.tunings;
+
+        if (!this.get(this.selectedId)) {
+            this.selectedId = this.presets[0].id;
+            this.save();
+        }
+    }
+
+    /**
+     * Returns the presets of the current profile followed by its user-defined tunings
+     * (tunings saved before profiles existed belong to the default profile)
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return this.presets.concat(this.customTunings.filter(tuning =>
+            (tuning.profile || TuningManager.DEFAULT_PROFILE) === this.profileId));
+    }
+
+    /**
+     * Finds a tuning by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.getAll().find(tuning => tuning.id === id) || null;
+    }
+
+    /**
+     * Returns the currently selected tuning (falls back to the first preset)
+     * @returns {Object}
+     */
+    getSelected() {
+        return this.get(this.selectedId) || this.presets[0];
+    }
+
+    /**
+     * Selects a tuning and persists the choice
+     * @param {string} id
+     * @returns {Object} The selected tuning
+     */
+    select(id) {
+        if (!this.get(id)) {
+            throw new Error(`Accordatura sconosciuta: ${id}`);
+        }
+
+        this.selectedId = id;
+        this.save();
+        return this.getSelected();
+    }
+
+    /**
+     * Creates a user-defined tuning for the current profile
+     * @param {string} name
+     * @param {Array<string>|string} notes - Note names from lowest to highest string, e.g. "D2 A2 D3 G3 B3 E4"
+     * @returns {Object} The new tuning
+     */
+    addCustom(name, notes) {
+        const list = typeof notes === 'string' ? notes.trim().split(/[\s,]+/) : notes;
+        const strings = list.filter(note => note.length > 0).map(note => {
+            const parsed = TuningManager.parseNote(note);
+            if (!parsed) {
+                throw new Error(`Nota non valida: ${note}`);
+            }
+            return parsed.name + parsed.octave;
+        });
+
+        if (!name || !name.trim()) {
+            throw new Error('Inserisci un nome per l\'accordatura');
+        }
+        if (strings.length < 1 || strings.length > 12) {
+            throw new Error('Un\'accordatura deve avere da 1 a 12 corde');
+        }
+
+        const tuning = {
+            id: 'custom-' + Date.now().toString(36),
+            name: name.trim(),
+            strings: strings,
+            custom: true,
+            profile: this.profileId
+        };
+
+        this.customTunings.push(tuning);
+        this.save();
+        return tuning;
+    }
+
+    /**
+     * Deletes a user-defined tuning. Presets cannot be removed.
+     * @param {string} id
+     */
+    removeCustom(id) {
+        this.customTunings = this.customTunings.filter(tuning => tuning.id !== id);
+
+        if (this.selectedId === id) {
+            this.selectedId = this.presets[0].id;
+        }
+
+        this.save();
+    }
+
+    /**
+     * Loads custom tunings and the last selection from storage
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const custom = JSON.parse(this.storage.getItem(TuningManager.STORAGE_KEY_CUSTOM) || '[]');
+            this.customTunings = Array.isArray(custom) ? custom : [];
+            this.selectedId = this.storage.getItem(TuningManager.STORAGE_KEY_SELECTED) || this.selectedId;
+        } catch (error) {
+            console.error('Error loading tunings:', error);
+            this.customTunings = [];
+        }
+    }
+
+    /**
+     * Persists custom tunings and the current selection
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(TuningManager.STORAGE_KEY_CUSTOM, JSON.stringify(this.customTunings));
+            this.storage.setItem(TuningManager.STORAGE_KEY_SELECTED, this.selectedId);
+        } catch (error) {
+            console.error('Error saving tunings:', error);
+        }
+    }
+
+    /**
+     * Parses a note such as "E2", "F#3" or "Bb1"
+     * @param {string} note
+     * @returns {Object|null} { name, octave, midiNote } with sharps, or null if invalid
+     */
+    static parseNote(note) {
+        const match = /^([A-Ga-g])([#b]?)(-?\d)$/.exec(String(note).trim());
+        if (!match) {
+            return null;
+        }
+
+        let name = match[1].toUpperCase() + match[2];
+        if (match[2] === 'b') {
+            name = FLAT_TO_SHARP[name.toUpperCase()] || NOTE_NAMES[(NOTE_NAMES.indexOf(match[1].toUpperCase()) + 11) % 12];
+        } else if (name === 'E#' || name === 'B#') {
+            name = NOTE_NAMES[(NOTE_NAMES.indexOf(match[1].toUpperCase()) + 1) % 12];
+        }
+
+        let octave = parseInt(match[3], 10);
+        // Cb and Fb wrap into the previous note name, E# and B# into the next one;
+        // Cb also drops an octave and B# goes up one
+        if (match[1].toUpperCase() === 'C' && match[2] === 'b') {
+            octave -= 1;
+        } else if (match[1].toUpperCase() === 'B' && match[2] === '#') {
+            octave += 1;
+        }
+
+        const noteIndex = NOTE_NAMES.indexOf(name);
+
+        return {
+            name: name,
+            octave: octave,
+            midiNote: (octave + 1) * 12 + noteIndex
+        };
+    }
+}
+
+TuningManager.STORAGE_KEY_CUSTOM = 'accordatore.customTunings';
+TuningManager.STORAGE_KEY_SELECTED = 'accordatore.selectedTuning';
+TuningManager.DEFAULT_PROFILE = 'guitar-6';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TuningManager, TUNING_PRESETS, NOTE_NAMES };
+}
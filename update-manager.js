@@ -0,0 +1,123 @@
+/**
+ * UpdateManager - Registers the service worker and reports offline readiness and updates
+ * A new version is installed in the background and activated only when the user
+ * accepts it (applyUpdate()), after which the page reloads with the new files.
+ */
+class UpdateManager {
+    /**
+     * @param {string} scriptUrl - Service worker script
+     */
+    constructor(scriptUrl = 'service-worker.js') {
+        this.scriptUrl = scriptUrl;
+        this.registration = null;
+        this.waitingWorker = null;
+        this.reloading = false;
+        this.onOfflineReady = null; // () once the app is cached
+        this.onUpdateAvailable = null; // () when a new version is waiting
+    }
+
+    /**
+     * Registers the service worker
+     * @returns {Promise<boolean>} false if service workers are not supported (or not over HTTPS)
+     */
+    async register() {
+        if (!UpdateManager.isSupported()) {
+            return false;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return false;
+        }
+
+        // A version installed during a previous visit may already be waiting
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notifyUpdate(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.notifyUpdate(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.waitingWorker && !this.reloading) {
+                this.reloading = true;
+                window.location.reload();
+            }
+        });
+
+        // The active worker has finished precaching
+        navigator.serviceWorker.ready.then(() => {
+            if (this.onOfflineReady) {
+                this.onOfflineReady();
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * @param {ServiceWorker} worker - Installed worker waiting to activate
+     */
+    notifyUpdate(worker) {
+        this.waitingWorker = worker;
+        if (this.onUpdateAvailable) {
+            this.onUpdateAvailable();
+        }
+    }
+
+    /**
+     * Activates the waiting version; the page reloads once it takes control
+     */
+    applyUpdate() {
+        if (this.waitingWorker) {
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+
+    /**
+     * Asks the controlling service worker for its cache version
+     * @returns {Promise<string|null>} e.g. 'v1', or null if the page is not controlled
+     */
+    getVersion() {
+        const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (!controller) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = (event) => resolve(event.data.version);
+            controller.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+            setTimeout(() => resolve(null), 1000);
+        });
+    }
+
+    /**
+     * Checks the server for a new version (browsers also check on each navigation)
+     * @returns {Promise<void>}
+     */
+    async checkForUpdate() {
+        if (this.registration) {
+            await this.registration.update();
+        }
+    }
+
+    /**
+     * Checks if service workers are available (they require HTTPS or localhost)
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext !== false;
+    }
+}